@@ -1,37 +1,45 @@
-const { processActivities } = require('ah-processor.utils')
 const ReadFileProcessor = require('./lib/read-file.processor')
 const ReadStreamProcessor = require('./lib/read-stream.processor')
 const WriteFileProcessor = require('./lib/write-file.processor')
 const WriteStreamProcessor = require('./lib/write-stream.processor')
-
-// TODO: we need to remove the ids returned inside the group in order to
-// not process them twice.
-// However {Read|Write}StreamProcessor share a stream tick, thus we need to
-// add logic to only remove those once both of these processors ran.
-// This could be via some flag and a callback that's passed to processActivities
-
-/**
- * @name processFileSystem
- * @param {Object} $0
- * @param {Map.<string, Object>} $0.activities a map of async activities hashed by id
- * @param {boolean} [$0.includeActivities=false] if `true` the actual activities are appended to the output
- *
- * @return {Map.<number, Object} map of fs.readFile activities hashed by the fs resource id
- */
-function processFileSystem({ activities, includeActivities = false }) {
-  const processors = [
-      ReadFileProcessor
-    , ReadStreamProcessor
-    , WriteFileProcessor
-    , WriteStreamProcessor
-  ]
-  return processActivities({ activities, processors, includeActivities })
-}
+const StatProcessor = require('./lib/stat.processor')
+const FileDescriptorProcessor = require('./lib/file-descriptor.processor')
+const ReaddirProcessor = require('./lib/readdir.processor')
+const AppendFileProcessor = require('./lib/append-file.processor')
+const MetadataProcessor = require('./lib/metadata.processor')
+const WatchProcessor = require('./lib/watch.processor')
+const FileHandleProcessor = require('./lib/file-handle.processor')
+const CopyFileProcessor = require('./lib/copy-file.processor')
+const processFileSystem = require('./lib/process-file-system')
+const IncrementalProcessor = require('./lib/incremental.processor')
+const ActivityIndex = require('./lib/activity-index')
+const { threadpoolSaturation, simulateThreadpool } = require('./lib/threadpool')
+const traceEvents = require('./lib/trace-events')
+const aggregateOperations = require('./lib/aggregate')
+const redundantReads = require('./lib/redundant-reads')
+const { lintOperations, lintRules } = require('./lib/lint')
 
 module.exports = {
     ReadFileProcessor
   , ReadStreamProcessor
   , WriteFileProcessor
   , WriteStreamProcessor
+  , StatProcessor
+  , FileDescriptorProcessor
+  , ReaddirProcessor
+  , AppendFileProcessor
+  , MetadataProcessor
+  , WatchProcessor
+  , FileHandleProcessor
+  , CopyFileProcessor
   , processFileSystem
+  , IncrementalProcessor
+  , ActivityIndex
+  , threadpoolSaturation
+  , simulateThreadpool
+  , traceEvents
+  , aggregateOperations
+  , redundantReads
+  , lintOperations
+  , lintRules
 }
@@ -0,0 +1,62 @@
+/*
+ * Times feeding the `IncrementalProcessor` the events of a large synthetic trace, flushing
+ * it after every `batch` events as if that many happened within one iteration of the event loop.
+ * Since adding and updating merely stores the activity, the time per event drops as the
+ * batches grow, i.e.:
+ *
+ *    node bench/incremental.js [copies=20] [batch=1,10,100]
+ */
+const { IncrementalProcessor } = require('../')
+const syntheticTrace = require('./synthetic-trace')
+
+const order = { init: 0, before: 1, after: 2, destroy: 3 }
+
+function eventsOf(activities) {
+  const events = []
+  for (const activity of activities.values()) {
+    for (const kind of Object.keys(order)) {
+      for (const time of activity[kind] || []) events.push({ time, kind, activity })
+    }
+  }
+  return events.sort((a, b) => a.time - b.time || order[a.kind] - order[b.kind])
+}
+
+function ms(start) {
+  const [ s, ns ] = process.hrtime(start)
+  return s * 1E3 + ns / 1E6
+}
+
+function feed(events, batch) {
+  const processor = new IncrementalProcessor()
+  let emitted = 0
+  processor.on('operation', () => emitted++)
+
+  const live = new Map()
+  const start = process.hrtime()
+  for (let i = 0; i < events.length; i++) {
+    const { time, kind, activity } = events[i]
+    if (kind === 'init') {
+      const x = Object.assign({}, activity, { init: [ time ], before: undefined, after: undefined, destroy: undefined })
+      live.set(x.id, x)
+      processor.add(x)
+    } else {
+      const x = live.get(activity.id)
+      x[kind] = (x[kind] || []).concat(time)
+      processor.update(x)
+    }
+    if ((i + 1) % batch === 0) processor.flush()
+  }
+  processor.flush()
+  return { time: ms(start), emitted }
+}
+
+const copies = parseInt(process.argv[2] || 20, 10)
+const batches = (process.argv[3] || '1,10,100').split(',').map(x => parseInt(x, 10))
+const events = eventsOf(syntheticTrace(copies))
+
+console.log('events: %d', events.length)
+for (const batch of batches) {
+  const { time, emitted } = feed(events, batch)
+  console.log('batch %d: %sms, %sms per event, %d operations emitted',
+    batch, time.toFixed(1), (time / events.length).toFixed(3), emitted)
+}
@@ -0,0 +1,28 @@
+/*
+ * Times `processFileSystem` on a large synthetic trace, built by repeating the
+ * activities of a few fixtures with their ids and timestamps shifted, i.e.:
+ *
+ *    node bench/process-file-system.js [copies=100] [runs=3]
+ */
+const { processFileSystem } = require('../')
+const syntheticTrace = require('./synthetic-trace')
+
+function ms(start) {
+  const [ s, ns ] = process.hrtime(start)
+  return s * 1E3 + ns / 1E6
+}
+
+const copies = parseInt(process.argv[2] || 100, 10)
+const runs = parseInt(process.argv[3] || 3, 10)
+const activities = syntheticTrace(copies)
+
+const times = []
+let operations
+for (let i = 0; i < runs; i++) {
+  const start = process.hrtime()
+  operations = processFileSystem({ activities }).operations
+  times.push(ms(start))
+}
+
+console.log('activities: %d, operations: %d', activities.size, operations.length)
+console.log('processFileSystem: %sms (best of %d runs)', Math.min.apply(null, times).toFixed(1), runs)
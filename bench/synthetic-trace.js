@@ -0,0 +1,38 @@
+/*
+ * Builds a large synthetic trace by repeating the activities of a few fixtures with
+ * their ids and timestamps shifted.
+ */
+const fixtures = [
+    'five-files.read-file.json'
+  , 'read-write-fd.json'
+  , 'stat-files.json'
+  , 'read-stream-piped-into-write-stream-fs-only.json'
+]
+
+const idOffset = 1E4
+const timeOffset = 1E9
+
+function shiftStamps(stamps, offset) {
+  return stamps == null ? stamps : stamps.map(x => x + offset)
+}
+
+function syntheticTrace(copies) {
+  const activities = new Map()
+  for (let i = 0; i < copies; i++) {
+    for (let j = 0; j < fixtures.length; j++) {
+      const shift = (i * fixtures.length + j + 1) * idOffset
+      for (const [ , activity ] of require(`../test/fixtures/${fixtures[j]}`)) {
+        const copy = JSON.parse(JSON.stringify(activity))
+        copy.id += shift
+        copy.triggerId += shift
+        for (const k of [ 'init', 'before', 'after', 'destroy' ]) {
+          copy[k] = shiftStamps(copy[k], i * timeOffset)
+        }
+        activities.set(copy.id, copy)
+      }
+    }
+  }
+  return activities
+}
+
+module.exports = syntheticTrace
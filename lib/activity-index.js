@@ -0,0 +1,142 @@
+const { matchesSignature } = require('./signatures')
+
+// The processors look activities up by the ids they reference, i.e. a `triggerId`, thus
+// a Map whose keys differ from the ids is hashed anew. Otherwise it is used as is.
+function hashedById(activities) {
+  for (const [ key, activity ] of activities) {
+    if (key !== activity.id) return new Map(Array.from(activities.values()).map(x => [ x.id, x ]))
+  }
+  return activities
+}
+
+class ActivityIndex {
+  /**
+   * Indexes the activities in a single pass, so that the processors don't have to
+   * scan all activities for each step they are looking for.
+   *
+   * The activities are indexed by type and by the id of the activity that triggered them.
+   * The activities matching a signature are found among the ones of its type only and
+   * are cached, thus processors that share an index and the same signatures, i.e. the
+   * `close` of a `fs.open`, share the results as well.
+   *
+   * The index preserves the order of the activities in the Map, which the processors
+   * depend on when walking the activities triggered by an operation.
+   *
+   * The activities are hashed by their `id`, even if the supplied Map uses different keys.
+   *
+   * @name ActivityIndex
+   * @constructor
+   * @param {Object} $0
+   * @param {Map.<string, Object>} $0.activities a map of async activities hashed by id
+   */
+  constructor({ activities }) {
+    this._activities = hashedById(activities)
+    this._ordered = []
+    this._positions = new Map()
+    this._byType = new Map()
+    this._children = new Map()
+    this._matches = new Map()
+
+    for (const activity of this._activities.values()) {
+      this._positions.set(activity.id, this._ordered.length)
+      this._ordered.push(activity)
+
+      if (!this._byType.has(activity.type)) this._byType.set(activity.type, [])
+      this._byType.get(activity.type).push(activity)
+
+      if (!this._children.has(activity.triggerId)) this._children.set(activity.triggerId, [])
+      this._children.get(activity.triggerId).push(activity.id)
+    }
+  }
+
+  /**
+   * The indexed activities.
+   *
+   * @name activityIndex.activities
+   * @return {Map.<string, Object>} the activities hashed by their id
+   */
+  get activities() {
+    return this._activities
+  }
+
+  /**
+   * Finds all activities of the given type.
+   *
+   * @name activityIndex.ofType
+   * @function
+   * @param {String} type the type of the activities, i.e. `FSREQWRAP`
+   * @return {Array.<Object>} the activities in the order they were indexed
+   */
+  ofType(type) {
+    return this._byType.get(type) || []
+  }
+
+  /**
+   * Finds the ids of the activities that were triggered by the given activity directly.
+   *
+   * @name activityIndex.childrenOf
+   * @function
+   * @param {Number} id the id of the triggering activity
+   * @return {Array.<Number>} the ids in the order they were indexed
+   */
+  childrenOf(id) {
+    return this._children.get(id) || []
+  }
+
+  /**
+   * Finds all activities that match the signature.
+   *
+   * @name activityIndex.matching
+   * @function
+   * @param {Object|Array.<Object>} signature the step signature, see `signatures.matchesSignature`
+   * @return {Array.<Object>} the matching activities in the order they were indexed
+   */
+  matching(signature) {
+    if (this._matches.has(signature)) return this._matches.get(signature)
+    const matches = this._candidates(signature).filter(a => matchesSignature(a, signature))
+    this._matches.set(signature, matches)
+    return matches
+  }
+
+  _candidates(signature) {
+    const alternatives = [].concat(signature)
+    if (alternatives.some(x => x.type == null)) return this._ordered
+
+    const types = new Set(alternatives.map(x => x.type))
+    if (types.size === 1) return this.ofType(alternatives[0].type)
+    const candidates = []
+    for (const type of types) candidates.push(...this.ofType(type))
+    return candidates.sort((a, b) => this._positions.get(a.id) - this._positions.get(b.id))
+  }
+
+  /**
+   * Same as `idsTriggeredBy` of [ah-processor.utils](https://github.com/nodesource/ah-processor.utils),
+   * walks the activities in order and collects the ids of the ones triggered by the given
+   * activity, directly or indirectly, until `stop` returns `true`.
+   *
+   * Since nothing is collected or stopped at before the first activity triggered by the
+   * given one is found, the walk starts at that activity instead of the very first one.
+   *
+   * @name activityIndex.idsTriggeredBy
+   * @function
+   * @param {Number} id the id of the activity at which the walk starts
+   * @param {function} stop predicate with signature `(id, activity)` invoked for every activity
+   * once the first triggered activity was found
+   * @return {Set.<Number>} the ids of the given activity and the ones it triggered
+   */
+  idsTriggeredBy(id, stop) {
+    const ids = new Set([ id ])
+    const children = this.childrenOf(id)
+    if (children.length === 0) return ids
+
+    const start = this._positions.get(children[0])
+    for (let i = start; i < this._ordered.length; i++) {
+      const activity = this._ordered[i]
+      if (ids.has(activity.triggerId)) ids.add(activity.id)
+      if (stop(activity.id, activity)) break
+    }
+    return ids
+  }
+}
+
+module.exports = ActivityIndex
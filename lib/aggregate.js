@@ -0,0 +1,99 @@
+const { prettyNs } = require('ah-processor.utils')
+const { operationPath } = require('./utils')
+
+const groupers = {
+    callSite: ({ operation }) => operation.createdAt || null
+  , path: ({ operation }) => operationPath(operation)
+  , type: ({ name }) => name
+}
+
+// Nearest-rank percentile of the ascending `sorted` values.
+function percentile(sorted, p) {
+  const rank = Math.ceil(p / 100 * sorted.length)
+  return sorted[Math.max(0, rank - 1)]
+}
+
+function timeAliveOf({ operation }) {
+  const lifeCycle = operation.lifeCycle
+  return lifeCycle == null || lifeCycle.timeAlive == null ? null : lifeCycle.timeAlive.ns
+}
+
+function summarize(key, ops) {
+  const times = ops.map(timeAliveOf).filter(x => x != null).sort((a, b) => a - b)
+  const total = times.reduce((acc, x) => acc + x, 0)
+  const timeAlive = times.length === 0
+    ? { total: prettyNs(0), mean: null, p50: null, p95: null, p99: null, max: null }
+    : {
+        total : prettyNs(total)
+      , mean  : prettyNs(Math.round(total / times.length))
+      , p50   : prettyNs(percentile(times, 50))
+      , p95   : prettyNs(percentile(times, 95))
+      , p99   : prettyNs(percentile(times, 99))
+      , max   : prettyNs(times[times.length - 1])
+    }
+
+  const counted = ops.filter(({ operation }) => typeof operation.bytes === 'number')
+  const bytes = counted.length === 0
+    ? null
+    : counted.reduce((acc, { operation }) => acc + operation.bytes, 0)
+
+  return {
+      key
+    , count     : ops.length
+    , timeAlive
+    , bytes
+    , errors    : ops.filter(({ operation }) => operation.error != null).length
+    , rootIds   : ops.map(({ rootId }) => rootId)
+  }
+}
+
+function byTotalTimeAliveDescending(a, b) {
+  return b.timeAlive.total.ns - a.timeAlive.total.ns
+}
+
+function aggregate(operations, grouper) {
+  const groups = new Map()
+  for (const op of operations) {
+    const key = grouper(op)
+    if (!groups.has(key)) groups.set(key, [])
+    groups.get(key).push(op)
+  }
+  return Array.from(groups)
+    .map(([ key, ops ]) => summarize(key, ops))
+    .sort(byTotalTimeAliveDescending)
+}
+
+/**
+ * Rolls up the operations found by `processFileSystem` in order to rank the code
+ * paths that spend the most time in fs.
+ *
+ * The operations are grouped three ways, by the call site that created them, i.e. their
+ * `createdAt`, by the file they accessed and by their type, i.e. `fs.readFile`.
+ * Operations for which the respective property isn't known are grouped under a `null` key.
+ *
+ * Each group has the following properties and the groups are ordered by the total
+ * time their operations were alive, the most expensive first.
+ *
+ * - **key**: the call site, path or type the group represents
+ * - **count**: the number of operations in the group
+ * - **timeAlive**: the `total`, `mean`, `p50`, `p95`, `p99` and `max` time the operations
+ *   were alive, each in `{ ms, ns }`, the percentiles are computed via the nearest-rank method
+ * - **bytes**: the total bytes the operations read or wrote, `null` if none of them reported it
+ * - **errors**: the number of operations that failed
+ * - **rootIds**: the ids of the operations in the group
+ *
+ * @name aggregateOperations
+ * @function
+ * @param {Object} $0
+ * @param {Array.<Object>} $0.operations the operations returned by `processFileSystem`
+ * @return {Object} the groups `byCallSite`, `byPath` and `byType`
+ */
+function aggregateOperations({ operations }) {
+  return {
+      byCallSite : aggregate(operations, groupers.callSite)
+    , byPath     : aggregate(operations, groupers.path)
+    , byType     : aggregate(operations, groupers.type)
+  }
+}
+
+module.exports = aggregateOperations
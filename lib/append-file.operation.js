@@ -0,0 +1,221 @@
+const {
+    prettyNs
+  , safeFirstStamp
+  , uniqueUserFunctions
+  , mergeUserFunctions
+} = require('ah-processor.utils')
+const {
+    firstUserFrame
+  , callbackArguments
+  , resourcePath
+  , openOptions
+  , separateUserFunctions
+  , errorCode
+  , missingSteps
+  , operationStatus
+  , lastDestroyed
+  , totalBytes
+  , stepLatency
+} = require('./utils')
+
+class AppendFileOperation {
+  /**
+   * Processes a group of async activities that represent a fs append file operation.
+   * It is used by the [AppendFileProcessor](#appendfileprocessor) as part of `process`.
+   *
+   * Three operation steps are derived from the group, each providing some information
+   * about the operation in question.
+   *
+   * Each step is processed into an operation in the corresponding private method, i.e. `_processOpen`.
+   * These methods are documented below for information's sake, they should not be called directly,
+   * nor should you have a need to directly instantiate an `AppendFileOperation` in the first place.
+   *
+   * @name AppendFileOperation
+   * @constructor
+   * @param {Map.<Number, Set.<Number>>} group the ids of the activities that were part of the operation
+   * @param {Boolean} [includeActivities = false] if `true` the activities are attached to
+   * each operation step
+   */
+  constructor({ group, includeActivities = false }) {
+    this._includeActivities = includeActivities
+    this._process(group)
+  }
+
+  _process(group) {
+    this._created = prettyNs(0)
+    this._destroyed = prettyNs(0)
+    this._writes = []
+    const activities = []
+    for (let i = 0; i < group.length; i++) {
+      const info = group[i]
+      if (info.activity != null) activities.push(info.activity)
+      if (info.isopen) {
+        this._processOpen(info)
+      } else if (info.iswrite) {
+        this._processWrite(info)
+      } else if (info.isclose) {
+        this._processClose(info)
+      }
+    }
+
+    this._missing = missingSteps({
+        open  : this._open != null
+      , write : this._writes.length > 0
+      , close : this._close != null
+    })
+    this._error = errorCode(activities)
+    const open = group.find(x => x.isopen)
+    this._options = openOptions(open && open.activity, activities)
+    if (this._close == null) this._destroyed = lastDestroyed(activities)
+  }
+
+  _userFunctions(activity, resourceType) {
+    const functions = (activity.resource && activity.resource.functions) || []
+    return uniqueUserFunctions(functions, { pathPrefix: `${resourceType}.resource` })
+  }
+
+  /**
+   * The open resource tells us where in user code the `fs.appendFile` originated
+   * via the first user frame of the stack trace, as well as when the operation
+   * was created.
+   * If opening the file failed, the error passed to the callback also tells us the path
+   * of the file.
+   *
+   * @name appendFileOperation._processOpen
+   * @function
+   * @param {Object} info information about the open step, pre-processed by the `AppendFileProcessor`.
+   */
+  _processOpen(info) {
+    const activity = info.activity
+    this._created = safeFirstStamp(activity.init)
+
+    // "at Object.fs.open (fs.js:581:11)",
+    // "at Object.fs.writeFile (fs.js:1155:6)",
+    // "at Object.fs.appendFile (fs.js:1206:6)",
+    // "at Test.<anonymous> (/Volumes/d/dev/js/async-hooks/ah-fs/test/append-file.js:28:6)"
+    this._createdAt = firstUserFrame(activity.initStack)
+    this._path = resourcePath(activity)
+    this._open = {
+        id: activity.id
+      , triggerId: activity.triggerId
+      , latency: stepLatency(activity)
+      , userFunctions: this._userFunctions(activity, 'open')
+    }
+    if (this._includeActivities) this._open.activity = activity
+  }
+
+  /**
+   * Each write resource tells us how many bytes were appended, provided the callback
+   * arguments were captured, and how long the write took deduced from the
+   * `before` and `after` timestamps.
+   *
+   * @name appendFileOperation._processWrite
+   * @function
+   * @param {Object} info information about the write step, pre-processed by the `AppendFileProcessor`.
+   */
+  _processWrite(info) {
+    const activity = info.activity
+    if (activity == null) return
+
+    const before = safeFirstStamp(activity.before)
+    const after = safeFirstStamp(activity.after)
+    const timeSpent = before && after ? prettyNs(after.ns - before.ns) : prettyNs(0)
+
+    // writeAll's callback is invoked with `(writeErr, written)`
+    const args = callbackArguments(activity)
+    const bytes = args != null && typeof args['1'] === 'number' ? args['1'] : null
+
+    const write = {
+        id: activity.id
+      , triggerId: activity.triggerId
+      , latency: stepLatency(activity)
+      , bytes
+      , timeSpent
+    }
+    if (this._includeActivities) write.activity = activity
+    this._writes.push(write)
+  }
+
+  /**
+   * The main information we pull from the close resource is the `destroy` timestamp.
+   *
+   * Combined with the `init` timestamp of the open resource it allows us to deduce how long
+   * the file append took.
+   *
+   * @name appendFileOperation._processClose
+   * @function
+   * @param {Object} info information about the close step, pre-processed by the `AppendFileProcessor`.
+   */
+  _processClose(info) {
+    const activity = info.activity
+    if (activity == null) return
+    this._destroyed = safeFirstStamp(activity.destroy)
+    this._close = {
+        id: activity.id
+      , triggerId: activity.triggerId
+      , latency: stepLatency(activity)
+      , userFunctions: this._userFunctions(activity, 'close')
+    }
+    if (this._includeActivities) this._close.activity = activity
+  }
+
+  /**
+   * Returns the summary of processing the group into an operation.
+   *
+   * The summary of all operations has a very similar structure, but includes some properties that are specific to this
+   * particular operation.
+   *
+   * The general properties `lifeCycle` and `createdAt` are documented as part of
+   * the `ReadFileProcessor`.
+   * Therefore learn more [here](#general-operation-properties).
+   *
+   * ## Properties Specific to `fs.appendFile`
+   *
+   * - **path**: the path of the file, only available if it was captured or opening the file failed
+   * - **flag**: the flag with which the file was opened, i.e. `'a+'`, `'a'` unless it was captured
+   * - **bytes**: the sum of bytes appended by all writes
+   * - **open**: see `appendFileOperation._processOpen`
+   * - **writes**: see `appendFileOperation._processWrite`
+   * - **close**: see `appendFileOperation._processClose`
+   *
+   * @name appendFileOperation.summary
+   * @function
+   * @param {Object} $0 options
+   * @param {Boolean} [$0.separateFunctions = true] when `true` the user functions are separated out
+   * from the specific operations and attached as a `userFunctions` array directly to the returned
+   * result
+   *
+   * @param {Boolean} [$0.mergeFunctions = true] if `true` when a duplicate function is found in the
+   * separated functions Array, they are merged into one while preserving all information
+   * from both version. Note that this setting only activates if `separateFunctions` is `true` as well.
+   *
+   * @return {Object} all important information about the current operation
+   */
+  summary({ separateFunctions = true, mergeFunctions = true } = {}) {
+    const info = {
+        lifeCycle: {
+            created   : this._created
+          , destroyed : this._destroyed
+          , timeAlive : prettyNs(Math.max(0, this._destroyed.ns - this._created.ns))
+        }
+      , createdAt : this._createdAt
+      , status    : operationStatus({ missing: this._missing, error: this._error })
+      , missing   : this._missing
+      , error     : this._error
+      , path      : this._path
+      , flag      : this._options.flags || 'a'
+      , bytes     : totalBytes(this._writes)
+      , open      : this._open
+      , writes    : this._writes
+      , close     : this._close
+    }
+
+    if (!separateFunctions) return info
+    const separated = separateUserFunctions(info)
+
+    if (!mergeFunctions) return separated
+    return mergeUserFunctions(separated)
+  }
+}
+
+module.exports = AppendFileOperation
@@ -0,0 +1,197 @@
+const { stopAtDescendant } = require('./utils')
+const { signaturesFor } = require('./signatures')
+const ActivityIndex = require('./activity-index')
+const AppendFileOperation = require('./append-file.operation')
+
+class AppendFileProcessor {
+  /**
+   * Instantiates an fs.appendFile data processor to process data collected via
+   * [nodesource/ah-fs](https://github.com/nodesource/ah-fs)
+   *
+   * @name AppendFileProcessor
+   * @constructor
+   * @param {Object} $0
+   * @param {Map.<string, Object>} {$0.activities} a map of async activities hashed by id
+   * @param {boolean} [$0.includeActivities=false] if `true` the actual activities are appended to the output
+   * @param {Boolean} [$0.separateFunctions = true] when `true` the user functions are separated out
+   * from the specific resources and attached as a `userFunctions` array directly to the returned
+   * operations
+   * @param {String|Number} [$0.nodeVersion] the Node.js version that produced the activities, i.e. `'v12.22.12'`,
+   * it determines how the steps are identified and is detected from the activities if not provided
+   * @param {ActivityIndex} [$0.index] the index of the activities, shared by all processors that process
+   * the same activities and created from the activities if not provided
+   */
+  constructor({ activities, includeActivities = false, separateFunctions = true, nodeVersion, index }) {
+    this._signatures = signaturesFor({ activities, nodeVersion }).appendFile
+    this._index = index || new ActivityIndex({ activities })
+    this._activities = this._index.activities
+    this._includeActivities = includeActivities
+    this._separateFunctions = separateFunctions
+    this._clear()
+  }
+
+  /**
+   * Processes the supplied async activities and splits them into
+   * groups, and operations each representing a file append `fs.appendFile`.
+   *
+   * ## Groups
+   *
+   * The returned value has a `groups` property which just lists the ids
+   * of async resources that were grouped together to form an operation
+   * indexed by the id of the `fs.open` activity that was part of the `fs.appendFile`.
+   * Thus the `groups` is a map of sets.
+   * If no file append was encountered the groups are empty.
+   *
+   * ## Operations
+   *
+   * Additionally an `operations` property is included as well. Each operation
+   * represents one full `fs.appendFile` execution. There will be one operation per
+   * group and they are indexed by the corresponding open id as well.
+   *
+   * An `operation` has the following properties:
+   *
+   * ### `fs.appendFile` specific Operation Properties
+   *
+   *  Data about the async resources that were part of the operation, by default
+   *  only `id` and `triggerId` are included:
+   *  - **path**: the path of the file appended to if it could be determined
+   *  - **flag**: the flag with which the file was opened, `'a'`
+   *  - **bytes**: the number of bytes appended, `null` if the write callback arguments weren't captured
+   *  - **open**: contains data about opening the file
+   *  - **writes**: an Array of writes, each containing the number of bytes written as well as the time
+   *    spent to complete writing the particular chunk
+   *  - **close**: contains data about closing the file
+   *
+   * ### General Operation Properties
+   *
+   * - [see ReadFileProcessor.process](https://nodesource.github.io/ah-fs.processor/#general-operation-properties)
+   *
+   * ## Sample Return Value
+   *
+   * The sample return value was created with default options.
+   *
+   * ```js
+   * { groups: Map { 10 => Set { 10, 11, 12 } },
+   *   operations:
+   *    Map {
+   *      10 => { lifeCycle:
+   *        { created: { ms: '21.30ms', ns: 21300000 },
+   *          destroyed: { ms: '27.95ms', ns: 27950000 },
+   *          timeAlive: { ms: '6.65ms', ns: 6650000 } },
+   *      createdAt: 'at Test.<anonymous> (/Volumes/d/dev/js/async-hooks/ah-fs/test/append-file.js:28:6)',
+   *      status: 'complete',
+   *      missing: [],
+   *      error: null,
+   *      path: null,
+   *      flag: 'a',
+   *      bytes: 37,
+   *      open: { id: 10, triggerId: 1 },
+   *      writes: [ { id: 11, triggerId: 10, bytes: 37, timeSpent: { ms: '0.09ms', ns: 90000 } } ],
+   *      close: { id: 12, triggerId: 11 },
+   *      userFunctions: [] } } }
+   * ```
+   *
+   * @name appendFileProcessor.process
+   * @return {Object} information about `fs.appendFile` operations with the
+   * structure outlined above
+   */
+  process() {
+    this._clear()
+
+    // First we bucket all activities into open, write and close
+    this._findAppendFileOpenIds()
+    this._findAppendFileWriteIds()
+    this._findAppendFileCloseIds()
+
+    // Then we group them by triggerId and add the operations
+    this._separateIntoGroups()
+    this._addOperations()
+
+    return { groups: this._groups, operations: this._operations }
+  }
+
+  _clear() {
+    this._appendFileOpenIds = new Set()
+    this._appendFileWriteIds = new Set()
+    this._appendFileCloseIds = new Set()
+    this._groups = new Map()
+    this._operations = new Map()
+  }
+
+  _findAppendFileOpenIds() {
+    for (const a of this._index.matching(this._signatures.open)) this._appendFileOpenIds.add(a.id)
+  }
+
+  _findAppendFileWriteIds() {
+    for (const a of this._index.matching(this._signatures.write)) this._appendFileWriteIds.add(a.id)
+  }
+
+  _findAppendFileCloseIds() {
+    for (const a of this._index.matching(this._signatures.close)) this._appendFileCloseIds.add(a.id)
+  }
+
+  _separateIntoGroups() {
+    for (const openId of this._appendFileOpenIds) {
+      const stop = stopAtDescendant(openId, id => this._appendFileCloseIds.has(id))
+      const triggered = this._index.idsTriggeredBy(openId, stop)
+      // Only keep the ids that are steps of the append, anything else was
+      // triggered by the user callback.
+      const group = new Set()
+      for (const id of triggered) {
+        if (id === openId ||
+            this._appendFileWriteIds.has(id) ||
+            this._appendFileCloseIds.has(id)) group.add(id)
+      }
+      this._groups.set(openId, group)
+    }
+  }
+
+  _addOperations() {
+    for (const [ id, group ] of this._groups) this._addOperation(id, group)
+  }
+
+  _addOperation(id, group) {
+    const info = this._resolveGroup(group)
+    const op = new AppendFileOperation({
+        group: info
+      , includeActivities: this._includeActivities
+    })
+    this._operations.set(id, op.summary({ separateFunctions: this._separateFunctions }))
+  }
+
+  _resolveGroup(group) {
+    const groupInfo = []
+    for (const id of group) {
+      const activity = this._activities.get(id)
+      const isopen = this._appendFileOpenIds.has(id)
+      const iswrite = this._appendFileWriteIds.has(id)
+      const isclose = this._appendFileCloseIds.has(id)
+      const info = { activity, isopen, iswrite, isclose }
+      groupInfo.push(info)
+    }
+    return groupInfo
+  }
+}
+
+exports = module.exports = AppendFileProcessor
+
+/**
+ * The minimum number of steps, represented as an async resource each,
+ * involved to execute `fs.appendFile`.
+ *
+ * This can be used by higher level processors to group
+ * activities looking for larger operations first and then
+ * operations involving less steps.
+ *
+ * Steps are: open, write+, close
+ *
+ * @name AppendFileProcessor.operationSteps
+ */
+exports.operationSteps = 3
+
+/**
+ * Description of the operation: 'fs.appendFile'.
+ *
+ * @name AppendFileProcessor.operation
+ */
+exports.operation = 'fs.appendFile'
@@ -0,0 +1,217 @@
+const {
+    lifeCycle
+  , prettyNs
+  , uniqueUserFunctions
+  , mergeUserFunctions
+} = require('ah-processor.utils')
+const {
+    firstUserFrame
+  , resourcePath
+  , callbackError
+  , separateUserFunctions
+  , errorCode
+  , operationStatus
+  , stepLatency
+} = require('./utils')
+
+function pathOf(summary) {
+  if (summary.path != null) return summary.path
+  if (summary.stream != null && summary.stream.path != null) return summary.stream.path
+  return null
+}
+
+// The user functions of the underlying operations were merged already, i.e. they have
+// `propertyPaths` instead of a `propertyPath`, so we merge the two lists by `location`.
+function mergeMergedFunctions(a = [], b = []) {
+  const fns = new Map()
+  for (const fn of a.concat(b)) {
+    const previous = fns.get(fn.location)
+    if (previous == null) {
+      fns.set(fn.location, fn)
+      continue
+    }
+    const propertyPaths = previous.propertyPaths.concat(
+      fn.propertyPaths.filter(x => !previous.propertyPaths.includes(x)))
+    fns.set(fn.location, Object.assign({}, previous, { propertyPaths }))
+  }
+  return Array.from(fns.values())
+}
+
+class CopyFileOperation {
+  /**
+   * Processes a group of async activities that represent a file copy.
+   * It is used by the [CopyFileProcessor](#copyfileprocessor) as part of `process`.
+   *
+   * A native copy consists of one operation step, processed in `_processCopy`, while a userland copy
+   * is derived from the summaries of the underlying read and write operations in `_processComposite`.
+   * These methods are documented below for information's sake, they should not be called directly,
+   * nor should you have a need to directly instantiate a `CopyFileOperation` in the first place.
+   *
+   * @name CopyFileOperation
+   * @constructor
+   * @param {Map.<Number, Set.<Number>>} group the ids of the activities that were part of the operation
+   * @param {Boolean} [includeActivities = false] if `true` the activities are attached to
+   * each operation step
+   */
+  constructor({ group, includeActivities = false }) {
+    this._includeActivities = includeActivities
+    this._process(group)
+  }
+
+  _process(group) {
+    this._error = null
+    this._missing = []
+    for (let i = 0; i < group.length; i++) {
+      const info = group[i]
+      if (info.iscopy) {
+        this._processCopy(info)
+      } else if (info.iscomposite) {
+        this._processComposite(info)
+      }
+    }
+  }
+
+  /**
+   * The copy resource is the only resource involved in a native copy and thus provides
+   * all information:
+   *
+   * 1. the init and destroy timestamps tell us about the life cycle of the operation
+   * 2. the first user frame of the init stack tells us where `fs.copyFile` was called
+   * 3. if the copy failed the error passed to the callback includes the source and destination
+   *
+   * @name copyFileOperation._processCopy
+   * @function
+   * @param {Object} info information about the copy step, pre-processed by the `CopyFileProcessor`.
+   */
+  _processCopy(info) {
+    const activity = info.activity
+    if (activity == null) return
+
+    // Sample init stack:
+    // "at Object.fs.copyFile (fs.js:1808:11)",
+    // "at Test.<anonymous> (/Volumes/d/dev/js/async-hooks/ah-fs/test/copy-file.js:29:6)"
+    this._lifeCycle = lifeCycle(activity)
+    this._error = errorCode([ activity ])
+    this._createdAt = firstUserFrame(activity.initStack)
+    this._pattern = 'fs.copyFile'
+    this._source = resourcePath(activity)
+
+    const ctx = activity.resource && activity.resource.context
+    const err = callbackError(activity)
+    this._destination = err != null && err.dest != null ? err.dest
+      : ctx != null && typeof ctx.dest === 'string' ? ctx.dest
+      : null
+
+    const functions = (activity.resource && activity.resource.functions) || []
+    this._copy = {
+        id: activity.id
+      , triggerId: activity.triggerId
+      , latency: stepLatency(activity)
+      , userFunctions: uniqueUserFunctions(functions, { pathPrefix: 'copy.resource' })
+    }
+    if (this._includeActivities) this._copy.activity = activity
+  }
+
+  /**
+   * A userland copy consists of a read and a write operation which were already processed
+   * by the respective processors.
+   *
+   * 1. the operation was created when the first of the two was created and was destroyed
+   *    when the last of the two was destroyed, thus the `timeAlive` is the total duration of the copy
+   * 2. the copy was initiated where the read was created
+   * 3. source and destination are the paths of the read and write operations if available
+   * 4. the user functions of both operations are included
+   * 5. the copy failed if either of them failed and any of their missing steps are
+   *    reported prefixed with the operation they belong to, i.e. `write.close`
+   *
+   * @name copyFileOperation._processComposite
+   * @function
+   * @param {Object} info the underlying read and write operations, pre-processed by the `CopyFileProcessor`.
+   */
+  _processComposite(info) {
+    const read = info.read.summary
+    const write = info.write.summary
+    const created = read.lifeCycle.created.ns < write.lifeCycle.created.ns
+      ? read.lifeCycle.created : write.lifeCycle.created
+    const destroyed = read.lifeCycle.destroyed.ns > write.lifeCycle.destroyed.ns
+      ? read.lifeCycle.destroyed : write.lifeCycle.destroyed
+
+    this._lifeCycle = {
+        created
+      , destroyed
+      , timeAlive: prettyNs(destroyed.ns - created.ns)
+    }
+    this._createdAt = read.createdAt
+    this._pattern = info.pattern
+    this._source = pathOf(read)
+    this._destination = pathOf(write)
+    this._read = { operation: info.read.operation, id: info.read.id }
+    this._write = { operation: info.write.operation, id: info.write.id }
+    this._userFunctions = mergeMergedFunctions(read.userFunctions, write.userFunctions)
+    this._error = read.error != null ? read.error : write.error
+    this._missing = read.missing.map(x => `read.${x}`)
+      .concat(write.missing.map(x => `write.${x}`))
+  }
+
+  /**
+   * Returns the summary of processing the group into an operation.
+   *
+   * The summary of all operations has a very similar structure, but includes some properties that are specific to this
+   * particular operation.
+   *
+   * The general properties `lifeCycle` and `createdAt` are documented as part of
+   * the `ReadFileProcessor`.
+   * Therefore learn more [here](#general-operation-properties).
+   *
+   * ## Properties Specific to Copies
+   *
+   * - **pattern**: `fs.copyFile`, `pipe` or `fs.readFile -> fs.writeFile`
+   * - **source**: the path of the file that was copied
+   * - **destination**: the path of the copy
+   * - **copy**: see `copyFileOperation._processCopy`
+   * - **read**: the underlying read operation, see `copyFileOperation._processComposite`
+   * - **write**: the underlying write operation, see `copyFileOperation._processComposite`
+   *
+   * The user functions of userland copies were already separated and merged by the
+   * underlying operations and are included as is.
+   *
+   * @name copyFileOperation.summary
+   * @function
+   * @param {Object} $0 options
+   * @param {Boolean} [$0.separateFunctions = true] when `true` the user functions are separated out
+   * from the specific operations and attached as a `userFunctions` array directly to the returned
+   * result
+   *
+   * @param {Boolean} [$0.mergeFunctions = true] if `true` when a duplicate function is found in the
+   * separated functions Array, they are merged into one while preserving all information
+   * from both version. Note that this setting only activates if `separateFunctions` is `true` as well.
+   *
+   * @return {Object} all important information about the current operation
+   */
+  summary({ separateFunctions = true, mergeFunctions = true } = {}) {
+    const info = {
+        lifeCycle   : this._lifeCycle
+      , createdAt   : this._createdAt
+      , status      : operationStatus({ missing: this._missing, error: this._error })
+      , missing     : this._missing
+      , error       : this._error
+      , pattern     : this._pattern
+      , source      : this._source
+      , destination : this._destination
+      , copy        : this._copy
+      , read        : this._read
+      , write       : this._write
+    }
+    if (this._userFunctions != null) {
+      return Object.assign(info, { userFunctions: this._userFunctions })
+    }
+
+    if (!separateFunctions) return info
+    const separated = separateUserFunctions(info)
+
+    if (!mergeFunctions) return separated
+    return mergeUserFunctions(separated)
+  }
+}
+
+module.exports = CopyFileOperation
@@ -0,0 +1,293 @@
+const { signaturesFor } = require('./signatures')
+const ActivityIndex = require('./activity-index')
+const CopyFileOperation = require('./copy-file.operation')
+const ReadFileProcessor = require('./read-file.processor')
+const WriteFileProcessor = require('./write-file.processor')
+const ReadStreamProcessor = require('./read-stream.processor')
+const WriteStreamProcessor = require('./write-stream.processor')
+
+const TickObject = 'TickObject'
+
+class CopyFileProcessor {
+  /**
+   * Instantiates a data processor for files that are copied, in order to process data
+   * collected via [nodesource/ah-fs](https://github.com/nodesource/ah-fs).
+   *
+   * Handles native `fs.copyFile` calls as well as the following userland copy patterns:
+   *
+   * - a read stream that is piped into a write stream
+   * - the data obtained via `fs.readFile` that is passed straight to `fs.writeFile`
+   *
+   * @name CopyFileProcessor
+   * @constructor
+   * @param {Object} $0
+   * @param {Map.<string, Object>} {$0.activities} a map of async activities hashed by id
+   * @param {boolean} [$0.includeActivities=false] if `true` the actual activities are appended to the output
+   * @param {Boolean} [$0.separateFunctions = true] when `true` the user functions are separated out
+   * from the specific resources and attached as a `userFunctions` array directly to the returned
+   * operations
+   * @param {String|Number} [$0.nodeVersion] the Node.js version that produced the activities, i.e. `'v12.22.12'`,
+   * it determines how the steps are identified and is detected from the activities if not provided
+   * @param {ActivityIndex} [$0.index] the index of the activities, shared by all processors that process
+   * the same activities and created from the activities if not provided
+   */
+  constructor({ activities, includeActivities = false, separateFunctions = true, nodeVersion, index }) {
+    this._nodeVersion = nodeVersion
+    this._signatures = signaturesFor({ activities, nodeVersion }).copyFile
+    this._index = index || new ActivityIndex({ activities })
+    this._activities = this._index.activities
+    this._includeActivities = includeActivities
+    this._separateFunctions = separateFunctions
+    this._clear()
+  }
+
+  /**
+   * Processes the supplied async activities and splits them into
+   * groups, and operations each representing one file copy.
+   *
+   * ## Groups
+   *
+   * The returned value has a `groups` property which just lists the ids
+   * of async resources that were grouped together to form an operation.
+   * Only native `fs.copyFile` calls result in groups, each with exactly one member, indexed by the
+   * id of the copy resource.
+   * The resources of userland copies belong to the underlying read and write operations and thus
+   * aren't included.
+   *
+   * ## Operations
+   *
+   * Additionally an `operations` property is included as well. Each operation
+   * represents one file copy. Native copies are indexed by the id of the copy resource,
+   * userland copies by the id of the underlying read operation.
+   *
+   * An `operation` has the following properties:
+   *
+   * ### Copy specific Operation Properties
+   *
+   *  - **pattern**: how the file was copied, `fs.copyFile`, `pipe` or `fs.readFile -> fs.writeFile`,
+   *    the latter only if the write was issued from the read callback and wrote as many bytes as were read
+   *  - **source**: the path of the file that was copied if it could be determined
+   *  - **destination**: the path of the copy if it could be determined
+   *  - **copy**: contains data about the `fs.copyFile` resource, `undefined` for userland copies
+   *  - **read**: the `operation` name and `id` of the underlying read operation, `undefined` for
+   *    native copies
+   *  - **write**: the `operation` name and `id` of the underlying write operation, `undefined` for
+   *    native copies
+   *
+   * The total duration of the copy is the `timeAlive` of the `lifeCycle`, for userland copies it
+   * spans from the creation of the first to the destruction of the last underlying operation.
+   *
+   * ### General Operation Properties
+   *
+   * - [see ReadFileProcessor.process](https://nodesource.github.io/ah-fs.processor/#general-operation-properties)
+   *
+   * ## Sample Return Value
+   *
+   * The sample return value was created with default options.
+   *
+   * ```js
+   * { groups: Map { 10 => Set { 10 } },
+   *   operations:
+   *    Map {
+   *      10 => { lifeCycle:
+   *        { created: { ms: '3.20ms', ns: 3200000 },
+   *          destroyed: { ms: '6.55ms', ns: 6550000 },
+   *          timeAlive: { ms: '3.35ms', ns: 3350000 } },
+   *      createdAt: 'at Test.<anonymous> (/Volumes/d/dev/js/async-hooks/ah-fs/test/copy-file.js:29:6)',
+   *      status: 'complete',
+   *      missing: [],
+   *      error: null,
+   *      pattern: 'fs.copyFile',
+   *      source: null,
+   *      destination: null,
+   *      copy: { id: 10, triggerId: 1 },
+   *      read: undefined,
+   *      write: undefined,
+   *      userFunctions:
+   *       [ { file: '/Volumes/d/dev/js/async-hooks/ah-fs/test/copy-file.js',
+   *           line: 30,
+   *           column: 17,
+   *           inferredName: '',
+   *           name: 'oncopied',
+   *           location: 'oncopied (/Volumes/d/dev/js/async-hooks/ah-fs/test/copy-file.js:30:17)',
+   *           args: { '0': null, proto: 'Object' },
+   *           propertyPaths: [ 'copy.resource.oncomplete' ] } ] },
+   *      20 => { lifeCycle:
+   *        { created: { ms: '4.10ms', ns: 4100000 },
+   *          destroyed: { ms: '9.95ms', ns: 9950000 },
+   *          timeAlive: { ms: '5.85ms', ns: 5850000 } },
+   *      createdAt: 'at Test.<anonymous> (/Volumes/d/dev/js/async-hooks/ah-fs/test/copy-file.js:38:6)',
+   *      status: 'complete',
+   *      missing: [],
+   *      error: null,
+   *      pattern: 'fs.readFile -> fs.writeFile',
+   *      source: null,
+   *      destination: null,
+   *      copy: undefined,
+   *      read: { operation: 'fs.readFile', id: 20 },
+   *      write: { operation: 'fs.writeFile', id: 24 },
+   *      userFunctions: [ .. ] } } }
+   * ```
+   *
+   * @name copyFileProcessor.process
+   * @return {Object} information about copy operations with the
+   * structure outlined above
+   */
+  process() {
+    this._clear()
+
+    this._findCopyFileIds()
+    this._separateIntoGroups()
+    this._addOperations()
+
+    this._addStreamCopies()
+    this._addReadFileCopies()
+
+    return { groups: this._groups, operations: this._operations }
+  }
+
+  _clear() {
+    this._copyFileIds = new Set()
+    this._groups = new Map()
+    this._operations = new Map()
+  }
+
+  _findCopyFileIds() {
+    for (const a of this._index.matching(this._signatures.copy)) this._copyFileIds.add(a.id)
+  }
+
+  _separateIntoGroups() {
+    for (const copyId of this._copyFileIds) {
+      this._groups.set(copyId, new Set([ copyId ]))
+    }
+  }
+
+  _addOperations() {
+    for (const [ id, group ] of this._groups) this._addOperation(id, group)
+  }
+
+  _addOperation(id, group) {
+    const info = this._resolveGroup(group)
+    const op = new CopyFileOperation({
+        group: info
+      , includeActivities: this._includeActivities
+    })
+    this._operations.set(id, op.summary({ separateFunctions: this._separateFunctions }))
+  }
+
+  _resolveGroup(group) {
+    const groupInfo = []
+    for (const id of group) {
+      const activity = this._activities.get(id)
+      const iscopy = this._copyFileIds.has(id)
+      const info = { activity, iscopy }
+      groupInfo.push(info)
+    }
+    return groupInfo
+  }
+
+  _operationsOf(Processor) {
+    return new Processor({
+        activities: this._activities
+      , nodeVersion: this._nodeVersion
+      , index: this._index
+    }).process().operations
+  }
+
+  _addComposite(readId, read, ReadProcessor, writeId, write, WriteProcessor, pattern) {
+    const info = {
+        iscomposite: true
+      , pattern
+      , read: { operation: ReadProcessor.operation, id: readId, summary: read }
+      , write: { operation: WriteProcessor.operation, id: writeId, summary: write }
+    }
+    const op = new CopyFileOperation({
+        group: [ info ]
+      , includeActivities: this._includeActivities
+    })
+    this._operations.set(readId, op.summary({ separateFunctions: this._separateFunctions }))
+  }
+
+  // The data a piped read stream emits is written from within the callback of its read or a tick
+  // scheduled by it, therefore the writes of the write stream are triggered by the read stream.
+  // Once the writes drained, the reads that follow are triggered by a write or a tick it scheduled.
+  // We don't rely on the `pipesCount` of the stream, the tick it is taken from may have been
+  // captured before the stream was piped.
+  _addStreamCopies() {
+    const reads = this._operationsOf(ReadStreamProcessor)
+    const writes = this._operationsOf(WriteStreamProcessor)
+    const used = new Set()
+    for (const [ readId, read ] of reads) {
+      const readIds = new Set([ readId ].concat(read.reads.map(x => x.id)))
+      if (read.stream != null) readIds.add(read.stream.id)
+      for (const [ writeId, write ] of writes) {
+        if (used.has(writeId)) continue
+        const writeIds = new Set(write.writes.map(x => x.id))
+        const piped = write.writes.some(x => this._triggeredBy(x, readIds)) ||
+          read.reads.some(x => this._triggeredBy(x, writeIds))
+        if (!piped) continue
+        used.add(writeId)
+        this._addComposite(
+          readId, read, ReadStreamProcessor, writeId, write, WriteStreamProcessor, 'pipe')
+        break
+      }
+    }
+  }
+
+  // Walks up the ancestors of the step, passing through ticks only.
+  _triggeredBy(step, ids) {
+    let triggerId = step.triggerId
+    while (triggerId != null) {
+      if (ids.has(triggerId)) return true
+      const activity = this._activities.get(triggerId)
+      if (activity == null || activity.type !== TickObject) return false
+      triggerId = activity.triggerId
+    }
+    return false
+  }
+
+  // The callback of `fs.readFile` is invoked in the context of its close resource, therefore
+  // an `fs.writeFile` issued from it is triggered by that close.
+  // Any write issued from that callback is, so it only counts as a copy if it wrote
+  // exactly the bytes that were read.
+  _addReadFileCopies() {
+    const reads = this._operationsOf(ReadFileProcessor)
+    const writes = this._operationsOf(WriteFileProcessor)
+    for (const [ readId, read ] of reads) {
+      if (read.close == null || read.bytes == null) continue
+      for (const [ writeId, write ] of writes) {
+        if (write.open == null || write.open.triggerId !== read.close.id) continue
+        if (write.bytes !== read.bytes) continue
+        this._addComposite(
+          readId, read, ReadFileProcessor, writeId, write, WriteFileProcessor, 'fs.readFile -> fs.writeFile')
+        break
+      }
+    }
+  }
+}
+
+exports = module.exports = CopyFileProcessor
+
+/**
+ * The minimum number of steps, represented as an async resource each,
+ * involved to copy a file via `fs.copyFile`.
+ *
+ * This can be used by higher level processors to group
+ * activities looking for larger operations first and then
+ * operations involving less steps.
+ *
+ * Steps are: copy
+ *
+ * The userland copies don't own any steps, their resources belong to the underlying read and
+ * write operations.
+ *
+ * @name CopyFileProcessor.operationSteps
+ */
+exports.operationSteps = 1
+
+/**
+ * Description of the operation: 'fs.copyFile'.
+ *
+ * @name CopyFileProcessor.operation
+ */
+exports.operation = 'fs.copyFile'
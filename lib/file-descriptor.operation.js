@@ -0,0 +1,232 @@
+const {
+    prettyNs
+  , safeFirstStamp
+  , uniqueUserFunctions
+  , mergeUserFunctions
+} = require('ah-processor.utils')
+const {
+    firstUserFrame
+  , callbackArguments
+  , separateUserFunctions
+  , errorCode
+  , missingSteps
+  , operationStatus
+  , lastDestroyed
+  , stepLatency
+} = require('./utils')
+
+class FileDescriptorOperation {
+  /**
+   * Processes a group of async activities that represent the life cycle of a manually
+   * managed file descriptor.
+   * It is used by the [FileDescriptorProcessor](#filedescriptorprocessor) as part of `process`.
+   *
+   * Four kinds of operation steps are derived from the group, each providing some information
+   * about the operation in question.
+   *
+   * Each step is processed into an operation in the corresponding private method, i.e. `_processOpen`.
+   * These methods are documented below for information's sake, they should not be called directly,
+   * nor should you have a need to directly instantiate a `FileDescriptorOperation` in the first place.
+   *
+   * @name FileDescriptorOperation
+   * @constructor
+   * @param {Map.<Number, Set.<Number>>} group the ids of the activities that were part of the operation
+   * @param {Boolean} [includeActivities = false] if `true` the activities are attached to
+   * each operation step
+   */
+  constructor({ group, includeActivities = false }) {
+    this._includeActivities = includeActivities
+    this._process(group)
+  }
+
+  _process(group) {
+    this._created = prettyNs(0)
+    this._destroyed = prettyNs(0)
+    this._reads = []
+    this._writes = []
+    const activities = []
+    for (let i = 0; i < group.length; i++) {
+      const info = group[i]
+      if (info.activity != null) activities.push(info.activity)
+      if (info.isopen) {
+        this._processOpen(info)
+      } else if (info.isread) {
+        this._processRead(info)
+      } else if (info.iswrite) {
+        this._processWrite(info)
+      } else if (info.isclose) {
+        this._processClose(info)
+      }
+    }
+
+    this._missing = missingSteps({
+        open  : this._open != null
+      , close : this._close != null
+    })
+    this._error = errorCode(activities)
+    if (this._close == null) this._destroyed = lastDestroyed(activities)
+  }
+
+  _userFunctions(activity, resourceType) {
+    const functions = (activity.resource && activity.resource.functions) || []
+    return uniqueUserFunctions(functions, { pathPrefix: `${resourceType}.resource` })
+  }
+
+  /**
+   * The open resource tells us where in user code the file was opened
+   * via the second frame of the stack trace, as well as when the operation
+   * was created.
+   *
+   * @name fileDescriptorOperation._processOpen
+   * @function
+   * @param {Object} info information about the open step, pre-processed by the `FileDescriptorProcessor`.
+   */
+  _processOpen(info) {
+    const activity = info.activity
+    this._created = safeFirstStamp(activity.init)
+
+    // Sample init stack:
+    // "at Object.fs.open (fs.js:581:11)",
+    // "at Test.<anonymous> (/Volumes/d/dev/js/async-hooks/ah-fs/test/read-write-fd.js:31:6)"
+    this._createdAt = firstUserFrame(activity.initStack)
+    this._open = {
+        id: activity.id
+      , triggerId: activity.triggerId
+      , latency: stepLatency(activity)
+      , userFunctions: this._userFunctions(activity, 'open')
+    }
+    if (this._includeActivities) this._open.activity = activity
+  }
+
+  // The fs.read and fs.write callbacks are wrapped by core, the wrapper is invoked with
+  // `(err, bytesRead)` and `(err, written)` respectively.
+  _transferStep(activity) {
+    const before = safeFirstStamp(activity.before)
+    const after = safeFirstStamp(activity.after)
+    const timeSpent = before && after ? prettyNs(after.ns - before.ns) : prettyNs(0)
+
+    const args = callbackArguments(activity)
+    const bytes = args != null && typeof args['1'] === 'number' ? args['1'] : null
+
+    const step = {
+        id: activity.id
+      , triggerId: activity.triggerId
+      , latency: stepLatency(activity)
+      , bytes
+      , timeSpent
+    }
+    if (this._includeActivities) step.activity = activity
+    return step
+  }
+
+  /**
+   * Each read resource tells us how many bytes were read, provided the callback
+   * arguments were captured, and how long the read took deduced from the
+   * `before` and `after` timestamps.
+   *
+   * @name fileDescriptorOperation._processRead
+   * @function
+   * @param {Object} info information about the read step, pre-processed by the `FileDescriptorProcessor`.
+   */
+  _processRead(info) {
+    if (info.activity == null) return
+    this._reads.push(this._transferStep(info.activity))
+  }
+
+  /**
+   * Each write resource tells us how many bytes were written, provided the callback
+   * arguments were captured, and how long the write took deduced from the
+   * `before` and `after` timestamps.
+   *
+   * @name fileDescriptorOperation._processWrite
+   * @function
+   * @param {Object} info information about the write step, pre-processed by the `FileDescriptorProcessor`.
+   */
+  _processWrite(info) {
+    if (info.activity == null) return
+    this._writes.push(this._transferStep(info.activity))
+  }
+
+  /**
+   * The main information we pull from the close resource is the `destroy` timestamp.
+   *
+   * Combined with the `init` timestamp of the open resource it allows us to deduce how long
+   * the file descriptor was in use.
+   *
+   * @name fileDescriptorOperation._processClose
+   * @function
+   * @param {Object} info information about the close step, pre-processed by the `FileDescriptorProcessor`.
+   */
+  _processClose(info) {
+    const activity = info.activity
+    if (activity == null) return
+    this._destroyed = safeFirstStamp(activity.destroy)
+    this._close = {
+        id: activity.id
+      , triggerId: activity.triggerId
+      , latency: stepLatency(activity)
+      , userFunctions: this._userFunctions(activity, 'close')
+    }
+    if (this._includeActivities) this._close.activity = activity
+  }
+
+  /**
+   * Returns the summary of processing the group into an operation.
+   *
+   * The summary of all operations has a very similar structure, but includes some properties that are specific to this
+   * particular operation.
+   *
+   * The general properties `lifeCycle` and `createdAt` are documented as part of
+   * the `ReadFileProcessor`.
+   * Therefore learn more [here](#general-operation-properties).
+   *
+   * ## Properties Specific to File Descriptors
+   *
+   * - **open**: see `fileDescriptorOperation._processOpen`
+   * - **reads**: see `fileDescriptorOperation._processRead`
+   * - **writes**: see `fileDescriptorOperation._processWrite`
+   * - **close**: see `fileDescriptorOperation._processClose`
+   * - **readCount**: the number of reads
+   * - **writeCount**: the number of writes
+   *
+   * @name fileDescriptorOperation.summary
+   * @function
+   * @param {Object} $0 options
+   * @param {Boolean} [$0.separateFunctions = true] when `true` the user functions are separated out
+   * from the specific operations and attached as a `userFunctions` array directly to the returned
+   * result
+   *
+   * @param {Boolean} [$0.mergeFunctions = true] if `true` when a duplicate function is found in the
+   * separated functions Array, they are merged into one while preserving all information
+   * from both version. Note that this setting only activates if `separateFunctions` is `true` as well.
+   *
+   * @return {Object} all important information about the current operation
+   */
+  summary({ separateFunctions = true, mergeFunctions = true } = {}) {
+    const info = {
+        lifeCycle: {
+            created   : this._created
+          , destroyed : this._destroyed
+          , timeAlive : prettyNs(Math.max(0, this._destroyed.ns - this._created.ns))
+        }
+      , createdAt  : this._createdAt
+      , status     : operationStatus({ missing: this._missing, error: this._error })
+      , missing    : this._missing
+      , error      : this._error
+      , open       : this._open
+      , reads      : this._reads
+      , writes     : this._writes
+      , close      : this._close
+      , readCount  : this._reads.length
+      , writeCount : this._writes.length
+    }
+
+    if (!separateFunctions) return info
+    const separated = separateUserFunctions(info)
+
+    if (!mergeFunctions) return separated
+    return mergeUserFunctions(separated)
+  }
+}
+
+module.exports = FileDescriptorOperation
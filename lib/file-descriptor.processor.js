@@ -0,0 +1,287 @@
+const { isUserFrame, callbackArguments, immediatelyBeforeId } = require('./utils')
+const { signaturesFor } = require('./signatures')
+const ActivityIndex = require('./activity-index')
+const FileDescriptorOperation = require('./file-descriptor.operation')
+
+/*
+ * All steps of a manually managed file descriptor are issued directly from user code.
+ * Therefore we require the second frame to point into user code which allows us to
+ * tell them apart from the same calls issued by `fs.readFile`, `fs.writeFile`,
+ * `fs.createReadStream` and `fs.createWriteStream`.
+ */
+
+function isUserIssued(a) {
+  return a.initStack.length > 1 && isUserFrame(a.initStack[1])
+}
+
+// The open is called back with `(err, fd)`.
+function openedFd(open) {
+  const args = callbackArguments(open)
+  return args != null && typeof args['1'] === 'number' ? args['1'] : null
+}
+
+function hasFd(activity) {
+  return activity.resource != null && typeof activity.resource.fd === 'number'
+}
+
+class FileDescriptorProcessor {
+  /**
+   * Instantiates a data processor for file descriptors that are managed
+   * manually via `fs.open`, `fs.read`, `fs.write` and `fs.close` in order to
+   * process data collected via [nodesource/ah-fs](https://github.com/nodesource/ah-fs).
+   *
+   * @name FileDescriptorProcessor
+   * @constructor
+   * @param {Object} $0
+   * @param {Map.<string, Object>} {$0.activities} a map of async activities hashed by id
+   * @param {boolean} [$0.includeActivities=false] if `true` the actual activities are appended to the output
+   * @param {Boolean} [$0.separateFunctions = true] when `true` the user functions are separated out
+   * from the specific resources and attached as a `userFunctions` array directly to the returned
+   * operations
+   * @param {String|Number} [$0.nodeVersion] the Node.js version that produced the activities, i.e. `'v12.22.12'`,
+   * it determines how the steps are identified and is detected from the activities if not provided
+   * @param {ActivityIndex} [$0.index] the index of the activities, shared by all processors that process
+   * the same activities and created from the activities if not provided
+   */
+  constructor({ activities, includeActivities = false, separateFunctions = true, nodeVersion, index }) {
+    this._signatures = signaturesFor({ activities, nodeVersion }).fileDescriptor
+    this._index = index || new ActivityIndex({ activities })
+    this._activities = this._index.activities
+    this._includeActivities = includeActivities
+    this._separateFunctions = separateFunctions
+    this._clear()
+  }
+
+  /**
+   * Processes the supplied async activities and splits them into
+   * groups, and operations each representing the life cycle of one file descriptor,
+   * from `fs.open` via any number of `fs.read` and `fs.write` calls to `fs.close`.
+   *
+   * ## Groups
+   *
+   * The returned value has a `groups` property which just lists the ids
+   * of async resources that were grouped together to form an operation
+   * indexed by the id of the `fs.open` resource.
+   * Thus the `groups` is a map of sets.
+   * If no manually managed file descriptor was encountered the groups are empty.
+   *
+   * Each read, write and close belongs to the open that was called back with the file descriptor
+   * it was issued for, if that was captured as the `fd` of its resource.
+   * Otherwise it belongs to the open whose callbacks triggered it, i.e. another file that is
+   * opened from within the callback of the open is a separate operation, along with
+   * anything its callbacks triggered.
+   *
+   * ## Operations
+   *
+   * Additionally an `operations` property is included as well. Each operation
+   * represents one file descriptor life cycle. There will be one operation per
+   * group and they are indexed by the corresponding open id as well.
+   *
+   * An `operation` has the following properties:
+   *
+   * ### File Descriptor specific Operation Properties
+   *
+   *  Data about the async resources that were part of the operation, by default
+   *  only `id` and `triggerId` are included:
+   *  - **open**: contains data about opening the file
+   *  - **reads**: an Array of reads, each containing the number of bytes read, if
+   *    available, as well as the time spent to complete the read
+   *  - **writes**: an Array of writes, each containing the number of bytes written, if
+   *    available, as well as the time spent to complete the write
+   *  - **close**: contains data about closing the file
+   *  - **readCount**: the number of reads
+   *  - **writeCount**: the number of writes
+   *
+   * ### General Operation Properties
+   *
+   * - [see ReadFileProcessor.process](https://nodesource.github.io/ah-fs.processor/#general-operation-properties)
+   *
+   * ## Sample Return Value
+   *
+   * The sample return value was created with default options.
+   *
+   * ```js
+   * { groups: Map { 10 => Set { 10, 11, 12, 13, 14 } },
+   *   operations:
+   *    Map {
+   *      10 => { lifeCycle:
+   *        { created: { ms: '12.10ms', ns: 12100000 },
+   *          destroyed: { ms: '19.82ms', ns: 19820000 },
+   *          timeAlive: { ms: '7.72ms', ns: 7720000 } },
+   *      createdAt: 'at Test.<anonymous> (/Volumes/d/dev/js/async-hooks/ah-fs/test/read-write-fd.js:31:6)',
+   *      status: 'complete',
+   *      missing: [],
+   *      error: null,
+   *      open: { id: 10, triggerId: 1 },
+   *      reads:
+   *       [ { id: 11, triggerId: 10, bytes: 65536, timeSpent: { ms: '0.31ms', ns: 310000 } },
+   *         { id: 12, triggerId: 11, bytes: 1024, timeSpent: { ms: '0.12ms', ns: 120000 } },
+   *         { id: 13, triggerId: 12, bytes: 0, timeSpent: { ms: '0.05ms', ns: 50000 } } ],
+   *      writes: [],
+   *      close: { id: 14, triggerId: 13 },
+   *      readCount: 3,
+   *      writeCount: 0,
+   *      userFunctions: [] } } }
+   * ```
+   *
+   * @name fileDescriptorProcessor.process
+   * @return {Object} information about file descriptor operations with the
+   * structure outlined above
+   */
+  process() {
+    this._clear()
+
+    // First we bucket all activities that were issued from user code
+    // into open, read, write and close
+    this._findOpenIds()
+    this._findReadIds()
+    this._findWriteIds()
+    this._findCloseIds()
+
+    // Then we group them by triggerId and add the operations
+    this._separateIntoGroups()
+    this._addOperations()
+
+    return { groups: this._groups, operations: this._operations }
+  }
+
+  _clear() {
+    this._openIds = new Set()
+    this._readIds = new Set()
+    this._writeIds = new Set()
+    this._closeIds = new Set()
+    this._groups = new Map()
+    this._operations = new Map()
+  }
+
+  _findOpenIds() {
+    for (const a of this._index.matching(this._signatures.open)) {
+      if (isUserIssued(a)) this._openIds.add(a.id)
+    }
+  }
+
+  _findReadIds() {
+    for (const a of this._index.matching(this._signatures.read)) {
+      if (isUserIssued(a)) this._readIds.add(a.id)
+    }
+  }
+
+  _findWriteIds() {
+    for (const a of this._index.matching(this._signatures.write)) {
+      if (isUserIssued(a)) this._writeIds.add(a.id)
+    }
+  }
+
+  _findCloseIds() {
+    for (const a of this._index.matching(this._signatures.close)) {
+      if (isUserIssued(a)) this._closeIds.add(a.id)
+    }
+  }
+
+  _separateIntoGroups() {
+    const openIdsByFd = new Map()
+    for (const openId of this._openIds) {
+      this._groups.set(openId, new Set([ openId ]))
+      const fd = openedFd(this._activities.get(openId))
+      if (fd == null) continue
+      if (!openIdsByFd.has(fd)) openIdsByFd.set(fd, new Set())
+      openIdsByFd.get(fd).add(openId)
+    }
+
+    // The fd is reused once it was closed, thus we pick the open that initialized
+    // most immediately before the step.
+    const assigned = new Set()
+    const closed = new Set()
+    for (const activity of this._activities.values()) {
+      const { id } = activity
+      if (!this._isStep(id) || !hasFd(activity)) continue
+      const openIds = openIdsByFd.get(activity.resource.fd)
+      const openId = openIds == null ? null : immediatelyBeforeId(this._activities, openIds, id)
+      if (openId == null || closed.has(openId)) continue
+      this._groups.get(openId).add(id)
+      assigned.add(id)
+      if (this._closeIds.has(id)) closed.add(openId)
+    }
+
+    for (const openId of this._openIds) {
+      if (closed.has(openId)) continue
+      for (const id of this._triggeredSteps(openId)) {
+        if (!assigned.has(id)) this._groups.get(openId).add(id)
+      }
+    }
+  }
+
+  _isStep(id) {
+    return this._readIds.has(id) || this._writeIds.has(id) || this._closeIds.has(id)
+  }
+
+  // Collects the steps triggered by the open, directly or indirectly, whose fd wasn't captured.
+  // Anything else triggered by the file descriptor callbacks, i.e. an unrelated fs.readFile,
+  // isn't part of the operation.
+  // We don't descend into other files opened from the callbacks, nor past the close.
+  _triggeredSteps(openId) {
+    const steps = []
+    const pending = this._index.childrenOf(openId).slice()
+    while (pending.length > 0) {
+      const id = pending.shift()
+      if (this._openIds.has(id)) continue
+      const activity = this._activities.get(id)
+      if (this._isStep(id) && !hasFd(activity)) {
+        steps.push(id)
+        if (this._closeIds.has(id)) return steps
+      }
+      pending.push(...this._index.childrenOf(id))
+    }
+    return steps
+  }
+
+  _addOperations() {
+    for (const [ id, group ] of this._groups) this._addOperation(id, group)
+  }
+
+  _addOperation(id, group) {
+    const info = this._resolveGroup(group)
+    const op = new FileDescriptorOperation({
+        group: info
+      , includeActivities: this._includeActivities
+    })
+    this._operations.set(id, op.summary({ separateFunctions: this._separateFunctions }))
+  }
+
+  _resolveGroup(group) {
+    const groupInfo = []
+    for (const id of group) {
+      const activity = this._activities.get(id)
+      const isopen = this._openIds.has(id)
+      const isread = this._readIds.has(id)
+      const iswrite = this._writeIds.has(id)
+      const isclose = this._closeIds.has(id)
+      const info = { activity, isopen, isread, iswrite, isclose }
+      groupInfo.push(info)
+    }
+    return groupInfo
+  }
+}
+
+exports = module.exports = FileDescriptorProcessor
+
+/**
+ * The minimum number of steps, represented as an async resource each,
+ * involved in the life cycle of a manually managed file descriptor.
+ *
+ * This can be used by higher level processors to group
+ * activities looking for larger operations first and then
+ * operations involving less steps.
+ *
+ * Steps are: open, (read|write)+, close
+ *
+ * @name FileDescriptorProcessor.operationSteps
+ */
+exports.operationSteps = 3
+
+/**
+ * Description of the operation: 'fs.open'.
+ *
+ * @name FileDescriptorProcessor.operation
+ */
+exports.operation = 'fs.open'
@@ -0,0 +1,243 @@
+const {
+    prettyNs
+  , safeFirstStamp
+  , uniqueUserFunctions
+  , mergeUserFunctions
+} = require('ah-processor.utils')
+const {
+    firstUserFrame
+  , separateUserFunctions
+  , errorCode
+  , missingSteps
+  , operationStatus
+  , lastDestroyed
+  , stepLatency
+} = require('./utils')
+
+class FileHandleOperation {
+  /**
+   * Processes a group of async activities that represent a file operation performed via
+   * the promise based `fs.promises` API.
+   * It is used by the [FileHandleProcessor](#filehandleprocessor) as part of `process`.
+   *
+   * Up to six kinds of operation steps are derived from the group, each providing some information
+   * about the operation in question.
+   *
+   * Each step is processed into an operation in the corresponding private method, i.e. `_processOpen`.
+   * These methods are documented below for information's sake, they should not be called directly,
+   * nor should you have a need to directly instantiate a `FileHandleOperation` in the first place.
+   *
+   * @name FileHandleOperation
+   * @constructor
+   * @param {Map.<Number, Set.<Number>>} group the ids of the activities that were part of the operation
+   * @param {Boolean} [includeActivities = false] if `true` the activities are attached to
+   * each operation step
+   */
+  constructor({ group, includeActivities = false }) {
+    this._includeActivities = includeActivities
+    this._process(group)
+  }
+
+  _process(group) {
+    this._created = prettyNs(0)
+    this._destroyed = prettyNs(0)
+    this._reads = []
+    this._writes = []
+    const activities = []
+    for (let i = 0; i < group.length; i++) {
+      const info = group[i]
+      if (info.activity != null) activities.push(info.activity)
+      if (info.isopen) {
+        this._processOpen(info)
+      } else if (info.ishandle) {
+        this._handle = this._step(info.activity, 'handle')
+      } else if (info.isstat) {
+        this._stat = this._step(info.activity, 'stat')
+      } else if (info.isread) {
+        this._processRead(info)
+      } else if (info.iswrite) {
+        this._processWrite(info)
+      } else if (info.isclose) {
+        this._processClose(info)
+      }
+    }
+
+    // `fs.promises.readFile` stats the file before reading it and `fs.promises.writeFile`
+    // writes at least once, a `FileHandle` may be closed right after opening it
+    const steps = { open: this._open != null }
+    if (this._method === 'fs.promises.readFile') {
+      steps.stat = this._stat != null
+      steps.read = this._reads.length > 0
+    } else if (this._method === 'fs.promises.writeFile') {
+      steps.write = this._writes.length > 0
+    }
+    steps.close = this._close != null
+
+    this._missing = missingSteps(steps)
+    this._error = errorCode(activities)
+    if (this._close == null) this._destroyed = lastDestroyed(activities)
+  }
+
+  _step(activity, resourceType) {
+    if (activity == null) return undefined
+    const functions = (activity.resource && activity.resource.functions) || []
+    const step = {
+        id: activity.id
+      , triggerId: activity.triggerId
+      , latency: stepLatency(activity)
+      , userFunctions: uniqueUserFunctions(functions, { pathPrefix: `${resourceType}.resource` })
+    }
+    if (this._includeActivities) step.activity = activity
+    return step
+  }
+
+  /**
+   * The open resource tells us when the operation was created and which function
+   * opened the file.
+   *
+   * Since the API is promise based the user code that awaits the operation is found
+   * further down the stack than for the callback based API, therefore we use the first
+   * user frame of the init stack as `createdAt`.
+   *
+   * @name fileHandleOperation._processOpen
+   * @function
+   * @param {Object} info information about the open step, pre-processed by the `FileHandleProcessor`.
+   */
+  _processOpen(info) {
+    const activity = info.activity
+    if (activity == null) return
+    this._created = safeFirstStamp(activity.init)
+
+    // Sample init stack:
+    // "at open (internal/fs/promises.js:182:40)",
+    // "at Object.readFile (internal/fs/promises.js:434:20)",
+    // "at loadConfig (/Users/thlorenz/dev/app/lib/config.js:7:37)"
+    this._createdAt = firstUserFrame(activity.initStack)
+    this._method = info.method
+    this._open = this._step(activity, 'open')
+  }
+
+  /**
+   * Each read resource tells us how long the read took deduced from the
+   * `before` and `after` timestamps, just like the reads of `fs.readFile`.
+   *
+   * @name fileHandleOperation._processRead
+   * @function
+   * @param {Object} info information about the read step, pre-processed by the `FileHandleProcessor`.
+   */
+  _processRead(info) {
+    if (info.activity == null) return
+    this._reads.push(this._transferStep(info.activity, `reads[${this._reads.length}]`))
+  }
+
+  /**
+   * Each write resource tells us how long the write took deduced from the
+   * `before` and `after` timestamps, just like the writes of `fs.writeFile`.
+   *
+   * @name fileHandleOperation._processWrite
+   * @function
+   * @param {Object} info information about the write step, pre-processed by the `FileHandleProcessor`.
+   */
+  _processWrite(info) {
+    if (info.activity == null) return
+    this._writes.push(this._transferStep(info.activity, `writes[${this._writes.length}]`))
+  }
+
+  _transferStep(activity, resourceType) {
+    const before = safeFirstStamp(activity.before)
+    const after = safeFirstStamp(activity.after)
+    const step = this._step(activity, resourceType)
+    step.timeSpent = before && after ? prettyNs(after.ns - before.ns) : prettyNs(0)
+    return step
+  }
+
+  /**
+   * The main information we pull from the close resource is the `destroy` timestamp.
+   *
+   * Combined with the `init` timestamp of the open resource it allows us to deduce how long
+   * the file handle was in use.
+   *
+   * The handle and stat resources give us no interesting information, therefore we
+   * just capture their `id`, `triggerId` and `userFunctions`.
+   *
+   * @name fileHandleOperation._processClose
+   * @function
+   * @param {Object} info information about the close step, pre-processed by the `FileHandleProcessor`.
+   */
+  _processClose(info) {
+    const activity = info.activity
+    if (activity == null) return
+    this._destroyed = safeFirstStamp(activity.destroy)
+    this._close = this._step(activity, 'close')
+  }
+
+  /**
+   * Returns the summary of processing the group into an operation.
+   *
+   * The summary has the same structure as the one of the `ReadFileOperation`, including
+   * some properties that are specific to the promise based API.
+   *
+   * The general properties `lifeCycle` and `createdAt` are documented as part of
+   * the `ReadFileProcessor`.
+   * Therefore learn more [here](#general-operation-properties).
+   *
+   * ## Properties Specific to `fs.promises`
+   *
+   * - **method**: `fs.promises.readFile`, `fs.promises.writeFile` or `fs.promises.open`
+   * - **open**: see `fileHandleOperation._processOpen`
+   * - **handle**: the `FILEHANDLE` resource
+   * - **stat**: the `fstat` issued by `fs.promises.readFile`
+   * - **reads**: see `fileHandleOperation._processRead`
+   * - **readCount**: the number of reads
+   * - **totalReadTime**: the sum of the time spent by all reads
+   * - **writes**: see `fileHandleOperation._processWrite`
+   * - **writeCount**: the number of writes
+   * - **totalWriteTime**: the sum of the time spent by all writes
+   * - **close**: see `fileHandleOperation._processClose`
+   *
+   * @name fileHandleOperation.summary
+   * @function
+   * @param {Object} $0 options
+   * @param {Boolean} [$0.separateFunctions = true] when `true` the user functions are separated out
+   * from the specific operations and attached as a `userFunctions` array directly to the returned
+   * result
+   *
+   * @param {Boolean} [$0.mergeFunctions = true] if `true` when a duplicate function is found in the
+   * separated functions Array, they are merged into one while preserving all information
+   * from both version. Note that this setting only activates if `separateFunctions` is `true` as well.
+   *
+   * @return {Object} all important information about the current operation
+   */
+  summary({ separateFunctions = true, mergeFunctions = true } = {}) {
+    const info = {
+        lifeCycle: {
+            created   : this._created
+          , destroyed : this._destroyed
+          , timeAlive : prettyNs(Math.max(0, this._destroyed.ns - this._created.ns))
+        }
+      , createdAt      : this._createdAt
+      , method         : this._method
+      , status         : operationStatus({ missing: this._missing, error: this._error })
+      , missing        : this._missing
+      , error          : this._error
+      , open           : this._open
+      , handle         : this._handle
+      , stat           : this._stat
+      , reads          : this._reads
+      , readCount      : this._reads.length
+      , totalReadTime  : prettyNs(this._reads.reduce((acc, x) => acc + x.timeSpent.ns, 0))
+      , writes         : this._writes
+      , writeCount     : this._writes.length
+      , totalWriteTime : prettyNs(this._writes.reduce((acc, x) => acc + x.timeSpent.ns, 0))
+      , close          : this._close
+    }
+
+    if (!separateFunctions) return info
+    const separated = separateUserFunctions(info)
+
+    if (!mergeFunctions) return separated
+    return mergeUserFunctions(separated)
+  }
+}
+
+module.exports = FileHandleOperation
@@ -0,0 +1,358 @@
+const { firstStamp } = require('./utils')
+const { signaturesFor, matchesSignature } = require('./signatures')
+const ActivityIndex = require('./activity-index')
+const FileHandleOperation = require('./file-handle.operation')
+
+function fdOf(activity) {
+  return activity.resource != null && typeof activity.resource.fd === 'number' ? activity.resource.fd : null
+}
+
+/*
+ * The promise based API of `fs.promises` issues its requests via `FSReqPromise`s.
+ * Each `await` inside the API resumes inside a `PROMISE` resource, which in turn
+ * triggers the next request. These `PROMISE` resources aren't part of the operation and
+ * aren't necessarily triggered by the previous request, thus the steps may not be linked at all.
+ */
+
+class FileHandleProcessor {
+  /**
+   * Instantiates a data processor for file operations performed via the promise based
+   * `fs.promises` API, i.e. `fs.promises.readFile`, `fs.promises.writeFile` or a
+   * `FileHandle` obtained via `fs.promises.open`, in order to process data collected via
+   * [nodesource/ah-fs](https://github.com/nodesource/ah-fs).
+   *
+   * @name FileHandleProcessor
+   * @constructor
+   * @param {Object} $0
+   * @param {Map.<string, Object>} {$0.activities} a map of async activities hashed by id
+   * @param {boolean} [$0.includeActivities=false] if `true` the actual activities are appended to the output
+   * @param {Boolean} [$0.separateFunctions = true] when `true` the user functions are separated out
+   * from the specific resources and attached as a `userFunctions` array directly to the returned
+   * operations
+   * @param {String|Number} [$0.nodeVersion] the Node.js version that produced the activities, i.e. `'v12.22.12'`,
+   * it determines how the steps are identified and is detected from the activities if not provided
+   * @param {ActivityIndex} [$0.index] the index of the activities, shared by all processors that process
+   * the same activities and created from the activities if not provided
+   */
+  constructor({ activities, includeActivities = false, separateFunctions = true, nodeVersion, index }) {
+    this._signatures = signaturesFor({ activities, nodeVersion }).fileHandle
+    this._index = index || new ActivityIndex({ activities })
+    this._activities = this._index.activities
+    this._includeActivities = includeActivities
+    this._separateFunctions = separateFunctions
+    this._clear()
+  }
+
+  /**
+   * Processes the supplied async activities and splits them into
+   * groups, and operations each representing the life cycle of one `FileHandle`,
+   * from opening the file until the handle was closed.
+   *
+   * ## Groups
+   *
+   * The returned value has a `groups` property which just lists the ids
+   * of async resources that were grouped together to form an operation
+   * indexed by the id of the open resource.
+   * Only the ids of `FSREQPROMISE`, `FILEHANDLE` and `FILEHANDLECLOSEREQ` resources are included,
+   * the `PROMISE` resources that merely link them are omitted.
+   * If no promise based file operation was encountered the groups are empty.
+   *
+   * ## Operations
+   *
+   * Additionally an `operations` property is included as well. Each operation
+   * represents one promise based file operation. There will be one operation per
+   * group and they are indexed by the corresponding open id as well.
+   *
+   * An `operation` has the same properties as the ones of the [ReadFileProcessor](#readfileprocessor)
+   * plus the following:
+   *
+   * ### `fs.promises` specific Operation Properties
+   *
+   *  - **method**: the function that opened the file, `fs.promises.readFile`, `fs.promises.writeFile`
+   *    or `fs.promises.open`
+   *  - **handle**: contains data about the `FILEHANDLE` resource
+   *  - **writes**: an Array of writes, each containing the time spent to complete the write
+   *  - **writeCount**: the number of writes
+   *  - **totalWriteTime**: the time spent by all writes combined
+   *
+   * ### General Operation Properties
+   *
+   * - [see ReadFileProcessor.process](https://nodesource.github.io/ah-fs.processor/#general-operation-properties)
+   *
+   * Note that `createdAt` is the location in user code that awaited the operation.
+   *
+   * The steps are found among the activities triggered by the open. Where the trace doesn't link
+   * them to it, i.e. traces of Node.js 20, the `FILEHANDLE` is linked to the open whose callback
+   * followed its creation most closely and the remaining steps are attributed to the file handle
+   * they were issued for. Where the trace includes the fd of the steps that is the file handle in use
+   * with the same fd, otherwise the one that was in use when they were issued. Steps issued while
+   * more than one such file handle was in use are left unattributed, as we can't tell which
+   * operation they belong to.
+   *
+   * ## Sample Return Value
+   *
+   * The sample return value was created with default options.
+   *
+   * ```js
+   * { groups: Map { 10 => Set { 10, 12, 13, 15, 17 } },
+   *   operations:
+   *    Map {
+   *      10 => { lifeCycle:
+   *        { created: { ms: '8.10ms', ns: 8100000 },
+   *          destroyed: { ms: '11.80ms', ns: 11800000 },
+   *          timeAlive: { ms: '3.70ms', ns: 3700000 } },
+   *      createdAt: 'at loadConfig (/Users/thlorenz/dev/app/lib/config.js:7:37)',
+   *      status: 'complete',
+   *      missing: [],
+   *      error: null,
+   *      method: 'fs.promises.readFile',
+   *      open: { id: 10, triggerId: 1 },
+   *      handle: { id: 12, triggerId: 10 },
+   *      stat: { id: 13, triggerId: 11 },
+   *      reads: [ { id: 15, triggerId: 14, timeSpent: { ms: '0.03ms', ns: 30000 } } ],
+   *      readCount: 1,
+   *      totalReadTime: { ms: '0.03ms', ns: 30000 },
+   *      writes: [],
+   *      writeCount: 0,
+   *      totalWriteTime: { ms: '0.00ms', ns: 0 },
+   *      close: { id: 17, triggerId: 16 },
+   *      userFunctions: [] } } }
+   * ```
+   *
+   * @name fileHandleProcessor.process
+   * @return {Object} information about `fs.promises` operations with the
+   * structure outlined above
+   */
+  process() {
+    this._clear()
+
+    this._findOpenIds()
+    this._findHandleIds()
+    this._findStatIds()
+    this._findReadIds()
+    this._findWriteIds()
+    this._findCloseIds()
+
+    this._separateIntoGroups()
+    this._addOperations()
+
+    return { groups: this._groups, operations: this._operations }
+  }
+
+  _clear() {
+    this._openIds = new Set()
+    this._handleIds = new Set()
+    this._statIds = new Set()
+    this._readIds = new Set()
+    this._writeIds = new Set()
+    this._closeIds = new Set()
+    this._groups = new Map()
+    this._operations = new Map()
+  }
+
+  _findOpenIds() {
+    for (const a of this._index.matching(this._signatures.open)) this._openIds.add(a.id)
+  }
+
+  _findHandleIds() {
+    for (const a of this._index.matching(this._signatures.handle)) this._handleIds.add(a.id)
+  }
+
+  _findStatIds() {
+    for (const a of this._index.matching(this._signatures.stat)) this._statIds.add(a.id)
+  }
+
+  _findReadIds() {
+    for (const a of this._index.matching(this._signatures.read)) this._readIds.add(a.id)
+  }
+
+  _findWriteIds() {
+    for (const a of this._index.matching(this._signatures.write)) this._writeIds.add(a.id)
+  }
+
+  _findCloseIds() {
+    for (const a of this._index.matching(this._signatures.close)) this._closeIds.add(a.id)
+  }
+
+  _isStep(id) {
+    return this._handleIds.has(id) ||
+      this._statIds.has(id) ||
+      this._readIds.has(id) ||
+      this._writeIds.has(id) ||
+      this._closeIds.has(id)
+  }
+
+  _separateIntoGroups() {
+    for (const openId of this._openIds) {
+      // Any file opened while this one is in use, i.e. by code awaiting in between
+      // reads, belongs to another operation, including everything it triggers.
+      const descendants = new Set([ openId ])
+      const foreign = new Set()
+      const stop = (id, activity) => {
+        if (foreign.has(activity.triggerId) || this._openIds.has(id)) {
+          foreign.add(id)
+          return false
+        }
+        if (!descendants.has(activity.triggerId)) return false
+        descendants.add(id)
+        return this._closeIds.has(id)
+      }
+      const triggered = this._index.idsTriggeredBy(openId, stop)
+
+      const group = new Set([ openId ])
+      for (const id of triggered) {
+        if (descendants.has(id) && this._isStep(id)) group.add(id)
+      }
+      this._groups.set(openId, group)
+    }
+
+    this._linkHandles()
+    this._attributeByTiming()
+  }
+
+  _groupedIds() {
+    const ids = new Set()
+    for (const group of this._groups.values()) {
+      for (const id of group) ids.add(id)
+    }
+    return ids
+  }
+
+  // Depending on the Node.js version the `FILEHANDLE` isn't triggered by the open that
+  // created it and captures no init stack. Core creates it once the open completed, right
+  // before the callback of the open is invoked, so we link it to the open whose callback
+  // followed its creation most closely.
+  _linkHandles() {
+    const grouped = this._groupedIds()
+    const opensWithHandle = new Set()
+    for (const [ openId, group ] of this._groups) {
+      for (const id of group) {
+        if (this._handleIds.has(id)) opensWithHandle.add(openId)
+      }
+    }
+
+    for (const handleId of this._handleIds) {
+      if (grouped.has(handleId)) continue
+      const created = firstStamp(this._activities.get(handleId).init)
+      if (created == null) continue
+
+      let closestId = null
+      let closestCallback = Infinity
+      for (const openId of this._openIds) {
+        if (opensWithHandle.has(openId)) continue
+        const open = this._activities.get(openId)
+        const init = firstStamp(open.init)
+        const callback = firstStamp(open.before)
+        if (init == null || callback == null) continue
+        if (init > created || callback < created) continue
+        if (callback < closestCallback) {
+          closestId = openId
+          closestCallback = callback
+        }
+      }
+      if (closestId == null) continue
+      this._groups.get(closestId).add(handleId)
+      opensWithHandle.add(closestId)
+    }
+  }
+
+  // Steps that weren't reached from the open are attributed to the file handle they were issued
+  // for, which is the one in use with the same fd if the trace includes the fds. Otherwise they
+  // are attributed to the file handle that was in use when they were issued. If more than one
+  // handle was in use at that time we can't tell which one issued the step and leave it unattributed.
+  _attributeByTiming() {
+    const grouped = this._groupedIds()
+    const initOf = id => firstStamp(this._activities.get(id).init)
+
+    const handles = []
+    for (const group of this._groups.values()) {
+      const ids = Array.from(group)
+      const handleId = ids.find(id => this._handleIds.has(id))
+      if (handleId == null) continue
+      const closeId = ids.find(id => this._closeIds.has(id))
+      if (initOf(handleId) == null) continue
+      handles.push({
+          group
+        , fd: fdOf(this._activities.get(handleId))
+        , opened: initOf(handleId)
+        , closed: closeId == null ? Infinity : initOf(closeId)
+      })
+    }
+
+    const stepIds = [ this._statIds, this._readIds, this._writeIds, this._closeIds ]
+      .reduce((acc, ids) => acc.concat(Array.from(ids)), [])
+      .filter(id => !grouped.has(id) && initOf(id) != null)
+      .sort((a, b) => initOf(a) - initOf(b))
+
+    for (const id of stepIds) {
+      const issued = initOf(id)
+      const fd = fdOf(this._activities.get(id))
+      const inUse = handles.filter(x =>
+        x.opened <= issued && issued <= x.closed && (fd == null || x.fd == null || x.fd === fd)
+      )
+      if (inUse.length !== 1) continue
+      const handle = inUse[0]
+      handle.group.add(id)
+      if (this._closeIds.has(id)) handle.closed = issued
+    }
+  }
+
+  _addOperations() {
+    for (const [ id, group ] of this._groups) this._addOperation(id, group)
+  }
+
+  _addOperation(id, group) {
+    const info = this._resolveGroup(group)
+    const op = new FileHandleOperation({
+        group: info
+      , includeActivities: this._includeActivities
+    })
+    this._operations.set(id, op.summary({ separateFunctions: this._separateFunctions }))
+  }
+
+  _resolveGroup(group) {
+    const groupInfo = []
+    for (const id of group) {
+      const activity = this._activities.get(id)
+      const isopen = this._openIds.has(id)
+      const ishandle = this._handleIds.has(id)
+      const isstat = this._statIds.has(id)
+      const isread = this._readIds.has(id)
+      const iswrite = this._writeIds.has(id)
+      const isclose = this._closeIds.has(id)
+      const method = isopen ? this._methodOf(activity) : null
+      const info = { activity, isopen, ishandle, isstat, isread, iswrite, isclose, method }
+      groupInfo.push(info)
+    }
+    return groupInfo
+  }
+
+  _methodOf(activity) {
+    if (matchesSignature(activity, this._signatures.readFile)) return 'fs.promises.readFile'
+    if (matchesSignature(activity, this._signatures.writeFile)) return 'fs.promises.writeFile'
+    return 'fs.promises.open'
+  }
+}
+
+exports = module.exports = FileHandleProcessor
+
+/**
+ * The minimum number of steps, represented as an async resource each,
+ * involved in a promise based file operation.
+ *
+ * This can be used by higher level processors to group
+ * activities looking for larger operations first and then
+ * operations involving less steps.
+ *
+ * Steps are: open, handle, (stat|read|write)*, close
+ *
+ * @name FileHandleProcessor.operationSteps
+ */
+exports.operationSteps = 3
+
+/**
+ * Description of the operation: 'fs.promises'.
+ *
+ * @name FileHandleProcessor.operation
+ */
+exports.operation = 'fs.promises'
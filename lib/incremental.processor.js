@@ -0,0 +1,226 @@
+const EventEmitter = require('events')
+const asyncHooks = require('async_hooks')
+const processFileSystem = require('./process-file-system')
+
+// Activities that no operation claimed are retained for this long after they were
+// destroyed, since they may still turn out to be the ancestor of a later step.
+const defaultRetain = 10E9
+
+// FileHandles are only destroyed once they are garbage collected, long after they were closed.
+const lingeringTypes = new Set([ 'FILEHANDLE' ])
+
+function isDestroyed(activity) {
+  return activity.destroy != null && activity.destroy.length > 0
+}
+
+function isDone(activity) {
+  return activity == null || isDestroyed(activity) || lingeringTypes.has(activity.type)
+}
+
+function latestStamp(activity) {
+  let latest = 0
+  for (const k of [ 'init', 'before', 'after', 'destroy' ]) {
+    const stamps = activity[k]
+    if (stamps == null || stamps.length === 0) continue
+    latest = Math.max(latest, stamps[stamps.length - 1])
+  }
+  return latest
+}
+
+function keyOf(name, rootId) {
+  return `${name}:${rootId}`
+}
+
+// Operations derived from others, like the userland copies found by the `CopyFileProcessor`,
+// reference the operations they consist of via `{ operation, id }`.
+function referencedOperations(operation) {
+  const keys = []
+  for (const val of Object.values(operation)) {
+    if (val == null || typeof val !== 'object' || Array.isArray(val)) continue
+    if (typeof val.operation !== 'string' || val.id == null) continue
+    keys.push(keyOf(val.operation, val.id))
+  }
+  return keys
+}
+
+class IncrementalProcessor extends EventEmitter {
+  /**
+   * Instantiates a processor that is fed the async activities one at a time while they
+   * are collected, i.e. via [nodesource/ah-fs](https://github.com/nodesource/ah-fs), and
+   * emits each operation as soon as it completed.
+   *
+   * Once an activity was destroyed the pending activities are processed via `processFileSystem`.
+   * Since that processes all pending activities at once, it happens at most once per iteration of
+   * the event loop, no matter how many activities were destroyed in between, or whenever `flush`
+   * is called. Adding or updating an activity merely stores it.
+   * An operation completed once all activities it claimed were destroyed,
+   * unless it is still missing steps, operations derived from others once all operations they
+   * reference completed and are emitted after those.
+   *
+   * The activities of an operation are released once it was emitted, except if an operation that
+   * is derived from it is still pending. Activities that weren't claimed by any operation are
+   * released once they were destroyed longer than `retain` nanoseconds ago.
+   * Operations that never complete, i.e. a stream that is never closed, are never emitted.
+   *
+   * The emitted `operation` event has the same `name`, `steps`, `rootId` and `operation`
+   * properties as the operations returned by `processFileSystem`.
+   *
+   * @name IncrementalProcessor
+   * @constructor
+   * @param {Object} $0
+   * @param {boolean} [$0.includeActivities=false] if `true` the actual activities are appended to the output
+   * @param {String|Number} [$0.nodeVersion] the Node.js version that produces the activities, i.e. `'v12.22.12'`,
+   * if not provided it is detected from the pending activities
+   * @param {Number} [$0.retain=10E9] nanoseconds to retain destroyed activities that no operation claimed
+   */
+  constructor({ includeActivities = false, nodeVersion, retain = defaultRetain } = {}) {
+    super()
+    this._includeActivities = includeActivities
+    this._nodeVersion = nodeVersion
+    this._retain = retain
+    this._activities = new Map()
+    this._emitted = new Set()
+    this._latest = 0
+    this._dirty = false
+    this._scheduled = null
+    this._scheduledId = null
+  }
+
+  /**
+   * The activities that are pending, i.e. are part of operations that didn't complete yet.
+   *
+   * @name incrementalProcessor.activities
+   * @return {Map.<string, Object>} the pending activities hashed by id
+   */
+  get activities() {
+    return this._activities
+  }
+
+  /**
+   * Adds an activity that was just initialized.
+   *
+   * @name incrementalProcessor.add
+   * @function
+   * @param {Object} activity the activity to add
+   */
+  add(activity) {
+    this._track(activity)
+  }
+
+  /**
+   * Updates an activity whose timestamps or resource changed, i.e. once its callback
+   * was invoked or it was destroyed.
+   *
+   * Activities that aren't pending are added.
+   * If the activity was destroyed the pending activities are processed with the next iteration
+   * of the event loop, unless they are flushed before.
+   *
+   * @name incrementalProcessor.update
+   * @function
+   * @param {Object} activity the activity to update
+   */
+  update(activity) {
+    this._track(activity)
+    // the immediate that processes the activities is an activity itself if all types are collected
+    if (isDestroyed(activity) && activity.id !== this._scheduledId) this._schedule()
+  }
+
+  /**
+   * Processes the pending activities right away if any of them was destroyed since they were
+   * processed last and emits the operations that completed.
+   *
+   * @name incrementalProcessor.flush
+   * @function
+   */
+  flush() {
+    if (this._scheduled != null) {
+      clearImmediate(this._scheduled)
+      this._scheduled = null
+    }
+    if (!this._dirty) return
+    this._dirty = false
+    this._process()
+  }
+
+  _track(activity) {
+    this._activities.set(activity.id, activity)
+    this._latest = Math.max(this._latest, latestStamp(activity))
+  }
+
+  _schedule() {
+    this._dirty = true
+    if (this._scheduled != null) return
+    this._scheduled = setImmediate(() => {
+      this._scheduled = null
+      this._scheduledId = asyncHooks.executionAsyncId()
+      this.flush()
+    })
+  }
+
+  _process() {
+    const { operations, ownership } = processFileSystem({
+        activities: this._activities
+      , includeActivities: this._includeActivities
+      , nodeVersion: this._nodeVersion
+    })
+
+    const owned = new Map()
+    for (const [ id, owners ] of ownership) {
+      for (const { name, rootId } of owners) {
+        const key = keyOf(name, rootId)
+        if (!owned.has(key)) owned.set(key, [])
+        owned.get(key).push(id)
+      }
+    }
+
+    // derived operations reference the others, thus we resolve them last
+    const complete = new Set()
+    const derived = []
+    for (const op of operations) {
+      const key = keyOf(op.name, op.rootId)
+      const ids = owned.get(key)
+      if (ids == null) {
+        derived.push(op)
+        continue
+      }
+      if (op.operation.status === 'incomplete') continue
+      if (ids.every(id => isDone(this._activities.get(id)))) complete.add(key)
+    }
+    const retained = new Set()
+    for (const op of derived) {
+      const references = referencedOperations(op.operation)
+      if (references.length > 0 && references.every(x => complete.has(x))) {
+        complete.add(keyOf(op.name, op.rootId))
+      } else {
+        for (const x of references) retained.add(x)
+      }
+    }
+
+    for (const op of operations.filter(x => !derived.includes(x)).concat(derived)) {
+      const key = keyOf(op.name, op.rootId)
+      if (!complete.has(key) || this._emitted.has(key)) continue
+      this._emitted.add(key)
+      this.emit('operation', op)
+    }
+
+    // activities shared with a pending operation, i.e. a stream tick, are released with it
+    const isPending = ({ name, rootId }) => !complete.has(keyOf(name, rootId))
+    for (const key of complete) {
+      if (retained.has(key)) continue
+      for (const id of owned.get(key) || []) {
+        if (!ownership.get(id).some(isPending)) this._activities.delete(id)
+      }
+      this._emitted.delete(key)
+    }
+    this._releaseUnclaimed(ownership)
+  }
+
+  _releaseUnclaimed(ownership) {
+    for (const activity of this._activities.values()) {
+      if (ownership.has(activity.id) || !isDestroyed(activity)) continue
+      if (this._latest - latestStamp(activity) > this._retain) this._activities.delete(activity.id)
+    }
+  }
+}
+
+module.exports = IncrementalProcessor
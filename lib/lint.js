@@ -0,0 +1,215 @@
+const { signaturesFor, matchesSignature } = require('./signatures')
+const { firstUserFrame } = require('./utils')
+
+// Operations that open the file they access, which makes them a use after a check.
+const opening = new Set([
+    'fs.readFile'
+  , 'fs.writeFile'
+  , 'fs.appendFile'
+  , 'fs.open'
+  , 'fs.createReadStream'
+  , 'fs.createWriteStream'
+  , 'fs.promises'
+])
+const reading = new Set([
+    'fs.readFile'
+  , 'fs.open'
+  , 'fs.createReadStream'
+  , 'fs.promises'
+])
+const streams = new Set([ 'fs.createReadStream', 'fs.createWriteStream' ])
+
+function offender({ name, rootId, operation }) {
+  return { name, rootId, createdAt: operation.createdAt || null }
+}
+
+// A use follows a check if it was issued from the callback of the check, or if both
+// accessed the same path and the use was issued shortly after the check completed.
+function follows(use, check, { activities, within }) {
+  const root = activities.get(use.rootId)
+  if (root != null && root.triggerId === check.id) return true
+  if (check.path == null || use.operation.path !== check.path) return false
+  const useCreated = use.operation.lifeCycle && use.operation.lifeCycle.created
+  if (useCreated == null || check.completed == null) return false
+  const delay = useCreated.ns - check.completed
+  return delay >= 0 && delay <= within
+}
+
+function completedAt(activity) {
+  return activity == null || activity.before == null || activity.before.length === 0
+    ? null
+    : activity.before[0]
+}
+
+function readFileLarge({ operations }, { bytes }) {
+  return operations
+    .filter(op => op.name === 'fs.readFile' && op.operation.bytes != null && op.operation.bytes >= bytes)
+    .map(op => ({
+        message: `fs.readFile buffered ${op.operation.bytes} bytes, consider fs.createReadStream`
+      , operations: [ offender(op) ]
+    }))
+}
+
+function writeStreamTinyWrites({ operations }, { minWrites, maxAverageBytes }) {
+  const findings = []
+  for (const op of operations) {
+    if (op.name !== 'fs.createWriteStream') continue
+    const writes = op.operation.writes || []
+    if (writes.length < minWrites || op.operation.bytes == null) continue
+    const average = op.operation.bytes / writes.length
+    if (average > maxAverageBytes) continue
+    findings.push({
+        message: `fs.createWriteStream issued ${writes.length} writes of ${Math.round(average)} bytes ` +
+          'on average, consider buffering or corking the stream'
+      , operations: [ offender(op) ]
+    })
+  }
+  return findings
+}
+
+function statThenOpen({ activities, operations }, { within }) {
+  const findings = []
+  for (const stat of operations) {
+    if (stat.name !== 'fs.stat') continue
+    const check = {
+        id: stat.rootId
+      , path: stat.operation.path
+      , completed: completedAt(activities.get(stat.rootId))
+    }
+    for (const use of operations) {
+      if (!opening.has(use.name) || !follows(use, check, { activities, within })) continue
+      findings.push({
+          message: `${use.name} opened a file after ${stat.operation.method || 'fs.stat'} checked it, ` +
+            'which may have changed in between, open it directly and handle the error instead'
+        , operations: [ offender(stat), offender(use) ]
+      })
+    }
+  }
+  return findings
+}
+
+function existsThenRead({ activities, operations, signatures }, { within }) {
+  const findings = []
+  for (const activity of activities.values()) {
+    if (!matchesSignature(activity, signatures.existence)) continue
+    const match = signatures.existence.frames[0].exec(activity.initStack[0])
+    const existence = {
+        name: `fs.${match[1]}`
+      , rootId: activity.id
+      , createdAt: firstUserFrame(activity.initStack)
+    }
+    const check = { id: activity.id, path: null, completed: completedAt(activity) }
+    for (const use of operations) {
+      if (!reading.has(use.name) || !follows(use, check, { activities, within })) continue
+      findings.push({
+          message: `${use.name} read a file after ${existence.name} checked that it exists, ` +
+            'read it directly and handle ENOENT instead'
+        , operations: [ existence, offender(use) ]
+      })
+    }
+  }
+  return findings
+}
+
+// A stream whose file failed to open has nothing to close.
+function streamNotClosed({ operations }) {
+  return operations
+    .filter(op => streams.has(op.name) && op.operation.close == null && op.operation.error == null)
+    .map(op => ({
+        message: `${op.name} was opened, but never closed`
+      , operations: [ offender(op) ]
+    }))
+}
+
+/**
+ * The rules the linter applies by default, each with its `severity` and the thresholds
+ * it can be configured with.
+ *
+ * - **read-file-large**: `fs.readFile` of a file of at least `bytes`, which should be streamed
+ * - **write-stream-tiny-writes**: `fs.createWriteStream` with at least `minWrites` writes of
+ *   no more than `maxAverageBytes` on average
+ * - **stat-then-open**: a file opened after it was checked via `fs.stat`, which may have changed
+ *   in between (TOCTOU), the open is issued from the callback of the stat or accesses the same
+ *   path no more than `within` nanoseconds after the stat completed
+ * - **exists-then-read**: a file read after `fs.exists` or `fs.access` checked it, detected the
+ *   same way as `stat-then-open`
+ * - **stream-not-closed**: a file stream that was opened, but never closed, streams whose file failed
+ *   to open are ignored
+ *
+ * @name lintRules
+ */
+const lintRules = {
+    'read-file-large': {
+        severity: 'warning'
+      , thresholds: { bytes: 1024 * 1024 }
+      , check: readFileLarge
+    }
+  , 'write-stream-tiny-writes': {
+        severity: 'info'
+      , thresholds: { minWrites: 10, maxAverageBytes: 1024 }
+      , check: writeStreamTinyWrites
+    }
+  , 'stat-then-open': {
+        severity: 'warning'
+      , thresholds: { within: 1E6 }
+      , check: statThenOpen
+    }
+  , 'exists-then-read': {
+        severity: 'warning'
+      , thresholds: { within: 1E6 }
+      , check: existsThenRead
+    }
+  , 'stream-not-closed': {
+        severity: 'error'
+      , thresholds: {}
+      , check: streamNotClosed
+    }
+}
+
+/**
+ * Walks the operations found by `processFileSystem` and reports usages of the fs
+ * module that are known to be inefficient or error prone, see `lintRules`.
+ *
+ * Each rule can be disabled by setting it to `false` or configured by providing an
+ * Object with a different `severity` and/or thresholds, i.e.
+ * `{ 'stream-not-closed': false, 'read-file-large': { severity: 'error', bytes: 1E5 } }`.
+ *
+ * @name lintOperations
+ * @function
+ * @param {Object} $0
+ * @param {Map.<string, Object>} $0.activities a map of async activities hashed by id
+ * @param {Array.<Object>} $0.operations the operations returned by `processFileSystem`
+ * @param {Object} [$0.rules={}] overrides of the default rules hashed by rule id
+ * @param {String|Number} [$0.nodeVersion] the Node.js version that produced the activities, i.e. `'v12.22.12'`,
+ * it determines how fs calls without an operation are identified and is detected from the activities if not provided
+ * @return {Array.<Object>} the findings ordered by rule, each with the `rule` id, its `severity`,
+ * a `message` and the `operations` involved, each with their `name`, `rootId` and `createdAt`
+ */
+function lintOperations({ activities, operations, rules = {}, nodeVersion }) {
+  for (const id of Object.keys(rules)) {
+    if (lintRules[id] == null) throw new Error(`Unknown lint rule ${id}`)
+  }
+  const ctx = {
+      activities
+    , operations
+    , signatures: signaturesFor({ activities, nodeVersion }).lint
+  }
+
+  const findings = []
+  for (const [ id, rule ] of Object.entries(lintRules)) {
+    const config = rules[id]
+    if (config === false) continue
+    const options = Object.assign({}, rule.thresholds, config)
+    const severity = options.severity || rule.severity
+    delete options.severity
+    for (const { message, operations } of rule.check(ctx, options)) {
+      findings.push({ rule: id, severity, message, operations })
+    }
+  }
+  return findings
+}
+
+module.exports = {
+    lintOperations
+  , lintRules
+}
@@ -0,0 +1,145 @@
+const {
+    lifeCycle
+  , uniqueUserFunctions
+  , mergeUserFunctions
+} = require('ah-processor.utils')
+const {
+    firstUserFrame
+  , callbackError
+  , resourcePath
+  , safeString
+  , separateUserFunctions
+  , missingSteps
+  , operationStatus
+  , stepLatency
+} = require('./utils')
+
+class MetadataOperation {
+  /**
+   * Processes a group of async activities that represent a fs metadata mutation.
+   * It is used by the [MetadataProcessor](#metadataprocessor) as part of `process`.
+   *
+   * One operation step is derived from the group, providing information
+   * about the operation in question.
+   *
+   * The step is processed into an operation in the private method `_processMutation`
+   * which is documented below for information's sake, it should not be called directly,
+   * nor should you have a need to directly instantiate a `MetadataOperation` in the first place.
+   *
+   * @name MetadataOperation
+   * @constructor
+   * @param {Map.<Number, Set.<Number>>} group the ids of the activities that were part of the operation
+   * @param {Boolean} [includeActivities = false] if `true` the activities are attached to
+   * each operation step
+   */
+  constructor({ group, includeActivities = false }) {
+    this._includeActivities = includeActivities
+    this._process(group)
+  }
+
+  _process(group) {
+    this._error = null
+    for (let i = 0; i < group.length; i++) {
+      const info = group[i]
+      if (info.ismutation) this._processMutation(info)
+    }
+    this._missing = missingSteps({ mutation: this._mutation != null })
+  }
+
+  /**
+   * The resource is the only resource involved in the operation and thus provides
+   * all information:
+   *
+   * 1. the init and destroy timestamps tell us about the life cycle of the operation
+   * 2. the first user frame of the init stack tells us where the function was called
+   * 3. the error passed to the callback tells us why the operation failed as well as
+   *    the source and destination paths involved
+   *
+   * Since the resource doesn't reference the paths, they are only available if
+   * the operation failed or the collector captured them.
+   *
+   * @name metadataOperation._processMutation
+   * @function
+   * @param {Object} info information about the step, pre-processed by the `MetadataProcessor`.
+   */
+  _processMutation(info) {
+    const activity = info.activity
+    if (activity == null) return
+
+    // Sample init stack:
+    // "at Object.fs.rename (fs.js:762:11)",
+    // "at Test.<anonymous> (/Volumes/d/dev/js/async-hooks/ah-fs/test/deploy.js:31:6)"
+    this._lifeCycle = lifeCycle(activity)
+    this._createdAt = firstUserFrame(activity.initStack)
+    this._kind = info.kind
+
+    const err = callbackError(activity)
+    const ctx = activity.resource && activity.resource.context
+    const capturedDest = ctx == null ? null : safeString(ctx.dest)
+    this._source = resourcePath(activity)
+    this._destination = err != null && err.dest != null ? err.dest : capturedDest
+    this._error = err == null ? null : err.code
+
+    const functions = (activity.resource && activity.resource.functions) || []
+    this._mutation = {
+        id: activity.id
+      , triggerId: activity.triggerId
+      , latency: stepLatency(activity)
+      , userFunctions: uniqueUserFunctions(functions, { pathPrefix: 'mutation.resource' })
+    }
+    if (this._includeActivities) this._mutation.activity = activity
+  }
+
+  /**
+   * Returns the summary of processing the group into an operation.
+   *
+   * The summary of all operations has a very similar structure, but includes some properties that are specific to this
+   * particular operation.
+   *
+   * The general properties `lifeCycle` and `createdAt` are documented as part of
+   * the `ReadFileProcessor`.
+   * Therefore learn more [here](#general-operation-properties).
+   *
+   * ## Properties Specific to Metadata Mutations
+   *
+   * - **kind**: the function that was called, i.e. `fs.unlink`
+   * - **source**: the path that was mutated
+   * - **destination**: the destination path, only applies to `fs.rename` and `fs.symlink`
+   * - **error**: the error code if the operation failed
+   * - **mutation**: see `metadataOperation._processMutation`
+   *
+   * @name metadataOperation.summary
+   * @function
+   * @param {Object} $0 options
+   * @param {Boolean} [$0.separateFunctions = true] when `true` the user functions are separated out
+   * from the specific operations and attached as a `userFunctions` array directly to the returned
+   * result
+   *
+   * @param {Boolean} [$0.mergeFunctions = true] if `true` when a duplicate function is found in the
+   * separated functions Array, they are merged into one while preserving all information
+   * from both version. Note that this setting only activates if `separateFunctions` is `true` as well.
+   *
+   * @return {Object} all important information about the current operation
+   */
+  summary({ separateFunctions = true, mergeFunctions = true } = {}) {
+    const info = {
+        lifeCycle   : this._lifeCycle
+      , createdAt   : this._createdAt
+      , status      : operationStatus({ missing: this._missing, error: this._error })
+      , missing     : this._missing
+      , error       : this._error
+      , kind        : this._kind
+      , source      : this._source
+      , destination : this._destination
+      , mutation    : this._mutation
+    }
+
+    if (!separateFunctions) return info
+    const separated = separateUserFunctions(info)
+
+    if (!mergeFunctions) return separated
+    return mergeUserFunctions(separated)
+  }
+}
+
+module.exports = MetadataOperation
@@ -0,0 +1,176 @@
+const { signaturesFor } = require('./signatures')
+const ActivityIndex = require('./activity-index')
+const MetadataOperation = require('./metadata.operation')
+
+class MetadataProcessor {
+  /**
+   * Instantiates a data processor for operations that mutate file system metadata,
+   * `fs.unlink`, `fs.rename`, `fs.mkdir`, `fs.rmdir` and `fs.symlink`, in order to
+   * process data collected via [nodesource/ah-fs](https://github.com/nodesource/ah-fs).
+   *
+   * @name MetadataProcessor
+   * @constructor
+   * @param {Object} $0
+   * @param {Map.<string, Object>} {$0.activities} a map of async activities hashed by id
+   * @param {boolean} [includeActivities=false] if `true` the actual activities are appended to the output
+   * @param {Boolean} [$0.separateFunctions = true] when `true` the user functions are separated out
+   * from the specific resources and attached as a `userFunctions` array directly to the returned
+   * operations
+   * @param {String|Number} [$0.nodeVersion] the Node.js version that produced the activities, i.e. `'v12.22.12'`,
+   * it determines how the steps are identified and is detected from the activities if not provided
+   * @param {ActivityIndex} [$0.index] the index of the activities, shared by all processors that process
+   * the same activities and created from the activities if not provided
+   */
+  constructor({ activities, includeActivities = false, separateFunctions = true, nodeVersion, index }) {
+    this._signatures = signaturesFor({ activities, nodeVersion }).metadata
+    this._index = index || new ActivityIndex({ activities })
+    this._activities = this._index.activities
+    this._includeActivities = includeActivities
+    this._separateFunctions = separateFunctions
+    this._clear()
+  }
+
+  /**
+   * Processes the supplied async activities and splits them into
+   * groups, and operations each representing one metadata mutation, i.e. `fs.rename`.
+   *
+   * ## Groups
+   *
+   * The returned value has a `groups` property which just lists the ids
+   * of async resources that were grouped together to form an operation
+   * indexed by the id of the resource.
+   * Since all these operations only involve one resource each group has exactly one member.
+   * If no metadata mutation was encountered the groups are empty.
+   *
+   * ## Operations
+   *
+   * Additionally an `operations` property is included as well. Each operation
+   * represents one full metadata mutation. There will be one operation per
+   * group and they are indexed by the resource `id` as well.
+   *
+   * An `operation` has the following properties:
+   *
+   * ### Metadata specific Operation Properties
+   *
+   *  - **kind**: the function that was called, i.e. `fs.rename`
+   *  - **source**: the path that was mutated, i.e. the file that was renamed, if it could be determined
+   *  - **destination**: the destination path of a `fs.rename` or `fs.symlink`, if it could be determined
+   *  - **error**: the code of the error the operation failed with, i.e. `ENOENT`, `null` if it succeeded
+   *  - **mutation**: contains data about the resource, by default only `id` and `triggerId`
+   *
+   * ### General Operation Properties
+   *
+   * - [see ReadFileProcessor.process](https://nodesource.github.io/ah-fs.processor/#general-operation-properties)
+   *
+   * ## Sample Return Value
+   *
+   * The sample return value was created with default options.
+   *
+   * ```js
+   * { groups: Map { 11 => Set { 11 } },
+   *   operations:
+   *    Map {
+   *      11 => { lifeCycle:
+   *        { created: { ms: '18.33ms', ns: 18330000 },
+   *          destroyed: { ms: '20.14ms', ns: 20140000 },
+   *          timeAlive: { ms: '1.81ms', ns: 1810000 } },
+   *      createdAt: 'at Test.<anonymous> (/Volumes/d/dev/js/async-hooks/ah-fs/test/deploy.js:38:6)',
+   *      status: 'failed',
+   *      missing: [],
+   *      error: 'ENOENT',
+   *      kind: 'fs.rename',
+   *      source: '/Volumes/d/dev/js/async-hooks/ah-fs/tmp/build',
+   *      destination: '/Volumes/d/dev/js/async-hooks/ah-fs/tmp/release',
+   *      mutation: { id: 11, triggerId: 1 },
+   *      userFunctions:
+   *       [ { file: '/Volumes/d/dev/js/async-hooks/ah-fs/test/deploy.js',
+   *           line: 39,
+   *           column: 17,
+   *           inferredName: '',
+   *           name: 'onrenamed',
+   *           location: 'onrenamed (/Volumes/d/dev/js/async-hooks/ah-fs/test/deploy.js:39:17)',
+   *           args: { '0': { code: .., errno: -2, .. }, proto: 'Object' },
+   *           propertyPaths: [ 'mutation.resource.oncomplete' ] } ] } } }
+   * ```
+   *
+   * @name metadataProcessor.process
+   * @return {Object} information about metadata operations with the
+   * structure outlined above
+   */
+  process() {
+    this._clear()
+
+    this._findMetadataIds()
+
+    this._separateIntoGroups()
+    this._addOperations()
+
+    return { groups: this._groups, operations: this._operations }
+  }
+
+  _clear() {
+    this._metadataIds = new Set()
+    this._groups = new Map()
+    this._operations = new Map()
+  }
+
+  _findMetadataIds() {
+    for (const a of this._index.matching(this._signatures.mutation)) this._metadataIds.add(a.id)
+  }
+
+  _separateIntoGroups() {
+    for (const id of this._metadataIds) {
+      this._groups.set(id, new Set([ id ]))
+    }
+  }
+
+  _addOperations() {
+    for (const [ id, group ] of this._groups) this._addOperation(id, group)
+  }
+
+  _addOperation(id, group) {
+    const info = this._resolveGroup(group)
+    const op = new MetadataOperation({
+        group: info
+      , includeActivities: this._includeActivities
+    })
+    this._operations.set(id, op.summary({ separateFunctions: this._separateFunctions }))
+  }
+
+  _resolveGroup(group) {
+    const groupInfo = []
+    for (const id of group) {
+      const activity = this._activities.get(id)
+      const ismutation = this._metadataIds.has(id)
+      const kind = ismutation
+        ? 'fs.' + this._signatures.mutation.frames[0].exec(activity.initStack[0])[1]
+        : null
+      const info = { activity, ismutation, kind }
+      groupInfo.push(info)
+    }
+    return groupInfo
+  }
+}
+
+exports = module.exports = MetadataProcessor
+
+/**
+ * The minimum number of steps, represented as an async resource each,
+ * involved to mutate file system metadata.
+ *
+ * This can be used by higher level processors to group
+ * activities looking for larger operations first and then
+ * operations involving less steps.
+ *
+ * Steps are: mutation
+ *
+ * @name MetadataProcessor.operationSteps
+ */
+exports.operationSteps = 1
+
+/**
+ * Description of the operation: 'fs.metadata'.
+ *
+ * @name MetadataProcessor.operation
+ */
+exports.operation = 'fs.metadata'
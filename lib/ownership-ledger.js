@@ -0,0 +1,99 @@
+class OwnershipLedger {
+  /**
+   * Records which operation claimed each async activity, in order to ensure that
+   * no activity is attributed to more than one operation.
+   *
+   * Some activities are legitimately part of multiple operations, i.e. a stream tick
+   * that is shared by a read stream and the write stream it is piped into.
+   * Those are only shared if all claimants declare the type of the activity
+   * as shareable, see `ReadStreamProcessor.sharedTypes`.
+   *
+   * @name OwnershipLedger
+   * @constructor
+   * @param {Object} $0
+   * @param {Map.<string, Object>} $0.activities a map of async activities hashed by id
+   */
+  constructor({ activities }) {
+    this._activities = activities
+    this._owners = new Map()
+    this._conflicts = []
+  }
+
+  /**
+   * Attempts to claim all ids of the group for the given owner.
+   *
+   * The claim is all or nothing, if any id of the group is owned by another operation
+   * already and isn't shareable, a conflict is recorded for each such id and none
+   * of the ids are claimed.
+   *
+   * @name ownershipLedger.claim
+   * @function
+   * @param {Object} owner the claiming operation
+   * @param {String} owner.name the name of the operation, i.e. `fs.readFile`
+   * @param {Number} owner.rootId the id by which the operation is indexed
+   * @param {Set.<Number>} group the ids of the activities that are part of the operation
+   * @param {Array.<String>} [sharedTypes = []] types of activities the owner is willing to share
+   * @return {Boolean} `true` if the group was claimed, otherwise `false`
+   */
+  claim(owner, group, sharedTypes = []) {
+    const claim = { name: owner.name, rootId: owner.rootId, sharedTypes }
+    const conflicts = []
+    for (const id of group) {
+      const owners = this._owners.get(id)
+      if (owners == null || this._isShareable(id, owners.concat(claim))) continue
+      conflicts.push({
+          id
+        , name: owner.name
+        , rootId: owner.rootId
+        , ownedBy: owners.map(({ name, rootId }) => ({ name, rootId }))
+      })
+    }
+
+    if (conflicts.length > 0) {
+      this._conflicts.push(...conflicts)
+      return false
+    }
+
+    for (const id of group) {
+      if (!this._owners.has(id)) this._owners.set(id, [])
+      this._owners.get(id).push(claim)
+    }
+    return true
+  }
+
+  _isShareable(id, claims) {
+    const activity = this._activities.get(id)
+    if (activity == null) return false
+    return claims.every(({ sharedTypes }) => sharedTypes.includes(activity.type))
+  }
+
+  /**
+   * The owners of all claimed activity ids.
+   *
+   * @name ownershipLedger.ownership
+   * @function
+   * @return {Map.<Number, Array.<Object>>} the `name` and `rootId` of the operations
+   * that own each activity, hashed by activity id
+   */
+  ownership() {
+    const ownership = new Map()
+    for (const [ id, owners ] of this._owners) {
+      ownership.set(id, owners.map(({ name, rootId }) => ({ name, rootId })))
+    }
+    return ownership
+  }
+
+  /**
+   * The claims that were rejected since the activity was owned by another operation.
+   *
+   * @name ownershipLedger.conflicts
+   * @function
+   * @return {Array.<Object>} the `id` of the activity, the `name` and `rootId` of the
+   * operation that tried to claim it and the operations that own it as `ownedBy`
+   */
+  conflicts() {
+    return this._conflicts
+  }
+}
+
+module.exports = OwnershipLedger
@@ -0,0 +1,101 @@
+const ReadFileProcessor = require('./read-file.processor')
+const ReadStreamProcessor = require('./read-stream.processor')
+const WriteFileProcessor = require('./write-file.processor')
+const WriteStreamProcessor = require('./write-stream.processor')
+const StatProcessor = require('./stat.processor')
+const FileDescriptorProcessor = require('./file-descriptor.processor')
+const ReaddirProcessor = require('./readdir.processor')
+const AppendFileProcessor = require('./append-file.processor')
+const MetadataProcessor = require('./metadata.processor')
+const WatchProcessor = require('./watch.processor')
+const FileHandleProcessor = require('./file-handle.processor')
+const CopyFileProcessor = require('./copy-file.processor')
+const ActivityIndex = require('./activity-index')
+const OwnershipLedger = require('./ownership-ledger')
+const unattributedActivities = require('./unattributed')
+const { entryForVersion, detectEntry } = require('./signatures')
+
+function byOperationStepsDescending(a, b) {
+  return b.operationSteps - a.operationSteps
+}
+
+/**
+ * Runs all processors, the ones looking for larger operations first, and
+ * collects the operations they find.
+ *
+ * The activities are not modified, instead an ownership ledger records which operation
+ * claimed each activity.
+ * If an operation includes an activity that was claimed by a previous operation it is
+ * dropped and the conflict is reported instead, i.e. an `fs.stat` that was processed as
+ * part of an `fs.readFile` operation isn't shown as a separate `fs.stat` call as well.
+ *
+ * The stream tick that is part of a read stream and the write stream it is piped into
+ * is the only activity that is shared, see `ReadStreamProcessor.sharedTypes`.
+ *
+ * Operations that are derived from others, like the userland copies found by the
+ * `CopyFileProcessor`, don't claim any activities.
+ *
+ * The activities are indexed once and the index is shared by all processors, see `ActivityIndex`.
+ *
+ * @name processFileSystem
+ * @param {Object} $0
+ * @param {Map.<string, Object>} $0.activities a map of async activities hashed by id
+ * @param {boolean} [$0.includeActivities=false] if `true` the actual activities are appended to the output
+ * @param {String|Number} [$0.nodeVersion] the Node.js version that produced the activities, i.e. `'v12.22.12'`,
+ * if not provided it is detected once from the activities and applied to all processors
+ *
+ * @return {Object} with the following properties
+ *
+ * - **signatures**: the name of the registered signatures the steps were identified with, i.e. `'node16'`
+ * - **operations**: Array of operations with `name`, `steps`, `rootId` and the `operation` itself
+ * - **ownership**: Map of the `name` and `rootId` of the operations that own each activity,
+ *   hashed by activity id
+ * - **conflicts**: Array of rejected claims, each with the `id` of the activity, the `name` and
+ *   `rootId` of the dropped operation and the operations that own the activity as `ownedBy`
+ * - **unattributed**: Array of the fs related activities that no operation claimed, grouped by
+ *   their `type` and the first `frames` of their init stack, each with the number of activities
+ *   as `count` and their `ids`, the most frequent first
+ */
+function processFileSystem({ activities, includeActivities = false, nodeVersion }) {
+  const entry = nodeVersion == null ? detectEntry(activities) : entryForVersion(nodeVersion)
+  if (entry == null) throw new Error(`No signatures registered for Node.js version ${nodeVersion}`)
+
+  const processors = [
+      ReadFileProcessor
+    , ReadStreamProcessor
+    , WriteFileProcessor
+    , WriteStreamProcessor
+    , StatProcessor
+    , FileDescriptorProcessor
+    , ReaddirProcessor
+    , AppendFileProcessor
+    , MetadataProcessor
+    , WatchProcessor
+    , FileHandleProcessor
+    , CopyFileProcessor
+  ].sort(byOperationStepsDescending)
+
+  const index = new ActivityIndex({ activities })
+  const ledger = new OwnershipLedger({ activities: index.activities })
+  const operations = []
+  for (const Processor of processors) {
+    const processor = new Processor({ activities, includeActivities, nodeVersion: entry.min, index })
+    const { groups, operations: processed } = processor.process()
+    for (const [ rootId, operation ] of processed) {
+      const name = Processor.operation
+      const group = groups.get(rootId) || new Set()
+      if (!ledger.claim({ name, rootId }, group, Processor.sharedTypes)) continue
+      operations.push({ name, steps: Processor.operationSteps, rootId, operation })
+    }
+  }
+  const ownership = ledger.ownership()
+  return {
+      signatures: entry.name
+    , operations
+    , ownership
+    , conflicts: ledger.conflicts()
+    , unattributed: unattributedActivities({ activities, ownership })
+  }
+}
+
+module.exports = processFileSystem
@@ -2,9 +2,19 @@ const {
     prettyNs
   , safeFirstStamp
   , uniqueUserFunctions
-  , separateUserFunctions
   , mergeUserFunctions
 } = require('ah-processor.utils')
+const {
+    separateUserFunctions
+  , errorCode
+  , missingSteps
+  , operationStatus
+  , lastDestroyed
+  , openOptions
+  , callbackArguments
+  , throughput
+  , stepLatency
+} = require('./utils')
 
 class ReadFileOperation {
   /**
@@ -32,8 +42,11 @@ class ReadFileOperation {
   _process(group) {
     this._created = prettyNs(0)
     this._destroyed = prettyNs(0)
+    this._reads = []
+    const activities = []
     for (let i = 0; i < group.length; i++) {
       const info = group[i]
+      if (info.activity != null) activities.push(info.activity)
       if (info.isopen) {
         this._processOpen(info)
       } else if (info.isstat) {
@@ -44,6 +57,18 @@ class ReadFileOperation {
         this._processClose(info)
       }
     }
+
+    this._missing = missingSteps({
+        open  : this._open != null
+      , stat  : this._stat != null
+      , read  : this._reads.length > 0
+      , close : this._close != null
+    })
+    this._error = errorCode(activities)
+    const open = group.find(x => x.isopen)
+    this._options = openOptions(open && open.activity, activities)
+    this._bytes = this._bytesRead(activities)
+    if (this._close == null) this._destroyed = lastDestroyed(activities)
   }
 
   // All resources have a reference to the same function, the callback registered with
@@ -58,6 +83,29 @@ class ReadFileOperation {
     return uniqueUserFunctions(functions, { pathPrefix: `${resourceType}.resource` })
   }
 
+  // The user's callback is invoked with `(err, data)` once the file was read.
+  // Files read with an encoding are passed as a string, in that case its length is
+  // an approximation of the bytes read.
+  // The callbacks of the steps are invoked with an fd, stats or the bytes of a single read
+  // instead, if the arguments of the user's callback weren't captured we fall back to the
+  // position up to which data was read into the buffer of the ReadFileContext.
+  _bytesRead(activities) {
+    for (let i = 0; i < activities.length; i++) {
+      const args = callbackArguments(activities[i])
+      if (args == null || args['1'] == null) continue
+      const data = args['1']
+      if (typeof data === 'string') return data.length
+      if (typeof data === 'object' && typeof data.len === 'number') return data.len
+    }
+    let bytes = null
+    for (let i = 0; i < activities.length; i++) {
+      const context = activities[i].resource && activities[i].resource.context
+      if (context == null || context.buffer == null || typeof context.pos !== 'number') continue
+      bytes = Math.max(bytes || 0, context.pos)
+    }
+    return bytes
+  }
+
   /**
    * The open resource tells us where in user code the `fs.readFile` originated
    * via the second frame of the stack trace, as well as when the operation
@@ -82,6 +130,7 @@ class ReadFileOperation {
     this._open = {
         id: info.activity.id
       , triggerId: info.activity.triggerId
+      , latency: stepLatency(info.activity)
       , userFunctions: this._userFunctions(info.activity, 'open')
     }
     if (this._includeActivities) this._open.activity = info.activity
@@ -103,6 +152,7 @@ class ReadFileOperation {
     this._stat = {
         id: activity.id
       , triggerId: activity.triggerId
+      , latency: stepLatency(activity)
       , userFunctions: this._userFunctions(info.activity, 'stat')
     }
 
@@ -110,9 +160,11 @@ class ReadFileOperation {
   }
 
   /**
-   * The read resource gives us no interesting information.
-   * Therefore we just capture the `id`, `triggerId` and `userFunctions` and if so desired
-   * attach the activities.
+   * Each read resource tells us how long the read took deduced from the
+   * `before` and `after` timestamps.
+   *
+   * Larger files are read in chunks, each chunk resulting in one read resource.
+   * Therefore the reads are collected in the order in which they occurred.
    *
    * @name readFileOperation._processRead
    * @function
@@ -122,13 +174,20 @@ class ReadFileOperation {
     const activity = info.activity
     if (activity == null) return
 
-    this._read = {
+    const before = safeFirstStamp(activity.before)
+    const after = safeFirstStamp(activity.after)
+    const timeSpent = before && after ? prettyNs(after.ns - before.ns) : prettyNs(0)
+
+    const read = {
         id: activity.id
       , triggerId: activity.triggerId
-      , userFunctions: this._userFunctions(info.activity, 'read')
+      , latency: stepLatency(activity)
+      , timeSpent
+      , userFunctions: this._userFunctions(info.activity, `reads[${this._reads.length}]`)
     }
 
-    if (this._includeActivities) this._read.activity = activity
+    if (this._includeActivities) read.activity = activity
+    this._reads.push(read)
   }
 
   /**
@@ -148,6 +207,7 @@ class ReadFileOperation {
     this._close = {
         id: activity.id
       , triggerId: activity.triggerId
+      , latency: stepLatency(activity)
       , userFunctions: this._userFunctions(info.activity, 'close')
     }
 
@@ -166,9 +226,19 @@ class ReadFileOperation {
    *
    * ## Properties Specific to `fs.readFile`
    *
+   * - **path**: the path of the file, only available if it was captured or the read failed
+   * - **flags**: the flags with which the file was opened, only available if they were captured
+   * - **mode**: the mode with which the file was opened, only available if it was captured
+   * - **encoding**: the encoding with which the file was read, `null` if it was read into a Buffer
    * - **open**: see `readFileOperation._processOpen`
    * - **stat**: see `readFileOperation._processStat`
-   * - **read**: see `readFileOperation._processRead`
+   * - **reads**: see `readFileOperation._processRead`
+   * - **readCount**: the number of reads
+   * - **totalReadTime**: the sum of the time spent by all reads
+   * - **bytes**: the size of the data the user's callback was invoked with, if its arguments weren't captured
+   *   the bytes read into the buffer of the ReadFileContext, otherwise `null`
+   * - **throughput**: the bytes read per ms of the time the operation was alive as `alive`
+   *   and per ms of the time all reads were queued as `io`, see `stepLatency`
    * - **close**: see `readFileOperation._processClose`
    *
    * @name readFileOperation.summary
@@ -185,17 +255,29 @@ class ReadFileOperation {
    * @return {Object} all important information about the current operation
    */
   summary({ separateFunctions = true, mergeFunctions = true } = {}) {
+    const timeAlive = prettyNs(Math.max(0, this._destroyed.ns - this._created.ns))
     const info = {
         lifeCycle: {
             created   : this._created
           , destroyed : this._destroyed
-          , timeAlive : prettyNs(this._destroyed.ns - this._created.ns)
+          , timeAlive : timeAlive
         }
-      , createdAt : this._createdAt
-      , open      : this._open
-      , stat      : this._stat
-      , read      : this._read
-      , close     : this._close
+      , createdAt     : this._createdAt
+      , status        : operationStatus({ missing: this._missing, error: this._error })
+      , missing       : this._missing
+      , error         : this._error
+      , path          : this._options.path
+      , flags         : this._options.flags
+      , mode          : this._options.mode
+      , encoding      : this._options.encoding
+      , open          : this._open
+      , stat          : this._stat
+      , reads         : this._reads
+      , readCount     : this._reads.length
+      , totalReadTime : prettyNs(this._reads.reduce((acc, x) => acc + x.timeSpent.ns, 0))
+      , bytes         : this._bytes
+      , throughput    : throughput({ bytes: this._bytes, timeAlive, steps: this._reads })
+      , close         : this._close
     }
 
     if (!separateFunctions) return info
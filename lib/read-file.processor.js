@@ -1,57 +1,8 @@
-const { idsTriggeredBy } = require('ah-processor.utils')
+const { stopAtDescendant } = require('./utils')
+const { signaturesFor } = require('./signatures')
+const ActivityIndex = require('./activity-index')
 const ReadFileOperation = require('./read-file.operation')
 
-const FSReqWrap = 'FSREQWRAP'
-
-/*
- * Sample initStack of readFile open, called as first operation of `fs.readFile`:
- *
- * "at Object.fs.readFile (fs.js:295:11)",
- * "at Test.<anonymous> (/Volumes/d/dev/js/async-hooks/ah-fs/test/read-one-file.js:49:6)",
- *
- * Code at fs.js:295:
- *
- * `binding.open(pathModule._makeLong(path), ...`
- *
- * Bottom frame has info about where the call `fs.readFile` originated.
- */
-const openInitFrame0Rx = /at Object.fs.readFile/i
-
-/*
- * Sample initStack of readFile stat, called after `fs.open` completes:
- *
- * "at FSReqWrap.readFileAfterOpen [as oncomplete] (fs.js:380:11)"
- *
- * Code at fs.js:380:
- *
- * `binding.fstat(fd, req);`
- */
-const statInitFrame0Rx = /at FSReqWrap.readFileAfterOpen/i
-
-/*
- * Sample initStack of readFile read, called after `fs.stat` completes:
- *
- * "at ReadFileContext.read (fs.js:340:11)",
- * "at FSReqWrap.readFileAfterStat [as oncomplete] (fs.js:404:11)"
- *
- * Code at fs.js:340:
- *
- * `binding.read(this.fd, buffer, offset, length, -1, req);`
- */
-const readInitFrame1Rx = /at FSReqWrap.readFileAfterStat/i
-
-/*
- * Sample initStack of readFile close, called after last `fs.read` completes:
- *
- *  "at ReadFileContext.close (fs.js:363:11)",
- *  "at FSReqWrap.readFileAfterRead [as oncomplete] (fs.js:420:15)"
- *
- *  Code at fs.js:363:
- *
- *  `binding.close(this.fd, req);`
- */
-const closeInitFrame0Rx = /at ReadFileContext.close/i
-
 class ReadFileProcessor {
 
   /**
@@ -63,12 +14,18 @@ class ReadFileProcessor {
    * @param {Object} $0
    * @param {Map.<string, Object>} {$0.activities} a map of async activities hashed by id
    * @param {boolean} [includeActivities=false] if `true` the actual activities are appended to the output
+   * @param {String|Number} [$0.nodeVersion] the Node.js version that produced the activities, i.e. `'v12.22.12'`,
+   * it determines how the steps are identified and is detected from the activities if not provided
+   * @param {ActivityIndex} [$0.index] the index of the activities, shared by all processors that process
+   * the same activities and created from the activities if not provided
    *
    * @return {Map.<number, Object} map of fs.readFile activities hashed by the
    * fs.open resource id, for more info @see readFileProcessor.process()
    */
-  constructor({ activities, includeActivities = false, separateFunctions = true }) {
-    this._activities = activities
+  constructor({ activities, includeActivities = false, separateFunctions = true, nodeVersion, index }) {
+    this._signatures = signaturesFor({ activities, nodeVersion }).readFile
+    this._index = index || new ActivityIndex({ activities })
+    this._activities = this._index.activities
     this._includeActivities = includeActivities
     this._separateFunctions = separateFunctions
   }
@@ -95,11 +52,24 @@ class ReadFileProcessor {
    *
    * ### `fs.readFile` specific Operation Properties
    *
+   *  Data about the file that was read, recovered from the context of the open resource.
+   *  Except for the `encoding` core doesn't keep them around, therefore they are only
+   *  available if they were captured by the collector, the `path` is also known if the read failed:
+   *  - **path**: the path of the file
+   *  - **flags**: the flags with which the file was opened, i.e. `'r'`
+   *  - **mode**: the mode with which the file was opened, i.e. `438`
+   *  - **encoding**: the encoding with which the file was read, `null` if it was read into a Buffer
+   *
    *  Data about the async resources that were part of the operation, by default
    *  only `id` and `triggerId` are included:
    *  - **open**: contains data about opening the file
    *  - **stat**: contains data about getting file stats
-   *  - **read**: contains data about reading the file
+   *  - **reads**: an Array of reads, larger files are read in multiple chunks, each containing
+   *    the time spent to complete the read
+   *  - **readCount**: the number of reads
+   *  - **totalReadTime**: the time spent by all reads combined
+   *  - **bytes**: the size of the file contents passed to the callback
+   *  - **throughput**: the bytes read per ms of `timeAlive` as `alive` and per ms the reads were queued as `io`
    *  - **close**: contains data about closing the file
    *
    * ### General Operation Properties
@@ -121,6 +91,26 @@ class ReadFileProcessor {
    *    - **ns**: time in nanoseconds {Number}
    *    - **ms**: pretty printed time in milliseconds {String}
    *
+   *  Data about the outcome of the operation, operations that failed or never finished are
+   *  reported as well instead of being dropped:
+   *
+   *  - **status**: `complete` if all steps were found, `failed` if a callback was invoked with
+   *    an error or `incomplete` if some steps are missing, i.e. the file was never closed
+   *  - **missing**: the names of the steps that weren't found, i.e. `[ 'read', 'close' ]`
+   *  - **error**: the code of the error the callback was invoked with, i.e. `ENOENT`, or `null`
+   *
+   *  Data about the latency of each step of the operation, i.e. the `open`, each of the `reads`
+   *  and the `close`, attached to the step as its `latency` property:
+   *
+   *  - **queued**: the time from the creation of the request until its callback was invoked, which
+   *    includes waiting for the threadpool and performing the actual I/O
+   *  - **callback**: the time spent executing the callback
+   *  - **teardown**: the time from the callback returning until the resource was destroyed
+   *
+   *  Each of them is `null` if a timestamp it is derived from is missing.
+   *  When `queued` dominates the disk or the threadpool are the bottleneck, otherwise
+   *  the time is spent inside the callbacks.
+   *
    * Data that links to user code that is responsible for the operation occurring.
    *
    * - **createdAt**: provides the line of code that called `fs.readFile`
@@ -156,10 +146,46 @@ class ReadFileProcessor {
    *           destroyed: { ms: '85.95ms', ns: 85955000 },
    *           timeAlive: { ms: '41.84ms', ns: 41836000 } },
    *       createdAt: 'at Test.<anonymous> (/Volumes/d/dev/js/async-hooks/ah-fs/test/read-one-file.js:36:6)',
-   *       open: { id: 10, triggerId: 1 },
-   *       stat: { id: 11, triggerId: 10 },
-   *       read: { id: 12, triggerId: 11 },
-   *       close: { id: 13, triggerId: 12 },
+   *       status: 'complete',
+   *       missing: [],
+   *       error: null,
+   *       path: null,
+   *       flags: null,
+   *       mode: null,
+   *       encoding: null,
+   *       open:
+   *        { id: 10,
+   *          triggerId: 1,
+   *          latency:
+   *           { queued: { ms: '7.10ms', ns: 7099000 },
+   *             callback: { ms: '0.22ms', ns: 223000 },
+   *             teardown: { ms: '0.34ms', ns: 343000 } } },
+   *       stat:
+   *        { id: 11,
+   *          triggerId: 10,
+   *          latency:
+   *           { queued: { ms: '0.48ms', ns: 481000 },
+   *             callback: { ms: '0.39ms', ns: 389000 },
+   *             teardown: { ms: '13.56ms', ns: 13565000 } } },
+   *       reads:
+   *        [ { id: 12,
+   *            triggerId: 11,
+   *            latency:
+   *             { queued: { ms: '13.71ms', ns: 13712000 },
+   *               callback: { ms: '0.29ms', ns: 291000 },
+   *               teardown: { ms: '7.49ms', ns: 7490000 } },
+   *            timeSpent: { ms: '0.29ms', ns: 291000 } } ],
+   *       readCount: 1,
+   *       totalReadTime: { ms: '0.29ms', ns: 291000 },
+   *       bytes: 6108,
+   *       throughput: { alive: 146, io: 445.45 },
+   *       close:
+   *        { id: 13,
+   *          triggerId: 12,
+   *          latency:
+   *           { queued: { ms: '7.71ms', ns: 7706000 },
+   *             callback: { ms: '10.22ms', ns: 10220000 },
+   *             teardown: { ms: '1.92ms', ns: 1918000 } } },
    *       userFunctions:
    *         [ { file: '/Volumes/d/dev/js/async-hooks/ah-fs/test/read-one-file.js',
    *             line: 39,
@@ -180,7 +206,7 @@ class ReadFileProcessor {
    *             propertyPaths:
    *             [ 'open.resource.context.callback',
    *               'stat.resource.context.callback',
-   *               'read.resource.context.callback',
+   *               'reads[0].resource.context.callback',
    *               'close.resource.context.callback' ] } ] } } }
    * ```
    *
@@ -212,51 +238,38 @@ class ReadFileProcessor {
   }
 
   _findReadFileOpenIds() {
-    for (const a of this._activities.values()) {
-      if (a.type !== FSReqWrap) continue
-      if (a.initStack == null || a.initStack.length < 1) continue
-      if (!openInitFrame0Rx.test(a.initStack[0])) continue
-      this._readFileOpenIds.add(a.id)
-    }
+    for (const a of this._index.matching(this._signatures.open)) this._readFileOpenIds.add(a.id)
   }
 
   _findReadFileStatIds() {
-    for (const a of this._activities.values()) {
-      if (a.type !== FSReqWrap) continue
-      if (a.initStack == null || a.initStack.length < 1) continue
-      if (!statInitFrame0Rx.test(a.initStack[0])) continue
-      this._readFileStatIds.add(a.id)
-    }
+    for (const a of this._index.matching(this._signatures.stat)) this._readFileStatIds.add(a.id)
   }
 
   _findReadFileReadIds() {
-    for (const a of this._activities.values()) {
-      if (a.type !== FSReqWrap) continue
-      if (a.initStack == null || a.initStack.length < 2) continue
-      if (!readInitFrame1Rx.test(a.initStack[1])) continue
-      this._readFileReadIds.add(a.id)
-    }
+    for (const a of this._index.matching(this._signatures.read)) this._readFileReadIds.add(a.id)
   }
 
   _findReadFileCloseIds() {
-    for (const a of this._activities.values()) {
-      if (a.type !== FSReqWrap) continue
-      if (a.initStack == null || a.initStack.length < 1) continue
-      if (!closeInitFrame0Rx.test(a.initStack[0])) continue
-      this._readFileCloseIds.add(a.id)
-    }
+    for (const a of this._index.matching(this._signatures.close)) this._readFileCloseIds.add(a.id)
   }
 
   _separateIntoGroups() {
-    // This is a bit naíve as we don't handle the case where the file never
-    // was closed, but for now this will work.
-    const stop = id => this._readFileCloseIds.has(id)
     for (const openId of this._readFileOpenIds) {
-      const group = idsTriggeredBy(this._activities, openId, stop)
-      // we only consider complete fs.readFile operations at this point,
-      // i.e. open|stat|read|close, anything else should be grouped into
-      // smaller operations
-      if (group.size < 4) continue
+      // Only stop at a close that was triggered by this read, other files may be
+      // closed while we are still reading.
+      const stop = stopAtDescendant(openId, id => this._readFileCloseIds.has(id))
+      const triggered = this._index.idsTriggeredBy(openId, stop)
+
+      // Operations that failed or never finished are missing some steps, we
+      // include them nonetheless and let the operation report what's missing.
+      // Anything triggered by the user callback isn't part of the operation.
+      const group = new Set()
+      for (const id of triggered) {
+        if (id === openId ||
+            this._readFileStatIds.has(id) ||
+            this._readFileReadIds.has(id) ||
+            this._readFileCloseIds.has(id)) group.add(id)
+      }
       this._groups.set(openId, group)
     }
   }
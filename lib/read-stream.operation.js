@@ -3,9 +3,21 @@ const {
   , safeGetVal
   , safeFirstStamp
   , uniqueUserFunctions
-  , separateUserFunctions
   , mergeUserFunctions
 } = require('ah-processor.utils')
+const {
+    separateUserFunctions
+  , errorCode
+  , missingSteps
+  , operationStatus
+  , lastDestroyed
+  , callbackArguments
+  , totalBytes
+  , throughput
+  , stepLatency
+  , firstUserFrame
+  , streamArg
+} = require('./utils')
 
 class ReadStreamOperation {
   /**
@@ -31,9 +43,14 @@ class ReadStreamOperation {
   }
 
   _process(group) {
+    this._created = prettyNs(0)
+    this._destroyed = prettyNs(0)
     this._reads = []
+    this._streamBytes = 0
+    const activities = []
     for (let i = 0; i < group.length; i++) {
       const info = group[i]
+      if (info.activity != null) activities.push(info.activity)
       if (info.isopen) {
         this._processOpen(info)
       } else if (info.istick) {
@@ -44,6 +61,18 @@ class ReadStreamOperation {
         this._processClose(info)
       }
     }
+
+    this._missing = missingSteps({
+        open  : this._open != null
+      , read  : this._reads.length > 0
+      , close : this._close != null
+    })
+    this._error = errorCode(activities)
+    if (this._close == null) this._destroyed = lastDestroyed(activities)
+    if (this._createdAt == null && this._open != null) {
+      const constructing = activities.find(x => x.id === this._open.triggerId)
+      if (constructing != null) this._createdAt = firstUserFrame(constructing.initStack)
+    }
   }
 
   /**
@@ -51,7 +80,9 @@ class ReadStreamOperation {
    *  data points:
    *
    *  1. the init timestamp tells us when the stream was created
-   *  2. the last frame of the init stack tells us where `createReadStream` was called.
+   *  2. the first user frame of the init stack tells us where `createReadStream` was called,
+   *     starting with Node.js 16 the file is opened from within a tick, in that case the init stack
+   *     of the tick that constructed the stream tells us instead
    *
    * @name readStreamOperation._processOpen
    * @function
@@ -59,23 +90,18 @@ class ReadStreamOperation {
    */
   _processOpen(info) {
     this._created = prettyNs(info.activity.init[0])
-
-    // Sample init stack:
-    // "at Object.fs.open (fs.js:581:11)",
-    // "at ReadStream.open (fs.js:1730:6)",
-    // "at new ReadStream (fs.js:1717:10)",
-    // "at Object.fs.createReadStream (fs.js:1667:10)",
-    // "at Test.<anonymous> (/Volumes/d/dev/js/async-hooks/ah-fs/test/readstream-one-file.js:94:6)"
-    const initStack = info.activity.initStack
-    if (initStack == null || initStack.length < 5) return
-    this._createdAt = info.activity.initStack[4]
-    this._open = { id: info.activity.id, triggerId: info.activity.triggerId }
+    this._createdAt = firstUserFrame(info.activity.initStack)
+    this._open = {
+        id: info.activity.id
+      , triggerId: info.activity.triggerId
+      , latency: stepLatency(info.activity)
+    }
     if (this._includeActivities) this._open.activity = info.activity
   }
 
    /**
     * The ReadStream Tick gives us a lot of information. It has an args array with
-    * the ReadStream and its ReadableState respectively
+    * the ReadStream and its ReadableState, in an order that depends on the queued function.
     *
     * The ReadStream provides us the following:
     *
@@ -103,19 +129,24 @@ class ReadStreamOperation {
     */
   _processTick(info) {
     const { id, triggerId } = info.activity
+    const stream = streamArg(info.activity, 'ReadStream')
+    const state = streamArg(info.activity, 'ReadableState')
+    if (stream == null) return
 
-    // only need one tick to pull the info from
-    if (this._processedTick) return
+    // each tick captured the stream at a different point in time, the latest one
+    // knows about the most bytes
+    if (typeof stream.bytesRead === 'number') {
+      this._streamBytes = Math.max(this._streamBytes, stream.bytesRead)
+    }
 
-    const args = info.activity.resource && info.activity.resource.args
-    if (args == null || args.length < 2) return
+    // only need one tick to pull the info from, the one constructing the stream
+    // isn't passed its state
+    if (this._processedTick || state == null) return
 
-    const stream = args[0]
     const path = safeGetVal(stream.path)
     const flags = safeGetVal(stream.flags)
     const fd = stream.fd
 
-    const state = args[1]
     const objectMode = state.objectMode
     const highWaterMark = state.highWaterMark
     const pipesCount = state.pipesCount
@@ -162,7 +193,17 @@ class ReadStreamOperation {
     const after = safeFirstStamp(activity.after)
     const timeSpent = before && after ? prettyNs(after.ns - before.ns) : prettyNs(0)
 
-    const read = { id: activity.id, triggerId: activity.triggerId, timeSpent }
+    // the callback is invoked with `(err, bytesRead)`
+    const args = callbackArguments(activity)
+    const bytes = args != null && typeof args['1'] === 'number' ? args['1'] : null
+
+    const read = {
+        id: activity.id
+      , triggerId: activity.triggerId
+      , latency: stepLatency(activity)
+      , bytes
+      , timeSpent
+    }
     if (this._includeActivities) read.activity = activity
     this._reads.push(read)
   }
@@ -181,10 +222,22 @@ class ReadStreamOperation {
     const activity = info.activity
     if (activity == null) return
     this._destroyed = safeFirstStamp(activity.destroy)
-    this._close = { id: activity.id, triggerId: activity.triggerId }
+    this._close = {
+        id: activity.id
+      , triggerId: activity.triggerId
+      , latency: stepLatency(activity)
+    }
     if (this._includeActivities) this._close.activity = activity
   }
 
+  // Prefer the bytes reported to the callbacks of all reads, the stream only knows about
+  // the bytes read up to the point at which the latest tick was captured.
+  _bytes() {
+    const bytes = totalBytes(this._reads)
+    if (bytes != null) return bytes
+    return this._streamBytes > 0 ? this._streamBytes : null
+  }
+
   /**
    * Returns the summary of processing the group into an operation.
    *
@@ -201,6 +254,10 @@ class ReadStreamOperation {
    * - **stream**: see `readStreamOperation._processTick`
    * - **read**: see `readStreamOperation._processRead`
    * - **close**: see `readStreamOperation._processClose`
+   * - **bytes**: the sum of bytes reported to the callbacks of all reads, if they weren't captured
+   *   the bytes the stream had read when its latest tick was captured, otherwise `null`
+   * - **throughput**: the bytes read per ms of the time the operation was alive as `alive`
+   *   and per ms of the time all reads were queued as `io`, see `stepLatency`
    *
    * @name readStreamOperation.summary
    * @function
@@ -216,17 +273,24 @@ class ReadStreamOperation {
    * @return {Object} all important information about the current operation
    */
   summary({ separateFunctions = true, mergeFunctions = true } = {}) {
+    const timeAlive = prettyNs(Math.max(0, this._destroyed.ns - this._created.ns))
+    const bytes = this._bytes()
     const info = {
         lifeCycle: {
             created   : this._created
           , destroyed : this._destroyed
-          , timeAlive : prettyNs(this._destroyed.ns - this._created.ns)
+          , timeAlive : timeAlive
         }
-      , createdAt : this._createdAt
-      , open      : this._open
-      , stream    : this._stream
-      , reads     : this._reads
-      , close     : this._close
+      , createdAt  : this._createdAt
+      , status     : operationStatus({ missing: this._missing, error: this._error })
+      , missing    : this._missing
+      , error      : this._error
+      , open       : this._open
+      , stream     : this._stream
+      , reads      : this._reads
+      , close      : this._close
+      , bytes      : bytes
+      , throughput : throughput({ bytes, timeAlive, steps: this._reads })
     }
 
     if (!separateFunctions) return info
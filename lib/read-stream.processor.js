@@ -1,48 +1,10 @@
-const { idsTriggeredBy } = require('ah-processor.utils')
+const { signaturesFor } = require('./signatures')
+const { streamArg, callbackArguments, immediatelyBeforeId } = require('./utils')
+const ActivityIndex = require('./activity-index')
 const ReadStreamOperation = require('./read-stream.operation')
 
-const FSReqWrap = 'FSREQWRAP'
 const TickObject = 'TickObject'
 
-/*
- * Sample initStack of readStream open:
- *
- * "at Object.fs.open (fs.js:581:11)",
- * "at ReadStream.open (fs.js:1730:6)",
- * "at new ReadStream (fs.js:1717:10)",
- * "at Object.fs.createReadStream (fs.js:1667:10)",
- * "at Test.<anonymous> (/Volumes/d/dev/js/async-hooks/ah-fs/test/readstream-one-file.js:94:6)"
- *
- * Bottom frame has the info about where we created the readstream.
- * Maybe useful to pull out that info
- *
- */
-const openInitFrame0Rx = /Object\.fs\.open/i
-const openInitFrame1Rx = /ReadStream\.open/i
-
-/*
- * Sample initStack of readStream read:
- *
- *  "at Object.fs.read (fs.js:608:11)",
- *  "at ReadStream._read (fs.js:1778:6)",
- *  "at ReadStream.<anonymous> (fs.js:1749:12)",
- *  "at Object.onceWrapper (events.js:291:19)",
- *  "at emitOne (events.js:96:13)"
- */
-const readInitFrame0Rx = /Object\.fs\.read/i
-const readInitFrame1Rx = /ReadStream\._read/i
-
-/* Sample initStack of readStream close:
- *
- * "at Object.fs.close (fs.js:555:11)",
- * "at close (fs.js:1829:8)",
- * "at ReadStream.close (fs.js:1825:3)",
- * "at ReadStream.destroy (fs.js:1808:8)",
- * "at ReadStream.<anonymous> (fs.js:1721:12)"
- */
-const closeInitFrame0Rx = /Object\.fs\.close/i
-const closeInitFrame2Rx = /ReadStream\.close/i
-
 class ReadStreamProcessor {
   /**
    * Instantiates an fs.createReadStream data processor to process data collected via
@@ -53,12 +15,18 @@ class ReadStreamProcessor {
    * @param {Object} $0
    * @param {Map.<string, Object>} {$0.activities} a map of async activities hashed by id
    * @param {boolean} [includeActivities=false] if `true` the actual activities are appended to the output
+   * @param {String|Number} [$0.nodeVersion] the Node.js version that produced the activities, i.e. `'v12.22.12'`,
+   * it determines how the steps are identified and is detected from the activities if not provided
+   * @param {ActivityIndex} [$0.index] the index of the activities, shared by all processors that process
+   * the same activities and created from the activities if not provided
    *
    * @return {Map.<number, Object} map of fs.createReadStream activities hashed by the
    * file descriptor they operated on, for more info @see readStreamProcessor.process()
    */
-  constructor({ activities, includeActivities = false, separateFunctions = true }) {
-    this._activities = activities
+  constructor({ activities, includeActivities = false, separateFunctions = true, nodeVersion, index }) {
+    this._signatures = signaturesFor({ activities, nodeVersion }).readStream
+    this._index = index || new ActivityIndex({ activities })
+    this._activities = this._index.activities
     this._includeActivities = includeActivities
     this._separateFunctions = separateFunctions
     this._clear()
@@ -92,9 +60,13 @@ class ReadStreamProcessor {
    *  - **stream**: contains data about how the stream was configured, including readable state and
    *    the path to the file being read, pipes count, encoding, etc.
    *  - **reads**: an Array of reads, each containing data about reading a chunk from the file including
-   *    the time spent to complete reading the particular chunk
+   *    the bytes read, if the callback arguments were captured, and the time spent to complete reading the particular chunk
    *  - **close**: contains data about closing the file
    *
+   *  Data about the bytes that were transferred:
+   *  - **bytes**: the bytes read, taken from the reads or otherwise the `bytesRead` of the stream
+   *  - **throughput**: the bytes read per ms of `timeAlive` as `alive` and per ms the reads were queued as `io`
+   *
    * ### General Operation Properties
    *
    * - [see ReadFileProcessor.process](https://nodesource.github.io/ah-fs.processor/#general-operation-properties)
@@ -112,6 +84,9 @@ class ReadStreamProcessor {
    *         destroyed: { ms: '14.33ms', ns: 14329000 },
    *         timeAlive: { ms: '12.73ms', ns: 12729000 } },
    *     createdAt: 'at Test.<anonymous> (/Volumes/d/dev/js/async-hooks/ah-fs/test/readstream-one-file.js:94:6)',
+   *     status: 'complete',
+   *     missing: [],
+   *     error: null,
    *     open: { id: 10, triggerId: 3 },
    *     stream:
    *       { id: 14,
@@ -127,11 +102,15 @@ class ReadStreamProcessor {
    *     reads:
    *       [ { id: 12,
    *           triggerId: 10,
+   *           bytes: null,
    *           timeSpent: { ms: '0.83ms', ns: 830000 } },
    *         { id: 13,
    *           triggerId: 12,
+   *           bytes: null,
    *           timeSpent: { ms: '0.24ms', ns: 240000 } } ],
    *     close: { id: 16, triggerId: 13 },
+   *     bytes: 6483,
+   *     throughput: { alive: 509.31, io: 3950.64 },
    *     userFunctions:
    *       [ { file: '/Volumes/d/dev/js/async-hooks/ah-fs/test/readstream-one-file.js',
    *           line: 99,
@@ -192,60 +171,123 @@ class ReadStreamProcessor {
   }
 
   _findReadStreamOpenIds() {
-    for (const a of this._activities.values()) {
-      if (a.type !== FSReqWrap) continue
-      if (a.initStack == null || a.initStack.length < 2) continue
-      if (!openInitFrame0Rx.test(a.initStack[0])) continue
-      if (!openInitFrame1Rx.test(a.initStack[1])) continue
-      this._readStreamOpenIds.add(a.id)
-    }
+    for (const a of this._index.matching(this._signatures.open)) this._readStreamOpenIds.add(a.id)
   }
 
   _findReadStreamTickIds() {
-    for (const a of this._activities.values()) {
-      if (a.type !== TickObject) continue
+    for (const a of this._index.ofType(TickObject)) {
       if (a.resource == null) continue
-      const args = a.resource.args
-      if (args == null || !Array.isArray(args) || args.length === 0) continue
-      const readStream = args[0]
-      if (readStream.proto !== 'ReadStream') continue
-      if (!readStream.readable) continue
+      const readStream = streamArg(a, 'ReadStream')
+      if (readStream == null) continue
       this._readStreamTickIds.add(a.id)
     }
   }
 
   _findReadStreamReadIds() {
-    for (const a of this._activities.values()) {
-      if (a.type !== FSReqWrap) continue
-      if (a.initStack == null || a.initStack.length < 2) continue
-      if (!readInitFrame0Rx.test(a.initStack[0])) continue
-      if (!readInitFrame1Rx.test(a.initStack[1])) continue
-      this._readStreamReadIds.add(a.id)
-    }
+    for (const a of this._index.matching(this._signatures.read)) this._readStreamReadIds.add(a.id)
   }
 
   _findReadStreamCloseIds() {
-    for (const a of this._activities.values()) {
-      if (a.type !== FSReqWrap) continue
-      if (a.initStack == null || a.initStack.length < 3) continue
-      if (!closeInitFrame0Rx.test(a.initStack[0])) continue
-      if (!closeInitFrame2Rx.test(a.initStack[2])) continue
-      this._readStreamCloseIds.add(a.id)
+    for (const a of this._index.matching(this._signatures.close)) this._readStreamCloseIds.add(a.id)
+  }
+
+  /**
+   * Assigns each read, close and stream tick to the open of its stream.
+   *
+   * Most steps are triggered by the open or by another step of the same stream, i.e. a read
+   * schedules a tick that reads the next chunk.
+   * However when the stream is piped into a write stream that applies backpressure, the reads
+   * that follow are triggered by the tick that resumes the stream once the writes drained, and
+   * that tick is triggered by a write.
+   * That tick references the stream though, thus we match its `fd` to the one the open was
+   * called back with.
+   * Before Node.js 14 the read is issued synchronously from within the callback of the write
+   * instead, in that case the ticks it schedules once it completes reference the stream.
+   *
+   * Therefore we walk up the ancestors of each step until we find either the open, a step
+   * that was assigned already or a stream tick whose `fd` matches an open.
+   * The latter is part of the group as well, as it links the step to the stream.
+   * If we find neither we match the `fd` of the stream ticks the step triggered.
+   *
+   * With this approach we are omitting the stream ticks that are triggered in the same context
+   * as the open itself, i.e. the root. We don't really need them as all the information is also
+   * present on the ticks that are part of the triggerId chain.
+   *
+   * @name readStreamProcessor._separateIntoGroups
+   * @function
+   */
+  _separateIntoGroups() {
+    this._openIdsByFd = new Map()
+    for (const openId of this._readStreamOpenIds) {
+      this._groups.set(openId, new Set([ openId ]))
+      const args = callbackArguments(this._activities.get(openId))
+      const fd = args == null ? null : args['1']
+      if (typeof fd !== 'number') continue
+      if (!this._openIdsByFd.has(fd)) this._openIdsByFd.set(fd, new Set())
+      this._openIdsByFd.get(fd).add(openId)
+    }
+
+    // Nothing that happens after the stream closed is part of it, i.e. the close of a
+    // write stream we are piped into is triggered by the same read.
+    const owners = new Map()
+    const closed = new Set()
+    for (const activity of this._activities.values()) {
+      const { id } = activity
+      if (!this._readStreamTickIds.has(id) &&
+          !this._readStreamReadIds.has(id) &&
+          !this._readStreamCloseIds.has(id)) continue
+
+      const { openId, linkId } = this._ownerOf(activity, owners)
+      if (openId == null || closed.has(openId)) continue
+      if (this._readStreamCloseIds.has(id)) closed.add(openId)
+      owners.set(id, openId)
+      const group = this._groups.get(openId)
+      if (linkId != null) {
+        owners.set(linkId, openId)
+        group.add(linkId)
+      }
+      group.add(id)
+    }
+
+    // Starting with Node.js 16 the file is opened from within the tick that constructs
+    // the stream, it knows where the stream was created.
+    for (const [ openId, group ] of this._groups) {
+      const { triggerId } = this._activities.get(openId)
+      if (this._readStreamTickIds.has(triggerId)) group.add(triggerId)
     }
   }
 
-  _separateIntoGroups(id) {
-    const stop = id => this._readStreamCloseIds.has(id)
+  _ownerOf(activity, owners) {
+    const seen = new Set()
+    let ancestor = this._activities.get(activity.triggerId)
+    while (ancestor != null && !seen.has(ancestor.id)) {
+      seen.add(ancestor.id)
+      if (this._readStreamOpenIds.has(ancestor.id)) return { openId: ancestor.id }
+      if (owners.has(ancestor.id)) return { openId: owners.get(ancestor.id) }
+      if (this._readStreamTickIds.has(ancestor.id)) {
+        const openId = this._openIdOfStream(ancestor)
+        if (openId != null) return { openId, linkId: ancestor.id }
+      }
+      ancestor = this._activities.get(ancestor.triggerId)
+    }
 
-    // With this approach we are omitting one of the streamTicks which is
-    // triggered in the same context as the open itself.
-    // We could easily find it as it is inited right after, however we
-    // don't really needed as all the information is also present on the
-    // second stream tick which is part of the triggerId chain.
-    for (const openId of this._readStreamOpenIds) {
-      const group = idsTriggeredBy(this._activities, openId, stop)
-      this._groups.set(openId, group)
+    // A read that is issued synchronously once the writes drained has no such ancestor,
+    // the ticks scheduled once it completed reference the stream though.
+    for (const childId of this._index.childrenOf(activity.id)) {
+      if (!this._readStreamTickIds.has(childId)) continue
+      const openId = this._openIdOfStream(this._activities.get(childId))
+      if (openId != null) return { openId }
     }
+    return { openId: null }
+  }
+
+  // The fd of a file is reused once it was closed, thus we pick the open that
+  // initialized most immediately before the tick.
+  _openIdOfStream(tick) {
+    const stream = streamArg(tick, 'ReadStream')
+    const openIds = stream == null ? null : this._openIdsByFd.get(stream.fd)
+    if (openIds == null) return null
+    return immediatelyBeforeId(this._activities, openIds, tick.id)
   }
 
   _addOperations() {
@@ -298,3 +340,13 @@ exports.operationSteps = 4
  * @name ReadStreamProcessor.operation.
  */
 exports.operation = 'fs.createReadStream'
+
+/**
+ * Types of activities that may be shared with other operations: 'TickObject'.
+ *
+ * The stream tick of a read stream that is piped into a write stream is also
+ * part of the write stream operation.
+ *
+ * @name ReadStreamProcessor.sharedTypes
+ */
+exports.sharedTypes = [ 'TickObject' ]
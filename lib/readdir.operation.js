@@ -0,0 +1,136 @@
+const {
+    lifeCycle
+  , uniqueUserFunctions
+  , mergeUserFunctions
+} = require('ah-processor.utils')
+const {
+    firstUserFrame
+  , callbackArguments
+  , resourcePath
+  , capturedLength
+  , separateUserFunctions
+  , errorCode
+  , missingSteps
+  , operationStatus
+  , stepLatency
+} = require('./utils')
+
+class ReaddirOperation {
+  /**
+   * Processes a group of async activities that represent a fs readdir operation.
+   * It is used by the [ReaddirProcessor](#readdirprocessor) as part of `process`.
+   *
+   * One operation step is derived from the group, providing information
+   * about the operation in question.
+   *
+   * The step is processed into an operation in the private method `_processReaddir`
+   * which is documented below for information's sake, it should not be called directly,
+   * nor should you have a need to directly instantiate a `ReaddirOperation` in the first place.
+   *
+   * @name ReaddirOperation
+   * @constructor
+   * @param {Map.<Number, Set.<Number>>} group the ids of the activities that were part of the operation
+   * @param {Boolean} [includeActivities = false] if `true` the activities are attached to
+   * each operation step
+   */
+  constructor({ group, includeActivities = false }) {
+    this._includeActivities = includeActivities
+    this._process(group)
+  }
+
+  _process(group) {
+    this._error = null
+    for (let i = 0; i < group.length; i++) {
+      const info = group[i]
+      if (info.isreaddir) this._processReaddir(info)
+    }
+    this._missing = missingSteps({ readdir: this._readdir != null })
+  }
+
+  /**
+   * The readdir resource is the only resource involved in the operation and thus provides
+   * all information:
+   *
+   * 1. the init and destroy timestamps tell us about the life cycle of the operation
+   * 2. the first user frame of the init stack tells us where `fs.readdir` was called
+   * 3. the arguments passed to the callback include the directory entries, which we count
+   *
+   * @name readdirOperation._processReaddir
+   * @function
+   * @param {Object} info information about the readdir step, pre-processed by the `ReaddirProcessor`.
+   */
+  _processReaddir(info) {
+    const activity = info.activity
+    if (activity == null) return
+
+    // Sample init stack:
+    // "at Object.fs.readdir (fs.js:862:11)",
+    // "at Test.<anonymous> (/Volumes/d/dev/js/async-hooks/ah-fs/test/readdir.js:29:6)"
+    this._lifeCycle = lifeCycle(activity)
+    this._error = errorCode([ activity ])
+    this._createdAt = firstUserFrame(activity.initStack)
+    this._path = resourcePath(activity)
+
+    const args = callbackArguments(activity)
+    this._entries = args == null ? null : capturedLength(args['1'])
+
+    const functions = (activity.resource && activity.resource.functions) || []
+    this._readdir = {
+        id: activity.id
+      , triggerId: activity.triggerId
+      , latency: stepLatency(activity)
+      , userFunctions: uniqueUserFunctions(functions, { pathPrefix: 'readdir.resource' })
+    }
+    if (this._includeActivities) this._readdir.activity = activity
+  }
+
+  /**
+   * Returns the summary of processing the group into an operation.
+   *
+   * The summary of all operations has a very similar structure, but includes some properties that are specific to this
+   * particular operation.
+   *
+   * The general properties `lifeCycle` and `createdAt` are documented as part of
+   * the `ReadFileProcessor`.
+   * Therefore learn more [here](#general-operation-properties).
+   *
+   * ## Properties Specific to `fs.readdir`
+   *
+   * - **path**: the path of the directory, only available if it was captured or the readdir failed
+   * - **readdir**: see `readdirOperation._processReaddir`
+   * - **entries**: the number of entries found inside the directory
+   *
+   * @name readdirOperation.summary
+   * @function
+   * @param {Object} $0 options
+   * @param {Boolean} [$0.separateFunctions = true] when `true` the user functions are separated out
+   * from the specific operations and attached as a `userFunctions` array directly to the returned
+   * result
+   *
+   * @param {Boolean} [$0.mergeFunctions = true] if `true` when a duplicate function is found in the
+   * separated functions Array, they are merged into one while preserving all information
+   * from both version. Note that this setting only activates if `separateFunctions` is `true` as well.
+   *
+   * @return {Object} all important information about the current operation
+   */
+  summary({ separateFunctions = true, mergeFunctions = true } = {}) {
+    const info = {
+        lifeCycle : this._lifeCycle
+      , createdAt : this._createdAt
+      , status    : operationStatus({ missing: this._missing, error: this._error })
+      , missing   : this._missing
+      , error     : this._error
+      , path      : this._path
+      , readdir   : this._readdir
+      , entries   : this._entries
+    }
+
+    if (!separateFunctions) return info
+    const separated = separateUserFunctions(info)
+
+    if (!mergeFunctions) return separated
+    return mergeUserFunctions(separated)
+  }
+}
+
+module.exports = ReaddirOperation
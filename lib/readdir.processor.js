@@ -0,0 +1,170 @@
+const { signaturesFor } = require('./signatures')
+const ActivityIndex = require('./activity-index')
+const ReaddirOperation = require('./readdir.operation')
+
+class ReaddirProcessor {
+  /**
+   * Instantiates an fs.readdir data processor to process data collected via
+   * [nodesource/ah-fs](https://github.com/nodesource/ah-fs).
+   *
+   * @name ReaddirProcessor
+   * @constructor
+   * @param {Object} $0
+   * @param {Map.<string, Object>} {$0.activities} a map of async activities hashed by id
+   * @param {boolean} [includeActivities=false] if `true` the actual activities are appended to the output
+   * @param {Boolean} [$0.separateFunctions = true] when `true` the user functions are separated out
+   * from the specific resources and attached as a `userFunctions` array directly to the returned
+   * operations
+   * @param {String|Number} [$0.nodeVersion] the Node.js version that produced the activities, i.e. `'v12.22.12'`,
+   * it determines how the steps are identified and is detected from the activities if not provided
+   * @param {ActivityIndex} [$0.index] the index of the activities, shared by all processors that process
+   * the same activities and created from the activities if not provided
+   */
+  constructor({ activities, includeActivities = false, separateFunctions = true, nodeVersion, index }) {
+    this._signatures = signaturesFor({ activities, nodeVersion }).readdir
+    this._index = index || new ActivityIndex({ activities })
+    this._activities = this._index.activities
+    this._includeActivities = includeActivities
+    this._separateFunctions = separateFunctions
+    this._clear()
+  }
+
+  /**
+   * Processes the supplied async activities and splits them into
+   * groups, and operations each representing a directory listing via `fs.readdir`.
+   *
+   * ## Groups
+   *
+   * The returned value has a `groups` property which just lists the ids
+   * of async resources that were grouped together to form an operation
+   * indexed by the id of the readdir resource.
+   * Since `fs.readdir` only involves one resource each group has exactly one member.
+   * If no directory listing was encountered the groups are empty.
+   *
+   * ## Operations
+   *
+   * Additionally an `operations` property is included as well. Each operation
+   * represents one full `fs.readdir` execution. There will be one operation per
+   * group and they are indexed by the readdir resource `id` as well.
+   *
+   * An `operation` has the following properties:
+   *
+   * ### `fs.readdir` specific Operation Properties
+   *
+   *  - **path**: the path of the directory that was listed if it could be determined
+   *  - **readdir**: contains data about the readdir resource, by default only `id` and `triggerId`
+   *  - **entries**: the number of entries the directory contained, pulled from the arguments
+   *    the user callback was invoked with, `null` if they weren't captured
+   *
+   * ### General Operation Properties
+   *
+   * - [see ReadFileProcessor.process](https://nodesource.github.io/ah-fs.processor/#general-operation-properties)
+   *
+   * ## Sample Return Value
+   *
+   * The sample return value was created with default options.
+   *
+   * ```js
+   * { groups: Map { 10 => Set { 10 } },
+   *   operations:
+   *    Map {
+   *      10 => { lifeCycle:
+   *        { created: { ms: '31.40ms', ns: 31400000 },
+   *          destroyed: { ms: '35.62ms', ns: 35620000 },
+   *          timeAlive: { ms: '4.22ms', ns: 4220000 } },
+   *      createdAt: 'at Test.<anonymous> (/Volumes/d/dev/js/async-hooks/ah-fs/test/readdir.js:29:6)',
+   *      status: 'complete',
+   *      missing: [],
+   *      error: null,
+   *      path: null,
+   *      readdir: { id: 10, triggerId: 1 },
+   *      entries: 12,
+   *      userFunctions:
+   *       [ { file: '/Volumes/d/dev/js/async-hooks/ah-fs/test/readdir.js',
+   *           line: 30,
+   *           column: 17,
+   *           inferredName: '',
+   *           name: 'onreaddir',
+   *           location: 'onreaddir (/Volumes/d/dev/js/async-hooks/ah-fs/test/readdir.js:30:17)',
+   *           args: { '0': null, '1': { '0': .., '1': .., proto: 'Array' }, proto: 'Object' },
+   *           propertyPaths: [ 'readdir.resource.oncomplete' ] } ] } } }
+   * ```
+   *
+   * @name readdirProcessor.process
+   * @return {Object} information about `fs.readdir` operations with the
+   * structure outlined above
+   */
+  process() {
+    this._clear()
+
+    this._findReaddirIds()
+
+    this._separateIntoGroups()
+    this._addOperations()
+
+    return { groups: this._groups, operations: this._operations }
+  }
+
+  _clear() {
+    this._readdirIds = new Set()
+    this._groups = new Map()
+    this._operations = new Map()
+  }
+
+  _findReaddirIds() {
+    for (const a of this._index.matching(this._signatures.readdir)) this._readdirIds.add(a.id)
+  }
+
+  _separateIntoGroups() {
+    for (const readdirId of this._readdirIds) {
+      this._groups.set(readdirId, new Set([ readdirId ]))
+    }
+  }
+
+  _addOperations() {
+    for (const [ id, group ] of this._groups) this._addOperation(id, group)
+  }
+
+  _addOperation(id, group) {
+    const info = this._resolveGroup(group)
+    const op = new ReaddirOperation({
+        group: info
+      , includeActivities: this._includeActivities
+    })
+    this._operations.set(id, op.summary({ separateFunctions: this._separateFunctions }))
+  }
+
+  _resolveGroup(group) {
+    const groupInfo = []
+    for (const id of group) {
+      const activity = this._activities.get(id)
+      const isreaddir = this._readdirIds.has(id)
+      const info = { activity, isreaddir }
+      groupInfo.push(info)
+    }
+    return groupInfo
+  }
+}
+
+exports = module.exports = ReaddirProcessor
+
+/**
+ * The minimum number of steps, represented as an async resource each,
+ * involved to execute `fs.readdir`.
+ *
+ * This can be used by higher level processors to group
+ * activities looking for larger operations first and then
+ * operations involving less steps.
+ *
+ * Steps are: readdir
+ *
+ * @name ReaddirProcessor.operationSteps
+ */
+exports.operationSteps = 1
+
+/**
+ * Description of the operation: 'fs.readdir'.
+ *
+ * @name ReaddirProcessor.operation
+ */
+exports.operation = 'fs.readdir'
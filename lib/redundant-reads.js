@@ -0,0 +1,147 @@
+const { prettyNs } = require('ah-processor.utils')
+const { callbackArguments } = require('./utils')
+
+const readFile = 'fs.readFile'
+
+// The data the user's callback was invoked with, a Buffer or a string if the file
+// was read with an encoding, is captured with its length and a preview of its content.
+// The callbacks of the steps are invoked with an fd, stats or the bytes of a single read
+// instead, same as `ReadFileOperation` we only consider data that has a length.
+// If the callback arguments weren't captured we fall back to the buffer of the
+// ReadFileContext, the latest step read the most data into it.
+function isData(x) {
+  return typeof x === 'string' || (x != null && typeof x === 'object' && typeof x.len === 'number')
+}
+
+function readData({ operation }, activities) {
+  const steps = [ operation.open, operation.stat ].concat(operation.reads || [], operation.close)
+  for (const step of steps) {
+    if (step == null) continue
+    const args = callbackArguments(activities.get(step.id))
+    if (args != null && isData(args['1'])) return args['1']
+  }
+  for (let i = steps.length - 1; i >= 0; i--) {
+    if (steps[i] == null) continue
+    const activity = activities.get(steps[i].id)
+    const context = activity && activity.resource && activity.resource.context
+    if (context != null && context.buffer != null) return context.buffer
+  }
+  return null
+}
+
+function previewOf(val) {
+  if (typeof val !== 'object') return val
+  if (val.hex != null || val.utf8 != null) return val.hex || val.utf8
+  return Array.isArray(val.data) ? Buffer.from(val.data).toString('hex') : null
+}
+
+// Identifies the content via its length and preview, if either wasn't captured we
+// cannot tell if the same content was read before.
+function contentKey(data) {
+  if (data == null) return null
+  if (typeof data === 'string') return `string:${data.length}:${data}`
+  if (typeof data !== 'object' || typeof data.len !== 'number' || data.val == null) return null
+  const preview = previewOf(data.val)
+  if (preview == null || preview === '<deleted>') return null
+  return `${data.type}:${data.len}:${preview}`
+}
+
+function timeAliveOf({ operation }) {
+  const lifeCycle = operation.lifeCycle
+  return lifeCycle == null || lifeCycle.timeAlive == null ? 0 : lifeCycle.timeAlive.ns
+}
+
+function createdOf({ operation }) {
+  const lifeCycle = operation.lifeCycle
+  return lifeCycle == null || lifeCycle.created == null ? 0 : lifeCycle.created.ns
+}
+
+function summarizeFile(path, reads, activities) {
+  const seen = new Set()
+  const callSites = new Map()
+  let redundant = 0
+  let saved = 0
+  for (const op of reads.sort((a, b) => createdOf(a) - createdOf(b))) {
+    const key = contentKey(readData(op, activities))
+    if (key != null && seen.has(key)) {
+      redundant++
+      saved += timeAliveOf(op)
+    }
+    if (key != null) seen.add(key)
+
+    const createdAt = op.operation.createdAt || null
+    if (!callSites.has(createdAt)) callSites.set(createdAt, { createdAt, count: 0, rootIds: [] })
+    const callSite = callSites.get(createdAt)
+    callSite.count++
+    callSite.rootIds.push(op.rootId)
+  }
+  return {
+      path
+    , count     : reads.length
+    , contents  : seen.size
+    , redundant
+    , saved     : prettyNs(saved)
+    , callSites : Array.from(callSites.values()).sort((a, b) => b.count - a.count)
+    , rootIds   : reads.map(({ rootId }) => rootId)
+  }
+}
+
+/**
+ * Finds files that were read more than once via `fs.readFile` and estimates
+ * how much time caching their content would have saved.
+ *
+ * A read is redundant if the same file was read before and the data the callback
+ * was invoked with has the same length and preview, i.e. the content didn't change in between.
+ * Reads for which no data was captured are counted, but never considered redundant.
+ *
+ * The reads are attributed to a file via their `path`, which is only known if
+ * [ah-fs](https://github.com/nodesource/ah-fs) captured it as part of the resource context, see
+ * `ReadFileOperation`, or the read failed.
+ * Reads whose path is unknown are instead considered reads of the same file if they were
+ * issued at the same `createdAt` and returned the same content, since we can't tell two files
+ * with the same content apart that way, their `path` is `null`.
+ * Reads for which neither was captured are ignored.
+ *
+ * The time caching would have saved is the sum of the `timeAlive` of all redundant reads.
+ *
+ * @name redundantReads
+ * @function
+ * @param {Object} $0
+ * @param {Map.<string, Object>} $0.activities a map of async activities hashed by id
+ * @param {Array.<Object>} $0.operations the operations returned by `processFileSystem`
+ * @return {Array.<Object>} one entry per file that was read more than once with the following
+ * properties, ordered by the time that would have been saved, the most first
+ *
+ * - **path**: the path of the file, `null` if the reads were matched via their call site and content
+ * - **count**: the number of times it was read
+ * - **contents**: the number of distinct contents that were read
+ * - **redundant**: the number of reads that returned content that was read before
+ * - **saved**: the time caching would have saved in `{ ms, ns }`
+ * - **callSites**: the `createdAt` frames that read the file, each with the number of reads
+ *   as `count` and their `rootIds`, the most frequent first
+ * - **rootIds**: the ids of all operations that read the file
+ */
+function fileKey(op, activities) {
+  const { path, createdAt } = op.operation
+  if (path != null) return `path:${path}`
+  const content = contentKey(readData(op, activities))
+  return createdAt == null || content == null ? null : `createdAt:${createdAt}:${content}`
+}
+
+function redundantReads({ activities, operations }) {
+  const files = new Map()
+  for (const op of operations) {
+    if (op.name !== readFile) continue
+    const key = fileKey(op, activities)
+    if (key == null) continue
+    if (!files.has(key)) files.set(key, { path: op.operation.path, reads: [] })
+    files.get(key).reads.push(op)
+  }
+
+  return Array.from(files.values())
+    .filter(({ reads }) => reads.length > 1)
+    .map(({ path, reads }) => summarizeFile(path, reads, activities))
+    .sort((a, b) => b.saved.ns - a.saved.ns)
+}
+
+module.exports = redundantReads
@@ -0,0 +1,361 @@
+/*
+ * The processors identify the steps of an operation via the type of the async resource
+ * and the frames of its init stack.
+ * The frames depend on the internals of the `fs` module of the Node.js version that
+ * produced the trace, therefore the signatures are registered per Node.js version range.
+ *
+ * A step signature has the following properties:
+ *
+ * - **type**: the type of the async resource, i.e. `FSREQWRAP`
+ * - **frames**: regexes that the init stack frame at the same index has to match, a
+ *   `null` entry matches any frame
+ * - **within**: optional `{ depth, rx }`, one of the first `depth` frames has to match the `rx`
+ * - **without**: optional `{ depth, rx }`, none of the first `depth` frames may match the `rx`
+ *
+ * Where a step is issued in different ways within the same Node.js version range, the
+ * signature is an Array of alternatives.
+ */
+
+const FSReqWrap = 'FSREQWRAP'
+const FSReqCallback = 'FSREQCALLBACK'
+const FSReqPromise = 'FSREQPROMISE'
+const FSEventWrap = 'FSEVENTWRAP'
+const StatWatcher = 'STATWATCHER'
+const FileHandle = 'FILEHANDLE'
+const FileHandleCloseReq = 'FILEHANDLECLOSEREQ'
+
+/*
+ * `fs.promises` first appeared with Node.js 10 and its internals barely changed since.
+ * Node.js 10 and 12 read via `read`, later versions read directly inside `readFileHandle`,
+ * i.e. `at readFileHandle (node:internal/fs/promises:554:15)` without any further frame.
+ * The stat is issued from `readFileHandle` as well, but called by `fs.promises.readFile`.
+ *
+ * Sample init stacks, captured with Node.js 10:
+ *
+ * - open issued by `fs.promises.readFile`, the second frame tells us which function opened the file:
+ *   "at open (internal/fs/promises.js:202:19)", "at Object.readFile (internal/fs/promises.js:484:20)"
+ * - open issued by `fs.promises.open` directly:
+ *   "at Object.open (internal/fs/promises.js:202:19)", "at tail (/app/lib/tail.js:12:32)"
+ * - stat: "at readFileHandle (internal/fs/promises.js:137:36)", "at Object.readFile (internal/fs/promises.js:485:10)"
+ * - read: "at read (internal/fs/promises.js:221:36)", "at FileHandle.read (internal/fs/promises.js:81:12)"
+ * - write: "at write (internal/fs/promises.js:242:22)", "at writeFileHandle (internal/fs/promises.js:125:13)"
+ * - close: "at FileHandle.close (internal/fs/promises.js:109:26)"
+ *
+ * The `FILEHANDLE` is created by core once the open completes and captures no init stack.
+ */
+function fileHandleSignatures(promises) {
+  const readFileRx = new RegExp(`at Object\\.readFile \\(${promises}`, 'i')
+  return {
+      open: { type: FSReqPromise, frames: [ new RegExp(`at (Object\\.)?open \\(${promises}`, 'i') ] }
+    , readFile: { type: FSReqPromise, frames: [ null, readFileRx ] }
+    , writeFile: { type: FSReqPromise, frames: [ null, new RegExp(`at Object\\.writeFile \\(${promises}`, 'i') ] }
+    , handle: { type: FileHandle }
+    , stat: [
+          { type: FSReqPromise, frames: [ new RegExp(`at fstat \\(${promises}`, 'i') ] }
+        , { type: FSReqPromise, frames: [ new RegExp(`at readFileHandle \\(${promises}`, 'i'), readFileRx ] }
+      ]
+    , read: [
+          { type: FSReqPromise, frames: [ new RegExp(`at read \\(${promises}`, 'i') ] }
+        , { type: FSReqPromise
+          , frames: [ new RegExp(`at readFileHandle \\(${promises}`, 'i') ]
+          , without: { depth: 2, rx: readFileRx } }
+      ]
+    , write: { type: FSReqPromise, frames: [ new RegExp(`at (write|writeFileHandle) \\(${promises}`, 'i') ] }
+    , close: { type: FileHandleCloseReq }
+  }
+}
+
+/*
+ * Node.js 8 attaches all functions to the `fs` object directly, i.e. `at Object.fs.open (fs.js:581:11)`.
+ * The sample init stacks next to the signatures were captured with Node.js 8, frames of user
+ * code are left out unless a processor depends on them.
+ */
+const node8 = {
+    // Only the open is issued from user code, all other steps from the callback of the previous one.
+    //
+    // open: "at Object.fs.readFile (fs.js:295:11)"
+    // stat: "at FSReqWrap.readFileAfterOpen [as oncomplete] (fs.js:380:11)"
+    // read: "at ReadFileContext.read (fs.js:340:11)", "at FSReqWrap.readFileAfterStat [as oncomplete] (fs.js:404:11)"
+    //   larger files are read in chunks, the following reads come from `FSReqWrap.readFileAfterRead`
+    // close: "at ReadFileContext.close (fs.js:363:11)", "at FSReqWrap.readFileAfterRead [as oncomplete] (fs.js:420:15)"
+    readFile: {
+        open: { type: FSReqWrap, frames: [ /at Object.fs.readFile/i ] }
+      , stat: { type: FSReqWrap, frames: [ /at FSReqWrap.readFileAfterOpen/i ] }
+      , read: { type: FSReqWrap, frames: [ /at ReadFileContext.read /i ] }
+      , close: { type: FSReqWrap, frames: [ /at ReadFileContext.close/i ] }
+    }
+    // `fs.appendFile` delegates to `fs.writeFile` with the `'a'` flag and thus produces the same open,
+    // only the third frame tells them apart. The writes need the second frame, otherwise we'd claim any
+    // `fs.write` issued by user code.
+    //
+    // open: "at Object.fs.open (fs.js:581:11)", "at Object.fs.writeFile (fs.js:1155:6)"
+    // write: "at Object.fs.write (fs.js:643:20)", "at writeAll (fs.js:1117:6)", "at writeFd (fs.js:1168:5)"
+    // close: "at Object.fs.close (fs.js:555:11)", "at fs.js:1131:14", "at FSReqWrap.wrapper [as oncomplete] (fs.js:626:5)"
+  , writeFile: {
+        open: {
+            type: FSReqWrap
+          , frames: [ /at Object\.fs\.open/i, /at Object\.fs\.writeFile/i ]
+          , without: { depth: 3, rx: /at Object\.fs\.appendFile/i }
+        }
+      , write: { type: FSReqWrap, frames: [ /at Object\.fs\.write /i, /at writeAll/i ] }
+      , close: { type: FSReqWrap, frames: [ /at Object\.fs\.close/i ] }
+    }
+    // open: "at Object.fs.open (fs.js:581:11)", "at Object.fs.writeFile (fs.js:1155:6)",
+    //   "at Object.fs.appendFile (fs.js:1206:6)"
+    // write and close are the same as the ones of `fs.writeFile`
+  , appendFile: {
+        open: {
+            type: FSReqWrap
+          , frames: [ /at Object\.fs\.open/i ]
+          , within: { depth: 3, rx: /at Object\.fs\.appendFile/i }
+        }
+      , write: { type: FSReqWrap, frames: [ /at Object\.fs\.write /i, /at writeAll/i ] }
+      , close: { type: FSReqWrap, frames: [ /at Object\.fs\.close/i ] }
+    }
+    // open: "at Object.fs.open (fs.js:581:11)", "at ReadStream.open (fs.js:1730:6)", "at new ReadStream (fs.js:1717:10)",
+    //   "at Object.fs.createReadStream (fs.js:1667:10)"
+    // read: "at Object.fs.read (fs.js:608:11)", "at ReadStream._read (fs.js:1778:6)"
+    // close: "at Object.fs.close (fs.js:555:11)", "at close (fs.js:1829:8)", "at ReadStream.close (fs.js:1825:3)"
+  , readStream: {
+        open: { type: FSReqWrap, frames: [ /Object\.fs\.open/i, /ReadStream\.open/i ] }
+      , read: { type: FSReqWrap, frames: [ /Object\.fs\.read/i, /ReadStream\._read/i ] }
+      , close: { type: FSReqWrap, frames: [ /Object\.fs\.close/i, null, /ReadStream\.close/i ] }
+    }
+    // open: "at Object.fs.open (fs.js:581:11)", "at WriteStream.open (fs.js:1893:6)", "at new WriteStream (fs.js:1879:10)",
+    //   "at Object.fs.createWriteStream (fs.js:1841:10)"
+    // write: "at Object.fs.write (fs.js:643:20)", "at WriteStream._write (fs.js:1919:6)"
+    // close: "at Object.fs.close (fs.js:555:11)", "at close (fs.js:1829:8)", "at WriteStream.ReadStream.close (fs.js:1825:3)"
+  , writeStream: {
+        open: { type: FSReqWrap, frames: [ /Object\.fs\.open/i, /WriteStream\.open/i ] }
+      , write: { type: FSReqWrap, frames: [ /Object\.fs\.write/i, /WriteStream\._write/i ] }
+      , close: { type: FSReqWrap, frames: [ /Object\.fs\.close/i, null, /WriteStream\.ReadStream\.close/i ] }
+    }
+    // All steps are issued by user code, the `FileDescriptorProcessor` requires the second frame to
+    // point into it, i.e. "at Object.fs.read (fs.js:608:11)", "at onopen (/app/read-write-fd.js:35:8)"
+  , fileDescriptor: {
+        open: { type: FSReqWrap, frames: [ /at Object\.fs\.open /i ] }
+      , read: { type: FSReqWrap, frames: [ /at Object\.fs\.read /i ] }
+      , write: { type: FSReqWrap, frames: [ /at Object\.fs\.write /i ] }
+      , close: { type: FSReqWrap, frames: [ /at Object\.fs\.close /i ] }
+    }
+    // The following are issued by user code and involve a single resource, i.e. "at Object.fs.stat (fs.js:919:11)".
+    // The `fs.fstat` issued by `fs.readFile` originates in `FSReqWrap.readFileAfterOpen` and thus isn't matched.
+  , stat: { stat: { type: FSReqWrap, frames: [ /at Object\.fs\.([lf]?stat) \(/i ] } }
+  , readdir: { readdir: { type: FSReqWrap, frames: [ /at Object\.fs\.readdir \(/i ] } }
+  , metadata: {
+      mutation: { type: FSReqWrap, frames: [ /at Object\.fs\.(unlink|rename|mkdir|rmdir|symlink) \(/i ] }
+    }
+  , copyFile: { copy: { type: FSReqWrap, frames: [ /at Object\.fs\.copyFile \(/i ] } }
+    // The handles are created inside the watcher constructors:
+    //
+    // watch: "at new FSWatcher (fs.js:1392:18)", "at Object.fs.watch (fs.js:1430:13)"
+    // watchFile: "at new StatWatcher (fs.js:1475:17)", "at Object.fs.watchFile (fs.js:1528:12)"
+  , watch: {
+        watch: { type: FSEventWrap, frames: [ null, /at Object\.fs\.watch \(/i ] }
+      , watchFile: { type: StatWatcher, frames: [ null, /at Object\.fs\.watchFile \(/i ] }
+    }
+  , fileHandle: fileHandleSignatures('internal\\/fs\\/promises\\.js')
+  , lint: { existence: { type: FSReqWrap, frames: [ /at Object\.fs\.(exists|access) \(/i ] } }
+}
+
+/*
+ * Starting with Node.js 10 the functions are defined inside `fs.js` and exported, i.e.
+ * `at Object.open (fs.js:443:15)`, and stream internals moved to `internal/fs/streams.js`.
+ *
+ * Node.js 12 renamed `FSReqWrap` to `FSReqCallback`, Node.js 16 prefixed core modules
+ * with `node:`, i.e. `at Object.open (node:fs:555:15)`.
+ *
+ * File streams are opened via `ReadStream.open` (Node.js 10 and 12), `_openReadFs`
+ * (Node.js 14) or `ReadStream._construct` (Node.js 16+) and closed via `closeFsStream`
+ * (Node.js 10 to 14) or `close` (Node.js 16+), which Node.js 20 wraps inside `_close`.
+ * Node.js 18 writes via `WriteStream.writeAll` instead of `WriteStream._write`.
+ * `fs.exists` checks via `fs.access`, thus its first frame is the one of `fs.access`.
+ */
+function currentSignatures({ reqType, core }) {
+  const fs = core('fs')
+  const fsRx = name => new RegExp(`at Object\\.${name} \\(${fs}:`, 'i')
+  const streamClose = name => ({
+      type: reqType
+    , frames: [ fsRx('close') ]
+    , within: { depth: 4, rx: new RegExp(`at ${name}(\\.ReadStream)?\\._destroy \\(`, 'i') }
+  })
+  return {
+      readFile: {
+          open: { type: reqType, frames: [ fsRx('readFile') ] }
+        , stat: { type: reqType, frames: [ /at FSReq(Wrap|Callback)\.readFileAfterOpen /i ] }
+        , read: { type: reqType, frames: [ /at ReadFileContext\.read /i ] }
+        , close: { type: reqType, frames: [ /at ReadFileContext\.close /i ] }
+      }
+    , writeFile: {
+          open: {
+              type: reqType
+            , frames: [ fsRx('open'), fsRx('writeFile') ]
+            , without: { depth: 3, rx: fsRx('appendFile') }
+          }
+        , write: { type: reqType, frames: [ fsRx('write'), /at writeAll \(/i ] }
+        , close: { type: reqType, frames: [ fsRx('close') ] }
+      }
+    , appendFile: {
+          open: { type: reqType, frames: [ fsRx('open') ], within: { depth: 3, rx: fsRx('appendFile') } }
+        , write: { type: reqType, frames: [ fsRx('write'), /at writeAll \(/i ] }
+        , close: { type: reqType, frames: [ fsRx('close') ] }
+      }
+    , readStream: {
+          open: { type: reqType, frames: [ fsRx('open'), /at (ReadStream\.open|_openReadFs|ReadStream\._construct) \(/i ] }
+        , read: { type: reqType, frames: [ fsRx('read'), /at ReadStream\._read \(/i ] }
+        , close: streamClose('ReadStream')
+      }
+    , writeStream: {
+          open: { type: reqType, frames: [ fsRx('open'), /at (WriteStream\.open|_openWriteFs|WriteStream\._construct) \(/i ] }
+        , write: { type: reqType, frames: [ fsRx('write'), /at WriteStream\.(_write|writeAll) \(/i ] }
+        , close: streamClose('WriteStream')
+      }
+    , fileDescriptor: {
+          open: { type: reqType, frames: [ fsRx('open') ] }
+        , read: { type: reqType, frames: [ fsRx('read') ] }
+        , write: { type: reqType, frames: [ fsRx('write') ] }
+        , close: { type: reqType, frames: [ fsRx('close') ] }
+      }
+    , stat: { stat: { type: reqType, frames: [ fsRx('([lf]?stat)') ] } }
+    , readdir: { readdir: { type: reqType, frames: [ fsRx('readdir') ] } }
+    , metadata: { mutation: { type: reqType, frames: [ fsRx('(unlink|rename|mkdir|rmdir|symlink)') ] } }
+    , copyFile: { copy: { type: reqType, frames: [ fsRx('copyFile') ] } }
+    , watch: {
+          watch: { type: FSEventWrap, frames: [ null, fsRx('watch') ] }
+        , watchFile: { type: StatWatcher, frames: [ null, fsRx('watchFile') ] }
+      }
+    , fileHandle: fileHandleSignatures(core('internal\\/fs\\/promises'))
+    , lint: { existence: { type: reqType, frames: [ fsRx('(exists|access)') ] } }
+  }
+}
+
+const legacyCore = name => `${name}\\.js`
+const prefixedCore = name => `node:${name}`
+
+/**
+ * The registered signatures, each applying to a range of Node.js major versions.
+ *
+ * @name signatures.registry
+ */
+const registry = [
+    { name: 'node8', min: 8, max: 9, signatures: node8 }
+  , { name: 'node10', min: 10, max: 11, signatures: currentSignatures({ reqType: FSReqWrap, core: legacyCore }) }
+  , { name: 'node12', min: 12, max: 15, signatures: currentSignatures({ reqType: FSReqCallback, core: legacyCore }) }
+  , { name: 'node16', min: 16, max: Infinity, signatures: currentSignatures({ reqType: FSReqCallback, core: prefixedCore }) }
+]
+
+function majorOf(nodeVersion) {
+  if (typeof nodeVersion === 'number') return Math.floor(nodeVersion)
+  const match = /^v?(\d+)/.exec(String(nodeVersion))
+  return match == null ? null : parseInt(match[1], 10)
+}
+
+/**
+ * Finds the registry entry for the given Node.js version.
+ *
+ * @name signatures.entryForVersion
+ * @function
+ * @param {String|Number} nodeVersion the Node.js version, i.e. `'v12.22.12'`, `'12'` or `12`
+ * @return {Object} the registry entry or `null` if the version isn't supported
+ */
+function entryForVersion(nodeVersion) {
+  const major = majorOf(nodeVersion)
+  if (major == null) return null
+  for (const entry of registry) {
+    if (major >= entry.min && major <= entry.max) return entry
+  }
+  return null
+}
+
+const node8FrameRx = /at Object\.fs\.\w+ \(fs\.js:/
+const prefixedFrameRx = /\(node:(fs|internal\/fs\/)/
+const legacyFrameRx = /(at Object\.\w+ \(fs\.js:|\(internal\/fs\/)/
+// Node.js 12 closes a `FileHandle` via an arrow function instead of `FileHandle.close` and
+// Node.js 14 captures async stack frames, i.e. `at async Promise.all (index 0)`.
+const node12FrameRx = /^at (close \(internal\/fs\/promises\.js:|async )/
+
+/**
+ * Detects the registry entry that applies to the Node.js version that produced the trace.
+ *
+ * - frames of functions attached to `fs` directly, i.e. `at Object.fs.open (fs.js:581:11)`
+ *   indicate Node.js 8
+ * - frames of core modules prefixed with `node:` indicate Node.js 16+
+ * - `FSREQCALLBACK` resources indicate Node.js 12+, while `FSREQWRAP` resources along with
+ *   frames of exported functions, i.e. `at Object.open (fs.js:423:15)`, indicate Node.js 10
+ * - traces of `fs.promises` only include neither, here a `FileHandle` closed via
+ *   `at close (internal/fs/promises.js:136:26)` or async stack frames indicate Node.js 12+
+ *
+ * @name signatures.detectEntry
+ * @function
+ * @param {Map.<string, Object>} activities a map of async activities hashed by id
+ * @return {Object} the registry entry, the one for Node.js 8 if the trace gives no indication
+ */
+function detectEntry(activities) {
+  let node12 = false
+  let legacyFrames = false
+  for (const activity of activities.values()) {
+    if (activity.type === FSReqCallback) node12 = true
+    const stack = activity.initStack || []
+    for (const frame of stack) {
+      if (node8FrameRx.test(frame)) return entryForVersion(8)
+      if (prefixedFrameRx.test(frame)) return entryForVersion(16)
+      if (legacyFrameRx.test(frame)) legacyFrames = true
+      if (node12FrameRx.test(frame)) node12 = true
+    }
+  }
+  if (node12) return entryForVersion(12)
+  if (legacyFrames) return entryForVersion(10)
+  return entryForVersion(8)
+}
+
+/**
+ * Resolves the signatures the processors use to identify the steps of operations.
+ *
+ * @name signatures.signaturesFor
+ * @function
+ * @param {Object} $0
+ * @param {Map.<string, Object>} $0.activities a map of async activities hashed by id, used to
+ * detect the Node.js version if none is provided
+ * @param {String|Number} [$0.nodeVersion] the Node.js version that produced the trace
+ * @return {Object} the signatures of all processors
+ */
+function signaturesFor({ activities, nodeVersion }) {
+  if (nodeVersion == null) return detectEntry(activities).signatures
+  const entry = entryForVersion(nodeVersion)
+  if (entry == null) throw new Error(`No signatures registered for Node.js version ${nodeVersion}`)
+  return entry.signatures
+}
+
+/**
+ * Determines if an activity matches the given step signature.
+ *
+ * @name signatures.matchesSignature
+ * @function
+ * @param {Object} activity the activity to check
+ * @param {Object|Array.<Object>} signature the step signature or an Array of alternatives
+ * @return {Boolean} `true` if the activity matches the signature
+ */
+function matchesSignature(activity, signature) {
+  if (Array.isArray(signature)) return signature.some(x => matchesSignature(activity, x))
+  if (activity.type !== signature.type) return false
+
+  const stack = activity.initStack || []
+  const frames = signature.frames || []
+  if (stack.length < frames.length) return false
+  for (let i = 0; i < frames.length; i++) {
+    if (frames[i] != null && !frames[i].test(stack[i])) return false
+  }
+
+  const { within, without } = signature
+  if (within != null && !stack.slice(0, within.depth).some(x => within.rx.test(x))) return false
+  if (without != null && stack.slice(0, without.depth).some(x => without.rx.test(x))) return false
+  return true
+}
+
+module.exports = {
+    registry
+  , entryForVersion
+  , detectEntry
+  , signaturesFor
+  , matchesSignature
+}
@@ -0,0 +1,152 @@
+const {
+    lifeCycle
+  , safeGetVal
+  , uniqueUserFunctions
+  , mergeUserFunctions
+} = require('ah-processor.utils')
+const {
+    firstUserFrame
+  , callbackArguments
+  , resourcePath
+  , separateUserFunctions
+  , errorCode
+  , missingSteps
+  , operationStatus
+  , stepLatency
+} = require('./utils')
+
+// see `man 2 stat`
+const S_IFMT = 0o170000
+const S_IFREG = 0o100000
+
+class StatOperation {
+  /**
+   * Processes a group of async activities that represent a fs stat operation.
+   * It is used by the [StatProcessor](#statprocessor) as part of `process`.
+   *
+   * One operation step is derived from the group, providing information
+   * about the operation in question.
+   *
+   * The step is processed into an operation in the private method `_processStat`
+   * which is documented below for information's sake, it should not be called directly,
+   * nor should you have a need to directly instantiate a `StatOperation` in the first place.
+   *
+   * @name StatOperation
+   * @constructor
+   * @param {Map.<Number, Set.<Number>>} group the ids of the activities that were part of the operation
+   * @param {Boolean} [includeActivities = false] if `true` the activities are attached to
+   * each operation step
+   */
+  constructor({ group, includeActivities = false }) {
+    this._includeActivities = includeActivities
+    this._process(group)
+  }
+
+  _process(group) {
+    this._error = null
+    for (let i = 0; i < group.length; i++) {
+      const info = group[i]
+      if (info.isstat) this._processStat(info)
+    }
+    this._missing = missingSteps({ stat: this._stat != null })
+  }
+
+  /**
+   * The stat resource is the only resource involved in the operation and thus provides
+   * all information:
+   *
+   * 1. the init and destroy timestamps tell us about the life cycle of the operation
+   * 2. the first user frame of the init stack tells us where the stat function was called
+   * 3. the arguments passed to the callback include the stats of the file or the error,
+   *    which includes the path of the file in question
+   *
+   * @name statOperation._processStat
+   * @function
+   * @param {Object} info information about the stat step, pre-processed by the `StatProcessor`.
+   */
+  _processStat(info) {
+    const activity = info.activity
+    if (activity == null) return
+
+    // Sample init stack:
+    // "at Object.fs.stat (fs.js:919:11)",
+    // "at Test.<anonymous> (/Volumes/d/dev/js/async-hooks/ah-fs/test/stat-one-file.js:31:6)"
+    this._lifeCycle = lifeCycle(activity)
+    this._error = errorCode([ activity ])
+    this._createdAt = firstUserFrame(activity.initStack)
+    this._method = info.method
+    this._path = resourcePath(activity)
+
+    const args = callbackArguments(activity)
+    this._stats = args == null ? null : this._statsFrom(args['1'])
+
+    const functions = (activity.resource && activity.resource.functions) || []
+    this._stat = {
+        id: activity.id
+      , triggerId: activity.triggerId
+      , latency: stepLatency(activity)
+      , userFunctions: uniqueUserFunctions(functions, { pathPrefix: 'stat.resource' })
+    }
+    if (this._includeActivities) this._stat.activity = activity
+  }
+
+  _statsFrom(stats) {
+    if (stats == null || typeof stats !== 'object') return null
+    const size = stats.size
+    const mtime = stats.mtimeMs != null ? stats.mtimeMs : safeGetVal(stats.mtime)
+    const isFile = stats.mode == null ? null : (stats.mode & S_IFMT) === S_IFREG
+    return { size, mtime, isFile }
+  }
+
+  /**
+   * Returns the summary of processing the group into an operation.
+   *
+   * The summary of all operations has a very similar structure, but includes some properties that are specific to this
+   * particular operation.
+   *
+   * The general properties `lifeCycle` and `createdAt` are documented as part of
+   * the `ReadFileProcessor`.
+   * Therefore learn more [here](#general-operation-properties).
+   *
+   * ## Properties Specific to `fs.stat`
+   *
+   * - **method**: the function that was called, `fs.stat`, `fs.lstat` or `fs.fstat`
+   * - **path**: the path of the file, only available if it was captured or the stat failed
+   * - **stat**: see `statOperation._processStat`
+   * - **stats**: the `size`, `mtime` and `isFile` of the file
+   *
+   * @name statOperation.summary
+   * @function
+   * @param {Object} $0 options
+   * @param {Boolean} [$0.separateFunctions = true] when `true` the user functions are separated out
+   * from the specific operations and attached as a `userFunctions` array directly to the returned
+   * result
+   *
+   * @param {Boolean} [$0.mergeFunctions = true] if `true` when a duplicate function is found in the
+   * separated functions Array, they are merged into one while preserving all information
+   * from both version. Note that this setting only activates if `separateFunctions` is `true` as well.
+   *
+   * @return {Object} all important information about the current operation
+   */
+  summary({ separateFunctions = true, mergeFunctions = true } = {}) {
+    const info = {
+        lifeCycle : this._lifeCycle
+      , createdAt : this._createdAt
+      , status    : operationStatus({ missing: this._missing, error: this._error })
+      , missing   : this._missing
+      , error     : this._error
+      , method    : this._method
+      , path      : this._path
+      , stat      : this._stat
+      , stats     : this._stats
+    }
+
+    if (!separateFunctions) return info
+    const separated = separateUserFunctions(info)
+
+    if (!mergeFunctions) return separated
+    return mergeUserFunctions(separated)
+  }
+}
+
+module.exports = StatOperation
@@ -0,0 +1,177 @@
+const { signaturesFor } = require('./signatures')
+const ActivityIndex = require('./activity-index')
+const StatOperation = require('./stat.operation')
+
+class StatProcessor {
+  /**
+   * Instantiates an fs.stat data processor to process data collected via
+   * [nodesource/ah-fs](https://github.com/nodesource/ah-fs).
+   *
+   * Handles `fs.stat`, `fs.lstat` and `fs.fstat` calls that were issued directly
+   * by user code.
+   *
+   * @name StatProcessor
+   * @constructor
+   * @param {Object} $0
+   * @param {Map.<string, Object>} {$0.activities} a map of async activities hashed by id
+   * @param {boolean} [includeActivities=false] if `true` the actual activities are appended to the output
+   * @param {Boolean} [$0.separateFunctions = true] when `true` the user functions are separated out
+   * from the specific resources and attached as a `userFunctions` array directly to the returned
+   * operations
+   * @param {String|Number} [$0.nodeVersion] the Node.js version that produced the activities, i.e. `'v12.22.12'`,
+   * it determines how the steps are identified and is detected from the activities if not provided
+   * @param {ActivityIndex} [$0.index] the index of the activities, shared by all processors that process
+   * the same activities and created from the activities if not provided
+   */
+  constructor({ activities, includeActivities = false, separateFunctions = true, nodeVersion, index }) {
+    this._signatures = signaturesFor({ activities, nodeVersion }).stat
+    this._index = index || new ActivityIndex({ activities })
+    this._activities = this._index.activities
+    this._includeActivities = includeActivities
+    this._separateFunctions = separateFunctions
+    this._clear()
+  }
+
+  /**
+   * Processes the supplied async activities and splits them into
+   * groups, and operations each representing a stat call, i.e. `fs.stat`.
+   *
+   * ## Groups
+   *
+   * The returned value has a `groups` property which just lists the ids
+   * of async resources that were grouped together to form an operation
+   * indexed by the id of the stat resource.
+   * Since a stat call only involves one resource each group has exactly one member.
+   * If no stat call was encountered the groups are empty.
+   *
+   * ## Operations
+   *
+   * Additionally an `operations` property is included as well. Each operation
+   * represents one full `fs.stat`, `fs.lstat` or `fs.fstat` execution.
+   * There will be one operation per group and they are indexed by the
+   * stat resource `id` as well.
+   *
+   * An `operation` has the following properties:
+   *
+   * ### `fs.stat` specific Operation Properties
+   *
+   *  - **method**: the stat function that was called, i.e. `fs.lstat`
+   *  - **path**: the path of the file whose stats were requested if it could be determined
+   *  - **stat**: contains data about the stat resource, by default only `id` and `triggerId`
+   *  - **stats**: the `size`, `mtime` and `isFile` information pulled from the
+   *    stats the user callback was invoked with, `null` if they weren't captured
+   *
+   * ### General Operation Properties
+   *
+   * - [see ReadFileProcessor.process](https://nodesource.github.io/ah-fs.processor/#general-operation-properties)
+   *
+   * ## Sample Return Value
+   *
+   * The sample return value was created with default options.
+   *
+   * ```js
+   * { groups: Map { 10 => Set { 10 } },
+   *   operations:
+   *    Map {
+   *      10 => { lifeCycle:
+   *        { created: { ms: '24.12ms', ns: 24120000 },
+   *          destroyed: { ms: '26.01ms', ns: 26010000 },
+   *          timeAlive: { ms: '1.89ms', ns: 1890000 } },
+   *      createdAt: 'at Test.<anonymous> (/Volumes/d/dev/js/async-hooks/ah-fs/test/stat-one-file.js:31:6)',
+   *      status: 'complete',
+   *      missing: [],
+   *      error: null,
+   *      method: 'fs.stat',
+   *      path: null,
+   *      stat: { id: 10, triggerId: 1 },
+   *      stats: { size: 1042, mtime: 1508995452000, isFile: true },
+   *      userFunctions:
+   *       [ { file: '/Volumes/d/dev/js/async-hooks/ah-fs/test/stat-one-file.js',
+   *           line: 33,
+   *           column: 17,
+   *           inferredName: '',
+   *           name: 'onstat',
+   *           location: 'onstat (/Volumes/d/dev/js/async-hooks/ah-fs/test/stat-one-file.js:33:17)',
+   *           args: { '0': null, '1': { size: 1042, mode: 33188, .. }, proto: 'Object' },
+   *           propertyPaths: [ 'stat.resource.oncomplete' ] } ] } } }
+   * ```
+   *
+   * @name statProcessor.process
+   * @return {Object} information about stat operations with the
+   * structure outlined above
+   */
+  process() {
+    this._clear()
+
+    this._findStatIds()
+
+    this._separateIntoGroups()
+    this._addOperations()
+
+    return { groups: this._groups, operations: this._operations }
+  }
+
+  _clear() {
+    this._statIds = new Set()
+    this._groups = new Map()
+    this._operations = new Map()
+  }
+
+  _findStatIds() {
+    for (const a of this._index.matching(this._signatures.stat)) this._statIds.add(a.id)
+  }
+
+  _separateIntoGroups() {
+    for (const statId of this._statIds) {
+      this._groups.set(statId, new Set([ statId ]))
+    }
+  }
+
+  _addOperations() {
+    for (const [ id, group ] of this._groups) this._addOperation(id, group)
+  }
+
+  _addOperation(id, group) {
+    const info = this._resolveGroup(group)
+    const op = new StatOperation({
+        group: info
+      , includeActivities: this._includeActivities
+    })
+    this._operations.set(id, op.summary({ separateFunctions: this._separateFunctions }))
+  }
+
+  _resolveGroup(group) {
+    const groupInfo = []
+    for (const id of group) {
+      const activity = this._activities.get(id)
+      const isstat = this._statIds.has(id)
+      const method = isstat ? 'fs.' + this._signatures.stat.frames[0].exec(activity.initStack[0])[1] : null
+      const info = { activity, isstat, method }
+      groupInfo.push(info)
+    }
+    return groupInfo
+  }
+}
+
+exports = module.exports = StatProcessor
+
+/**
+ * The minimum number of steps, represented as an async resource each,
+ * involved to execute `fs.stat`.
+ *
+ * This can be used by higher level processors to group
+ * activities looking for larger operations first and then
+ * operations involving less steps.
+ *
+ * Steps are: stat
+ *
+ * @name StatProcessor.operationSteps
+ */
+exports.operationSteps = 1
+
+/**
+ * Description of the operation: 'fs.stat'.
+ *
+ * @name StatProcessor.operation
+ */
+exports.operation = 'fs.stat'
@@ -0,0 +1,358 @@
+const { prettyNs } = require('ah-processor.utils')
+const { firstUserFrame } = require('./utils')
+
+// Types of async resources that represent an fs request which is performed
+// on the libuv threadpool, the names changed with Node.js 10.
+const threadpoolTypes = new Set([
+    'FSREQWRAP'
+  , 'FSREQCALLBACK'
+  , 'FSREQPROMISE'
+])
+
+// libuv's default for UV_THREADPOOL_SIZE
+const defaultPoolSize = 4
+
+function latestStamp(activities) {
+  let latest = 0
+  for (const a of activities.values()) {
+    for (const k of [ 'init', 'before', 'after', 'destroy' ]) {
+      const stamps = a[k]
+      if (stamps == null || stamps.length === 0) continue
+      latest = Math.max(latest, stamps[stamps.length - 1])
+    }
+  }
+  return latest
+}
+
+// A request is outstanding from the moment it is initialized until its callback
+// is invoked. If it never completed it is outstanding until the end of the trace.
+function outstandingRequests(activities) {
+  const end = latestStamp(activities)
+  const requests = []
+  for (const a of activities.values()) {
+    if (!threadpoolTypes.has(a.type)) continue
+    if (a.init == null || a.init.length === 0) continue
+    const start = a.init[0]
+    const done = a.before != null && a.before.length > 0 ? a.before[0]
+      : a.destroy != null && a.destroy.length > 0 ? a.destroy[0]
+      : end
+    requests.push({ id: a.id, start, done })
+  }
+  return requests
+}
+
+function byTimeCompletionsFirst(a, b) {
+  if (a.time !== b.time) return a.time - b.time
+  return a.delta - b.delta
+}
+
+function operationsByKey(operations) {
+  const map = new Map()
+  for (const op of operations) map.set(`${op.name}:${op.rootId}`, op)
+  return map
+}
+
+function attributeRequest(id, { activities, ownership, operations }) {
+  const owners = ownership.get(id)
+  if (owners != null && owners.length > 0) {
+    const { name, rootId } = owners[0]
+    const op = operations.get(`${name}:${rootId}`)
+    const createdAt = op != null && op.operation.createdAt != null
+      ? op.operation.createdAt
+      : firstUserFrame(activities.get(id).initStack)
+    return { id, name, rootId, createdAt }
+  }
+  return { id, name: null, rootId: null, createdAt: firstUserFrame(activities.get(id).initStack) }
+}
+
+function groupByCallSite(queued) {
+  const callSites = new Map()
+  for (const { id, name, rootId, createdAt } of queued) {
+    const key = `${name}\n${createdAt}`
+    if (!callSites.has(key)) {
+      callSites.set(key, { name, createdAt, count: 0, rootIds: [], ids: [] })
+    }
+    const callSite = callSites.get(key)
+    callSite.count++
+    if (rootId != null && !callSite.rootIds.includes(rootId)) callSite.rootIds.push(rootId)
+    callSite.ids.push(id)
+  }
+  return Array.from(callSites.values()).sort((a, b) => b.count - a.count)
+}
+
+/**
+ * Analyzes how the fs requests kept the libuv threadpool busy.
+ *
+ * Each `FSREQWRAP` (`FSREQCALLBACK` and `FSREQPROMISE` since Node.js 10) is performed
+ * on the threadpool and is considered outstanding from its `init` until its callback
+ * is invoked, or until the end of the trace if it never completed.
+ * Whenever more than `poolSize` requests are outstanding the pool is saturated and the
+ * requests that were issued last have to wait in libuv's queue until a thread frees up.
+ *
+ * The queued requests are attributed to the operations that own them via the `ownership`
+ * and grouped by the operation `name` and its `createdAt` call site.
+ * Requests that no operation owns are grouped by the first user frame of their init stack.
+ *
+ * @name threadpoolSaturation
+ * @function
+ * @param {Object} $0
+ * @param {Map.<string, Object>} $0.activities a map of async activities hashed by id
+ * @param {Array.<Object>} $0.operations the operations returned by `processFileSystem`
+ * @param {Map.<Number, Array.<Object>>} $0.ownership the owners of all claimed activity ids
+ * returned by `processFileSystem`
+ * @param {Number} [$0.poolSize=4] the `UV_THREADPOOL_SIZE` of the traced process
+ *
+ * @return {Object} with the following properties
+ *
+ * - **poolSize**: the pool size the analysis was performed with
+ * - **maxInFlight**: the maximum number of requests that were outstanding at the same time
+ * - **timeline**: Array of `{ time, inFlight }`, one for each point in time at which the
+ *   number of outstanding requests changed, the `time` in `{ ms, ns }`
+ * - **saturated**: Array of the intervals during which the pool was saturated, each with its
+ *   `start`, `end` and `duration`, the `maxInFlight` during the interval and the `queued`
+ *   requests, each with their `id` and the `name`, `rootId` and `createdAt` of the operation
+ *   they were part of
+ * - **callSites**: Array of the queued requests grouped by operation `name` and `createdAt`,
+ *   each with the number of queued requests as `count`, the `rootIds` of the operations and
+ *   the `ids` of the requests, the most frequent first
+ */
+function threadpoolSaturation({ activities, operations, ownership, poolSize = defaultPoolSize }) {
+  const events = []
+  for (const { id, start, done } of outstandingRequests(activities)) {
+    events.push({ id, time: start, delta: 1 })
+    events.push({ id, time: done, delta: -1 })
+  }
+  events.sort(byTimeCompletionsFirst)
+
+  const ctx = { activities, ownership, operations: operationsByKey(operations) }
+  const timeline = []
+  const saturated = []
+  const queued = []
+  let inFlight = 0
+  let maxInFlight = 0
+  let interval = null
+  for (const { id, time, delta } of events) {
+    inFlight += delta
+    maxInFlight = Math.max(maxInFlight, inFlight)
+
+    const last = timeline[timeline.length - 1]
+    if (last != null && last.time.ns === time) last.inFlight = inFlight
+    else timeline.push({ time: prettyNs(time), inFlight })
+
+    // libuv processes its queue in order, so a request that finds all threads busy
+    // when it is issued waits until one of the earlier requests completes
+    if (delta > 0 && inFlight > poolSize) {
+      if (interval == null) {
+        interval = { start: time, maxInFlight: inFlight, queued: [] }
+      }
+      interval.maxInFlight = Math.max(interval.maxInFlight, inFlight)
+      const request = attributeRequest(id, ctx)
+      interval.queued.push(request)
+      queued.push(request)
+    } else if (interval != null && inFlight <= poolSize) {
+      saturated.push({
+          start: prettyNs(interval.start)
+        , end: prettyNs(time)
+        , duration: prettyNs(time - interval.start)
+        , maxInFlight: interval.maxInFlight
+        , queued: interval.queued
+      })
+      interval = null
+    }
+  }
+
+  return {
+      poolSize
+    , maxInFlight
+    , timeline
+    , saturated
+    , callSites: groupByCallSite(queued)
+  }
+}
+
+// Replays the requests in the order they were issued through a pool of `poolSize` threads,
+// the time a request spent on a thread is what remains of its recorded init to callback
+// span after subtracting the time it had to wait for a thread.
+function serviceTimes(requests, poolSize) {
+  const threads = new Array(poolSize).fill(0)
+  const services = new Map()
+  for (const { id, start, done } of requests) {
+    const thread = threads.indexOf(Math.min(...threads))
+    const started = Math.max(start, threads[thread])
+    threads[thread] = Math.max(started, done)
+    services.set(id, Math.max(0, done - started))
+  }
+  return services
+}
+
+// The closest ancestor of each request that is a request itself, the request
+// whose callback issued it, possibly via other resources like a TickObject.
+function issuingRequests(activities, requestIds) {
+  const issuers = new Map()
+  for (const id of requestIds) {
+    let triggerId = activities.get(id).triggerId
+    while (activities.has(triggerId) && !requestIds.has(triggerId)) {
+      triggerId = activities.get(triggerId).triggerId
+    }
+    issuers.set(id, requestIds.has(triggerId) ? triggerId : null)
+  }
+  return issuers
+}
+
+function shiftOf(id, { activities, shifts }) {
+  while (activities.has(id)) {
+    if (shifts.has(id)) return shifts.get(id)
+    id = activities.get(id).triggerId
+  }
+  return 0
+}
+
+function activitySpan(ids, activities, shifts) {
+  let created = Infinity
+  let destroyed = -Infinity
+  for (const id of ids) {
+    const a = activities.get(id)
+    if (a == null || a.init == null || a.init.length === 0) continue
+    // a request is issued when its parent completed, but what happens after its
+    // own callback is moved by the time its callback was moved
+    const issued = shiftOf(a.triggerId, { activities, shifts })
+    const completed = shiftOf(id, { activities, shifts })
+    created = Math.min(created, a.init[0] + issued)
+    const last = Math.max(...[ 'init', 'before', 'after', 'destroy' ]
+      .map(k => a[k] == null || a[k].length === 0 ? -Infinity : a[k][a[k].length - 1]))
+    destroyed = Math.max(destroyed, last + completed)
+  }
+  return created === Infinity ? null : Math.max(0, destroyed - created)
+}
+
+function idsByOwner(ownership) {
+  const ids = new Map()
+  for (const [ id, owners ] of ownership) {
+    for (const { name, rootId } of owners) {
+      const key = `${name}:${rootId}`
+      if (!ids.has(key)) ids.set(key, [])
+      ids.get(key).push(id)
+    }
+  }
+  return ids
+}
+
+/**
+ * Estimates how the `timeAlive` of each operation would change if the traced process
+ * had run with a threadpool of a different size.
+ *
+ * First the recorded requests are replayed through a pool of `recordedPoolSize` threads
+ * in the order they were issued to separate the time each request waited for a thread
+ * from the time it was processed.
+ * Then they are replayed through a pool of `poolSize` threads, where a request is issued
+ * once the callback of the request that issued it ran, keeping the same delay in between,
+ * and is processed once a thread is free, taking the same time as before.
+ * Requests that were issued from user code outside any fs callback keep their timestamp.
+ *
+ * Every activity is moved by the time the callback of the request it depends on was moved,
+ * which yields the simulated `timeAlive` of the activities each operation owns.
+ * Operations that own no activities, like the ones derived by the `CopyFileProcessor`,
+ * aren't included.
+ *
+ * The model ignores everything but the threadpool, i.e. a busy event loop or disk, thus
+ * the results are estimates that show the trend rather than exact timings.
+ *
+ * @name simulateThreadpool
+ * @function
+ * @param {Object} $0
+ * @param {Map.<string, Object>} $0.activities a map of async activities hashed by id
+ * @param {Array.<Object>} $0.operations the operations returned by `processFileSystem`
+ * @param {Map.<Number, Array.<Object>>} $0.ownership the owners of all claimed activity ids
+ * returned by `processFileSystem`
+ * @param {Number} $0.poolSize the `UV_THREADPOOL_SIZE` to simulate
+ * @param {Number} [$0.recordedPoolSize=4] the `UV_THREADPOOL_SIZE` of the traced process
+ *
+ * @return {Object} with the following properties
+ *
+ * - **poolSize**: the simulated pool size
+ * - **recordedPoolSize**: the pool size of the traced process
+ * - **operations**: Array with the `name`, `rootId` and `createdAt` of each operation, its
+ *   recorded `timeAlive`, the `simulated` `timeAlive` and the `change` between the two,
+ *   negative if the operation would have finished faster, each in `{ ms, ns }`
+ * - **total**: the recorded `timeAlive`, `simulated` `timeAlive` and `change` of all activities
+ *   the operations own
+ */
+function simulateThreadpool({
+    activities
+  , operations
+  , ownership
+  , poolSize
+  , recordedPoolSize = defaultPoolSize
+}) {
+  if (!(poolSize >= 1)) throw new Error(`Cannot simulate a threadpool of size ${poolSize}`)
+  const requests = outstandingRequests(activities).sort((a, b) => a.start - b.start)
+  const services = serviceTimes(requests, recordedPoolSize)
+  const issuers = issuingRequests(activities, new Set(requests.map(x => x.id)))
+
+  const issued = new Map()
+  for (const request of requests) {
+    const issuer = issuers.get(request.id)
+    if (!issued.has(issuer)) issued.set(issuer, [])
+    issued.get(issuer).push(request)
+  }
+
+  // a request becomes ready once the request that issued it completed, until then its
+  // simulated timestamp isn't known, since the pool processes the ready requests in the
+  // order they are issued a request issued later never has to be replayed before it
+  const shifts = new Map()
+  const threads = new Array(poolSize).fill(-Infinity)
+  const ready = (issued.get(null) || []).map(request => ({ request, start: request.start }))
+  while (ready.length > 0) {
+    let next = 0
+    for (let i = 1; i < ready.length; i++) {
+      if (ready[i].start < ready[next].start) next = i
+    }
+    const { request, start } = ready.splice(next, 1)[0]
+    const thread = threads.indexOf(Math.min(...threads))
+    const done = Math.max(start, threads[thread]) + services.get(request.id)
+    threads[thread] = done
+
+    const shift = done - request.done
+    shifts.set(request.id, shift)
+    for (const child of issued.get(request.id) || []) {
+      ready.push({ request: child, start: child.start + shift })
+    }
+  }
+
+  const owned = idsByOwner(ownership)
+  const results = []
+  const all = new Set()
+  for (const { name, rootId, operation } of operations) {
+    const ids = owned.get(`${name}:${rootId}`)
+    if (ids == null) continue
+    for (const id of ids) all.add(id)
+    const recorded = activitySpan(ids, activities, new Map())
+    const simulated = activitySpan(ids, activities, shifts)
+    results.push({
+        name
+      , rootId
+      , createdAt : operation.createdAt
+      , timeAlive : prettyNs(recorded)
+      , simulated : prettyNs(simulated)
+      , change    : prettyNs(simulated - recorded)
+    })
+  }
+
+  const recorded = activitySpan(all, activities, new Map()) || 0
+  const simulated = activitySpan(all, activities, shifts) || 0
+  return {
+      poolSize
+    , recordedPoolSize
+    , operations: results
+    , total: {
+        timeAlive : prettyNs(recorded)
+      , simulated : prettyNs(simulated)
+      , change    : prettyNs(simulated - recorded)
+    }
+  }
+}
+
+module.exports = {
+    threadpoolSaturation
+  , simulateThreadpool
+}
@@ -0,0 +1,171 @@
+// Chrome Trace Event Format, see https://docs.google.com/document/d/1CvAClvFfyA5R-PhYUmn5OOQtYMH4h6I0nSsKchNAySU
+const { firstStamp, lastStamp, operationPath } = require('./utils')
+
+const category = 'fs'
+const unknownPath = '(unknown path)'
+
+function byType({ name }) {
+  return name
+}
+
+function byFile({ operation }) {
+  return operationPath(operation) || unknownPath
+}
+
+const groupers = { type: byType, file: byFile }
+
+function micros(ns) {
+  return ns / 1E3
+}
+
+// Steps are the properties of an operation that describe one of its async resources,
+// each has an `id` and `triggerId`, those holding multiple steps, i.e. `reads`, are
+// named after a single one of them.
+function operationSteps(operation) {
+  const steps = []
+  function isStep(x) {
+    return x != null && typeof x === 'object' && x.id != null && x.triggerId !== undefined
+  }
+  for (const [ key, val ] of Object.entries(operation)) {
+    if (isStep(val)) {
+      steps.push({ name: key, step: val })
+    } else if (Array.isArray(val)) {
+      const name = key.replace(/s$/, '')
+      for (const x of val) if (isStep(x)) steps.push({ name, step: x })
+    }
+  }
+  return steps
+}
+
+// A step is shown from the moment its resource was initialized until its callback
+// is invoked, i.e. for requests while they are queued and processed on the threadpool.
+// Since the next step of an operation is initialized inside that callback the slices of
+// one operation never overlap.
+function stepSpan(activity) {
+  const start = firstStamp(activity.init)
+  if (start == null) return null
+  let end = firstStamp(activity.before)
+  if (end == null) end = lastStamp(activity.destroy)
+  if (end == null) end = start
+  return { start, end: Math.max(start, end) }
+}
+
+function latencyArgs(latency) {
+  if (latency == null) return {}
+  const args = {}
+  for (const k of Object.keys(latency)) args[k] = latency[k] == null ? null : latency[k].ms
+  return args
+}
+
+/**
+ * Converts the operations found by `processFileSystem` into the
+ * [Chrome Trace Event Format](https://docs.google.com/document/d/1CvAClvFfyA5R-PhYUmn5OOQtYMH4h6I0nSsKchNAySU)
+ * in order to show them on a timeline via `chrome://tracing` or the
+ * [Perfetto UI](https://ui.perfetto.dev).
+ *
+ * The operations are grouped into one process per operation type, i.e. `fs.readFile`, or
+ * per file and each operation is shown on its own thread within that process.
+ *
+ * Each operation is a slice spanning its `lifeCycle` with one nested slice per step, i.e.
+ * `open`, `stat`, `read`, `close` or a stream `tick`, that lasts from the moment the step's
+ * resource was initialized until its callback was invoked.
+ * Flow arrows connect each step to the steps it triggered, following the `triggerId`s.
+ *
+ * @name traceEvents
+ * @function
+ * @param {Object} $0
+ * @param {Map.<string, Object>} $0.activities a map of async activities hashed by id
+ * @param {Array.<Object>} $0.operations the operations returned by `processFileSystem`
+ * @param {String} [$0.groupBy='type'] either `'type'` to show one process per operation type
+ * or `'file'` to show one process per file the operations accessed
+ * @return {Object} the trace with `traceEvents` and `displayTimeUnit` that can be written
+ * as JSON and loaded into `chrome://tracing` or Perfetto as is
+ */
+function traceEvents({ activities, operations, groupBy = 'type' }) {
+  const grouper = groupers[groupBy]
+  if (grouper == null) throw new Error(`Cannot group trace events by ${groupBy}, use 'type' or 'file'`)
+
+  const events = []
+  const pids = new Map()
+  // the thread and end of the slice of each step by id, to draw the flow arrows
+  const slices = new Map()
+  const stepEvents = []
+
+  let tid = 0
+  for (const op of operations) {
+    const group = grouper(op)
+    if (!pids.has(group)) {
+      pids.set(group, pids.size + 1)
+      events.push({ name: 'process_name', ph: 'M', pid: pids.get(group), args: { name: group } })
+    }
+    const pid = pids.get(group)
+    tid++
+    events.push({ name: 'thread_name', ph: 'M', pid, tid, args: { name: `${op.name} ${op.rootId}` } })
+
+    const { lifeCycle, createdAt, status } = op.operation
+    if (lifeCycle != null && lifeCycle.created != null && lifeCycle.timeAlive != null) {
+      events.push({
+          name : op.name
+        , cat  : category
+        , ph   : 'X'
+        , ts   : micros(lifeCycle.created.ns)
+        , dur  : micros(lifeCycle.timeAlive.ns)
+        , pid
+        , tid
+        , args : { rootId: op.rootId, createdAt, status: status || null }
+      })
+    }
+
+    for (const { name, step } of operationSteps(op.operation)) {
+      const activity = activities.get(step.id)
+      if (activity == null) continue
+      const span = stepSpan(activity)
+      if (span == null) continue
+      const event = {
+          name
+        , cat  : category
+        , ph   : 'X'
+        , ts   : micros(span.start)
+        , dur  : micros(span.end - span.start)
+        , pid
+        , tid
+        , args : Object.assign({ id: step.id, triggerId: step.triggerId }, latencyArgs(step.latency))
+      }
+      events.push(event)
+      stepEvents.push(event)
+      if (!slices.has(step.id)) slices.set(step.id, { pid, tid, end: span.end })
+    }
+  }
+
+  // a flow starts where the callback of the triggering step is invoked and
+  // binds to the enclosing slice of the triggered step when it was initialized
+  let flowId = 0
+  for (const event of stepEvents) {
+    const trigger = slices.get(event.args.triggerId)
+    if (trigger == null) continue
+    flowId++
+    events.push({
+        name : 'triggered'
+      , cat  : category
+      , ph   : 's'
+      , id   : flowId
+      , ts   : micros(trigger.end)
+      , pid  : trigger.pid
+      , tid  : trigger.tid
+    })
+    events.push({
+        name : 'triggered'
+      , cat  : category
+      , ph   : 'f'
+      , bp   : 'e'
+      , id   : flowId
+      , ts   : event.ts
+      , pid  : event.pid
+      , tid  : event.tid
+    })
+  }
+
+  return { traceEvents: events, displayTimeUnit: 'ms' }
+}
+
+module.exports = traceEvents
@@ -0,0 +1,72 @@
+const { streamArg } = require('./utils')
+
+// Types of async resources that are created by the fs module.
+const fsTypes = new Set([
+    'FSREQWRAP'
+  , 'FSREQCALLBACK'
+  , 'FSREQPROMISE'
+  , 'FILEHANDLE'
+  , 'FILEHANDLECLOSEREQ'
+  , 'FSEVENTWRAP'
+  , 'STATWATCHER'
+])
+
+// TickObjects are used all over core, we only consider the ones that were
+// scheduled by a file stream, i.e. to emit 'open' or to continue reading.
+const TickObject = 'TickObject'
+const fsStreams = new Set([ 'ReadStream', 'WriteStream' ])
+
+// The first frames are enough to tell which core function created the activity and
+// where it was called from, later frames mostly differ by the test runner or framework.
+const signatureFrames = 2
+
+function isFileStreamTick(activity) {
+  if (activity.type !== TickObject) return false
+  for (const proto of fsStreams) {
+    if (streamArg(activity, proto) != null) return true
+  }
+  return false
+}
+
+function isFileSystemActivity(activity) {
+  return fsTypes.has(activity.type) || isFileStreamTick(activity)
+}
+
+/**
+ * Finds the fs related activities that weren't claimed by any operation
+ * and groups them by their stack signature, which is made up of their type and
+ * the first frames of their init stack.
+ *
+ * This reveals where the coverage of the processors is lacking, i.e. an fs function
+ * for which no processor exists yet, or a Node.js version whose stacks aren't recognized.
+ *
+ * Activities of the types created by the fs module are considered, i.e. `FSREQWRAP`,
+ * as well as `TickObject`s that were scheduled by a file stream.
+ *
+ * @name unattributedActivities
+ * @function
+ * @param {Object} $0
+ * @param {Map.<string, Object>} $0.activities a map of async activities hashed by id
+ * @param {Map.<Number, Array.<Object>>} $0.ownership the owners of all claimed activity ids
+ * @return {Array.<Object>} one entry per signature with the `type`, the `frames`, the number
+ * of activities as `count` and their `ids`, ordered by `count`, most frequent first
+ */
+function unattributedActivities({ activities, ownership }) {
+  const signatures = new Map()
+  for (const activity of activities.values()) {
+    if (ownership.has(activity.id)) continue
+    if (!isFileSystemActivity(activity)) continue
+
+    const frames = (activity.initStack || []).slice(0, signatureFrames)
+    const key = [ activity.type ].concat(frames).join('\n')
+    if (!signatures.has(key)) {
+      signatures.set(key, { type: activity.type, frames, count: 0, ids: [] })
+    }
+    const signature = signatures.get(key)
+    signature.count++
+    signature.ids.push(activity.id)
+  }
+  return Array.from(signatures.values()).sort((a, b) => b.count - a.count)
+}
+
+module.exports = unattributedActivities
@@ -0,0 +1,527 @@
+const { safeGetVal, prettyNs } = require('ah-processor.utils')
+
+// Frames of core modules only include the file name, i.e. `(fs.js:295:11)`, `at fs.js:1131:14`
+// or `(node:fs:1131:14)`, while user frames include the absolute path to the file, i.e.
+// `(/app/index.js:1:1)`, on Windows `(C:\app\index.js:1:1)` or `(\\server\app\index.js:1:1)`
+// and `(file:///app/index.mjs:1:1)` for ES modules.
+const absolutePathRx = /^(\/|[a-z]:\\|\\\\|file:\/\/)/i
+const userFrameRx = /(\(|at )(\/|[a-z]:\\|\\\\|file:\/\/)/i
+
+/**
+ * Determines if the given stack frame points into user code as opposed to
+ * a Node.js core module.
+ *
+ * @name isUserFrame
+ * @function
+ * @param {String} frame a frame of a captured stack trace
+ * @return {Boolean} `true` if the frame points into user code
+ */
+function isUserFrame(frame) {
+  return frame != null && userFrameRx.test(frame)
+}
+
+/**
+ * Finds the first frame of the given stack that points into user code.
+ *
+ * @name firstUserFrame
+ * @function
+ * @param {Array.<String>} stack the captured stack trace
+ * @return {String} the first user frame or `null` if none was found
+ */
+function firstUserFrame(stack) {
+  if (stack == null) return null
+  for (let i = 0; i < stack.length; i++) {
+    if (isUserFrame(stack[i])) return stack[i]
+  }
+  return null
+}
+
+/**
+ * Extracts a string from a value captured by [ah-fs](https://github.com/nodesource/ah-fs).
+ * Strings are either captured as is or wrapped, i.e. `{ type: 'string', val: 'r' }`.
+ *
+ * @name safeString
+ * @function
+ * @param {String|Object} x the captured value
+ * @return {String} the string or `null` if it wasn't captured
+ */
+function safeString(x) {
+  if (x == null) return null
+  if (typeof x === 'string') return x
+  const val = safeGetVal(x)
+  return typeof val === 'string' ? val : null
+}
+
+function isUserFunction(fn) {
+  return fn.info != null && fn.info.file != null && absolutePathRx.test(fn.info.file)
+}
+
+/**
+ * Finds the arguments with which the callback attached to the resource of the
+ * given activity was invoked.
+ *
+ * User functions are preferred, but since core often wraps the user callback
+ * we fall back to arguments captured for any other function.
+ *
+ * @name callbackArguments
+ * @function
+ * @param {Object} activity the activity whose callback arguments to find
+ * @return {Object} the captured arguments or `null` if none were captured
+ */
+function callbackArguments(activity) {
+  const functions = activity && activity.resource && activity.resource.functions
+  if (functions == null) return null
+  let fallback = null
+  for (let i = 0; i < functions.length; i++) {
+    const fn = functions[i]
+    if (fn.arguments == null || typeof fn.arguments !== 'object') continue
+    if (isUserFunction(fn)) return fn.arguments
+    if (fallback == null) fallback = fn.arguments
+  }
+  return fallback
+}
+
+/**
+ * Finds the argument of a stream tick that is an instance of the given class.
+ *
+ * The order of the arguments depends on the function that was queued, i.e.
+ * `[ ReadStream, ReadableState ]` for `resume_` vs. `[ ReadableState, ReadStream ]` for `endReadableNT`,
+ * and some ticks are queued with `null` arguments.
+ *
+ * @name streamArg
+ * @function
+ * @param {Object} activity the TickObject activity
+ * @param {String} proto the name of the class, i.e. `'ReadStream'`
+ * @return {Object} the captured argument or `null` if the tick wasn't passed one
+ */
+function streamArg(activity, proto) {
+  const args = activity && activity.resource && activity.resource.args
+  if (args == null || !Array.isArray(args)) return null
+  return args.find(x => x != null && x.proto === proto) || null
+}
+
+/**
+ * Finds the path of the file a processed operation was targeting, i.e. the `path` of a
+ * `fs.readFile`, the `source` of a copy or the path of the file a stream was reading from or writing to.
+ *
+ * @name operationPath
+ * @function
+ * @param {Object} operation the operation as returned by `processFileSystem`
+ * @return {String} the path or `null` if the operation doesn't know it
+ */
+function operationPath(operation) {
+  if (operation == null) return null
+  if (operation.path != null) return operation.path
+  if (operation.source != null) return operation.source
+  return operation.stream != null && operation.stream.path != null ? operation.stream.path : null
+}
+
+/**
+ * Attempts to find the path of the file an fs operation was targeting.
+ *
+ * The FSReqWrap resources don't hold on to the path, therefore we only find
+ * it if the collector captured it as part of the resource context or if the
+ * operation failed, in which case the error passed to the callback includes it.
+ *
+ * @name resourcePath
+ * @function
+ * @param {Object} activity the activity whose target path to find
+ * @return {String} the path or `null` if it couldn't be determined
+ */
+function resourcePath(activity) {
+  const ctx = activity && activity.resource && activity.resource.context
+  const path = ctx == null ? null : safeString(ctx.path)
+  if (path != null) return path
+
+  const err = callbackError(activity)
+  return err == null ? null : err.path
+}
+
+/**
+ * Recovers the options with which a file was opened from the context captured for
+ * the open resource, i.e. the `ReadFileContext` of `fs.readFile`.
+ *
+ * Core only keeps some of them around, i.e. the `encoding` of `fs.readFile`, the others
+ * are found only if the collector captured them.
+ * The path is also found if the operation failed, in which case the error passed to the
+ * callback of any of the given activities includes it.
+ *
+ * @name openOptions
+ * @function
+ * @param {Object} open the activity of the open resource
+ * @param {Array.<Object>} [activities = [ open ]] the activities of all steps of the operation
+ * @return {Object} the `path`, `flags`, `mode` and `encoding`, each `null` if it couldn't be determined
+ */
+function openOptions(open, activities = [ open ]) {
+  const ctx = (open && open.resource && open.resource.context) || {}
+  let path = safeString(ctx.path)
+  for (let i = 0; path == null && i < activities.length; i++) {
+    const err = callbackError(activities[i])
+    if (err != null) path = err.path
+  }
+  return {
+      path
+    , flags: safeString(ctx.flags != null ? ctx.flags : ctx.flag)
+    , mode: typeof ctx.mode === 'number' ? ctx.mode : null
+    , encoding: safeString(ctx.encoding)
+  }
+}
+
+/**
+ * Finds the error with which the callback attached to the resource of the
+ * given activity was invoked.
+ *
+ * @name callbackError
+ * @function
+ * @param {Object} activity the activity whose callback error to find
+ * @return {Object} the `code`, `syscall`, `path` and `dest` of the error or `null`
+ * if the callback wasn't invoked with an error or its arguments weren't captured
+ */
+function callbackError(activity) {
+  const args = callbackArguments(activity)
+  const err = args && args['0']
+  if (err == null || typeof err !== 'object') return null
+  return {
+      code: safeString(err.code)
+    , syscall: safeString(err.syscall)
+    , path: safeString(err.path)
+    , dest: safeString(err.dest)
+  }
+}
+
+/**
+ * Creates a `stop` predicate to be used with `idsTriggeredBy` of
+ * [ah-processor.utils](https://github.com/nodesource/ah-processor.utils).
+ *
+ * Unlike a plain predicate it only finishes the activity walk once an activity that
+ * is a descendant of the root activity matches, i.e. the close of another file
+ * that is processed concurrently won't stop it.
+ *
+ * @name stopAtDescendant
+ * @function
+ * @param {Number} rootId the id of the activity at which the walk starts
+ * @param {function} isStop predicate that returns `true` for ids at which to stop
+ * @return {function} the `stop` predicate with signature `(id, activity)`
+ */
+function stopAtDescendant(rootId, isStop) {
+  const descendants = new Set([ rootId ])
+  return function stop(id, activity) {
+    if (!descendants.has(activity.triggerId)) return false
+    descendants.add(id)
+    return isStop(id)
+  }
+}
+
+/**
+ * Determines the number of elements of an Array captured by [ah-fs](https://github.com/nodesource/ah-fs).
+ * Arrays are captured as objects keyed by index, unless they were too large to be
+ * captured in which case only their length may be available.
+ *
+ * @name capturedLength
+ * @function
+ * @param {Object} x the captured Array
+ * @return {Number} the number of elements or `null` if it couldn't be determined
+ */
+function capturedLength(x) {
+  if (x == null || typeof x !== 'object') return null
+  if (typeof x.len === 'number') return x.len
+  if (typeof x.length === 'number') return x.length
+  if (x.val === '<deleted>') return null
+  return Object.keys(x).filter(k => /^\d+$/.test(k)).length
+}
+
+/**
+ * Finds the code of the first error any of the callbacks attached to the resources
+ * of the given activities was invoked with.
+ *
+ * @name errorCode
+ * @function
+ * @param {Array.<Object>} activities the activities that are part of an operation
+ * @return {String} the error code, i.e. `ENOENT` or `null` if no error was found
+ */
+function errorCode(activities) {
+  for (let i = 0; i < activities.length; i++) {
+    const err = callbackError(activities[i])
+    if (err != null && err.code != null) return err.code
+  }
+  return null
+}
+
+/**
+ * Lists the names of the steps that weren't encountered for an operation.
+ *
+ * @name missingSteps
+ * @function
+ * @param {Object} steps hash of step names and if each of them was found, i.e. `{ open: true, close: false }`
+ * @return {Array.<String>} the names of the steps that weren't found, i.e. `[ 'close' ]`
+ */
+function missingSteps(steps) {
+  return Object.keys(steps).filter(k => !steps[k])
+}
+
+/**
+ * Determines the status of an operation.
+ *
+ * - **failed**: a callback of the operation was invoked with an error
+ * - **incomplete**: some steps of the operation are missing, i.e. the file was never closed
+ * - **complete**: all steps of the operation were found and no error occurred
+ *
+ * @name operationStatus
+ * @function
+ * @param {Object} $0
+ * @param {Array.<String>} $0.missing the steps that are missing
+ * @param {String} $0.error the error code or `null`
+ * @return {String} `failed`, `incomplete` or `complete`
+ */
+function operationStatus({ missing, error }) {
+  if (error != null) return 'failed'
+  if (missing.length > 0) return 'incomplete'
+  return 'complete'
+}
+
+/**
+ * Finds the latest destroy timestamp of the given activities.
+ * Used as the time an operation was destroyed if its final step is missing.
+ *
+ * @name lastDestroyed
+ * @function
+ * @param {Array.<Object>} activities the activities that are part of an operation
+ * @return {Object} the timestamp `{ ms, ns }`, `ns` is `0` if none of them was destroyed
+ */
+function lastDestroyed(activities) {
+  let ns = 0
+  for (let i = 0; i < activities.length; i++) {
+    const destroy = activities[i].destroy
+    if (destroy == null || destroy.length === 0) continue
+    ns = Math.max(ns, destroy[destroy.length - 1])
+  }
+  return prettyNs(ns)
+}
+
+/**
+ * Sums up the bytes transferred by the given reads or writes.
+ *
+ * @name totalBytes
+ * @function
+ * @param {Array.<Object>} steps the reads or writes of an operation, each with a `bytes` property
+ * @return {Number} the sum of the bytes or `null` if there are no steps or the bytes of any
+ * of them are unknown
+ */
+function totalBytes(steps) {
+  if (steps.length === 0) return null
+  let bytes = 0
+  for (let i = 0; i < steps.length; i++) {
+    if (steps[i].bytes == null) return null
+    bytes += steps[i].bytes
+  }
+  return bytes
+}
+
+function bytesPerMs(bytes, ns) {
+  if (bytes == null || ns <= 0) return null
+  return Math.round(bytes / (ns / 1E6) * 100) / 100
+}
+
+// The I/O of a request is performed while it is queued, the `timeSpent` from `before`
+// to `after` is the time its callback took.
+function queuedNs(steps) {
+  let ns = 0
+  for (let i = 0; i < steps.length; i++) {
+    const queued = steps[i].latency && steps[i].latency.queued
+    if (queued == null) return null
+    ns += queued.ns
+  }
+  return ns
+}
+
+/**
+ * Calculates the throughput of an operation in bytes per millisecond.
+ *
+ * @name throughput
+ * @function
+ * @param {Object} $0
+ * @param {Number} $0.bytes the bytes that were transferred
+ * @param {Object} $0.timeAlive the time the operation was alive `{ ms, ns }`
+ * @param {Array.<Object>} $0.steps the reads or writes of the operation, each with a `latency`,
+ * see `stepLatency`
+ * @return {Object} the bytes per ms of the time the operation was alive as `alive` and of the time
+ * the reads or writes were queued, from `init` to `before`, as `io`, each `null` if it can't be determined
+ */
+function throughput({ bytes, timeAlive, steps }) {
+  const io = queuedNs(steps)
+  return {
+      alive: bytesPerMs(bytes, timeAlive.ns)
+    , io: io == null ? null : bytesPerMs(bytes, io)
+  }
+}
+
+/**
+ * Finds the first of the timestamps an async hook recorded for an activity, i.e. `activity.before`.
+ *
+ * @name firstStamp
+ * @function
+ * @param {Array.<Number>} stamps the timestamps in nanoseconds
+ * @return {Number} the first timestamp or `null` if none was recorded
+ */
+function firstStamp(stamps) {
+  return stamps == null || stamps.length === 0 ? null : stamps[0]
+}
+
+/**
+ * Finds the last of the timestamps an async hook recorded for an activity, i.e. `activity.after`.
+ *
+ * @name lastStamp
+ * @function
+ * @param {Array.<Number>} stamps the timestamps in nanoseconds
+ * @return {Number} the last timestamp or `null` if none was recorded
+ */
+function lastStamp(stamps) {
+  return stamps == null || stamps.length === 0 ? null : stamps[stamps.length - 1]
+}
+
+function initOf(activities, id) {
+  const activity = activities.get(id)
+  return activity == null ? null : firstStamp(activity.init)
+}
+
+/**
+ * Finds the activity of the ones supplied via the ids that initialized first.
+ *
+ * Same as `oldestId` of [ah-processor.utils](https://github.com/nodesource/ah-processor.utils),
+ * except that it compares the `init` timestamps as numbers, the arrays holding them compare
+ * as strings, i.e. `[ 10000000 ] < [ 9000000 ]`.
+ *
+ * @name oldestId
+ * @function
+ * @param {Map.<Number, Object>} activities the collected async activities
+ * @param {Set.<Number>} ids the ids to consider
+ * @return {Number} the id of the activity that initialized first or `null` if none of the ids
+ * is part of the activities
+ */
+function oldestId(activities, ids) {
+  let oldest = null
+  for (const id of ids) {
+    const init = initOf(activities, id)
+    if (init == null) continue
+    if (oldest == null || init < oldest.init) oldest = { id, init }
+  }
+  return oldest == null ? null : oldest.id
+}
+
+/**
+ * Finds the activity of the ones supplied via the ids that initialized immediately
+ * before the one with the given id initialized.
+ *
+ * Same as `immediatelyBeforeId` of [ah-processor.utils](https://github.com/nodesource/ah-processor.utils),
+ * except that it compares the `init` timestamps as numbers.
+ *
+ * @name immediatelyBeforeId
+ * @function
+ * @param {Map.<Number, Object>} activities the collected async activities
+ * @param {Set.<Number>} ids the ids to consider
+ * @param {Number} id the id of the activity for which to find the one that initialized immediately before
+ * @return {Number} the id of the activity that initialized immediately before or `null` if none of the
+ * ids initialized before it
+ */
+function immediatelyBeforeId(activities, ids, id) {
+  const base = initOf(activities, id)
+  if (base == null) return null
+  let mostImmediate = null
+  for (const x of ids) {
+    const init = initOf(activities, x)
+    if (init == null || init > base) continue
+    if (mostImmediate == null || init > mostImmediate.init) mostImmediate = { id: x, init }
+  }
+  return mostImmediate == null ? null : mostImmediate.id
+}
+
+function span(from, to) {
+  return from == null || to == null ? null : prettyNs(Math.max(0, to - from))
+}
+
+/**
+ * Breaks down the time the async resource of an operation step was alive into three phases:
+ *
+ * - **queued**: from `init` to `before`, the time the request spent waiting for the threadpool
+ *   and performing the actual I/O
+ * - **callback**: from `before` to `after`, the time spent executing the callback
+ * - **teardown**: from `after` to `destroy`, the time until the resource was destroyed
+ *
+ * @name stepLatency
+ * @function
+ * @param {Object} activity the activity of the step
+ * @return {Object} the `queued`, `callback` and `teardown` times `{ ms, ns }`, each `null` if
+ * one of the timestamps it is derived from is missing
+ */
+function stepLatency(activity) {
+  const before = firstStamp(activity.before)
+  return {
+      queued: span(firstStamp(activity.init), before)
+    , callback: span(before, firstStamp(activity.after))
+    , teardown: span(lastStamp(activity.after), firstStamp(activity.destroy))
+  }
+}
+
+function separateStep(step, fns) {
+  if (step == null || typeof step !== 'object' || step.userFunctions == null) return step
+  for (const fn of step.userFunctions) fns.push(fn)
+  const newStep = Object.assign({}, step)
+  delete newStep.userFunctions
+  return newStep
+}
+
+/**
+ * Pulls user functions from all resources of the provided info and attaches
+ * them as the `userFunctions` property to the info object directly.
+ *
+ * Works just like `separateUserFunctions` of
+ * [ah-processor.utils](https://github.com/nodesource/ah-processor.utils),
+ * except that it tolerates properties that are `null`, i.e. a `path` that
+ * couldn't be determined, and also separates the user functions of resources
+ * that are collected in an Array, i.e. the `reads` of an operation.
+ *
+ * @name separateUserFunctions
+ * @function
+ * @param {Object} info the info object which references the resources
+ * @return {Object} a copy of the info with all user functions attached to it directly
+ */
+function separateUserFunctions(info) {
+  if (info == null) return info
+
+  const newInfo = {}
+  const fns = []
+  for (const k of Object.keys(info)) {
+    const val = info[k]
+    newInfo[k] = Array.isArray(val)
+      ? val.map(step => separateStep(step, fns))
+      : separateStep(val, fns)
+  }
+  newInfo.userFunctions = fns
+  return newInfo
+}
+
+module.exports = {
+    isUserFrame
+  , firstUserFrame
+  , safeString
+  , callbackArguments
+  , streamArg
+  , resourcePath
+  , operationPath
+  , openOptions
+  , callbackError
+  , stopAtDescendant
+  , capturedLength
+  , errorCode
+  , missingSteps
+  , operationStatus
+  , lastDestroyed
+  , totalBytes
+  , throughput
+  , firstStamp
+  , lastStamp
+  , oldestId
+  , immediatelyBeforeId
+  , stepLatency
+  , separateUserFunctions
+}
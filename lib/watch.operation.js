@@ -0,0 +1,148 @@
+const {
+    lifeCycle
+  , uniqueUserFunctions
+  , mergeUserFunctions
+} = require('ah-processor.utils')
+const {
+    firstUserFrame
+  , safeString
+  , resourcePath
+  , separateUserFunctions
+  , missingSteps
+  , operationStatus
+} = require('./utils')
+
+// Neither the watcher nor its owner reference the watched path, it is only found if the
+// collector captured the path passed to `fs.watch` or `fs.watchFile` as `resource.path`.
+function watchedPath(activity) {
+  const path = activity.resource == null ? null : safeString(activity.resource.path)
+  return path != null ? path : resourcePath(activity)
+}
+
+class WatchOperation {
+  /**
+   * Processes a group of async activities that represent a file system watcher.
+   * It is used by the [WatchProcessor](#watchprocessor) as part of `process`.
+   *
+   * One operation step is derived from the group, providing information
+   * about the watcher in question.
+   *
+   * The step is processed into an operation in the private method `_processWatcher`
+   * which is documented below for information's sake, it should not be called directly,
+   * nor should you have a need to directly instantiate a `WatchOperation` in the first place.
+   *
+   * @name WatchOperation
+   * @constructor
+   * @param {Map.<Number, Set.<Number>>} group the ids of the activities that were part of the operation
+   * @param {Boolean} [includeActivities = false] if `true` the activities are attached to
+   * each operation step
+   */
+  constructor({ group, includeActivities = false }) {
+    this._includeActivities = includeActivities
+    this._process(group)
+  }
+
+  _process(group) {
+    for (let i = 0; i < group.length; i++) {
+      const info = group[i]
+      if (info.iswatch || info.iswatchfile) this._processWatcher(info)
+    }
+    // watchers don't fail asynchronously, if they can't be started an error is thrown synchronously
+    this._error = null
+    this._missing = missingSteps({ watcher: this._watcher != null, close: this._closed === true })
+  }
+
+  /**
+   * The watcher resource tells us the following:
+   *
+   * 1. the init timestamp tells us when the watcher was created
+   * 2. the destroy timestamp tells us when it was closed, if it is missing the watcher
+   *    was never closed and potentially leaked
+   * 3. each `before` timestamp corresponds to one invocation of the change listener
+   * 4. the first user frame of the init stack tells us where the watcher was created
+   * 5. the functions attached to the owner of the resource include the listener the user registered,
+   *    i.e. at `owner._events.change`
+   * 6. the path, if the collector captured the one the watcher was created for
+   *
+   * @name watchOperation._processWatcher
+   * @function
+   * @param {Object} info information about the watcher step, pre-processed by the `WatchProcessor`.
+   */
+  _processWatcher(info) {
+    const activity = info.activity
+    if (activity == null) return
+
+    // Sample init stack:
+    // "at new FSWatcher (fs.js:1392:18)",
+    // "at Object.fs.watch (fs.js:1430:13)",
+    // "at Server.<anonymous> (/Volumes/d/dev/js/async-hooks/ah-demos/demos/dev-server/server.js:22:6)"
+    this._lifeCycle = lifeCycle(activity)
+    this._createdAt = firstUserFrame(activity.initStack)
+    this._kind = info.iswatch ? 'fs.watch' : 'fs.watchFile'
+    this._path = watchedPath(activity)
+    this._closed = activity.destroy != null && activity.destroy.length > 0
+    this._events = activity.before == null ? 0 : activity.before.length
+
+    const functions = (activity.resource && activity.resource.functions) || []
+    this._watcher = {
+        id: activity.id
+      , triggerId: activity.triggerId
+      , userFunctions: uniqueUserFunctions(functions, { pathPrefix: 'watcher.resource' })
+    }
+    if (this._includeActivities) this._watcher.activity = activity
+  }
+
+  /**
+   * Returns the summary of processing the group into an operation.
+   *
+   * The summary of all operations has a very similar structure, but includes some properties that are specific to this
+   * particular operation.
+   *
+   * The general properties `lifeCycle` and `createdAt` are documented as part of
+   * the `ReadFileProcessor`.
+   * Therefore learn more [here](#general-operation-properties).
+   *
+   * ## Properties Specific to Watchers
+   *
+   * - **kind**: `fs.watch` or `fs.watchFile`
+   * - **path**: the watched path, only available if the collector captured it as `resource.path`
+   * - **closed**: `false` if the watcher was never closed
+   * - **events**: the number of change events that were handled
+   * - **watcher**: see `watchOperation._processWatcher`
+   *
+   * @name watchOperation.summary
+   * @function
+   * @param {Object} $0 options
+   * @param {Boolean} [$0.separateFunctions = true] when `true` the user functions are separated out
+   * from the specific operations and attached as a `userFunctions` array directly to the returned
+   * result
+   *
+   * @param {Boolean} [$0.mergeFunctions = true] if `true` when a duplicate function is found in the
+   * separated functions Array, they are merged into one while preserving all information
+   * from both version. Note that this setting only activates if `separateFunctions` is `true` as well.
+   *
+   * @return {Object} all important information about the current operation
+   */
+  summary({ separateFunctions = true, mergeFunctions = true } = {}) {
+    const info = {
+        lifeCycle : this._lifeCycle
+      , createdAt : this._createdAt
+      , status    : operationStatus({ missing: this._missing, error: this._error })
+      , missing   : this._missing
+      , error     : this._error
+      , kind      : this._kind
+      , path      : this._path
+      , closed    : this._closed
+      , events    : this._events
+      , watcher   : this._watcher
+    }
+
+    if (!separateFunctions) return info
+    const separated = separateUserFunctions(info)
+
+    if (!mergeFunctions) return separated
+    return mergeUserFunctions(separated)
+  }
+}
+
+module.exports = WatchOperation
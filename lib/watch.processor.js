@@ -0,0 +1,186 @@
+const { signaturesFor } = require('./signatures')
+const ActivityIndex = require('./activity-index')
+const WatchOperation = require('./watch.operation')
+
+class WatchProcessor {
+  /**
+   * Instantiates a data processor for long-lived file system watchers created via
+   * `fs.watch` and `fs.watchFile`, in order to process data collected via
+   * [nodesource/ah-fs](https://github.com/nodesource/ah-fs).
+   *
+   * @name WatchProcessor
+   * @constructor
+   * @param {Object} $0
+   * @param {Map.<string, Object>} {$0.activities} a map of async activities hashed by id
+   * @param {boolean} [includeActivities=false] if `true` the actual activities are appended to the output
+   * @param {Boolean} [$0.separateFunctions = true] when `true` the user functions are separated out
+   * from the specific resources and attached as a `userFunctions` array directly to the returned
+   * operations
+   * @param {String|Number} [$0.nodeVersion] the Node.js version that produced the activities, i.e. `'v12.22.12'`,
+   * it determines how the steps are identified and is detected from the activities if not provided
+   * @param {ActivityIndex} [$0.index] the index of the activities, shared by all processors that process
+   * the same activities and created from the activities if not provided
+   */
+  constructor({ activities, includeActivities = false, separateFunctions = true, nodeVersion, index }) {
+    this._signatures = signaturesFor({ activities, nodeVersion }).watch
+    this._index = index || new ActivityIndex({ activities })
+    this._activities = this._index.activities
+    this._includeActivities = includeActivities
+    this._separateFunctions = separateFunctions
+    this._clear()
+  }
+
+  /**
+   * Processes the supplied async activities and splits them into
+   * groups, and operations each representing one watcher.
+   *
+   * Unlike the other file system operations watchers aren't backed by FSREQWRAPs, but by
+   * `FSEVENTWRAP` (`fs.watch`) and `STATWATCHER` (`fs.watchFile`) resources.
+   * These live until the watcher is closed and invoke the registered listener each time
+   * a change is detected.
+   *
+   * ## Groups
+   *
+   * The returned value has a `groups` property which just lists the ids
+   * of async resources that were grouped together to form an operation
+   * indexed by the id of the watcher resource.
+   * Since a watcher is represented by one resource each group has exactly one member.
+   * If no watcher was encountered the groups are empty.
+   *
+   * ## Operations
+   *
+   * Additionally an `operations` property is included as well. Each operation
+   * represents one watcher. There will be one operation per
+   * group and they are indexed by the watcher resource `id` as well.
+   *
+   * An `operation` has the following properties:
+   *
+   * ### Watcher specific Operation Properties
+   *
+   *  - **kind**: the function that created the watcher, `fs.watch` or `fs.watchFile`
+   *  - **path**: the path that is watched if the collector captured it, `null` otherwise
+   *  - **closed**: `true` if the watcher was closed, `false` if it was still active when the data was collected,
+   *    in which case the `destroyed` and `timeAlive` of the `lifeCycle` are `0`
+   *  - **events**: the number of change events the listener handled
+   *  - **watcher**: contains data about the watcher resource, by default only `id` and `triggerId`
+   *
+   * ### General Operation Properties
+   *
+   * - [see ReadFileProcessor.process](https://nodesource.github.io/ah-fs.processor/#general-operation-properties)
+   *
+   * ## Sample Return Value
+   *
+   * The sample return value was created with default options.
+   *
+   * ```js
+   * { groups: Map { 10 => Set { 10 } },
+   *   operations:
+   *    Map {
+   *      10 => { lifeCycle:
+   *        { created: { ms: '5.20ms', ns: 5200000 },
+   *          destroyed: { ms: '0ms', ns: 0 },
+   *          timeAlive: { ms: '0ms', ns: 0 } },
+   *      createdAt: 'at Server.<anonymous> (/Volumes/d/dev/js/async-hooks/ah-demos/demos/dev-server/server.js:22:6)',
+   *      status: 'incomplete',
+   *      missing: [ 'close' ],
+   *      error: null,
+   *      kind: 'fs.watch',
+   *      path: null,
+   *      closed: false,
+   *      events: 3,
+   *      watcher: { id: 10, triggerId: 1 },
+   *      userFunctions:
+   *       [ { file: '/Volumes/d/dev/js/async-hooks/ah-demos/demos/dev-server/server.js',
+   *           line: 23,
+   *           column: 17,
+   *           inferredName: '',
+   *           name: 'onchange',
+   *           location: 'onchange (/Volumes/d/dev/js/async-hooks/ah-demos/demos/dev-server/server.js:23:17)',
+   *           args: null,
+   *           propertyPaths: [ 'watcher.resource.owner._events.change' ] } ] } } }
+   * ```
+   *
+   * @name watchProcessor.process
+   * @return {Object} information about watchers with the
+   * structure outlined above
+   */
+  process() {
+    this._clear()
+
+    this._findWatchIds()
+    this._findWatchFileIds()
+
+    this._separateIntoGroups()
+    this._addOperations()
+
+    return { groups: this._groups, operations: this._operations }
+  }
+
+  _clear() {
+    this._watchIds = new Set()
+    this._watchFileIds = new Set()
+    this._groups = new Map()
+    this._operations = new Map()
+  }
+
+  _findWatchIds() {
+    for (const a of this._index.matching(this._signatures.watch)) this._watchIds.add(a.id)
+  }
+
+  _findWatchFileIds() {
+    for (const a of this._index.matching(this._signatures.watchFile)) this._watchFileIds.add(a.id)
+  }
+
+  _separateIntoGroups() {
+    for (const id of this._watchIds) this._groups.set(id, new Set([ id ]))
+    for (const id of this._watchFileIds) this._groups.set(id, new Set([ id ]))
+  }
+
+  _addOperations() {
+    for (const [ id, group ] of this._groups) this._addOperation(id, group)
+  }
+
+  _addOperation(id, group) {
+    const info = this._resolveGroup(group)
+    const op = new WatchOperation({
+        group: info
+      , includeActivities: this._includeActivities
+    })
+    this._operations.set(id, op.summary({ separateFunctions: this._separateFunctions }))
+  }
+
+  _resolveGroup(group) {
+    const groupInfo = []
+    for (const id of group) {
+      const activity = this._activities.get(id)
+      const iswatch = this._watchIds.has(id)
+      const iswatchfile = this._watchFileIds.has(id)
+      const info = { activity, iswatch, iswatchfile }
+      groupInfo.push(info)
+    }
+    return groupInfo
+  }
+}
+
+exports = module.exports = WatchProcessor
+
+/**
+ * The minimum number of steps, represented as an async resource each,
+ * involved in watching a file.
+ *
+ * This can be used by higher level processors to group
+ * activities looking for larger operations first and then
+ * operations involving less steps.
+ *
+ * Steps are: watcher
+ *
+ * @name WatchProcessor.operationSteps
+ */
+exports.operationSteps = 1
+
+/**
+ * Description of the operation: 'fs.watch'.
+ *
+ * @name WatchProcessor.operation
+ */
+exports.operation = 'fs.watch'
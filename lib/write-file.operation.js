@@ -1,7 +1,21 @@
 const {
     prettyNs
   , safeFirstStamp
+  , uniqueUserFunctions
+  , mergeUserFunctions
 } = require('ah-processor.utils')
+const {
+    separateUserFunctions
+  , errorCode
+  , missingSteps
+  , operationStatus
+  , lastDestroyed
+  , openOptions
+  , callbackArguments
+  , totalBytes
+  , throughput
+  , stepLatency
+} = require('./utils')
 
 class WriteFileOperation {
   /**
@@ -27,8 +41,13 @@ class WriteFileOperation {
   }
 
   _process(group) {
+    this._created = prettyNs(0)
+    this._destroyed = prettyNs(0)
+    this._writes = []
+    const activities = []
     for (let i = 0; i < group.length; i++) {
       const info = group[i]
+      if (info.activity != null) activities.push(info.activity)
       if (info.isopen) {
         this._processOpen(info)
       } else if (info.iswrite) {
@@ -37,6 +56,24 @@ class WriteFileOperation {
         this._processClose(info)
       }
     }
+
+    this._missing = missingSteps({
+        open  : this._open != null
+      , write : this._writes.length > 0
+      , close : this._close != null
+    })
+    this._error = errorCode(activities)
+    const open = group.find(x => x.isopen)
+    this._options = openOptions(open && open.activity, activities)
+    if (this._close == null) this._destroyed = lastDestroyed(activities)
+  }
+
+  // Unlike for `fs.readFile` the user's callback isn't attached to all resources.
+  // Once all data was written it is passed to `fs.close` and thus is attached to the
+  // close resource.
+  _userFunctions(activity, resourceType) {
+    const functions = (activity.resource && activity.resource.functions) || []
+    return uniqueUserFunctions(functions, { pathPrefix: `${resourceType}.resource` })
   }
 
   /**
@@ -61,14 +98,19 @@ class WriteFileOperation {
     this._open = {
         id: info.activity.id
       , triggerId: info.activity.triggerId
+      , latency: stepLatency(info.activity)
+      , userFunctions: this._userFunctions(info.activity, 'open')
     }
     if (this._includeActivities) this._open.activity = info.activity
   }
 
   /**
-   * The write resource gives us no interesting information.
-   * Therefore we just capture the `id`, `triggerId` and if so desired
-   * attach the activities.
+   * Each write resource tells us how many bytes were written, provided the callback
+   * arguments were captured, and how long the write took deduced from the
+   * `before` and `after` timestamps.
+   *
+   * Core keeps writing via `writeAll` until all data was written, each write resulting
+   * in one write resource. Therefore the writes are collected in the order in which they occurred.
    *
    * @name writeFileOperation._processWrite
    * @function
@@ -78,12 +120,25 @@ class WriteFileOperation {
     const activity = info.activity
     if (activity == null) return
 
-    this._write = {
+    const before = safeFirstStamp(activity.before)
+    const after = safeFirstStamp(activity.after)
+    const timeSpent = before && after ? prettyNs(after.ns - before.ns) : prettyNs(0)
+
+    // writeAll's callback is invoked with `(writeErr, written)`
+    const args = callbackArguments(activity)
+    const bytes = args != null && typeof args['1'] === 'number' ? args['1'] : null
+
+    const write = {
         id: activity.id
       , triggerId: activity.triggerId
+      , latency: stepLatency(activity)
+      , bytes
+      , timeSpent
+      , userFunctions: this._userFunctions(activity, `writes[${this._writes.length}]`)
     }
 
-    if (this._includeActivities) this._write.activity = activity
+    if (this._includeActivities) write.activity = activity
+    this._writes.push(write)
   }
 
   /**
@@ -92,6 +147,8 @@ class WriteFileOperation {
    * Combined with the `init` timestamp of the open resource it allows us to deduce how long
    * the file write took.
    *
+   * Additionally the user's callback is attached to it, including the `err` it was invoked with.
+   *
    * @name writeFileOperation._processClose
    * @function
    * @param {Object} info information about the close step, pre-processed by the `WriteFileProcessor`.
@@ -103,6 +160,8 @@ class WriteFileOperation {
     this._close = {
         id: activity.id
       , triggerId: activity.triggerId
+      , latency: stepLatency(activity)
+      , userFunctions: this._userFunctions(activity, 'close')
     }
 
     if (this._includeActivities) this._close.activity = activity
@@ -120,31 +179,63 @@ class WriteFileOperation {
    *
    * ## Properties Specific to `fs.writeFile`
    *
+   * - **path**: the path of the file, only available if it was captured or the write failed
+   * - **flags**: the flags with which the file was opened, i.e. `'w'`, only available if they were captured
+   * - **mode**: the mode with which the file was created, i.e. `438`, only available if it was captured
+   * - **encoding**: the encoding of the data that was written, only available if it was captured
    * - **open**: see `writeFileOperation._processOpen`
-   * - **write**: see `writeFileOperation._processWrite`
+   * - **writes**: see `writeFileOperation._processWrite`
+   * - **writeCount**: the number of writes
+   * - **totalWriteTime**: the sum of the time spent by all writes
+   * - **bytes**: the sum of bytes written by all writes, `null` if the write callback arguments weren't captured
+   * - **throughput**: the bytes written per ms of the time the operation was alive as `alive`
+   *   and per ms of the time all writes were queued as `io`, see `stepLatency`
    * - **close**: see `writeFileOperation._processClose`
    *
-   * Note this summary function takes no parameters (like the other Operations) since
-   * we don't find any user functions related to the write file operation and thus
-   * have nothing to process.
-   *
    * @name writeFileOperation.summary
    * @function
+   * @param {Object} $0 options
+   * @param {Boolean} [$0.separateFunctions = true] when `true` the user functions are separated out
+   * from the specific operations and attached as a `userFunctions` array directly to the returned
+   * result
+   *
+   * @param {Boolean} [$0.mergeFunctions = true] if `true` when a duplicate function is found in the
+   * separated functions Array, they are merged into one while preserving all information
+   * from both version. Note that this setting only activates if `separateFunctions` is `true` as well.
+   *
    * @return {Object} all important information about the current operation
    */
-  summary() {
+  summary({ separateFunctions = true, mergeFunctions = true } = {}) {
+    const timeAlive = prettyNs(Math.max(0, this._destroyed.ns - this._created.ns))
+    const bytes = totalBytes(this._writes)
     const info = {
         lifeCycle: {
             created   : this._created
           , destroyed : this._destroyed
-          , timeAlive : prettyNs(this._destroyed.ns - this._created.ns)
+          , timeAlive : timeAlive
         }
-      , createdAt : this._createdAt
-      , open      : this._open
-      , write     : this._write
-      , close     : this._close
+      , createdAt      : this._createdAt
+      , status         : operationStatus({ missing: this._missing, error: this._error })
+      , missing        : this._missing
+      , error          : this._error
+      , path           : this._options.path
+      , flags          : this._options.flags
+      , mode           : this._options.mode
+      , encoding       : this._options.encoding
+      , open           : this._open
+      , writes         : this._writes
+      , writeCount     : this._writes.length
+      , totalWriteTime : prettyNs(this._writes.reduce((acc, x) => acc + x.timeSpent.ns, 0))
+      , bytes          : bytes
+      , throughput     : throughput({ bytes, timeAlive, steps: this._writes })
+      , close          : this._close
     }
-    return info
+
+    if (!separateFunctions) return info
+    const separated = separateUserFunctions(info)
+
+    if (!mergeFunctions) return separated
+    return mergeUserFunctions(separated)
   }
 }
 
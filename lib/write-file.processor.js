@@ -1,59 +1,8 @@
-const { idsTriggeredBy } = require('ah-processor.utils')
+const { stopAtDescendant } = require('./utils')
+const { signaturesFor } = require('./signatures')
+const ActivityIndex = require('./activity-index')
 const WriteFileOperation = require('./write-file.operation')
 
-const FSReqWrap = 'FSREQWRAP'
-
-/**
- * Sample initStack of writeFile open, calles as first operation of `fs.writeFile`.
- * In order to be sure this is a writeFile open we need to check the two topmost frames.
- *
- * "at Object.fs.open (fs.js:581:11)",
- * "at Object.fs.writeFile (fs.js:1155:6)",
- * "at Test.<anonymous> (/Volumes/d/dev/js/async-hooks/ah-fs/test/write-one-file.js:28:6)",
- *
- * Code at fs.js:581:
- *
- * `binding.open(pathModule._makeLong(path), ...`
- *
- * Code at fs.js:1155:
- *
- * `fs.open(path, flag, options.mode, function(openErr, fd) ...`
- *
- * Bottom frame has info about where the call `fs.writeFile` originated.
- */
-const openInitFrame0Rx = /at Object\.fs\.open/i
-const openInitFrame1Rx = /at Object\.fs\.writeFile/i
-
-/**
- * Sample init stack of writeFile write, called afer `fs.open` completes:
- *
- * "at Object.fs.write (fs.js:643:20)",
- * "at writeAll (fs.js:1117:6)",
- * "at writeFd (fs.js:1168:5)",
- * "at fs.js:1159:7",
- * "at FSReqWrap.oncomplete (fs.js:117:15)"
- *
- * Code at fs.js:643:
- *
- * `binding.writeBuffer(fd, buffer, offset, length, position, req);`
- *
- */
-const writeInitFrame0Rx = /at Object\.fs\.write/i
-
-/**
- * Sample initStack of writeFile close, called after last `fs.write` completes:
- *
- * "at Object.fs.close (fs.js:555:11)",
- * "at fs.js:1131:14",
- * "at FSReqWrap.wrapper [as oncomplete] (fs.js:626:5)"
- *
- * Code at fs.js:555:
- *
- * `binding.close(fd, req);`
- */
-
-const closeInitFrame0Rx = /at Object\.fs\.close/i
-
 class WriteFileProcessor {
   /**
    * Instantiates an fs.writeFile data processor to process data collected via
@@ -64,13 +13,23 @@ class WriteFileProcessor {
    * @param {Object} $0
    * @param {Map.<string, Object>} {$0.activities} a map of async activities hashed by id
    * @param {boolean} [includeActivities=false] if `true` the actual activities are appended to the output
+   * @param {Boolean} [$0.separateFunctions = true] when `true` the user functions are separated out
+   * from the specific resources and attached as a `userFunctions` array directly to the returned
+   * operations
+   * @param {String|Number} [$0.nodeVersion] the Node.js version that produced the activities, i.e. `'v12.22.12'`,
+   * it determines how the steps are identified and is detected from the activities if not provided
+   * @param {ActivityIndex} [$0.index] the index of the activities, shared by all processors that process
+   * the same activities and created from the activities if not provided
    *
    * @return {Map.<number, Object} map of fs.writeFile activities hashed by the
    * file open id, for more info @see writeFile.process()
    */
-  constructor({ activities, includeActivities = false }) {
-    this._activities = activities
+  constructor({ activities, includeActivities = false, separateFunctions = true, nodeVersion, index }) {
+    this._signatures = signaturesFor({ activities, nodeVersion }).writeFile
+    this._index = index || new ActivityIndex({ activities })
+    this._activities = this._index.activities
     this._includeActivities = includeActivities
+    this._separateFunctions = separateFunctions
     this._clear()
   }
 
@@ -96,14 +55,28 @@ class WriteFileProcessor {
    *
    * ### `fs.createWriteFile` specific Operation Properties
    *
+   *  Data about the file that was written, each only available if it was captured by
+   *  the collector, the `path` is also known if the write failed:
+   *  - **path**: the path of the file
+   *  - **flags**: the flags with which the file was opened, i.e. `'w'`
+   *  - **mode**: the mode with which the file was created, i.e. `438`
+   *  - **encoding**: the encoding of the data that was written, i.e. `'utf8'`
+   *
    *  Data about the async resources that were part of the operation, by default
    *  only `id` and `triggerId` are included:
    *  - **open**: contains data about opening the file
    *  - **writes**: an Array of writes, each containing data about writing a
    *  chunk from the file including the time spent to complete writing the
    *  particular chunk
+   *  - **writeCount**: the number of writes
+   *  - **totalWriteTime**: the time spent by all writes combined
+   *  - **bytes**: the bytes written by all writes, if their callback arguments were captured
+   *  - **throughput**: the bytes written per ms of `timeAlive` as `alive` and per ms the writes were queued as `io`
    *  - **close**: contains data about closing the file
    *
+   *  Once the file was written successfully core passes the user's callback to `fs.close`,
+   *  therefore it is found with the close resource, including the `err` it was invoked with.
+   *
    * ### General Operation Properties
    *
    * - [see ReadFileProcessor.process](https://nodesource.github.io/ah-fs.processor/#general-operation-properties)
@@ -122,9 +95,29 @@ class WriteFileProcessor {
    *         destroyed: { ms: '33.96ms', ns: 33964000 },
    *         timeAlive: { ms: '9.47ms', ns: 9473000 } },
    *     createdAt: 'at Test.<anonymous> (/Volumes/d/dev/js/async-hooks/ah-fs/test/write-one-file.js:28:6)',
+   *     status: 'complete',
+   *     missing: [],
+   *     error: null,
+   *     path: null,
+   *     flags: null,
+   *     mode: null,
+   *     encoding: null,
    *     open: { id: 10, triggerId: 1 },
-   *     write: { id: 11, triggerId: 10 },
-   *     close: { id: 12, triggerId: 11 } } } }
+   *     writes: [ { id: 11, triggerId: 10, bytes: null, timeSpent: { ms: '0.22ms', ns: 222000 } } ],
+   *     writeCount: 1,
+   *     totalWriteTime: { ms: '0.22ms', ns: 222000 },
+   *     bytes: null,
+   *     throughput: { alive: null, io: null },
+   *     close: { id: 12, triggerId: 11 },
+   *     userFunctions:
+   *      [ { file: '/Volumes/d/dev/js/async-hooks/ah-fs/test/write-one-file.js',
+   *          line: 29,
+   *          column: 17,
+   *          inferredName: '',
+   *          name: 'onwritten',
+   *          location: 'onwritten (/Volumes/d/dev/js/async-hooks/ah-fs/test/write-one-file.js:29:17)',
+   *          args: { '0': null, proto: 'Object' },
+   *          propertyPaths: [ 'close.resource.oncomplete' ] } ] } } }
    * ```
    *
    * @name writeFileProcessor.process
@@ -158,38 +151,22 @@ class WriteFileProcessor {
   }
 
   _findWriteFileOpenIds() {
-    for (const a of this._activities.values()) {
-      if (a.type !== FSReqWrap) continue
-      if (a.initStack == null || a.initStack.length < 2) continue
-      if (!openInitFrame0Rx.test(a.initStack[0])) continue
-      if (!openInitFrame1Rx.test(a.initStack[1])) continue
-      this._writeFileOpenIds.add(a.id)
-    }
+    for (const a of this._index.matching(this._signatures.open)) this._writeFileOpenIds.add(a.id)
   }
 
   _findWriteFileWriteIds() {
-    for (const a of this._activities.values()) {
-      if (a.type !== FSReqWrap) continue
-      if (a.initStack == null || a.initStack.length < 1) continue
-      if (!writeInitFrame0Rx.test(a.initStack[0])) continue
-      this._writeFileWriteIds.add(a.id)
-    }
+    for (const a of this._index.matching(this._signatures.write)) this._writeFileWriteIds.add(a.id)
   }
 
   _findWriteFileCloseIds() {
-    for (const a of this._activities.values()) {
-      if (a.type !== FSReqWrap) continue
-      if (a.initStack == null || a.initStack.length < 1) continue
-      if (!closeInitFrame0Rx.test(a.initStack[0])) continue
-      this._writeFileCloseIds.add(a.id)
-    }
+    for (const a of this._index.matching(this._signatures.close)) this._writeFileCloseIds.add(a.id)
   }
 
   _separateIntoGroups(id) {
-    const stop = id => this._writeFileCloseIds.has(id)
-
     for (const openId of this._writeFileOpenIds) {
-      const group = idsTriggeredBy(this._activities, openId, stop)
+      // appends and other writes may be closed while this file is still written to
+      const stop = stopAtDescendant(openId, id => this._writeFileCloseIds.has(id))
+      const group = this._index.idsTriggeredBy(openId, stop)
       this._groups.set(openId, group)
     }
   }
@@ -204,7 +181,7 @@ class WriteFileProcessor {
         group: info
       , includeActivities: this._includeActivities
     })
-    this._operations.set(id, op.summary())
+    this._operations.set(id, op.summary({ separateFunctions: this._separateFunctions }))
   }
 
   _resolveGroup(group) {
@@ -3,9 +3,21 @@ const {
   , safeGetVal
   , safeFirstStamp
   , uniqueUserFunctions
-  , separateUserFunctions
   , mergeUserFunctions
 } = require('ah-processor.utils')
+const {
+    separateUserFunctions
+  , errorCode
+  , missingSteps
+  , operationStatus
+  , lastDestroyed
+  , callbackArguments
+  , totalBytes
+  , throughput
+  , stepLatency
+  , firstUserFrame
+  , streamArg
+} = require('./utils')
 
 class WriteStreamOperation {
   /**
@@ -31,9 +43,14 @@ class WriteStreamOperation {
   }
 
   _process(group) {
+    this._created = prettyNs(0)
+    this._destroyed = prettyNs(0)
     this._writes = []
+    this._streamBytes = 0
+    const activities = []
     for (let i = 0; i < group.length; i++) {
       const info = group[i]
+      if (info.activity != null) activities.push(info.activity)
       if (info.isopen) {
         this._processOpen(info)
       } else if (info.istick) {
@@ -44,6 +61,18 @@ class WriteStreamOperation {
         this._processClose(info)
       }
     }
+
+    this._missing = missingSteps({
+        open  : this._open != null
+      , write : this._writes.length > 0
+      , close : this._close != null
+    })
+    this._error = errorCode(activities)
+    if (this._close == null) this._destroyed = lastDestroyed(activities)
+    if (this._createdAt == null && this._open != null) {
+      const constructing = activities.find(x => x.id === this._open.triggerId)
+      if (constructing != null) this._createdAt = firstUserFrame(constructing.initStack)
+    }
   }
 
   /**
@@ -51,7 +80,9 @@ class WriteStreamOperation {
    *  data points:
    *
    *  1. the init timestamp tells us when the stream was created
-   *  2. the last frame of the init stack tells us where `createWriteStream` was called.
+   *  2. the first user frame of the init stack tells us where `createWriteStream` was called,
+   *     starting with Node.js 16 the file is opened from within a tick, in that case the init stack
+   *     of the tick that constructed the stream tells us instead
    *
    * @name writeStreamOperation._processOpen
    * @function
@@ -59,17 +90,12 @@ class WriteStreamOperation {
    */
   _processOpen(info) {
     this._created = prettyNs(info.activity.init[0])
-
-    // Sample init stack:
-    // "at Object.fs.open (fs.js:581:11)",
-    // "at WriteStream.open (fs.js:1893:6)",
-    // "at new WriteStream (fs.js:1879:10)",
-    // "at Object.fs.createWriteStream (fs.js:1841:10)",
-    // "at Test.<anonymous> (/Volumes/d/dev/js/async-hooks/ah-fs/test/read-stream-piped-into-write-stream.js:29:26)"
-    const initStack = info.activity.initStack
-    if (initStack == null || initStack.length < 5) return
-    this._createdAt = info.activity.initStack[4]
-    this._open = { id: info.activity.id, triggerId: info.activity.triggerId }
+    this._createdAt = firstUserFrame(info.activity.initStack)
+    this._open = {
+        id: info.activity.id
+      , triggerId: info.activity.triggerId
+      , latency: stepLatency(info.activity)
+    }
     if (this._includeActivities) this._open.activity = info.activity
   }
 
@@ -80,6 +106,8 @@ class WriteStreamOperation {
     *
     * The ReadableState included the WritableState which the [ah-fs](https://github.com/nodesource/ah-fs) pre-processor
     * already plucked for us and added as the 3rd argument.
+    * Starting with Node.js 16 the ticks queued by the WriteStream itself are passed the WriteStream directly,
+    * i.e. `[ WriteStream, WritableState ]`.
     * Additionally it includes lots of functions including user functions registered with the
     * WriteStream, i.e. `on('finish')`.
     *
@@ -101,18 +129,22 @@ class WriteStreamOperation {
     */
   _processTick(info) {
     const { id, triggerId } = info.activity
+    const stream = streamArg(info.activity, 'WriteStream')
+    if (stream == null) return
+
+    // each tick captured the stream at a different point in time, the latest one
+    // knows about the most bytes
+    if (typeof stream.bytesWritten === 'number') {
+      this._streamBytes = Math.max(this._streamBytes, stream.bytesWritten)
+    }
 
     // only need one tick to pull the info from
     if (this._processedTick) return
 
-    const args = info.activity.resource && info.activity.resource.args
-    if (args == null || args.length < 3) return
-
-    const writableState = args[2]
-    const path = safeGetVal(writableState.path)
-    const flags = safeGetVal(writableState.flags)
-    const fd = writableState.fd
-    const mode = writableState.mode
+    const path = safeGetVal(stream.path)
+    const flags = safeGetVal(stream.flags)
+    const fd = stream.fd
+    const mode = stream.mode
 
     const functions = info.activity.resource.functions
     const userFunctions = uniqueUserFunctions(functions, { pathPrefix: 'stream.resource' })
@@ -150,7 +182,17 @@ class WriteStreamOperation {
     const after = safeFirstStamp(activity.after)
     const timeSpent = before && after ? prettyNs(after.ns - before.ns) : prettyNs(0)
 
-    const write = { id: activity.id, triggerId: activity.triggerId, timeSpent }
+    // the callback is invoked with `(err, bytesWritten)`
+    const args = callbackArguments(activity)
+    const bytes = args != null && typeof args['1'] === 'number' ? args['1'] : null
+
+    const write = {
+        id: activity.id
+      , triggerId: activity.triggerId
+      , latency: stepLatency(activity)
+      , bytes
+      , timeSpent
+    }
     if (this._includeActivities) write.activity = activity
     this._writes.push(write)
   }
@@ -169,22 +211,41 @@ class WriteStreamOperation {
     const activity = info.activity
     if (activity == null) return
     this._destroyed = safeFirstStamp(activity.destroy)
-    this._close = { id: activity.id, triggerId: activity.triggerId }
+    this._close = {
+        id: activity.id
+      , triggerId: activity.triggerId
+      , latency: stepLatency(activity)
+    }
     if (this._includeActivities) this._close.activity = activity
   }
 
+  // Prefer the bytes reported to the callbacks of all writes, the stream only knows about
+  // the bytes written up to the point at which the latest tick was captured.
+  _bytes() {
+    const bytes = totalBytes(this._writes)
+    if (bytes != null) return bytes
+    return this._streamBytes > 0 ? this._streamBytes : null
+  }
+
   summary({ separateFunctions = true, mergeFunctions = true } = {}) {
+    const timeAlive = prettyNs(Math.max(0, this._destroyed.ns - this._created.ns))
+    const bytes = this._bytes()
     const info = {
         lifeCycle: {
             created   : this._created
           , destroyed : this._destroyed
-          , timeAlive : prettyNs(this._destroyed.ns - this._created.ns)
+          , timeAlive : timeAlive
         }
-      , createdAt : this._createdAt
-      , open      : this._open
-      , stream    : this._stream
-      , writes    : this._writes
-      , close     : this._close
+      , createdAt  : this._createdAt
+      , status     : operationStatus({ missing: this._missing, error: this._error })
+      , missing    : this._missing
+      , error      : this._error
+      , open       : this._open
+      , stream     : this._stream
+      , writes     : this._writes
+      , close      : this._close
+      , bytes      : bytes
+      , throughput : throughput({ bytes, timeAlive, steps: this._writes })
     }
 
     if (!separateFunctions) return info
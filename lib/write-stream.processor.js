@@ -1,46 +1,10 @@
-const { oldestId, immediatelyBeforeId } = require('ah-processor.utils')
+const { signaturesFor } = require('./signatures')
+const { streamArg, firstStamp, oldestId, immediatelyBeforeId } = require('./utils')
+const ActivityIndex = require('./activity-index')
 const WriteStreamOperation = require('./write-stream.operation')
-const FSReqWrap = 'FSREQWRAP'
 const TickObject = 'TickObject'
 const askGrama = require('grama')
 
-/*
- * Sample initStack of writeStream open:
- *
- * "at Object.fs.open (fs.js:581:11)",
- * "at WriteStream.open (fs.js:1893:6)",
- * "at new WriteStream (fs.js:1879:10)",
- * "at Object.fs.createWriteStream (fs.js:1841:10)",
- * "at Test.<anonymous> (/Volumes/d/dev/js/async-hooks/ah-fs/test/read-stream-piped-into-write-stream.js:29:26)"
- *
- * Bottom frame has the info about where we created the write stream.
- */
-const openInitFrame0Rx = /Object\.fs\.open/i
-const openInitFrame1Rx = /WriteStream\.open/i
-
-/*
- * Sample initStack of writeStream write:
- *
- *  "at Object.fs.write (fs.js:643:20)",
- *  "at WriteStream._write (fs.js:1919:6)",
- *  "at doWrite (_stream_writable.js:326:12)",
- *  "at writeOrBuffer (_stream_writable.js:312:5)",
- *  "at WriteStream.Writable.write (_stream_writable.js:236:11)"
- */
-const writeInitFrame0Rx = /Object\.fs\.write/i
-const writeInitFrame1Rx = /WriteStream\._write/i
-
-/* Sample initStack of writeStream close:
- *
- * "at Object.fs.close (fs.js:555:11)",
- * "at close (fs.js:1829:8)",
- * "at WriteStream.ReadStream.close (fs.js:1825:3)",
- * "at WriteStream.<anonymous> (fs.js:1884:12)",
- * "at Object.onceWrapper (events.js:291:19)"
- */
-const closeInitFrame0Rx = /Object\.fs\.close/i
-const closeInitFrame2Rx = /WriteStream\.ReadStream\.close/i
-
 class WriteStreamProcessor {
   /**
    * Instantiates an fs.createWriteStream data processor to process data collected via
@@ -55,9 +19,15 @@ class WriteStreamProcessor {
    * @param {Boolean} [$0.separateFunctions = true] when `true` the user functions are separated out
    * from the specific resources and attached as a `userFunctions` array directly to the returned
    * operations
+   * @param {String|Number} [$0.nodeVersion] the Node.js version that produced the activities, i.e. `'v12.22.12'`,
+   * it determines how the steps are identified and is detected from the activities if not provided
+   * @param {ActivityIndex} [$0.index] the index of the activities, shared by all processors that process
+   * the same activities and created from the activities if not provided
    */
-  constructor({ activities, includeActivities = false, separateFunctions = true }) {
-    this._activities = activities
+  constructor({ activities, includeActivities = false, separateFunctions = true, nodeVersion, index }) {
+    this._signatures = signaturesFor({ activities, nodeVersion }).writeStream
+    this._index = index || new ActivityIndex({ activities })
+    this._activities = this._index.activities
     this._includeActivities = includeActivities
     this._separateFunctions = separateFunctions
     this._clear()
@@ -74,6 +44,8 @@ class WriteStreamProcessor {
    * indexed by the `fd` on which the writeFile operated.
    * Thus the `groups` is a map of sets.
    * If no file write stream was encountered the groups are empty.
+   * Each open results in a group, including the ones of streams that were never closed or
+   * whose file failed to open, their operations list the steps that weren't found as `missing`.
    *
    * ## Operations
    *
@@ -91,9 +63,13 @@ class WriteStreamProcessor {
    *  - **stream**: contains data about how the stream was configured, including writeable state and
    *    the path to the file being write, pipes count, encoding, etc.
    *  - **writes**: an Array of writes, each containing data about writing a chunk from the file including
-   *    the time spent to complete writeing the particular chunk
+   *    the bytes written, if the callback arguments were captured, and the time spent to complete writeing the particular chunk
    *  - **close**: contains data about closing the file
    *
+   *  Data about the bytes that were transferred:
+   *  - **bytes**: the bytes written, taken from the writes or otherwise the `bytesWritten` of the stream
+   *  - **throughput**: the bytes written per ms of `timeAlive` as `alive` and per ms the writes were queued as `io`
+   *
    * ### General Operation Properties
    *
    * - [see ReadFileProcessor.process](https://nodesource.github.io/ah-fs.processor/#general-operation-properties)
@@ -104,7 +80,7 @@ class WriteStreamProcessor {
    *
    * ```js
    *
-   * { groups: Map { 10 => Set { 14, 10, 16, 19 } },
+   * { groups: Map { 10 => Set { 10, 14, 16, 19 } },
    *   operations:
    *   Map {
    *     10 => { lifeCycle:
@@ -112,6 +88,9 @@ class WriteStreamProcessor {
    *         destroyed: { ms: '18.20ms', ns: 18205000 },
    *         timeAlive: { ms: '17.08ms', ns: 17082000 } },
    *     createdAt: 'at Test.<anonymous> (/Volumes/d/dev/js/async-hooks/ah-fs/test/read-stream-piped-into-write-stream.js:29:26)',
+   *     status: 'complete',
+   *     missing: [],
+   *     error: null,
    *     open: { id: 10, triggerId: 3 },
    *     stream:
    *       { id: 16,
@@ -123,8 +102,11 @@ class WriteStreamProcessor {
    *     writes:
    *       [ { id: 14,
    *           triggerId: 13,
+   *           bytes: null,
    *           timeSpent: { ms: '0.14ms', ns: 139000 } } ],
    *     close: { id: 19, triggerId: 15 },
+   *     bytes: null,
+   *     throughput: { alive: null, io: null },
    *     userFunctions:
    *       [ { file: '/Volumes/d/dev/js/async-hooks/ah-fs/test/read-stream-piped-into-write-stream.js',
    *           line: 32,
@@ -175,46 +157,24 @@ class WriteStreamProcessor {
   }
 
   _findWriteStreamOpenIds() {
-    for (const a of this._activities.values()) {
-      if (a.type !== FSReqWrap) continue
-      if (a.initStack == null || a.initStack.length < 2) continue
-      if (!openInitFrame0Rx.test(a.initStack[0])) continue
-      if (!openInitFrame1Rx.test(a.initStack[1])) continue
-      this._writeStreamOpenIds.add(a.id)
-    }
+    for (const a of this._index.matching(this._signatures.open)) this._writeStreamOpenIds.add(a.id)
   }
 
   _findWriteStreamTickIds() {
-    for (const a of this._activities.values()) {
-      if (a.type !== TickObject) continue
+    for (const a of this._index.ofType(TickObject)) {
       if (a.resource == null) continue
-      const args = a.resource.args
-      if (args == null || !Array.isArray(args) || args.length < 3) continue
-      const writeStream = args[2]
-      if (writeStream.proto !== 'WriteStream') continue
-      if (!writeStream.writable) continue
+      const writeStream = streamArg(a, 'WriteStream')
+      if (writeStream == null) continue
       this._writeStreamTickIds.add(a.id)
     }
   }
 
   _findWriteStreamWriteIds() {
-    for (const a of this._activities.values()) {
-      if (a.type !== FSReqWrap) continue
-      if (a.initStack == null || a.initStack.length < 2) continue
-      if (!writeInitFrame0Rx.test(a.initStack[0])) continue
-      if (!writeInitFrame1Rx.test(a.initStack[1])) continue
-      this._writeStreamWriteIds.add(a.id)
-    }
+    for (const a of this._index.matching(this._signatures.write)) this._writeStreamWriteIds.add(a.id)
   }
 
   _findWriteStreamCloseIds() {
-    for (const a of this._activities.values()) {
-      if (a.type !== FSReqWrap) continue
-      if (a.initStack == null || a.initStack.length < 3) continue
-      if (!closeInitFrame0Rx.test(a.initStack[0])) continue
-      if (!closeInitFrame2Rx.test(a.initStack[2])) continue
-      this._writeStreamCloseIds.add(a.id)
-    }
+    for (const a of this._index.matching(this._signatures.close)) this._writeStreamCloseIds.add(a.id)
   }
 
   /**
@@ -226,6 +186,20 @@ class WriteStreamProcessor {
   *
   * We just don't have the data available to piece this together with 100% certainty.
   *
+  * Every open results in a group, even if we don't find any writes or the close,
+  * i.e. because the stream was never closed or the file failed to open.
+  * The operation lists the steps it is missing in that case.
+  *
+  * ## Steps Triggered by the Open
+  *
+  * Unless the stream is piped into, its writes and its close are triggered by its open, directly
+  * or indirectly, see `_triggeredSteps`.
+  *
+  * ## Piped Streams
+  *
+  * When a read stream is piped into the write stream its writes and close are triggered by the
+  * reads of the read stream instead.
+  *
   * Below is a sample of collected async resources with all but types and ids removed.
   *
   * ```
@@ -242,7 +216,7 @@ class WriteStreamProcessor {
   *
   * We reason about that data as follows in order to piece together the WriteStream.
   *
-  * ## Connecting WriteSteam Write to WriteStream Close
+  * ### Connecting WriteSteam Write to WriteStream Close
   *
   * Write (id: 14) is triggered by read of read stream (id: 13).
   * The same read triggers the last read (id: 15).
@@ -262,14 +236,14 @@ class WriteStreamProcessor {
   * However I would imagine that this breaks down once we have on read stream piped into multiple
   * write streams as then the writes have the same Read parent.
   *
-  * ## Connecting WriteStream Open to WriteStream Write
+  * ### Connecting WriteStream Open to WriteStream Write
   *
   * There is no 100% way to get this right, but if we assume that the first write happens right after
   * the opening of the write stream in the same context we can do the following.
   *
   * We already know that the common parent of WriteStream:Write and
   * WriteStream:Close is Read1:13.
-  * Therefore we find all WriteStream:Opens that share a parent with Read1:13.
+  * Therefore we find all WriteStream:Opens that weren't closed yet and share a parent with Read1:13.
   * The ones with the closest parent win.
   *
   * If we find more than one, we pick the one that was initialized closest to
@@ -287,8 +261,89 @@ class WriteStreamProcessor {
   * @function
   */
   _separateIntoGroups() {
+    // Starting with Node.js 16 the file is opened from within the tick that constructs
+    // the stream, it knows where the stream was created.
+    const constructingIds = new Set()
+    for (const openId of this._writeStreamOpenIds) {
+      const { triggerId } = this._activities.get(openId)
+      if (this._writeStreamTickIds.has(triggerId)) constructingIds.add(triggerId)
+    }
+
     const remainingWriteIds = new Set(this._writeStreamWriteIds)
-    const remainingOpenIds = new Set(this._writeStreamOpenIds)
+    const remainingCloseIds = new Set(this._writeStreamCloseIds)
+    const unclosedOpenIds = new Set()
+    for (const openId of this._writeStreamOpenIds) {
+      const group = new Set([ openId ])
+      const { triggerId } = this._activities.get(openId)
+      if (constructingIds.has(triggerId)) group.add(triggerId)
+
+      for (const id of this._triggeredSteps(openId, constructingIds)) {
+        const claimed = (this._writeStreamWriteIds.has(id) && !remainingWriteIds.has(id)) ||
+          (this._writeStreamCloseIds.has(id) && !remainingCloseIds.has(id))
+        if (claimed) continue
+        group.add(id)
+        remainingWriteIds.delete(id)
+        remainingCloseIds.delete(id)
+      }
+      if (!Array.from(group).some(id => this._writeStreamCloseIds.has(id))) unclosedOpenIds.add(openId)
+      this._groups.set(openId, group)
+    }
+
+    this._groupPipedStreams(remainingWriteIds, remainingCloseIds, unclosedOpenIds)
+  }
+
+  /**
+   * Collects the writes, ticks and the close triggered by the open, directly or indirectly.
+   *
+   * We don't descend into other write streams, i.e. ones created from the callback of a write,
+   * nor past the close of the stream.
+   * Ticks that link a step to the open are collected as well, even if they don't reference the
+   * stream, i.e. the tick that resumes the construction of the stream once the file was opened,
+   * otherwise the writes would appear unrelated to the open once that tick is gone.
+   *
+   * @name writeStreamProcessor._triggeredSteps
+   * @function
+   * @param {Number} openId the id of the open
+   * @param {Set.<Number>} constructingIds the ids of the ticks that construct a write stream
+   * @return {Array.<Number>} the ids of the steps in the order they were triggered
+   */
+  _triggeredSteps(openId, constructingIds) {
+    const steps = []
+    const linkOf = new Map()
+    const addStep = id => {
+      steps.push(id)
+      // the ticks between the step and the open link them
+      for (let link = linkOf.get(id); link != null && !steps.includes(link); link = linkOf.get(link)) {
+        steps.push(link)
+      }
+    }
+    const enqueue = (parentId, ids) => {
+      for (const id of ids) {
+        if (parentId !== openId && this._activities.get(parentId).type === TickObject) linkOf.set(id, parentId)
+        else if (linkOf.has(parentId)) linkOf.set(id, linkOf.get(parentId))
+        pending.push(id)
+      }
+    }
+    const pending = []
+    enqueue(openId, this._index.childrenOf(openId))
+    let closed = false
+    while (pending.length > 0) {
+      const id = pending.shift()
+      if (this._writeStreamOpenIds.has(id) || constructingIds.has(id)) continue
+      if (this._writeStreamCloseIds.has(id)) {
+        if (!closed) addStep(id)
+        closed = true
+        continue
+      }
+      if (this._writeStreamWriteIds.has(id) || this._writeStreamTickIds.has(id)) addStep(id)
+      enqueue(id, this._index.childrenOf(id))
+    }
+    return steps
+  }
+
+  _groupPipedStreams(remainingWriteIds, remainingCloseIds, unclosedOpenIds) {
+    if (remainingCloseIds.size === 0 || unclosedOpenIds.size === 0) return
+
     const grama = askGrama({
         nodes: Array.from(this._activities.values())
       , id: 'id'
@@ -296,7 +351,7 @@ class WriteStreamProcessor {
     })
 
     // For each close that we see we work our way backwards.
-    for (const closeId of this._writeStreamCloseIds.keys()) {
+    for (const closeId of remainingCloseIds) {
       const writeSiblings = grama.allSiblings(
           closeId
         , ({ descendantId }) => remainingWriteIds.has(descendantId)
@@ -311,10 +366,10 @@ class WriteStreamProcessor {
       // the oldest write
       const openSiblings = grama.allSiblings(
           oldestWriteId
-        , ({ descendantId }) => remainingOpenIds.has(descendantId)
+        , ({ descendantId }) => unclosedOpenIds.has(descendantId)
       )
 
-      // if we find no related writes we give up and ignore the close id
+      // if we find no related opens we give up and ignore the close id
       if (openSiblings.size === 0) continue
 
       const mostImmediateOpen = immediatelyBeforeId(
@@ -322,6 +377,7 @@ class WriteStreamProcessor {
         , openSiblings
         , oldestWriteId
       )
+      if (mostImmediateOpen == null) continue
 
       // Now we pieced the WriteStream together, but also want to include one related
       // WriteStreamTick (even if it is more related to a Read) as it has all
@@ -332,17 +388,17 @@ class WriteStreamProcessor {
         , ({ descendantId }) => this._writeStreamTickIds.has(descendantId)
       )
 
-      // Now we create and add the group for this WriteStream
-      const group = new Set(writeSiblings)
-      group
-        .add(mostImmediateOpen)
-        .add(closestStreamTickAncestor)
-        .add(closeId)
-      this._groups.set(mostImmediateOpen, group)
+      // the writes are found starting at the close, we add them in the order they happened
+      const group = this._groups.get(mostImmediateOpen)
+      const writeIds = Array.from(writeSiblings)
+        .sort((a, b) => firstStamp(this._activities.get(a).init) - firstStamp(this._activities.get(b).init))
+      for (const wid of writeIds) group.add(wid)
+      if (closestStreamTickAncestor != null) group.add(closestStreamTickAncestor)
+      group.add(closeId)
 
       // And finally we remove the ids we used for this WriteStream
       // so they won't be used for the remaining ones
-      remainingOpenIds.delete(mostImmediateOpen)
+      unclosedOpenIds.delete(mostImmediateOpen)
       for (const wid of writeSiblings) {
         remainingWriteIds.delete(wid)
       }
@@ -399,3 +455,12 @@ exports.operationSteps = 4
  * @name WriteStreamProcessor.operation.
  */
 exports.operation = 'fs.createWriteStream'
+
+/**
+ * Types of activities that may be shared with other operations: 'TickObject'.
+ *
+ * A write stream that is piped into shares the stream tick of the read stream.
+ *
+ * @name WriteStreamProcessor.sharedTypes
+ */
+exports.sharedTypes = [ 'TickObject' ]
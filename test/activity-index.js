@@ -0,0 +1,106 @@
+const test = require('tape')
+// eslint-disable-next-line no-unused-vars
+const ocat = require('./utils/ocat')
+const spok = require('spok')
+
+const { idsTriggeredBy } = require('ah-processor.utils')
+const { ActivityIndex, ReadFileProcessor } = require('../')
+const { signaturesFor, matchesSignature } = require('../lib/signatures')
+
+// eslint-disable-next-line no-unused-vars
+function inspect(obj, depth) {
+  console.error(require('util').inspect(obj, false, depth || 5, true))
+}
+
+const fixtures = [
+    'five-files.read-file.json'
+  , 'read-stream-piped-into-write-stream-fs-only.json'
+  , 'read-write-fd.json'
+  , 'promises.read-write-open.json'
+]
+
+test('\nindexing activities by type and triggerId', function(t) {
+  const activities = new Map(require('./fixtures/five-files.read-file.json'))
+  const index = new ActivityIndex({ activities })
+
+  t.equal(index.activities, activities, 'exposes the indexed activities')
+  const fsreqs = Array.from(activities.values()).filter(x => x.type === 'FSREQWRAP')
+  t.deepEqual(index.ofType('FSREQWRAP'), fsreqs, 'finds activities of a type in order')
+  spok(t, index.ofType('NOTATYPE'), { $topic: 'unknown type', length: 0 })
+
+  const mismatches = []
+  for (const a of activities.values()) {
+    const children = Array.from(activities.values()).filter(x => x.triggerId === a.id).map(x => x.id)
+    if (JSON.stringify(index.childrenOf(a.id)) !== JSON.stringify(children)) mismatches.push(a.id)
+  }
+  t.deepEqual(mismatches, [], 'finds the activities triggered by each activity in order')
+  spok(t, index.childrenOf(-1), { $topic: 'unknown id', length: 0 })
+  t.end()
+})
+
+test('\nmatching signatures', function(t) {
+  for (const fixture of fixtures) {
+    const activities = new Map(require(`./fixtures/${fixture}`))
+    const index = new ActivityIndex({ activities })
+    const signatures = signaturesFor({ activities })
+    for (const key of Object.keys(signatures)) {
+      for (const step of Object.keys(signatures[key])) {
+        const signature = signatures[key][step]
+        const expected = Array.from(activities.values()).filter(a => matchesSignature(a, signature))
+        t.deepEqual(index.matching(signature), expected, `${fixture}: ${key}.${step}`)
+      }
+    }
+  }
+
+  const activities = new Map(require('./fixtures/five-files.read-file.json'))
+  const index = new ActivityIndex({ activities })
+  const { open } = signaturesFor({ activities }).readFile
+  t.equal(index.matching(open), index.matching(open), 'caches the activities matching a signature')
+  t.end()
+})
+
+test('\nwalking activities triggered by an activity', function(t) {
+  for (const fixture of fixtures) {
+    const activities = new Map(require(`./fixtures/${fixture}`))
+    const index = new ActivityIndex({ activities })
+    const ids = Array.from(activities.keys())
+    const last = ids[ids.length - 1]
+    const stops = [ () => false, id => id === last, id => ids.indexOf(id) % 5 === 4 ]
+
+    const mismatches = []
+    for (const id of ids) {
+      for (const stop of stops) {
+        const expected = Array.from(idsTriggeredBy(activities, id, stop))
+        const actual = Array.from(index.idsTriggeredBy(id, stop))
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) mismatches.push({ id, actual, expected })
+      }
+    }
+    t.deepEqual(mismatches, [], `${fixture}: same ids as ah-processor.utils for all ${ids.length} activities`)
+  }
+  t.end()
+})
+
+test('\nsharing an index between processors', function(t) {
+  const activities = new Map(require('./fixtures/five-files.read-file.json'))
+  const index = new ActivityIndex({ activities })
+  const shared = new ReadFileProcessor({ activities, index }).process()
+  const own = new ReadFileProcessor({ activities }).process()
+
+  t.deepEqual(shared.groups, own.groups, 'finds the same groups')
+  t.deepEqual(shared.operations, own.operations, 'finds the same operations')
+  t.end()
+})
+
+test('\nindexing activities hashed by keys that differ from their ids', function(t) {
+  // the fs.close 13 of this fixture is hashed by 12
+  const activities = new Map(require('./fixtures/open.stat.close-only.json'))
+  const index = new ActivityIndex({ activities })
+
+  t.equal(activities.has(13), false, 'the supplied activities do not hash the close by its id')
+  t.equal(index.activities.get(13).id, 13, 'the indexed activities hash the close by its id')
+  t.equal(index.activities.size, activities.size, 'indexes all activities')
+
+  const hashedById = new Map(require('./fixtures/one-file.read-file.json'))
+  t.equal(new ActivityIndex({ activities: hashedById }).activities, hashedById, 'uses activities hashed by id as is')
+  t.end()
+})
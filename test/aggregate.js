@@ -0,0 +1,92 @@
+const test = require('tape')
+// eslint-disable-next-line no-unused-vars
+const ocat = require('./utils/ocat')
+const spok = require('spok')
+
+const { processFileSystem, aggregateOperations } = require('../')
+
+// eslint-disable-next-line no-unused-vars
+function inspect(obj, depth) {
+  console.error(require('util').inspect(obj, false, depth || 5, true))
+}
+
+test('\naggregating five fs.readFile operations created at the same call site', function(t) {
+  const activities = new Map(require('./fixtures/five-files.read-file.json'))
+  const { operations } = processFileSystem({ activities })
+  const { byCallSite, byPath, byType } = aggregateOperations({ operations })
+
+  const group =
+    { count: 5
+    , timeAlive:
+      { total: { ms: '51.36ms', ns: 51360000 }
+      , mean: { ms: '10.27ms', ns: 10272000 }
+      , p50: { ms: '6.49ms', ns: 6494000 }
+      , p95: { ms: '19.03ms', ns: 19033000 }
+      , p99: { ms: '19.03ms', ns: 19033000 }
+      , max: { ms: '19.03ms', ns: 19033000 } }
+    , bytes: 6335
+    , errors: 0
+    , rootIds: [ 5, 14, 21, 28, 35 ] }
+
+  spok(t, byCallSite,
+    [ Object.assign({ $topic: 'by call site'
+      , key: 'at Server.onconnection (/Volumes/d/dev/js/async-hooks/ah-demos/demos/tcp-fs/server:50:6)' }, group) ]
+  )
+  spok(t, byPath, [ Object.assign({ $topic: 'by path', key: null }, group) ])
+  spok(t, byType, [ Object.assign({ $topic: 'by type', key: 'fs.readFile' }, group) ])
+  t.end()
+})
+
+test('\naggregating fs.readFile, fs.writeFile and fs.stat operations', function(t) {
+  const activities = new Map(require('./fixtures/read-write-file.options.json'))
+  const stats = new Map(require('./fixtures/stat-files.json'))
+  const { operations } = processFileSystem({ activities })
+  const { operations: statOperations } = processFileSystem({ activities: stats })
+  const { byCallSite, byPath, byType } = aggregateOperations({ operations: operations.concat(statOperations) })
+
+  spok(t, byType,
+    [ { $topic: 'by type'
+      , key: 'fs.stat'
+      , count: 4
+      , timeAlive: { total: { ns: 7207000 }, p50: { ns: 1776000 }, max: { ns: 1890000 } }
+      , bytes: null
+      , errors: 1
+      , rootIds: [ 10, 11, 12, 13 ] }
+    , { key: 'fs.writeFile'
+      , count: 2
+      , timeAlive: { total: { ns: 6000000 }, mean: { ns: 3000000 }, p50: { ns: 2900000 }, p99: { ns: 3100000 } }
+      , errors: 1
+      , rootIds: [ 14, 17 ] }
+    , { key: 'fs.readFile', count: 1, timeAlive: { total: { ns: 1900000 } }, errors: 0 } ]
+  )
+  t.equal(byCallSite.length, 7, 'groups each call site separately')
+  spok(t, byPath.map(({ key, count }) => ({ key, count })),
+    [ { $topic: 'by path', key: null, count: 3 }
+    , { key: '/Volumes/d/dev/js/async-hooks/ah-fs/test/fixtures/readonly.json', count: 1 }
+    , { key: '/Volumes/d/dev/js/async-hooks/ah-fs/test/fixtures/out.json', count: 1 }
+    , { key: '/Volumes/d/dev/js/async-hooks/ah-fs/test/fixtures/config.json', count: 1 }
+    , { key: '/Volumes/d/dev/js/async-hooks/ah-fs/test/missing.js', count: 1 } ]
+  )
+  t.end()
+})
+
+test('\naggregating the bytes of file reads', function(t) {
+  const activities = new Map(require('./fixtures/one-file.read-file.json'))
+  const { operations } = processFileSystem({ activities })
+  const { byType } = aggregateOperations({ operations: operations.concat(operations) })
+
+  spok(t, byType, [ { $topic: 'by type', key: 'fs.readFile', count: 2, bytes: 12216 } ])
+  t.end()
+})
+
+test('\naggregating streams by the path of the file they read and write', function(t) {
+  const activities = new Map(require('./fixtures/node20.streams.json'))
+  const { operations } = processFileSystem({ activities })
+  const { byPath } = aggregateOperations({ operations })
+
+  spok(t, byPath.map(({ key, count }) => ({ key, count })),
+    [ { $topic: 'by path, the copy by its source', key: '/root/tree/test/record/streams.js', count: 2 }
+    , { key: '/dev/null', count: 1 } ]
+  )
+  t.end()
+})
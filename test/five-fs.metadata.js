@@ -0,0 +1,65 @@
+const test = require('tape')
+// eslint-disable-next-line no-unused-vars
+const ocat = require('./utils/ocat')
+const spok = require('spok')
+
+const { MetadataProcessor } = require('../')
+
+// eslint-disable-next-line no-unused-vars
+function inspect(obj, depth) {
+  console.error(require('util').inspect(obj, false, depth || 5, true))
+}
+const activities = new Map(require('./fixtures/metadata.json'))
+
+test('\nactivities with mkdir, rename, unlink, rmdir and symlink, two of them failing, not including activities', function(t) {
+  const includeActivities = false
+  const { groups, operations } =
+    new MetadataProcessor({ activities, includeActivities }).process()
+
+  t.equal(groups.size, 5, 'finds five metadata groups')
+  spok(t, Array.from(operations.values()).map(x => x.kind),
+    [ 'fs.mkdir', 'fs.rename', 'fs.unlink', 'fs.rmdir', 'fs.symlink' ])
+
+  spok(t, operations.get(10),
+    { $topic: 'successful mkdir'
+    , lifeCycle:
+      { created: { ms: '18.10ms', ns: 18100000 }
+      , destroyed: { ms: '19.24ms', ns: 19240000 }
+      , timeAlive: { ms: '1.14ms', ns: 1140000 } }
+    , createdAt: 'at Test.<anonymous> (/Volumes/d/dev/js/async-hooks/ah-fs/test/deploy.js:31:6)'
+    , kind: 'fs.mkdir'
+    , source: null
+    , destination: null
+    , error: null
+    , mutation: { id: 10, triggerId: 1 }
+    , userFunctions:
+      [ { name: 'onmkdir'
+        , location: 'onmkdir (/Volumes/d/dev/js/async-hooks/ah-fs/test/deploy.js:32:17)'
+        , propertyPaths: [ 'mutation.resource.oncomplete' ] } ] }
+  )
+  spok(t, operations.get(11),
+    { $topic: 'failed rename'
+    , createdAt: 'at Test.<anonymous> (/Volumes/d/dev/js/async-hooks/ah-fs/test/deploy.js:38:6)'
+    , kind: 'fs.rename'
+    , source: '/Volumes/d/dev/js/async-hooks/ah-fs/tmp/build'
+    , destination: '/Volumes/d/dev/js/async-hooks/ah-fs/tmp/release'
+    , error: 'ENOENT'
+    , mutation: { id: 11, triggerId: 1 } }
+  )
+  spok(t, operations.get(13),
+    { $topic: 'failed rmdir'
+    , kind: 'fs.rmdir'
+    , source: '/Volumes/d/dev/js/async-hooks/ah-fs/tmp/cache'
+    , destination: null
+    , error: 'ENOTEMPTY' }
+  )
+  t.equal(typeof operations.get(10).mutation.activity, 'undefined', 'does not include activity')
+  t.end()
+})
+
+test('\nactivities with mkdir, rename, unlink, rmdir and symlink, two of them failing, including activities', function(t) {
+  const includeActivities = true
+  const { operations } = new MetadataProcessor({ activities, includeActivities }).process()
+  t.equal(typeof operations.get(10).mutation.activity, 'object', 'does include activity')
+  t.end()
+})
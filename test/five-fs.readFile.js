@@ -17,7 +17,7 @@ const userFunctions = [
   , propertyPaths:
     [ 'open.resource.context.callback'
     , 'stat.resource.context.callback'
-    , 'read.resource.context.callback'
+    , 'reads[0].resource.context.callback'
     , 'close.resource.context.callback' ] } ]
 
 test('\nactivities with five file reads', function(t) {
@@ -49,7 +49,8 @@ test('\nactivities with five file reads', function(t) {
     , createdAt: 'at Server.onconnection (/Volumes/d/dev/js/async-hooks/ah-demos/demos/tcp-fs/server:50:6)'
     , open: { id: 5, triggerId: 2 }
     , stat: { id: 6, triggerId: 5 }
-    , read: { id: 7, triggerId: 6 }
+    , reads: [ { id: 7, triggerId: 6 } ]
+    , readCount: 1
     , close: { id: 8, triggerId: 7 }
     , userFunctions
   })
@@ -62,7 +63,8 @@ test('\nactivities with five file reads', function(t) {
     , createdAt: 'at Server.onconnection (/Volumes/d/dev/js/async-hooks/ah-demos/demos/tcp-fs/server:50:6)'
     , open: { id: 14, triggerId: 2 }
     , stat: { id: 15, triggerId: 14 }
-    , read: { id: 16, triggerId: 15 }
+    , reads: [ { id: 16, triggerId: 15 } ]
+    , readCount: 1
     , close: { id: 17, triggerId: 16 }
     , userFunctions
   })
@@ -75,7 +77,8 @@ test('\nactivities with five file reads', function(t) {
     , createdAt: 'at Server.onconnection (/Volumes/d/dev/js/async-hooks/ah-demos/demos/tcp-fs/server:50:6)'
     , open: { id: 21, triggerId: 2 }
     , stat: { id: 22, triggerId: 21 }
-    , read: { id: 23, triggerId: 22 }
+    , reads: [ { id: 23, triggerId: 22 } ]
+    , readCount: 1
     , close: { id: 24, triggerId: 23 }
     , userFunctions
   })
@@ -88,7 +91,8 @@ test('\nactivities with five file reads', function(t) {
     , createdAt: 'at Server.onconnection (/Volumes/d/dev/js/async-hooks/ah-demos/demos/tcp-fs/server:50:6)'
     , open: { id: 28, triggerId: 2 }
     , stat: { id: 29, triggerId: 28 }
-    , read: { id: 30, triggerId: 29 }
+    , reads: [ { id: 30, triggerId: 29 } ]
+    , readCount: 1
     , close: { id: 31, triggerId: 30 }
     , userFunctions
   })
@@ -101,10 +105,19 @@ test('\nactivities with five file reads', function(t) {
     , createdAt: 'at Server.onconnection (/Volumes/d/dev/js/async-hooks/ah-demos/demos/tcp-fs/server:50:6)'
     , open: { id: 35, triggerId: 2 }
     , stat: { id: 36, triggerId: 35 }
-    , read: { id: 37, triggerId: 36 }
+    , reads: [ { id: 37, triggerId: 36 } ]
+    , readCount: 1
     , close: { id: 38, triggerId: 37 }
     , userFunctions
   })
+  spok(t, [ op1, op2, op3, op4, op5 ].map(op => op.bytes),
+    { $topic: 'bytes read into the ReadFileContext, since the callback arguments weren\'t captured'
+    , 0: 1405
+    , 1: 2829
+    , 2: 697
+    , 3: 944
+    , 4: 460 }
+  )
 
   t.end()
 })
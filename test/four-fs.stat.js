@@ -0,0 +1,82 @@
+const test = require('tape')
+// eslint-disable-next-line no-unused-vars
+const ocat = require('./utils/ocat')
+const spok = require('spok')
+
+const { StatProcessor } = require('../')
+
+// eslint-disable-next-line no-unused-vars
+function inspect(obj, depth) {
+  console.error(require('util').inspect(obj, false, depth || 5, true))
+}
+const activities = new Map(require('./fixtures/stat-files.json'))
+
+test('\nactivities with stat, lstat, fstat and one failing stat, not including activities, separating user functions', function(t) {
+  const includeActivities = false
+  const separateFunctions = true
+  const { groups, operations } =
+    new StatProcessor({ activities, includeActivities, separateFunctions }).process()
+
+  t.equal(groups.size, 4, 'finds four stat groups')
+  spok(t, Array.from(groups.get(10)), { $topic: 'stat group members', 0: 10, length: 1 })
+  t.equal(operations.size, 4, 'finds four stat operations')
+
+  spok(t, operations.get(10),
+    { $topic: 'fs.stat operation'
+    , lifeCycle:
+      { created: { ms: '24.12ms', ns: 24120000 }
+      , destroyed: { ms: '26.01ms', ns: 26010000 }
+      , timeAlive: { ms: '1.89ms', ns: 1890000 } }
+    , createdAt: 'at Test.<anonymous> (/Volumes/d/dev/js/async-hooks/ah-fs/test/stat-files.js:31:6)'
+    , method: 'fs.stat'
+    , path: null
+    , stat: { id: 10, triggerId: 1 }
+    , stats: { size: 1042, mtime: 1508995452000, isFile: true }
+    , userFunctions:
+      [ { file: '/Volumes/d/dev/js/async-hooks/ah-fs/test/stat-files.js'
+        , line: 32
+        , column: 17
+        , name: 'onstat'
+        , location: 'onstat (/Volumes/d/dev/js/async-hooks/ah-fs/test/stat-files.js:32:17)'
+        , propertyPaths: [ 'stat.resource.oncomplete' ] } ] }
+  )
+  t.equal(typeof operations.get(10).stat.activity, 'undefined', 'does not include activity for stat')
+
+  spok(t, operations.get(11),
+    { $topic: 'fs.lstat operation'
+    , method: 'fs.lstat'
+    , stat: { id: 11, triggerId: 1 }
+    , stats: { size: 4096, mtime: 1508995411000, isFile: false } }
+  )
+  spok(t, operations.get(12),
+    { $topic: 'fs.fstat operation'
+    , method: 'fs.fstat'
+    , stat: { id: 12, triggerId: 1 }
+    , stats: { size: 1042, isFile: true } }
+  )
+  spok(t, operations.get(13),
+    { $topic: 'failed fs.stat operation'
+    , method: 'fs.stat'
+    , path: '/Volumes/d/dev/js/async-hooks/ah-fs/test/missing.js'
+    , stat: { id: 13, triggerId: 1 }
+    , stats: null }
+  )
+  t.end()
+})
+
+test('\nactivities with stat, lstat, fstat and one failing stat, including activities, not separating user functions', function(t) {
+  const includeActivities = true
+  const separateFunctions = false
+  const { operations } =
+    new StatProcessor({ activities, includeActivities, separateFunctions }).process()
+
+  const op = operations.get(10)
+  t.equal(typeof op.stat.activity, 'object', 'does include activity for stat')
+  t.equal(typeof op.userFunctions, 'undefined', 'does not separate user functions')
+  spok(t, op.stat.userFunctions,
+    [ { $topic: 'stat user functions'
+      , name: 'onstat'
+      , propertyPath: 'stat.resource.oncomplete' } ]
+  )
+  t.end()
+})
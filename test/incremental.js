@@ -0,0 +1,146 @@
+const test = require('tape')
+// eslint-disable-next-line no-unused-vars
+const ocat = require('./utils/ocat')
+const spok = require('spok')
+
+const { IncrementalProcessor, processFileSystem } = require('../')
+
+// eslint-disable-next-line no-unused-vars
+function inspect(obj, depth) {
+  console.error(require('util').inspect(obj, false, depth || 5, true))
+}
+
+const order = { init: 0, before: 1, after: 2, destroy: 3 }
+
+// Feeds the recorded activities to the processor in the order the events happened,
+// adding each activity when it is initialized and updating it for every later event.
+// Unless `flushEach` is `false` the processor is flushed after each event, as if each
+// happened in its own iteration of the event loop.
+function replay(fixture, opts, { flushEach = true, processor = new IncrementalProcessor(opts) } = {}) {
+  const recorded = new Map(require(`./fixtures/${fixture}`))
+  const events = []
+  for (const activity of recorded.values()) {
+    for (const kind of Object.keys(order)) {
+      for (const time of activity[kind] || []) events.push({ time, kind, activity })
+    }
+  }
+  events.sort((a, b) => a.time - b.time || order[a.kind] - order[b.kind])
+
+  const emitted = []
+  let now = 0
+  processor.on('operation', op => emitted.push({ op, at: now, pending: processor.activities.size }))
+
+  const live = new Map()
+  for (const { time, kind, activity } of events) {
+    now = time
+    if (kind === 'init') {
+      const x = Object.assign({}, activity, { init: [ time ] })
+      delete x.before
+      delete x.after
+      delete x.destroy
+      live.set(x.id, x)
+      processor.add(x)
+    } else {
+      const x = live.get(activity.id)
+      x[kind] = (x[kind] || []).concat(time)
+      processor.update(x)
+    }
+    if (flushEach) processor.flush()
+  }
+  return { recorded, processor, emitted }
+}
+
+test('\nincrementally processing five fs.readFile operations', function(t) {
+  const { recorded, processor, emitted } = replay('five-files.read-file.json')
+
+  spok(t, emitted.map(({ op, at }) => ({ name: op.name, rootId: op.rootId, at })),
+    [ { $topic: 'emitted operations', name: 'fs.readFile', rootId: 5, at: 227514000 }
+    , { name: 'fs.readFile', rootId: 14, at: 335437000 }
+    , { name: 'fs.readFile', rootId: 21, at: 428556000 }
+    , { name: 'fs.readFile', rootId: 28, at: 523552000 }
+    , { name: 'fs.readFile', rootId: 35, at: 625957000 } ]
+  )
+  t.ok(emitted.every(({ op }) => recorded.get(op.operation.close.id).destroy[0] === emitted.find(x => x.op === op).at)
+    , 'emits each operation once its close was destroyed')
+  t.equal(processor.activities.size, 0, 'releases the activities of the emitted operations')
+
+  const { operations } = processFileSystem({ activities: recorded })
+  t.deepEqual(emitted[0].op, operations[0], 'emits the same operations as processFileSystem')
+  t.end()
+})
+
+test('\nincrementally processing one read stream piped into one write stream', function(t) {
+  const { processor, emitted } = replay('read-stream-piped-into-write-stream-fs-only.json')
+
+  spok(t, emitted.map(({ op }) => ({ name: op.name, rootId: op.rootId })),
+    [ { $topic: 'emitted operations', name: 'fs.createReadStream', rootId: 11 }
+    , { name: 'fs.createWriteStream', rootId: 10 }
+    , { name: 'fs.copyFile', rootId: 11 } ]
+  )
+  t.equal(emitted[0].pending, 9, 'retains the read stream while the copy it is part of is pending')
+  spok(t, Array.from(processor.activities.keys()), { $topic: 'pending', length: 1 })
+  t.end()
+})
+
+test('\nincrementally processing fs.promises operations whose file handles were not garbage collected', function(t) {
+  const { emitted } = replay('promises.read-write-open.json')
+
+  spok(t, emitted.map(({ op }) => ({ name: op.name, rootId: op.rootId })),
+    [ { $topic: 'emitted operations', name: 'fs.promises', rootId: 30 }
+    , { name: 'fs.promises', rootId: 10 }
+    , { name: 'fs.promises', rootId: 20 } ]
+  )
+  t.end()
+})
+
+test('\nincrementally processing operations that never complete', function(t) {
+  const { processor, emitted } = replay('node20.lint.json', { retain: 1E6 })
+
+  t.notOk(emitted.some(({ op }) => op.name === 'fs.createReadStream'), 'does not emit the stream that was never closed')
+  t.ok(emitted.some(({ op }) => op.name === 'fs.createWriteStream' && op.rootId === 26), 'emits the write stream once it was closed')
+  spok(t, Array.from(processor.activities.keys()), [ 41, 43 ])
+  t.end()
+})
+
+// Counts how often the pending activities are processed.
+function countingProcessor() {
+  const processor = new IncrementalProcessor()
+  const process = processor._process
+  processor.processed = 0
+  processor._process = function() {
+    processor.processed++
+    return process.apply(this, arguments)
+  }
+  return processor
+}
+
+test('\nincrementally processing five fs.readFile operations, flushing once all activities were added', function(t) {
+  const { recorded, processor, emitted } =
+    replay('five-files.read-file.json', {}, { flushEach: false, processor: countingProcessor() })
+
+  t.equal(processor.processed, 0, 'does not process the activities while they are added and updated')
+  t.equal(emitted.length, 0, 'emits no operation before the activities were processed')
+  t.equal(processor.activities.size, recorded.size, 'retains all activities')
+
+  processor.flush()
+  t.equal(processor.processed, 1, 'processes the activities once when flushed')
+  const { operations } = processFileSystem({ activities: recorded })
+  t.deepEqual(emitted.map(({ op }) => op), operations, 'emits the same operations as processFileSystem')
+  t.equal(processor.activities.size, 0, 'releases the activities of the emitted operations')
+
+  processor.flush()
+  t.equal(processor.processed, 1, 'does not process again if no activity was destroyed since')
+  t.end()
+})
+
+test('\nincrementally processing five fs.readFile operations within one iteration of the event loop', function(t) {
+  const { processor, emitted } =
+    replay('five-files.read-file.json', {}, { flushEach: false, processor: countingProcessor() })
+
+  t.equal(processor.processed, 0, 'defers processing the destroyed activities')
+  setImmediate(function onnextiteration() {
+    t.equal(processor.processed, 1, 'processes the activities once with the next iteration')
+    t.equal(emitted.length, 5, 'emits all operations')
+    t.end()
+  })
+})
@@ -0,0 +1,104 @@
+const test = require('tape')
+// eslint-disable-next-line no-unused-vars
+const ocat = require('./utils/ocat')
+const spok = require('spok')
+
+const { processFileSystem, lintOperations } = require('../')
+
+// eslint-disable-next-line no-unused-vars
+function inspect(obj, depth) {
+  console.error(require('util').inspect(obj, false, depth || 5, true))
+}
+
+/*
+ * The fixture was recorded with ./record/lint.js, see ./node-versions.js.
+ */
+const file = '/root/tree/test/record/lint.js'
+
+function lint(rules) {
+  const activities = new Map(require('./fixtures/node20.lint.json'))
+  const { operations } = processFileSystem({ activities })
+  return lintOperations({ activities, operations, rules })
+}
+
+test('\nlinting fs operations with the default rules', function(t) {
+  spok(t, lint(),
+    [ { $topic: 'findings'
+      , rule: 'read-file-large'
+      , severity: 'warning'
+      , message: 'fs.readFile buffered 5242880 bytes, consider fs.createReadStream'
+      , operations: [ { name: 'fs.readFile', rootId: 2, createdAt: `at lint (${file}:10:6)` } ] }
+    , { rule: 'write-stream-tiny-writes'
+      , severity: 'info'
+      , message: spok.startsWith('fs.createWriteStream issued 12 writes of 16 bytes on average')
+      , operations: [ { name: 'fs.createWriteStream', rootId: 26, createdAt: `at tinyWrites (${file}:26:21)` } ] }
+    , { rule: 'stat-then-open'
+      , severity: 'warning'
+      , operations:
+        [ { name: 'fs.stat', rootId: 15, createdAt: `at onlarge (${file}:11:8)` }
+        , { name: 'fs.readFile', rootId: 16, createdAt: `at onstat (${file}:12:10)` } ] }
+    , { rule: 'exists-then-read'
+      , severity: 'warning'
+      , operations:
+        [ { name: 'fs.access', rootId: 20, createdAt: `at onstatted (${file}:13:12)` }
+        , { name: 'fs.readFile', rootId: 21, createdAt: `at onexists (${file}:14:14)` } ] }
+    , { rule: 'stream-not-closed'
+      , severity: 'error'
+      , message: 'fs.createReadStream was opened, but never closed'
+      , operations: [ { name: 'fs.createReadStream', rootId: 43, createdAt: `at WriteStream.onfinish (${file}:16:18)` } ] } ]
+  )
+  t.end()
+})
+
+test('\nlinting fs operations with disabled and configured rules', function(t) {
+  const findings = lint({
+      'read-file-large': { severity: 'error', bytes: 10 * 1024 * 1024 }
+    , 'write-stream-tiny-writes': { maxAverageBytes: 8 }
+    , 'stat-then-open': false
+    , 'exists-then-read': { severity: 'info' }
+  })
+  spok(t, findings.map(({ rule, severity }) => ({ rule, severity })),
+    [ { $topic: 'findings', rule: 'exists-then-read', severity: 'info' }
+    , { rule: 'stream-not-closed', severity: 'error' } ]
+  )
+  t.throws(() => lint({ 'read-file-huge': false }), /Unknown lint rule read-file-huge/, 'throws on unknown rules')
+  t.end()
+})
+
+test('\nlinting a fs.readFile followed by an unrelated fs.stat', function(t) {
+  const activities = new Map(require('./fixtures/node20.read-write-stat.json'))
+  const { operations } = processFileSystem({ activities })
+  t.deepEqual(lintOperations({ activities, operations }), [], 'finds nothing')
+  t.end()
+})
+
+test('\nlinting a write stream that was never closed and one that failed to open', function(t) {
+  for (const { version, unclosed } of [ { version: 10, unclosed: 2 }, { version: 20, unclosed: 3 } ]) {
+    const activities = new Map(require(`./fixtures/node${version}.write-streams.json`))
+    const { operations } = processFileSystem({ activities })
+
+    spok(t, lintOperations({ activities, operations }),
+      [ { $topic: `Node.js ${version}: findings`
+        , rule: 'stream-not-closed'
+        , severity: 'error'
+        , message: 'fs.createWriteStream was opened, but never closed'
+        , operations:
+          [ { name: 'fs.createWriteStream'
+            , rootId: unclosed
+            , createdAt: 'at writeStreams (/root/tree/test/record/write-streams.js:5:23)' } ] } ]
+    )
+  }
+  t.end()
+})
+
+test('\nlinting read streams piped into write streams that were closed', function(t) {
+  // The init timestamps of the write streams don't all have the same number of digits, which
+  // kept their writes and close from being attributed, the stream appeared to never be closed.
+  for (const fixture of [ 'node20.pipe', 'node20.backpressure' ]) {
+    const activities = new Map(require(`./fixtures/${fixture}.json`))
+    const { operations } = processFileSystem({ activities })
+
+    t.deepEqual(lintOperations({ activities, operations }), [], `${fixture}: finds nothing to lint`)
+  }
+  t.end()
+})
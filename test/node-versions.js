@@ -0,0 +1,481 @@
+const test = require('tape')
+// eslint-disable-next-line no-unused-vars
+const ocat = require('./utils/ocat')
+const spok = require('spok')
+
+const { processFileSystem } = require('../')
+const { detectEntry, signaturesFor, matchesSignature } = require('../lib/signatures')
+
+// eslint-disable-next-line no-unused-vars
+function inspect(obj, depth) {
+  console.error(require('util').inspect(obj, false, depth || 5, true))
+}
+
+/*
+ * The fixtures were recorded with the scenarios inside ./record, i.e.:
+ *
+ *    node test/record/streams.js > test/fixtures/node20.streams.json
+ */
+const scenarios = '/root/tree/test/record'
+
+function matchingIds(activities, signature) {
+  return Array.from(activities.values()).filter(a => matchesSignature(a, signature)).map(a => a.id)
+}
+
+function stepIds(activities, signatures, steps) {
+  const ids = {}
+  for (const step of steps) ids[step] = matchingIds(activities, signatures[step])
+  return ids
+}
+
+const streams = [
+    { version: 10, entry: 'node10'
+    , readStream: { open: [ 2 ], read: [ 5, 8 ], close: [ 10 ] }
+    , writeStream: { open: [ 3 ], write: [ 6 ], close: [ 12 ] } }
+  , { version: 12, entry: 'node12'
+    , readStream: { open: [ 2 ], read: [ 5, 8 ], close: [ 10 ] }
+    , writeStream: { open: [ 3 ], write: [ 6 ], close: [ 12 ] } }
+  , { version: 14, entry: 'node12'
+    , readStream: { open: [ 2 ], read: [ 5, 8 ], close: [ 10 ] }
+    , writeStream: { open: [ 3 ], write: [ 6 ], close: [ 14 ] } }
+  , { version: 16, entry: 'node16'
+    , readStream: { open: [ 5 ], read: [ 9, 13 ], close: [ 16 ] }
+    , writeStream: { open: [ 6 ], write: [ 11 ], close: [ 18 ] } }
+  , { version: 20, entry: 'node16'
+    , readStream: { open: [ 5 ], read: [ 9, 13 ], close: [ 16 ] }
+    , writeStream: { open: [ 6 ], write: [ 11 ], close: [ 18 ] } }
+]
+
+test('\nstream signatures of the Node.js versions following Node.js 8', function(t) {
+  for (const { version, entry, readStream, writeStream } of streams) {
+    const activities = new Map(require(`./fixtures/node${version}.streams.json`))
+    const signatures = signaturesFor({ activities })
+    t.equal(detectEntry(activities).name, entry, `Node.js ${version}: detects ${entry}`)
+    t.deepEqual(stepIds(activities, signatures.readStream, [ 'open', 'read', 'close' ]), readStream
+      , `Node.js ${version}: identifies the read stream steps`)
+    t.deepEqual(stepIds(activities, signatures.writeStream, [ 'open', 'write', 'close' ]), writeStream
+      , `Node.js ${version}: identifies the write stream steps`)
+  }
+  t.end()
+})
+
+test('\nprocessing a read stream piped into a write stream recorded with the Node.js versions following Node.js 8', function(t) {
+  for (const { version, readStream, writeStream } of streams) {
+    const activities = new Map(require(`./fixtures/node${version}.streams.json`))
+    const { operations, conflicts } = processFileSystem({ activities })
+    const [ read, write, copy ] = operations
+
+    spok(t, read,
+      { $topic: `Node.js ${version}: read stream`
+      , name: 'fs.createReadStream'
+      , rootId: readStream.open[0]
+      , operation:
+        { createdAt: `at streams (${scenarios}/streams.js:5:6)`
+        , status: 'complete'
+        , open: { id: readStream.open[0] }
+        , stream: { path: `${scenarios}/streams.js`, flags: 'r' }
+        , reads: [ { id: readStream.read[0], bytes: 206 }, { id: readStream.read[1], bytes: 0 } ]
+        , close: { id: readStream.close[0] }
+        , bytes: 206 } }
+    )
+    spok(t, write,
+      { $topic: `Node.js ${version}: write stream`
+      , name: 'fs.createWriteStream'
+      , rootId: writeStream.open[0]
+      , operation:
+        { createdAt: `at streams (${scenarios}/streams.js:6:14)`
+        , status: 'complete'
+        , open: { id: writeStream.open[0] }
+        , stream: { path: '/dev/null', flags: 'w' }
+        , writes: [ { id: writeStream.write[0], bytes: 206 } ]
+        , close: { id: writeStream.close[0] }
+        , bytes: 206 } }
+    )
+    spok(t, copy,
+      { $topic: `Node.js ${version}: copy`
+      , name: 'fs.copyFile'
+      , rootId: readStream.open[0]
+      , operation:
+        { pattern: 'pipe'
+        , source: `${scenarios}/streams.js`
+        , destination: '/dev/null'
+        , read: { operation: 'fs.createReadStream', id: readStream.open[0] }
+        , write: { operation: 'fs.createWriteStream', id: writeStream.open[0] } } }
+    )
+    t.equal(conflicts.length, 0, `Node.js ${version}: no activity is claimed by two operations`)
+  }
+  t.end()
+})
+
+// A file that is read in multiple chunks, the init timestamps of its steps don't all have the same
+// number of digits, i.e. the open of the write stream at 8160709 and its first write at 10783394.
+const pipes = [
+    { version: 20
+    , readStream: { open: 5, reads: [ 9, 13, 17, 21, 25 ], close: 28 }
+    , writeStream: { open: 6, writes: [ 11, 15, 19, 23 ], close: 30 } }
+]
+
+test('\nprocessing a multi chunk read stream piped into a write stream recorded with the Node.js versions following Node.js 8', function(t) {
+  const chunks = [ 65536, 65536, 65536, 8192 ]
+  for (const { version, readStream, writeStream } of pipes) {
+    const activities = new Map(require(`./fixtures/node${version}.pipe.json`))
+    const { operations, conflicts } = processFileSystem({ activities })
+    const [ read, write ] = operations
+
+    spok(t, read,
+      { $topic: `Node.js ${version}: read stream`
+      , name: 'fs.createReadStream'
+      , rootId: readStream.open
+      , operation:
+        { createdAt: `at pipe (${scenarios}/pipe.js:11:6)`
+        , status: 'complete'
+        , reads: readStream.reads.map((id, i) => ({ id, bytes: i < chunks.length ? chunks[i] : 0 }))
+        , close: { id: readStream.close }
+        , bytes: 204800 } }
+    )
+    spok(t, write,
+      { $topic: `Node.js ${version}: write stream`
+      , name: 'fs.createWriteStream'
+      , rootId: writeStream.open
+      , operation:
+        { createdAt: `at pipe (${scenarios}/pipe.js:12:14)`
+        , status: 'complete'
+        , writes: writeStream.writes.map((id, i) => ({ id, bytes: chunks[i] }))
+        , close: { id: writeStream.close }
+        , bytes: 204800 } }
+    )
+    t.equal(conflicts.length, 0, `Node.js ${version}: no activity is claimed by two operations`)
+  }
+  t.end()
+})
+
+// The first chunk is read before the stream is piped, the reads that follow are triggered once
+// the writes drained, either through the tick that resumes the stream or directly by the write.
+const backpressure = [
+    { version: 12
+    , readStream: { open: 2, reads: [ 4, 10, 14, 18, 22 ], close: 25 }
+    , writeStream: { open: 7, writes: [ 11, 15, 19, 23 ], close: 27 } }
+  , { version: 14
+    , readStream: { open: 2, reads: [ 4, 10, 16, 22, 26 ], close: 30 }
+    , writeStream: { open: 7, writes: [ 11, 17, 23, 28 ], close: 34 } }
+  , { version: 20
+    , readStream: { open: 4, reads: [ 9, 13, 17, 21, 25 ], close: 28 }
+    , writeStream: { open: 8, writes: [ 11, 15, 19, 23 ], close: 30 } }
+]
+
+test('\nprocessing a read stream piped into a write stream that applies backpressure recorded with the Node.js versions following Node.js 8', function(t) {
+  const chunks = [ 65536, 65536, 65536, 8192 ]
+  for (const { version, readStream, writeStream } of backpressure) {
+    const activities = new Map(require(`./fixtures/node${version}.backpressure.json`))
+    const { operations, conflicts } = processFileSystem({ activities })
+    const [ read, write, copy ] = operations
+
+    spok(t, read,
+      { $topic: `Node.js ${version}: read stream`
+      , name: 'fs.createReadStream'
+      , rootId: readStream.open
+      , operation:
+        { createdAt: `at backpressure (${scenarios}/backpressure.js:11:21)`
+        , status: 'complete'
+        , reads: readStream.reads.map((id, i) => ({ id, bytes: i < chunks.length ? chunks[i] : 0 }))
+        , close: { id: readStream.close }
+        , bytes: 204800 } }
+    )
+    spok(t, write,
+      { $topic: `Node.js ${version}: write stream`
+      , name: 'fs.createWriteStream'
+      , rootId: writeStream.open
+      , operation:
+        { status: 'complete'
+        , writes: writeStream.writes.map((id, i) => ({ id, bytes: chunks[i] }))
+        , close: { id: writeStream.close }
+        , bytes: 204800 } }
+    )
+    spok(t, copy,
+      { $topic: `Node.js ${version}: copy`
+      , name: 'fs.copyFile'
+      , rootId: readStream.open
+      , operation: { pattern: 'pipe', write: { id: writeStream.open } } }
+    )
+    t.equal(conflicts.length, 0, `Node.js ${version}: no activity is claimed by two operations`)
+  }
+  t.end()
+})
+
+const fdPromisesWatch = [
+    { version: 10, entry: 'node10'
+    , fileDescriptor: { open: [ 2 ], read: [ 3 ], close: [ 4 ] }
+    , fileHandle:
+      { open: [ 7, 52, 79 ], handle: [ 19, 61, 85 ], stat: [ 21 ], read: [ 29, 38, 87 ], write: [ 64 ], close: [ 47, 75, 95 ] }
+    , watch: { watch: [ 97 ], watchFile: [ 98 ] } }
+  , { version: 12, entry: 'node12'
+    , fileDescriptor: { open: [ 2 ], read: [ 3 ], close: [ 4 ] }
+    , fileHandle:
+      { open: [ 8, 39, 58 ], handle: [ 15, 43, 61 ], stat: [ 18 ], read: [ 24, 29, 64 ], write: [ 47 ], close: [ 33, 53, 69 ] }
+    , watch: { watch: [ 71 ], watchFile: [ 72 ] } }
+  , { version: 14, entry: 'node12'
+    , fileDescriptor: { open: [ 2 ], read: [ 3 ], close: [ 4 ] }
+    , fileHandle:
+      { open: [ 8, 36, 59 ], handle: [ 15, 40, 62 ], stat: [ 18 ], read: [ 23, 66 ], write: [ 44 ], close: [ 26, 50, 72 ] }
+    , watch: { watch: [ 78 ], watchFile: [ 79 ] } }
+  , { version: 16, entry: 'node16'
+    , fileDescriptor: { open: [ 2 ], read: [ 3 ], close: [ 4 ] }
+    , fileHandle:
+      { open: [ 8, 46, 79 ], handle: [ 15, 50, 82 ], stat: [ 18 ], read: [ 27, 86 ], write: [ 54 ], close: [ 30, 64, 92 ] }
+    , watch: { watch: [ 102 ], watchFile: [ 103 ] } }
+  , { version: 20, entry: 'node16'
+    , fileDescriptor: { open: [ 2 ], read: [ 3 ], close: [ 4 ] }
+    , fileHandle:
+      { open: [ 8, 45, 76 ], handle: [ 16, 50, 80 ], stat: [ 19 ], read: [ 27, 84 ], write: [ 54 ], close: [ 31, 63, 91 ] }
+    , watch: { watch: [ 101 ], watchFile: [ 102 ] } }
+]
+
+test('\nfile descriptor, fs.promises and watch signatures of the Node.js versions following Node.js 8', function(t) {
+  for (const { version, entry, fileDescriptor, fileHandle, watch } of fdPromisesWatch) {
+    const activities = new Map(require(`./fixtures/node${version}.fd-promises-watch.json`))
+    const signatures = signaturesFor({ activities })
+    t.equal(detectEntry(activities).name, entry, `Node.js ${version}: detects ${entry}`)
+    t.deepEqual(stepIds(activities, signatures.fileDescriptor, [ 'open', 'read', 'close' ]), fileDescriptor
+      , `Node.js ${version}: identifies the file descriptor steps`)
+    t.deepEqual(
+        stepIds(activities, signatures.fileHandle, [ 'open', 'handle', 'stat', 'read', 'write', 'close' ])
+      , fileHandle
+      , `Node.js ${version}: identifies the fs.promises steps`)
+    t.deepEqual(stepIds(activities, signatures.watch, [ 'watch', 'watchFile' ]), watch
+      , `Node.js ${version}: identifies the watchers`)
+  }
+  t.end()
+})
+
+test('\nprocessing file descriptor, fs.promises and watch activities recorded with the Node.js versions following Node.js 8', function(t) {
+  for (const { version, fileDescriptor, fileHandle, watch } of fdPromisesWatch) {
+    const activities = new Map(require(`./fixtures/node${version}.fd-promises-watch.json`))
+    const { operations } = processFileSystem({ activities })
+
+    spok(t, operations.map(({ name, rootId, operation }) => ({ name, rootId, method: operation.method })),
+      [ { $topic: `Node.js ${version}: operations`, name: 'fs.open', rootId: fileDescriptor.open[0] }
+      , { name: 'fs.promises', rootId: fileHandle.open[0], method: 'fs.promises.readFile' }
+      , { name: 'fs.promises', rootId: fileHandle.open[1], method: 'fs.promises.writeFile' }
+      , { name: 'fs.promises', rootId: fileHandle.open[2], method: 'fs.promises.open' }
+      , { name: 'fs.watch', rootId: watch.watch[0] }
+      , { name: 'fs.watch', rootId: watch.watchFile[0] } ]
+    )
+    spok(t, operations[0].operation,
+      { $topic: `Node.js ${version}: fs.open`
+      , createdAt: `at fdPromisesWatch (${scenarios}/fd-promises-watch.js:5:6)`
+      , status: 'complete'
+      , reads: [ { id: fileDescriptor.read[0] } ]
+      , close: { id: fileDescriptor.close[0] } }
+    )
+    for (let i = 0; i < fileHandle.open.length; i++) {
+      spok(t, operations[i + 1].operation,
+        { $topic: `Node.js ${version}: ${operations[i + 1].operation.method}`
+        , status: 'complete'
+        , open: { id: fileHandle.open[i] }
+        , handle: { id: fileHandle.handle[i] }
+        , close: { id: fileHandle.close[i] } }
+      )
+    }
+    spok(t, operations[4].operation,
+      { $topic: `Node.js ${version}: fs.watch`
+      , createdAt: `at watch (${scenarios}/fd-promises-watch.js:22:24)`
+      , status: 'complete' }
+    )
+    spok(t, operations[5].operation,
+      { $topic: `Node.js ${version}: fs.watchFile`
+      , createdAt: `at watch (${scenarios}/fd-promises-watch.js:23:8)`
+      , status: 'complete' }
+    )
+  }
+  t.end()
+})
+
+// Traces of fs.promises alone include neither FSREQCALLBACKs nor frames of the fs module. The steps of
+// concurrent reads aren't linked to their open and are issued while all file handles are in use,
+// the anonymous function that reads each file is reported by its location only since Node.js 12.
+const concurrentReads = [
+    { version: 10, entry: 'node10'
+    , createdAt: `at Promise.all.files.map.file (${scenarios}/concurrent-reads.js:8:45)`
+    , reads:
+      [ { open: 8, handle: 41, stat: 43, reads: [ 69, 96 ], close: 123 }
+      , { open: 16, handle: 50, stat: 52, reads: [ 78, 105 ], close: 127 }
+      , { open: 24, handle: 59, stat: 61, reads: [ 87, 114 ], close: 131 } ] }
+  , { version: 12, entry: 'node12'
+    , createdAt: `at ${scenarios}/concurrent-reads.js:8:45`
+    , reads:
+      [ { open: 9, handle: 29, stat: 32, reads: [ 52, 67 ], close: 81 }
+      , { open: 15, handle: 36, stat: 39, reads: [ 57, 72 ], close: 85 }
+      , { open: 21, handle: 43, stat: 46, reads: [ 62, 77 ], close: 89 } ] }
+  , { version: 20, entry: 'node16'
+    , createdAt: `at ${scenarios}/concurrent-reads.js:8:45`
+    , reads:
+      [ { open: 9, handle: 32, stat: 35, reads: [ 63 ], close: 75 }
+      , { open: 16, handle: 42, stat: 45, reads: [ 67 ], close: 84 }
+      , { open: 23, handle: 52, stat: 55, reads: [ 71 ], close: 93 } ] }
+]
+
+test('\nprocessing concurrent fs.promises.readFiles recorded with the Node.js versions following Node.js 8', function(t) {
+  for (const { version, entry, createdAt, reads } of concurrentReads) {
+    const activities = new Map(require(`./fixtures/node${version}.concurrent-reads.json`))
+    t.equal(detectEntry(activities).name, entry, `Node.js ${version}: detects ${entry}`)
+
+    const { operations, conflicts, unattributed } = processFileSystem({ activities })
+    t.equal(operations.length, reads.length, `Node.js ${version}: finds one operation per file`)
+    for (let i = 0; i < reads.length; i++) {
+      const { open, handle, stat, close } = reads[i]
+      spok(t, operations[i].operation,
+        { $topic: `Node.js ${version}: readFile ${i + 1}`
+        , createdAt
+        , status: 'complete'
+        , method: 'fs.promises.readFile'
+        , open: { id: open }
+        , handle: { id: handle }
+        , stat: { id: stat }
+        , reads: reads[i].reads.map(id => ({ id }))
+        , close: { id: close } }
+      )
+    }
+    t.equal(conflicts.length, 0, `Node.js ${version}: no activity is claimed by two operations`)
+    t.equal(unattributed.length, 0, `Node.js ${version}: all activities are attributed`)
+  }
+  t.end()
+})
+
+const writeStreams = [
+    { version: 10, unclosed: { open: 2, write: 3 }, failed: { open: 4 }, closed: { open: 5, write: 6, close: 8 } }
+  , { version: 12, unclosed: { open: 2, write: 3 }, failed: { open: 4 }, closed: { open: 5, write: 6, close: 8 } }
+  , { version: 14, unclosed: { open: 2, write: 3 }, failed: { open: 4 }, closed: { open: 6, write: 7, close: 11 } }
+  , { version: 16, unclosed: { open: 3, write: 5 }, failed: { open: 7 }, closed: { open: 10, write: 12, close: 14 } }
+  , { version: 20, unclosed: { open: 3, write: 5 }, failed: { open: 7 }, closed: { open: 11, write: 13, close: 16 } }
+]
+
+test('\nprocessing an unclosed write stream and one that failed to open recorded with the Node.js versions following Node.js 8', function(t) {
+  for (const { version, unclosed, failed, closed } of writeStreams) {
+    const activities = new Map(require(`./fixtures/node${version}.write-streams.json`))
+    const { operations, conflicts } = processFileSystem({ activities })
+
+    spok(t, operations.map(({ name, rootId }) => ({ name, rootId })),
+      [ { $topic: `Node.js ${version}: operations`, name: 'fs.createWriteStream', rootId: unclosed.open }
+      , { name: 'fs.createWriteStream', rootId: failed.open }
+      , { name: 'fs.createWriteStream', rootId: closed.open } ]
+    )
+    spok(t, operations[0].operation,
+      { $topic: `Node.js ${version}: unclosed write stream`
+      , createdAt: `at writeStreams (${scenarios}/write-streams.js:5:23)`
+      , status: 'incomplete'
+      , missing: [ 'close' ]
+      , error: null
+      , open: { id: unclosed.open }
+      , writes: [ { id: unclosed.write, bytes: 12 } ]
+      , close: spok.notDefined
+      , bytes: 12 }
+    )
+    spok(t, operations[1].operation,
+      { $topic: `Node.js ${version}: write stream that failed to open`
+      , createdAt: `at onwritten (${scenarios}/write-streams.js:7:8)`
+      , status: 'failed'
+      , missing: [ 'write', 'close' ]
+      , error: 'ENOENT'
+      , open: { id: failed.open }
+      , writes: []
+      , close: spok.notDefined }
+    )
+    spok(t, operations[2].operation,
+      { $topic: `Node.js ${version}: closed write stream`
+      , createdAt: `at WriteStream.onerror (${scenarios}/write-streams.js:9:12)`
+      , status: 'complete'
+      , missing: []
+      , open: { id: closed.open }
+      , stream: { path: '/dev/null', flags: 'w' }
+      , writes: [ { id: closed.write, bytes: 6 } ]
+      , close: { id: closed.close }
+      , bytes: 6 }
+    )
+    t.equal(conflicts.length, 0, `Node.js ${version}: no activity is claimed by two operations`)
+  }
+  t.end()
+})
+
+// The destination is opened from within the callback of the source's open, so its steps are
+// triggered by the source's open and are told apart by the fd they were issued for.
+const nestedFds = [
+    { version: 10
+    , source: { open: 2, read: 4, close: 7 }
+    , destination: { open: 3, write: 5, close: 6 } }
+  , { version: 20
+    , source: { open: 2, read: 4, close: 7 }
+    , destination: { open: 3, write: 5, close: 6 } }
+]
+
+test('\nprocessing a file descriptor opened from within the callback of another one recorded with the Node.js versions following Node.js 8', function(t) {
+  for (const { version, source, destination } of nestedFds) {
+    const activities = new Map(require(`./fixtures/node${version}.nested-fds.json`))
+    const { operations, conflicts, unattributed } = processFileSystem({ activities })
+
+    spok(t, operations,
+      [ { $topic: `Node.js ${version}: operations`, name: 'fs.open', rootId: source.open }
+      , { name: 'fs.open', rootId: destination.open } ]
+    )
+    spok(t, operations[0].operation,
+      { $topic: `Node.js ${version}: source file descriptor`
+      , createdAt: `at nestedFds (${scenarios}/nested-fds.js:9:6)`
+      , status: 'complete'
+      , open: { id: source.open }
+      , reads: [ { id: source.read, bytes: 741 } ]
+      , writes: []
+      , close: { id: source.close } }
+    )
+    spok(t, operations[1].operation,
+      { $topic: `Node.js ${version}: destination file descriptor`
+      , createdAt: `at onsrc (${scenarios}/nested-fds.js:11:8)`
+      , status: 'complete'
+      , open: { id: destination.open }
+      , reads: []
+      , writes: [ { id: destination.write, bytes: 741 } ]
+      , close: { id: destination.close } }
+    )
+    t.equal(conflicts.length, 0, `Node.js ${version}: no activity is claimed by two operations`)
+    t.equal(unattributed.length, 0, `Node.js ${version}: all activities are attributed`)
+  }
+  t.end()
+})
+
+test('\nprocessing watchers recorded with the Node.js versions following Node.js 8', function(t) {
+  for (const version of [ 10, 12, 20 ]) {
+    const activities = new Map(require(`./fixtures/node${version}.watch.json`))
+    const { operations } = processFileSystem({ activities })
+    const path = '/tmp/ah-fs.processor.watch'
+
+    spok(t, operations.map(({ name, rootId }) => ({ name, rootId })),
+      [ { $topic: `Node.js ${version}: operations`, name: 'fs.watch', rootId: 6 }
+      , { name: 'fs.watch', rootId: 7 } ]
+    )
+    spok(t, operations[0].operation,
+      { $topic: `Node.js ${version}: fs.watch`
+      , createdAt: `at watch (${scenarios}/watch.js:10:22)`
+      , status: 'complete'
+      , kind: 'fs.watch'
+      , path
+      , closed: true
+      , events: 1
+      , userFunctions:
+        [ { name: 'onwatchchange'
+          , location: `onwatchchange (${scenarios}/watch.js:10:56)`
+          , propertyPaths: [ 'watcher.resource.owner._events.change' ] } ] }
+    )
+    spok(t, operations[1].operation,
+      { $topic: `Node.js ${version}: fs.watchFile`
+      , createdAt: `at watch (${scenarios}/watch.js:11:6)`
+      , status: 'complete'
+      , kind: 'fs.watchFile'
+      , path
+      , closed: true
+      , events: 1
+      , userFunctions:
+        [ { name: 'onwatchfilechange'
+          , location: `onwatchfilechange (${scenarios}/watch.js:11:66)`
+          , propertyPaths: [ 'watcher.resource.owner._events.change' ] } ] }
+    )
+  }
+  t.end()
+})
@@ -0,0 +1,77 @@
+const test = require('tape')
+// eslint-disable-next-line no-unused-vars
+const ocat = require('./utils/ocat')
+const spok = require('spok')
+
+const { AppendFileProcessor, WriteFileProcessor } = require('../')
+const OPENID = 10
+
+// eslint-disable-next-line no-unused-vars
+function inspect(obj, depth) {
+  console.error(require('util').inspect(obj, false, depth || 5, true))
+}
+const activities = new Map(require('./fixtures/append-file.write-file.json'))
+
+test('\nactivities for one append file and one write file, not including activities', function(t) {
+  const includeActivities = false
+  const { groups, operations } =
+    new AppendFileProcessor({ activities, includeActivities }).process()
+
+  t.equal(groups.size, 1, 'finds one append file group')
+  spok(t, Array.from(groups.get(OPENID)), [ 10, 11, 12 ])
+
+  t.equal(operations.size, 1, 'finds one append file operation')
+  const op = operations.get(OPENID)
+  spok(t, op,
+    { $topic: 'operation'
+    , lifeCycle:
+      { created: { ms: '21.30ms', ns: 21300000 }
+      , destroyed: { ms: '27.95ms', ns: 27950000 }
+      , timeAlive: { ms: '6.65ms', ns: 6650000 } }
+    , createdAt: 'at Test.<anonymous> (/Volumes/d/dev/js/async-hooks/ah-fs/test/append-file.js:28:6)'
+    , path: null
+    , flag: 'a'
+    , bytes: 37
+    , open: { id: 10, triggerId: 1 }
+    , writes: [ { id: 11, triggerId: 10, bytes: 37, timeSpent: { ms: '0.09ms', ns: 90000 } } ]
+    , close: { id: 12, triggerId: 11 }
+    , userFunctions:
+      [ { name: 'onappended'
+        , location: 'onappended (/Volumes/d/dev/js/async-hooks/ah-fs/test/append-file.js:29:17)'
+        , args: { '0': null }
+        , propertyPaths: [ 'close.resource.oncomplete' ] } ] }
+  )
+  t.equal(typeof op.open.activity, 'undefined', 'does not include activity for open')
+  t.equal(typeof op.writes[0].activity, 'undefined', 'does not include activity for write')
+  t.equal(typeof op.close.activity, 'undefined', 'does not include activity for close')
+  t.end()
+})
+
+test('\nactivities for one append file and one write file, including activities', function(t) {
+  const includeActivities = true
+  const { operations } = new AppendFileProcessor({ activities, includeActivities }).process()
+  const op = operations.get(OPENID)
+
+  t.equal(typeof op.open.activity, 'object', 'does include activity for open')
+  t.equal(typeof op.writes[0].activity, 'object', 'does include activity for write')
+  t.equal(typeof op.close.activity, 'object', 'does include activity for close')
+  t.end()
+})
+
+test('\nactivities for one append file whose flag was captured', function(t) {
+  const activities = new Map(JSON.parse(JSON.stringify(require('./fixtures/append-file.write-file.json'))))
+  const open = activities.get(OPENID)
+  open.resource = Object.assign({}, open.resource, { context: { flag: { type: 'string', val: 'a+' } } })
+  const { operations } = new AppendFileProcessor({ activities }).process()
+
+  spok(t, operations.get(OPENID), { $topic: 'operation', flag: 'a+' })
+  t.end()
+})
+
+test('\nactivities for one append file and one write file, processing write files', function(t) {
+  const { groups } = new WriteFileProcessor({ activities }).process()
+  t.equal(groups.size, 1, 'write file processor finds one group')
+  spok(t, Array.from(groups.get(20)), [ 20, 21, 22 ])
+  t.notOk(groups.has(OPENID), 'does not claim the append file')
+  t.end()
+})
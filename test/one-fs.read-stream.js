@@ -47,6 +47,8 @@ test('\nactivities for one active read stream, not including activities, separat
   // open, close
   spok(t, op.open, { $topic: 'operation.open', id: 10, triggerId: 3 })
   spok(t, op.close, { $topic: 'operation.close', id: 16, triggerId: 13 })
+  t.equal(op.bytes, 6483, 'bytes is the bytesRead of the stream when its latest tick was captured')
+  spok(t, op.throughput, { $topic: 'operation.throughput', alive: 509.31, io: 3950.64 })
   t.equal(typeof op.open.activity, 'undefined', 'does not include activity for open')
   t.equal(typeof op.close.activity, 'undefined', 'does not include activity for close')
 
@@ -45,21 +45,42 @@ test('\nactivities with one file read, not including activities, separate functi
       'at Test.<anonymous> (/Volumes/d/dev/js/async-hooks/ah-fs/test/read-one-file.js:36:6)'
     , 'includes location in user code where file was created at'
   )
+  t.equal(op.status, 'complete', 'operation is complete')
+  spok(t, op.missing, { $topic: 'operation.missing', length: 0 })
+  t.equal(op.error, null, 'operation has no error')
 
   // ids + triggerIds .. each activity triggers the next
   spok(t, op.open, { $topic: 'operation.open', id: 10, triggerId: 1 })
   spok(t, op.stat, { $topic: 'operation.stat', id: 11, triggerId: 10 })
-  spok(t, op.read, { $topic: 'operation.read', id: 12, triggerId: 11 })
+  t.equal(op.reads.length, 1, 'finds one read')
+  spok(t, op.reads[0], { $topic: 'operation.reads[0]', id: 12, triggerId: 11 })
+  spok(t, op.reads[0].timeSpent, { $topic: 'operation.reads[0].timeSpent', ms: '0.29ms', ns: 291000 })
+  spok(t, op.reads[0].latency,
+    { $topic: 'operation.reads[0].latency'
+    , queued: { ms: '13.71ms', ns: 13712000 }
+    , callback: { ms: '0.29ms', ns: 291000 }
+    , teardown: { ms: '7.49ms', ns: 7490000 } }
+  )
+  spok(t, op.open.latency,
+    { $topic: 'operation.open.latency'
+    , queued: { ms: '7.10ms', ns: 7099000 }
+    , callback: { ms: '0.22ms', ns: 223000 }
+    , teardown: { ms: '0.34ms', ns: 343000 } }
+  )
+  t.equal(op.readCount, 1, 'read count is 1')
+  spok(t, op.totalReadTime, { $topic: 'operation.totalReadTime', ms: '0.29ms', ns: 291000 })
+  t.equal(op.bytes, 6108, 'bytes is the length of the buffer passed to the callback')
+  spok(t, op.throughput, { $topic: 'operation.throughput', alive: 146, io: 445.45 })
   spok(t, op.close, { $topic: 'operation.close', id: 13, triggerId: 12 })
   // no activities or user functions attached
   t.equal(typeof op.open.activity, 'undefined', 'does not include activity for open')
   t.equal(typeof op.stat.activity, 'undefined', 'does not include activity for stat')
-  t.equal(typeof op.read.activity, 'undefined', 'does not include activity for read')
+  t.equal(typeof op.reads[0].activity, 'undefined', 'does not include activity for read')
   t.equal(typeof op.close.activity, 'undefined', 'does not include activity for close')
 
   t.equal(typeof op.open.userFunctions, 'undefined', 'does not include userFunctions for open')
   t.equal(typeof op.stat.userFunctions, 'undefined', 'does not include userFunctions for stat')
-  t.equal(typeof op.read.userFunctions, 'undefined', 'does not include userFunctions for read')
+  t.equal(typeof op.reads[0].userFunctions, 'undefined', 'does not include userFunctions for read')
   t.equal(typeof op.close.userFunctions, 'undefined', 'does not include userFunctions for close')
 
   // user functions
@@ -77,7 +98,7 @@ test('\nactivities with one file read, not including activities, separate functi
     , propertyPaths:
       [ 'open.resource.context.callback'
       , 'stat.resource.context.callback'
-      , 'read.resource.context.callback'
+      , 'reads[0].resource.context.callback'
       , 'close.resource.context.callback' ]
     , args:
       { '0': null
@@ -100,7 +121,7 @@ test('\nactivities with one file read, including activities', function(t) {
   const op = operations.get(OPENID)
   t.equal(typeof op.open.activity, 'object', 'does include activity for open')
   t.equal(typeof op.stat.activity, 'object', 'does include activity for stat')
-  t.equal(typeof op.read.activity, 'object', 'does include activity for read')
+  t.equal(typeof op.reads[0].activity, 'object', 'does include activity for read')
   t.equal(typeof op.close.activity, 'object', 'does include activity for close')
   t.end()
 })
@@ -137,7 +158,7 @@ test('\nactivities for one active read file, not including activities, not separ
     , propertyPath: 'stat.resource.context.callback'
     , args: null }
   )
-  spok(t, op.read.userFunctions[0],
+  spok(t, op.reads[0].userFunctions[0],
     { $topic: 'read user function'
     , file: '/Volumes/d/dev/js/async-hooks/ah-fs/test/read-one-file.js'
     , line: 39
@@ -145,7 +166,7 @@ test('\nactivities for one active read file, not including activities, not separ
     , inferredName: ''
     , name: 'onread'
     , location: 'onread (/Volumes/d/dev/js/async-hooks/ah-fs/test/read-one-file.js:39:17)'
-    , propertyPath: 'read.resource.context.callback'
+    , propertyPath: 'reads[0].resource.context.callback'
     , args: null }
   )
   spok(t, op.close.userFunctions[0],
@@ -170,3 +191,79 @@ test('\nactivities for one active read file, not including activities, not separ
   )
   t.end()
 })
+
+test('\nactivities with one large file read in three chunks, not including activities', function(t) {
+  const activities = new Map(require('./fixtures/one-large-file.read-file.json'))
+  const { groups, operations } = new ReadFileProcessor({ activities }).process()
+
+  const groupMembers = [ 10, 11, 12, 13, 14, 15 ]
+  groupMembers.$topic = 'group members'
+  spok(t, Array.from(groups.get(OPENID)), groupMembers)
+
+  spok(t, operations.get(OPENID),
+    { $topic: 'chunked read operation'
+    , lifeCycle: { timeAlive: { ms: '5.70ms', ns: 5700000 } }
+    , reads:
+      [ { id: 12, triggerId: 11, timeSpent: { ms: '0.50ms', ns: 500000 } }
+      , { id: 13, triggerId: 12, timeSpent: { ms: '0.30ms', ns: 300000 } }
+      , { id: 14, triggerId: 13, timeSpent: { ms: '0.20ms', ns: 200000 } } ]
+    , readCount: 3
+    , totalReadTime: { ms: '1.00ms', ns: 1000000 }
+    , close: { id: 15, triggerId: 14 }
+    , userFunctions:
+      [ { name: 'onread'
+        , propertyPaths:
+          [ 'open.resource.context.callback'
+          , 'stat.resource.context.callback'
+          , 'reads[0].resource.context.callback'
+          , 'reads[1].resource.context.callback'
+          , 'reads[2].resource.context.callback'
+          , 'close.resource.context.callback' ] } ] }
+  )
+  t.end()
+})
+
+test('\nactivities with one failed file read', function(t) {
+  const activities = new Map(require('./fixtures/one-missing-file.read-file.json'))
+  const { groups, operations } = new ReadFileProcessor({ activities }).process()
+
+  t.equal(groups.size, 1, 'finds one read file group')
+  const groupMembers = [ 10 ]
+  groupMembers.$topic = 'group members'
+  spok(t, Array.from(groups.get(OPENID)), groupMembers)
+
+  spok(t, operations.get(OPENID),
+    { $topic: 'failed read operation'
+    , lifeCycle: { timeAlive: { ms: '0.80ms', ns: 800000 } }
+    , createdAt: 'at Test.<anonymous> (/Volumes/d/dev/js/async-hooks/ah-fs/test/read-missing-file.js:29:6)'
+    , status: 'failed'
+    , missing: [ 'stat', 'read', 'close' ]
+    , error: 'ENOENT'
+    , path: '/Volumes/d/dev/js/async-hooks/ah-fs/test/missing.txt'
+    , flags: null
+    , encoding: null
+    , open: { id: 10, triggerId: 1 }
+    , reads: []
+    , readCount: 0
+    , userFunctions:
+      [ { name: 'onread'
+        , propertyPaths: [ 'open.resource.context.callback' ] } ] }
+  )
+  t.end()
+})
+
+test('\nactivities with one file read whose open options were captured', function(t) {
+  const activities = new Map(require('./fixtures/read-write-file.options.json'))
+  const { operations } = new ReadFileProcessor({ activities }).process()
+
+  t.equal(operations.size, 1, 'finds one read file operation')
+  spok(t, operations.get(OPENID),
+    { $topic: 'read operation'
+    , status: 'complete'
+    , path: '/Volumes/d/dev/js/async-hooks/ah-fs/test/fixtures/config.json'
+    , flags: 'r'
+    , mode: 438
+    , encoding: 'utf8' }
+  )
+  t.end()
+})
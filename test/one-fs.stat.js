@@ -1,6 +1,7 @@
 const test = require('tape')
+const spok = require('spok')
 
-const { ReadFileProcessor } = require('../')
+const { ReadFileProcessor, StatProcessor } = require('../')
 
 // eslint-disable-next-line no-unused-vars
 function inspect(obj, depth) {
@@ -11,7 +12,29 @@ const activities = new Map(require('./fixtures/open.stat.close-only.json'))
 test('\nactivities with one file open, stat, close, but no read', function(t) {
   const includeActivities = true
   const { groups, operations } = new ReadFileProcessor({ activities, includeActivities }).process()
-  t.equal(groups.size, 0, 'read file processor finds no fs.readFile group')
-  t.equal(operations.size, 0, 'read file processor finds no fs.readFile operation')
+  t.equal(groups.size, 1, 'read file processor finds one fs.readFile group')
+  const groupMembers = [ 10, 11, 13 ]
+  groupMembers.$topic = 'group members'
+  spok(t, Array.from(groups.get(10)), groupMembers)
+
+  t.equal(operations.size, 1, 'read file processor finds one fs.readFile operation')
+  spok(t, operations.get(10), {
+      $topic: 'incomplete operation'
+    , status: 'incomplete'
+    , missing: [ 'read' ]
+    , error: null
+    , open: { id: 10, triggerId: 1 }
+    , stat: { id: 11, triggerId: 10 }
+    , reads: []
+    , readCount: 0
+    , close: { id: 13, triggerId: 11 }
+  })
+  t.end()
+})
+
+test('\nactivities with one file open, stat, close, but no read, processing stat calls', function(t) {
+  const { groups, operations } = new StatProcessor({ activities }).process()
+  t.equal(groups.size, 0, 'stat processor does not consider the fstat issued by fs.readFile')
+  t.equal(operations.size, 0, 'stat processor finds no fs.stat operation')
   t.end()
 })
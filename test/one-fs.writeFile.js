@@ -32,12 +32,17 @@ test('\nactivities for one active write file, not including activities', functio
       , timeAlive: { ms: '9.47ms', ns: 9473000 } }
     , createdAt: 'at Test.<anonymous> (/Volumes/d/dev/js/async-hooks/ah-fs/test/write-one-file.js:28:6)'
     , open: { id: 10, triggerId: 1 }
-    , write: { id: 11, triggerId: 10 }
-    , close: { id: 12, triggerId: 11 } }
+    , writes: [ { id: 11, triggerId: 10, timeSpent: { ms: '0.22ms', ns: 222000 } } ]
+    , writeCount: 1
+    , totalWriteTime: { ms: '0.22ms', ns: 222000 }
+    , bytes: null
+    , throughput: { alive: null, io: null }
+    , close: { id: 12, triggerId: 11 }
+    , userFunctions: [] }
   )
 
   t.equal(typeof op.open.activity, 'undefined', 'does not include activity for open')
-  t.equal(typeof op.write.activity, 'undefined', 'does not include activity for write')
+  t.equal(typeof op.writes[0].activity, 'undefined', 'does not include activity for write')
   t.equal(typeof op.close.activity, 'undefined', 'does not include activity for close')
 
   t.end()
@@ -50,8 +55,93 @@ test('\nactivities for one active write file, including activities', function(t)
   const op = operations.get(OPENID)
 
   t.equal(typeof op.open.activity, 'object', 'does include activity for open')
-  t.equal(typeof op.write.activity, 'object', 'does include activity for write')
+  t.equal(typeof op.writes[0].activity, 'object', 'does include activity for write')
   t.equal(typeof op.close.activity, 'object', 'does include activity for close')
 
   t.end()
 })
+
+test('\nactivities for one large file written in two chunks, not including activities', function(t) {
+  const activities = new Map(require('./fixtures/one-large-file.write-file.json'))
+  const { groups, operations } = new WriteFileProcessor({ activities }).process()
+
+  const groupMembers = [ 10, 11, 12, 13 ]
+  groupMembers.$topic = 'group members'
+  spok(t, Array.from(groups.get(OPENID)), groupMembers)
+
+  spok(t, operations.get(OPENID),
+    { $topic: 'chunked write operation'
+    , lifeCycle: { timeAlive: { ms: '5.30ms', ns: 5300000 } }
+    , createdAt: 'at Test.<anonymous> (/Volumes/d/dev/js/async-hooks/ah-fs/test/write-large-file.js:28:6)'
+    , writes:
+      [ { id: 11
+        , triggerId: 10
+        , latency:
+          { queued: { ms: '1.37ms', ns: 1370000 }
+          , callback: { ms: '0.30ms', ns: 300000 }
+          , teardown: { ms: '0.10ms', ns: 100000 } }
+        , bytes: 65536
+        , timeSpent: { ms: '0.30ms', ns: 300000 } }
+      , { id: 12
+        , triggerId: 11
+        , latency:
+          { queued: { ms: '1.22ms', ns: 1220000 }
+          , callback: { ms: '0.20ms', ns: 200000 }
+          , teardown: { ms: '0.10ms', ns: 100000 } }
+        , bytes: 34464
+        , timeSpent: { ms: '0.20ms', ns: 200000 } } ]
+    , writeCount: 2
+    , totalWriteTime: { ms: '0.50ms', ns: 500000 }
+    , bytes: 100000
+    , throughput: { alive: 18867.92, io: 38610.04 }
+    , close: { id: 13, triggerId: 12 }
+    , userFunctions:
+      [ { name: 'onwritten'
+        , location: 'onwritten (/Volumes/d/dev/js/async-hooks/ah-fs/test/write-large-file.js:29:17)'
+        , args: { '0': null, proto: 'Object' }
+        , propertyPaths: [ 'close.resource.oncomplete' ] } ] }
+  )
+  t.end()
+})
+
+test('\nactivities for one large file written in two chunks, not separating user functions', function(t) {
+  const activities = new Map(require('./fixtures/one-large-file.write-file.json'))
+  const separateFunctions = false
+  const { operations } = new WriteFileProcessor({ activities, separateFunctions }).process()
+  const op = operations.get(OPENID)
+
+  t.equal(typeof op.userFunctions, 'undefined', 'does not separate user functions')
+  t.equal(op.writes[0].userFunctions.length, 0, 'finds no user function attached to the write')
+  spok(t, op.close.userFunctions,
+    [ { $topic: 'close user function'
+      , name: 'onwritten'
+      , propertyPath: 'close.resource.oncomplete'
+      , args: { '0': null, proto: 'Object' } } ]
+  )
+  t.end()
+})
+
+test('\nactivities for two file writes whose open options were captured or that failed', function(t) {
+  const activities = new Map(require('./fixtures/read-write-file.options.json'))
+  const { operations } = new WriteFileProcessor({ activities }).process()
+
+  t.equal(operations.size, 2, 'finds two write file operations')
+  spok(t, operations.get(14),
+    { $topic: 'write operation'
+    , status: 'complete'
+    , path: '/Volumes/d/dev/js/async-hooks/ah-fs/test/fixtures/out.json'
+    , flags: 'w'
+    , mode: 420
+    , encoding: 'utf8' }
+  )
+  spok(t, operations.get(17),
+    { $topic: 'failed write operation'
+    , status: 'failed'
+    , error: 'EACCES'
+    , path: '/Volumes/d/dev/js/async-hooks/ah-fs/test/fixtures/readonly.json'
+    , flags: null
+    , mode: null
+    , encoding: null }
+  )
+  t.end()
+})
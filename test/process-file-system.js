@@ -0,0 +1,109 @@
+const test = require('tape')
+// eslint-disable-next-line no-unused-vars
+const ocat = require('./utils/ocat')
+const spok = require('spok')
+
+const { processFileSystem } = require('../')
+const OwnershipLedger = require('../lib/ownership-ledger')
+
+// eslint-disable-next-line no-unused-vars
+function inspect(obj, depth) {
+  console.error(require('util').inspect(obj, false, depth || 5, true))
+}
+
+test('\nprocessing file system activities of one read stream piped into one write stream', function(t) {
+  const activities = new Map(require('./fixtures/read-stream-piped-into-write-stream-fs-only.json'))
+  const { operations, ownership, conflicts, unattributed } = processFileSystem({ activities })
+
+  spok(t, operations.map(({ name, rootId }) => ({ name, rootId })),
+    [ { $topic: 'operations', name: 'fs.createReadStream', rootId: 11 }
+    , { name: 'fs.createWriteStream', rootId: 10 }
+    , { name: 'fs.copyFile', rootId: 11 } ]
+  )
+  t.equal(activities.size, 9, 'does not remove any activities')
+
+  spok(t, ownership.get(14),
+    [ { $topic: 'owners of the write', name: 'fs.createWriteStream', rootId: 10 } ]
+  )
+  spok(t, ownership.get(16),
+    [ { $topic: 'owners of the shared stream tick', name: 'fs.createReadStream', rootId: 11 }
+    , { name: 'fs.createWriteStream', rootId: 10 } ]
+  )
+  t.equal(ownership.has(12), false, 'the stream tick triggered by the root is not owned')
+  t.equal(conflicts.length, 0, 'reports no conflicts')
+  spok(t, unattributed,
+    [ { $topic: 'unattributed', type: 'TickObject', frames: [], count: 1, ids: [ 12 ] } ]
+  )
+  t.end()
+})
+
+test('\nprocessing file system activities of one file read', function(t) {
+  const activities = new Map(require('./fixtures/one-file.read-file.json'))
+  const { operations, ownership, conflicts } = processFileSystem({ activities })
+
+  t.equal(operations.length, 1, 'finds one operation')
+  spok(t, operations[0], { $topic: 'operation', name: 'fs.readFile', steps: 4, rootId: 10 })
+  spok(t, Array.from(ownership.keys()), { $topic: 'owned ids', length: 4 })
+  t.equal(conflicts.length, 0, 'reports no conflicts')
+  t.end()
+})
+
+test('\nprocessing file system activities with fs calls no processor handles', function(t) {
+  const activities = new Map(require('./fixtures/unattributed.json'))
+  const { operations, unattributed } = processFileSystem({ activities })
+
+  t.equal(operations.length, 1, 'finds one operation')
+  spok(t, operations[0], { $topic: 'operation', name: 'fs.stat', rootId: 13 })
+  spok(t, unattributed,
+    [ { $topic: 'unattributed'
+      , type: 'FSREQWRAP'
+      , frames:
+        [ 'at Object.fs.access (fs.js:218:11)'
+        , 'at Test.<anonymous> (/Volumes/d/dev/js/async-hooks/ah-fs/test/access-files.js:29:6)' ]
+      , count: 2
+      , ids: [ 10, 11 ] }
+    , { type: 'FSREQWRAP'
+      , frames:
+        [ 'at Object.fs.chmod (fs.js:1142:11)'
+        , 'at Test.<anonymous> (/Volumes/d/dev/js/async-hooks/ah-fs/test/access-files.js:36:6)' ]
+      , count: 1
+      , ids: [ 12 ] } ]
+  )
+  t.equal(unattributed.length, 2, 'ignores activities that are not fs related')
+  t.end()
+})
+
+test('\nunattributed stream ticks that are not passed the stream as first argument', function(t) {
+  const unattributedActivities = require('../lib/unattributed')
+  const activities = new Map(require('./fixtures/node20.streams.json'))
+  const unattributed = unattributedActivities({ activities, ownership: new Map() })
+  const tickIds = unattributed
+    .filter(x => x.type === 'TickObject')
+    .reduce((acc, x) => acc.concat(x.ids), [])
+    .sort((a, b) => a - b)
+
+  t.ok(tickIds.includes(14), 'includes the endReadableNT tick that is passed the ReadableState first')
+  t.notOk(tickIds.includes(7), 'excludes ticks that are not passed a stream')
+  t.end()
+})
+
+test('\nownership ledger claiming activities that are owned already', function(t) {
+  const activities = new Map(require('./fixtures/read-stream-piped-into-write-stream-fs-only.json'))
+  const ledger = new OwnershipLedger({ activities })
+
+  const readStream = { name: 'fs.createReadStream', rootId: 11 }
+  const writeStream = { name: 'fs.createWriteStream', rootId: 10 }
+  const fd = { name: 'fs.open', rootId: 10 }
+
+  t.ok(ledger.claim(readStream, new Set([ 11, 13, 16 ]), [ 'TickObject' ]), 'claims the read stream')
+  t.notOk(ledger.claim(fd, new Set([ 10, 13, 16 ])), 'rejects claim of owned read and not shared tick')
+  t.ok(ledger.claim(writeStream, new Set([ 10, 16 ]), [ 'TickObject' ]), 'claims the write stream, sharing the tick')
+
+  spok(t, ledger.conflicts(),
+    [ { $topic: 'conflicts', id: 13, name: 'fs.open', rootId: 10, ownedBy: [ readStream ] }
+    , { id: 16, name: 'fs.open', rootId: 10, ownedBy: [ readStream ] } ]
+  )
+  spok(t, ledger.ownership().get(10), [ { $topic: 'owners of 10', name: 'fs.createWriteStream', rootId: 10 } ])
+  spok(t, ledger.ownership().get(16), [ { $topic: 'owners of 16', name: 'fs.createReadStream' }, { name: 'fs.createWriteStream' } ])
+  t.end()
+})
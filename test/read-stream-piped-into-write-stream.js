@@ -18,7 +18,7 @@ test('\nactivities for one active read stream piped into one write stream, not i
   const { groups, operations } =
     new WriteStreamProcessor({ activities, includeActivities, separateFunctions }).process()
 
-  const groupMembers = [ 14, 10, 16, 19 ]
+  const groupMembers = [ 10, 14, 16, 19 ]
   groupMembers.$topic = 'group members'
   spok(t, Array.from(groups.get(OPENID)), groupMembers)
 
@@ -0,0 +1,19 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const record = require('../utils/record')
+
+// Large enough to be read in multiple chunks and for the write stream to apply backpressure.
+const large = path.join(os.tmpdir(), 'ah-fs.processor.backpressure')
+fs.writeFileSync(large, Buffer.alloc(200 * 1024, 'pipe'))
+
+record(function backpressure(done) {
+  const source = fs.createReadStream(large)
+  // The first chunk is read before the copy is opened, the chunks that follow are read
+  // once the writes drained.
+  setTimeout(function piped() {
+    source
+      .pipe(fs.createWriteStream(large + '.copy'))
+      .on('finish', done)
+  }, 50)
+})
@@ -0,0 +1,10 @@
+const fs = require('fs')
+const path = require('path')
+const record = require('../utils/record')
+
+const files = [ __filename, path.join(__dirname, 'streams.js'), path.join(__dirname, 'pipe.js') ]
+
+record(function concurrentReads(done) {
+  Promise.all(files.map(file => fs.promises.readFile(file)))
+    .then(() => done())
+})
@@ -0,0 +1,30 @@
+const fs = require('fs')
+const record = require('../utils/record')
+
+record(function fdPromisesWatch(done) {
+  fs.open(__filename, 'r', function onopen(err, fd) {
+    if (err) throw err
+    fs.read(fd, Buffer.alloc(64), 0, 64, 0, function onread(err) {
+      if (err) throw err
+      fs.close(fd, function onclose() { promises() })
+    })
+  })
+
+  function promises() {
+    fs.promises.readFile(__filename)
+      .then(() => fs.promises.writeFile('/dev/null', 'promised'))
+      .then(() => fs.promises.open(__filename, 'r'))
+      .then(handle => handle.read(Buffer.alloc(64), 0, 64, 0).then(() => handle.close()))
+      .then(watch)
+  }
+
+  function watch() {
+    const watcher = fs.watch(__dirname)
+    fs.watchFile(__filename, { interval: 10 }, function onchange() {})
+    setTimeout(function unwatch() {
+      watcher.close()
+      fs.unwatchFile(__filename)
+      done()
+    }, 50)
+  }
+})
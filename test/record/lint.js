@@ -0,0 +1,32 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const record = require('../utils/record')
+
+const large = path.join(os.tmpdir(), 'ah-fs.processor.lint')
+fs.writeFileSync(large, Buffer.alloc(5 * 1024 * 1024))
+
+record(function lint(done) {
+  fs.readFile(large, function onlarge() {
+    fs.stat(__filename, function onstat() {
+      fs.readFile(__filename, function onstatted() {
+        fs.exists(__filename, function onexists() {
+          fs.readFile(__filename, function onexisting() {
+            tinyWrites(function onfinish() {
+              fs.createReadStream(__filename).on('open', done)
+            })
+          })
+        })
+      })
+    })
+  })
+})
+
+function tinyWrites(cb) {
+  const stream = fs.createWriteStream('/dev/null').on('finish', cb)
+  let i = 0
+  ;(function write() {
+    if (i++ === 12) return stream.end()
+    stream.write('sixteen bytes \r\n', write)
+  })()
+}
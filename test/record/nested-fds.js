@@ -0,0 +1,25 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const record = require('../utils/record')
+
+const copy = path.join(os.tmpdir(), 'ah-fs.processor.nested-fds')
+
+record(function nestedFds(done) {
+  fs.open(__filename, 'r', function onsrc(err, src) {
+    if (err) throw err
+    fs.open(copy, 'w', function ondst(err, dst) {
+      if (err) throw err
+      const buf = Buffer.alloc(1024)
+      fs.read(src, buf, 0, buf.length, 0, function onread(err, bytesRead) {
+        if (err) throw err
+        fs.write(dst, buf, 0, bytesRead, 0, function onwrite(err) {
+          if (err) throw err
+          fs.close(dst, function ondstclosed() {
+            fs.close(src, done)
+          })
+        })
+      })
+    })
+  })
+})
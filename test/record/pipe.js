@@ -0,0 +1,14 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const record = require('../utils/record')
+
+// large enough to be read in multiple chunks and for the write stream to apply backpressure
+const large = path.join(os.tmpdir(), 'ah-fs.processor.pipe')
+fs.writeFileSync(large, Buffer.alloc(200 * 1024, 'pipe'))
+
+record(function pipe(done) {
+  fs.createReadStream(large)
+    .pipe(fs.createWriteStream('/dev/null'))
+    .on('finish', done)
+})
@@ -0,0 +1,11 @@
+const fs = require('fs')
+const record = require('../utils/record')
+
+record(function promises(done) {
+  fs.promises.readFile(__filename)
+    .then(() => fs.promises.writeFile('/dev/null', 'promised'))
+    .then(() => fs.promises.open(__filename, 'r'))
+    .then(handle => handle.read(Buffer.alloc(64), 0, 64, 0).then(() => handle.close()))
+    .then(() => Promise.all([ fs.promises.readFile(__filename), fs.promises.readFile(__dirname + '/streams.js') ]))
+    .then(() => done())
+}, { promises: true })
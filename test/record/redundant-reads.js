@@ -0,0 +1,12 @@
+const fs = require('fs')
+const record = require('../utils/record')
+
+const config = __dirname + '/../../package.json'
+
+record(function redundantReads(done) {
+  let i = 0
+  ;(function read() {
+    if (i++ === 3) return done()
+    fs.readFile(config, read)
+  })()
+})
@@ -0,0 +1,8 @@
+const fs = require('fs')
+const record = require('../utils/record')
+
+record(function streams(done) {
+  fs.createReadStream(__filename)
+    .pipe(fs.createWriteStream('/dev/null'))
+    .on('finish', done)
+})
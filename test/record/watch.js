@@ -0,0 +1,20 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const record = require('../utils/record')
+
+const file = path.join(os.tmpdir(), 'ah-fs.processor.watch')
+
+record(function watch(done) {
+  fs.writeFileSync(file, 'watched')
+  const watcher = fs.watch(file, function onwatchchange() {})
+  fs.watchFile(file, { interval: 10 }, function onwatchfilechange() {})
+  setTimeout(function change() {
+    fs.appendFileSync(file, ' and changed')
+  }, 50)
+  setTimeout(function unwatch() {
+    watcher.close()
+    fs.unwatchFile(file)
+    done()
+  }, 150)
+})
@@ -0,0 +1,14 @@
+const fs = require('fs')
+const record = require('../utils/record')
+
+record(function writeStreams(done) {
+  const unclosed = fs.createWriteStream('/dev/null')
+  unclosed.write('never closed', function onwritten() {
+    fs.createWriteStream(__dirname + '/missing/dir/file')
+      .on('error', function onerror() {
+        fs.createWriteStream('/dev/null')
+          .on('finish', done)
+          .end('closed')
+      })
+  })
+})
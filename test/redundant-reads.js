@@ -0,0 +1,80 @@
+const test = require('tape')
+// eslint-disable-next-line no-unused-vars
+const ocat = require('./utils/ocat')
+const spok = require('spok')
+
+const { processFileSystem, redundantReads } = require('../')
+
+// eslint-disable-next-line no-unused-vars
+function inspect(obj, depth) {
+  console.error(require('util').inspect(obj, false, depth || 5, true))
+}
+
+const file = '/Volumes/d/dev/js/async-hooks/ah-fs/test/redundant-reads.js'
+const dir = '/Volumes/d/dev/js/async-hooks/ah-fs/test/fixtures'
+
+test('\nreading one config file seven times and another file once', function(t) {
+  const activities = new Map(require('./fixtures/redundant-reads.json'))
+  const { operations } = processFileSystem({ activities })
+  const res = redundantReads({ activities, operations })
+
+  spok(t, res,
+    [ { $topic: 'redundant reads'
+      , path: `${dir}/config.json`
+      , count: 7
+      , contents: 2
+      , redundant: 4
+      , saved: { ms: '6.40ms', ns: 6400000 }
+      , callSites:
+        [ { createdAt: `at Test.<anonymous> (${file}:20:6)`, count: 6, rootIds: [ 10, 20, 30, 50, 60, 70 ] }
+        , { createdAt: `at Test.<anonymous> (${file}:31:6)`, count: 1, rootIds: [ 40 ] } ]
+      , rootIds: [ 10, 20, 30, 40, 50, 60, 70 ] } ]
+  )
+  t.end()
+})
+
+test('\nreading five different files whose path was not captured', function(t) {
+  const activities = new Map(require('./fixtures/five-files.read-file.json'))
+  const { operations } = processFileSystem({ activities })
+
+  t.deepEqual(redundantReads({ activities, operations }), []
+    , 'finds no redundant reads since each read returned different content')
+  t.end()
+})
+
+test('\nreading the same file twice from one call site without capturing its path', function(t) {
+  const activities = new Map(JSON.parse(JSON.stringify(require('./fixtures/five-files.read-file.json'))))
+  activities.get(38).resource.context.buffer = activities.get(8).resource.context.buffer
+  const { operations } = processFileSystem({ activities })
+  const server = 'at Server.onconnection (/Volumes/d/dev/js/async-hooks/ah-demos/demos/tcp-fs/server:50:6)'
+
+  spok(t, redundantReads({ activities, operations }),
+    [ { $topic: 'redundant reads'
+      , path: null
+      , count: 2
+      , contents: 1
+      , redundant: 1
+      , saved: { ms: '6.07ms' }
+      , callSites: [ { createdAt: server, count: 2, rootIds: [ 5, 35 ] } ]
+      , rootIds: [ 5, 35 ] } ]
+  )
+  t.end()
+})
+
+test('\nreading one config file three times from one call site, recorded with Node.js 20', function(t) {
+  // node test/record/redundant-reads.js > test/fixtures/node20.redundant-reads.json
+  const activities = new Map(require('./fixtures/node20.redundant-reads.json'))
+  const { operations } = processFileSystem({ activities })
+  const read = 'at read (/root/tree/test/record/redundant-reads.js:10:8)'
+
+  spok(t, redundantReads({ activities, operations }),
+    [ { $topic: 'redundant reads'
+      , path: null
+      , count: 3
+      , contents: 1
+      , redundant: 2
+      , callSites: [ { createdAt: read, count: 3, rootIds: [ 2, 6, 10 ] } ]
+      , rootIds: [ 2, 6, 10 ] } ]
+  )
+  t.end()
+})
@@ -0,0 +1,76 @@
+const test = require('tape')
+// eslint-disable-next-line no-unused-vars
+const ocat = require('./utils/ocat')
+const spok = require('spok')
+
+const { processFileSystem, ReadFileProcessor } = require('../')
+const { entryForVersion, detectEntry, signaturesFor } = require('../lib/signatures')
+
+// eslint-disable-next-line no-unused-vars
+function inspect(obj, depth) {
+  console.error(require('util').inspect(obj, false, depth || 5, true))
+}
+
+test('\nsignature registry entries by Node.js version', function(t) {
+  t.equal(entryForVersion('v8.9.0').name, 'node8', 'v8.9.0 uses node8')
+  t.equal(entryForVersion('10.24.1').name, 'node10', '10.24.1 uses node10')
+  t.equal(entryForVersion(14).name, 'node12', '14 uses node12')
+  t.equal(entryForVersion('v20.19.5').name, 'node16', 'v20.19.5 uses node16')
+  t.equal(entryForVersion('v6.17.1'), null, 'v6.17.1 is not supported')
+  t.throws(() => signaturesFor({ activities: new Map(), nodeVersion: 6 })
+    , /No signatures registered for Node.js version 6/
+    , 'throws when resolving signatures for an unsupported version')
+  t.end()
+})
+
+test('\ndetecting the signatures from the activities', function(t) {
+  const node8 = new Map(require('./fixtures/one-file.read-file.json'))
+  const node20 = new Map(require('./fixtures/node20.read-write-stat.json'))
+  t.equal(detectEntry(node8).name, 'node8', 'detects node8 for a Node.js 8 trace')
+  t.equal(detectEntry(node20).name, 'node16', 'detects node16 for a Node.js 20 trace')
+  t.equal(detectEntry(new Map()).name, 'node8', 'falls back to node8 for an empty trace')
+  t.end()
+})
+
+test('\nprocessing file system activities captured with Node.js 20', function(t) {
+  const activities = new Map(require('./fixtures/node20.read-write-stat.json'))
+  const { signatures, operations, unattributed } = processFileSystem({ activities })
+
+  t.equal(signatures, 'node16', 'identifies the steps via the node16 signatures')
+  spok(t, operations.map(({ name, rootId, operation }) => ({ name, rootId, status: operation.status })),
+    [ { $topic: 'operations', name: 'fs.readFile', rootId: 10, status: 'complete' }
+    , { name: 'fs.writeFile', rootId: 14, status: 'complete' }
+    , { name: 'fs.stat', rootId: 20, status: 'complete' } ]
+  )
+  spok(t, operations[0].operation,
+    { $topic: 'readFile operation'
+    , createdAt: 'at /Users/thlorenz/dev/app/test/node20.js:21:26'
+    , open: { id: 10 }
+    , stat: { id: 11 }
+    , reads: [ { id: 12 } ]
+    , close: { id: 13 } }
+  )
+  t.equal(unattributed.length, 0, 'attributes all activities')
+  t.end()
+})
+
+test('\nprocessing file system activities captured with Node.js 20 as if captured with Node.js 8', function(t) {
+  const activities = new Map(require('./fixtures/node20.read-write-stat.json'))
+  const { signatures, operations, unattributed } = processFileSystem({ activities, nodeVersion: 'v8.9.0' })
+
+  t.equal(signatures, 'node8', 'uses the signatures of the provided version')
+  t.equal(operations.length, 0, 'finds no operations')
+  spok(t, unattributed.map(({ type, count }) => ({ type, count })),
+    [ { $topic: 'unattributed', type: 'FSREQCALLBACK', count: 1 } ]
+  )
+  t.equal(unattributed.length, 8, 'reports all activities as unattributed')
+  t.end()
+})
+
+test('\nprocessing readFile activities captured with Node.js 20 via the ReadFileProcessor', function(t) {
+  const activities = new Map(require('./fixtures/node20.read-write-stat.json'))
+  const { groups } = new ReadFileProcessor({ activities, nodeVersion: 'v20.19.5' }).process()
+
+  spok(t, Array.from(groups.get(10)), { $topic: 'group', length: 4 })
+  t.end()
+})
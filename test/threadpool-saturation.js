@@ -0,0 +1,118 @@
+const test = require('tape')
+// eslint-disable-next-line no-unused-vars
+const ocat = require('./utils/ocat')
+const spok = require('spok')
+
+const { processFileSystem, threadpoolSaturation, simulateThreadpool } = require('../')
+
+// eslint-disable-next-line no-unused-vars
+function inspect(obj, depth) {
+  console.error(require('util').inspect(obj, false, depth || 5, true))
+}
+
+const file = '/Volumes/d/dev/js/async-hooks/ah-fs/test/threadpool-saturation.js'
+const statSite = `at Test.<anonymous> (${file}:27:8)`
+const readFileSite = `at Test.<anonymous> (${file}:20:6)`
+
+test('\nthreadpool saturated by six fs.stat calls and one fs.readFile', function(t) {
+  const activities = new Map(require('./fixtures/threadpool-saturation.json'))
+  const { operations, ownership } = processFileSystem({ activities })
+  const res = threadpoolSaturation({ activities, operations, ownership })
+
+  spok(t, res,
+    { $topic: 'threadpool saturation'
+    , poolSize: 4
+    , maxInFlight: 7
+    , timeline: { $topic: 'timeline', length: 20 }
+    , saturated:
+      [ { start: { ms: '10.40ms', ns: 10400000 }
+        , end: { ms: '11.40ms', ns: 11400000 }
+        , duration: { ms: '1.00ms', ns: 1000000 }
+        , maxInFlight: 7
+        , queued:
+          [ { id: 24, name: 'fs.stat', rootId: 24, createdAt: statSite }
+          , { id: 25, name: 'fs.stat', rootId: 25, createdAt: statSite }
+          , { id: 10, name: 'fs.readFile', rootId: 10, createdAt: readFileSite } ] } ]
+    , callSites:
+      [ { name: 'fs.stat', createdAt: statSite, count: 2, rootIds: [ 24, 25 ], ids: [ 24, 25 ] }
+      , { name: 'fs.readFile', createdAt: readFileSite, count: 1, rootIds: [ 10 ], ids: [ 10 ] } ] }
+  )
+  spok(t, res.timeline.slice(5, 8),
+    [ { $topic: 'timeline around the peak', time: { ns: 10500000 }, inFlight: 6 }
+    , { time: { ns: 10600000 }, inFlight: 7 }
+    , { time: { ns: 11000000 }, inFlight: 6 } ]
+  )
+  t.end()
+})
+
+test('\nthreadpool of eight threads handling six fs.stat calls and one fs.readFile', function(t) {
+  const activities = new Map(require('./fixtures/threadpool-saturation.json'))
+  const { operations, ownership } = processFileSystem({ activities })
+  const res = threadpoolSaturation({ activities, operations, ownership, poolSize: 8 })
+
+  spok(t, res, { $topic: 'threadpool saturation', poolSize: 8, maxInFlight: 7, saturated: [], callSites: [] })
+  t.end()
+})
+
+test('\nthreadpool saturated by requests no operation owns', function(t) {
+  const activities = new Map(require('./fixtures/threadpool-saturation.json'))
+  const res = threadpoolSaturation({ activities, operations: [], ownership: new Map() })
+
+  spok(t, res.callSites,
+    [ { $topic: 'call sites', name: null, createdAt: statSite, count: 2, rootIds: [], ids: [ 24, 25 ] }
+    , { name: null, createdAt: readFileSite, count: 1, rootIds: [], ids: [ 10 ] } ]
+  )
+  t.end()
+})
+
+test('\nsimulating the recorded threadpool size', function(t) {
+  const activities = new Map(require('./fixtures/threadpool-saturation.json'))
+  const { operations, ownership } = processFileSystem({ activities })
+  const res = simulateThreadpool({ activities, operations, ownership, poolSize: 4 })
+
+  t.equal(res.operations.length, 7, 'includes all operations')
+  t.ok(res.operations.every(x => x.change.ns === 0), 'reproduces the recorded timeAlive of each operation')
+  spok(t, res.total, { $topic: 'total', timeAlive: { ns: 3500000 }, simulated: { ns: 3500000 } })
+  t.end()
+})
+
+test('\nsimulating a threadpool of eight threads', function(t) {
+  const activities = new Map(require('./fixtures/threadpool-saturation.json'))
+  const { operations, ownership } = processFileSystem({ activities })
+  const res = simulateThreadpool({ activities, operations, ownership, poolSize: 8 })
+
+  spok(t, res,
+    { $topic: 'simulation'
+    , poolSize: 8
+    , recordedPoolSize: 4
+    , total:
+      { timeAlive: { ms: '3.50ms', ns: 3500000 }
+      , simulated: { ms: '2.70ms', ns: 2700000 }
+      , change: { ms: '-0.80ms', ns: -800000 } } }
+  )
+  spok(t, res.operations.filter(x => x.change.ns !== 0),
+    [ { $topic: 'operations that were queued'
+      , name: 'fs.readFile'
+      , rootId: 10
+      , createdAt: readFileSite
+      , timeAlive: { ms: '2.90ms', ns: 2900000 }
+      , simulated: { ms: '2.10ms', ns: 2100000 }
+      , change: { ms: '-0.80ms', ns: -800000 } }
+    , { name: 'fs.stat', rootId: 24, change: { ns: -600000 } }
+    , { name: 'fs.stat', rootId: 25, change: { ns: -700000 } } ]
+  )
+  t.end()
+})
+
+test('\nsimulating a threadpool of one thread', function(t) {
+  const activities = new Map(require('./fixtures/threadpool-saturation.json'))
+  const { operations, ownership } = processFileSystem({ activities })
+  const res = simulateThreadpool({ activities, operations, ownership, poolSize: 1 })
+
+  spok(t, res.total, { $topic: 'total', simulated: { ms: '8.20ms', ns: 8200000 }, change: { ns: 4700000 } })
+  spok(t, res.operations[0], { $topic: 'readFile', rootId: 10, simulated: { ns: 7600000 } })
+  t.throws(() => simulateThreadpool({ activities, operations, ownership, poolSize: 0 })
+    , /Cannot simulate a threadpool of size 0/
+    , 'throws when simulating a threadpool without threads')
+  t.end()
+})
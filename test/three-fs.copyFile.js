@@ -0,0 +1,103 @@
+const test = require('tape')
+// eslint-disable-next-line no-unused-vars
+const ocat = require('./utils/ocat')
+const spok = require('spok')
+
+const { CopyFileProcessor } = require('../')
+
+// eslint-disable-next-line no-unused-vars
+function inspect(obj, depth) {
+  console.error(require('util').inspect(obj, false, depth || 5, true))
+}
+const activities = new Map(require('./fixtures/copy-file.json'))
+const pipedActivities = new Map(require('./fixtures/read-stream-piped-into-write-stream-fs-only.json'))
+
+test('\nactivities with two fs.copyFile calls and a readFile passed to writeFile, not including activities', function(t) {
+  const includeActivities = false
+  const { groups, operations } =
+    new CopyFileProcessor({ activities, includeActivities }).process()
+
+  t.equal(groups.size, 2, 'only groups the native copies')
+  spok(t, Array.from(groups.keys()), [ 10, 11 ])
+  t.equal(operations.size, 3, 'finds three copy operations')
+
+  spok(t, operations.get(10),
+    { $topic: 'native copy'
+    , lifeCycle:
+      { created: { ms: '3.20ms', ns: 3200000 }
+      , destroyed: { ms: '6.55ms', ns: 6550000 }
+      , timeAlive: { ms: '3.35ms', ns: 3350000 } }
+    , createdAt: 'at Test.<anonymous> (/Volumes/d/dev/js/async-hooks/ah-fs/test/copy-file.js:29:6)'
+    , pattern: 'fs.copyFile'
+    , source: null
+    , destination: null
+    , copy: { id: 10, triggerId: 1 }
+    , read: spok.notDefined
+    , write: spok.notDefined
+    , userFunctions:
+      [ { name: 'oncopied'
+        , propertyPaths: [ 'copy.resource.oncomplete' ] } ] }
+  )
+  spok(t, operations.get(11),
+    { $topic: 'failed native copy'
+    , pattern: 'fs.copyFile'
+    , source: '/Volumes/d/dev/js/async-hooks/ah-fs/missing.txt'
+    , destination: '/tmp/missing.copy.txt'
+    , copy: { id: 11, triggerId: 1 } }
+  )
+  spok(t, operations.get(20),
+    { $topic: 'readFile passed to writeFile'
+    , lifeCycle:
+      { created: { ms: '4.10ms', ns: 4100000 }
+      , destroyed: { ms: '9.95ms', ns: 9950000 }
+      , timeAlive: { ms: '5.85ms', ns: 5850000 } }
+    , createdAt: 'at Test.<anonymous> (/Volumes/d/dev/js/async-hooks/ah-fs/test/copy-file.js:38:6)'
+    , pattern: 'fs.readFile -> fs.writeFile'
+    , copy: spok.notDefined
+    , read: { operation: 'fs.readFile', id: 20 }
+    , write: { operation: 'fs.writeFile', id: 24 }
+    , userFunctions: [ { name: 'onread' }, { name: 'onwritten' } ] }
+  )
+  t.equal(typeof operations.get(10).copy.activity, 'undefined', 'does not include activity for copy')
+  t.end()
+})
+
+test('\nactivities with two fs.copyFile calls and a readFile passed to writeFile, including activities', function(t) {
+  const includeActivities = true
+  const { operations } = new CopyFileProcessor({ activities, includeActivities }).process()
+  t.equal(typeof operations.get(10).copy.activity, 'object', 'does include activity for copy')
+  t.end()
+})
+
+test('\nactivities with a readFile whose callback writes different data via writeFile', function(t) {
+  const partial = new Map(JSON.parse(JSON.stringify(require('./fixtures/copy-file.json'))))
+  partial.get(25).resource.functions[0].arguments['1'] = 100
+  const { operations } = new CopyFileProcessor({ activities: partial }).process()
+
+  t.equal(operations.size, 2, 'only finds the native copies')
+  t.notOk(operations.has(20), 'does not consider writing fewer bytes than were read a copy')
+  t.end()
+})
+
+test('\nactivities with a read stream piped into a write stream', function(t) {
+  const { groups, operations } =
+    new CopyFileProcessor({ activities: pipedActivities }).process()
+
+  t.equal(groups.size, 0, 'does not group any resources')
+  spok(t, operations.get(11),
+    { $topic: 'piped copy'
+    , lifeCycle:
+      { created: { ms: '1.12ms', ns: 1123000 }
+      , destroyed: { ms: '18.20ms', ns: 18205000 }
+      , timeAlive: { ms: '17.08ms', ns: 17082000 } }
+    , createdAt: 'at Test.<anonymous> (/Volumes/d/dev/js/async-hooks/ah-fs/test/read-stream-piped-into-write-stream.js:30:6)'
+    , pattern: 'pipe'
+    , source: '/Volumes/d/dev/js/async-hooks/ah-fs/test/read-stream-piped-into-write-stream.js'
+    , destination: '/dev/null'
+    , read: { operation: 'fs.createReadStream', id: 11 }
+    , write: { operation: 'fs.createWriteStream', id: 10 }
+    , userFunctions: [ { name: 'onfinish' } ] }
+  )
+  t.equal(operations.get(11).userFunctions.length, 1, 'merges the listener shared by both streams')
+  t.end()
+})
@@ -0,0 +1,132 @@
+const test = require('tape')
+// eslint-disable-next-line no-unused-vars
+const ocat = require('./utils/ocat')
+const spok = require('spok')
+
+const { FileHandleProcessor } = require('../')
+
+// eslint-disable-next-line no-unused-vars
+function inspect(obj, depth) {
+  console.error(require('util').inspect(obj, false, depth || 5, true))
+}
+const activities = new Map(require('./fixtures/promises.read-write-open.json'))
+
+test('\nactivities for fs.promises readFile, writeFile and open + read + close, not including activities', function(t) {
+  const includeActivities = false
+  const { groups, operations } =
+    new FileHandleProcessor({ activities, includeActivities }).process()
+
+  t.equal(groups.size, 3, 'finds three groups')
+  t.deepEqual(Array.from(groups.get(10)), [ 10, 12, 13, 15, 17 ], 'readFile group omits the linking promises')
+  t.deepEqual(Array.from(groups.get(20)), [ 20, 22, 23, 25 ], 'writeFile group')
+  t.deepEqual(Array.from(groups.get(30)), [ 30, 32, 33, 35, 37 ], 'open group')
+
+  spok(t, operations.get(10),
+    { $topic: 'fs.promises.readFile operation'
+    , lifeCycle:
+      { created: { ms: '8.10ms', ns: 8100000 }
+      , destroyed: { ms: '11.80ms', ns: 11800000 }
+      , timeAlive: { ms: '3.70ms', ns: 3700000 } }
+    , createdAt: 'at loadConfig (/Users/thlorenz/dev/app/lib/config.js:7:37)'
+    , method: 'fs.promises.readFile'
+    , open: { id: 10, triggerId: 1 }
+    , handle: { id: 12, triggerId: 10 }
+    , stat: { id: 13, triggerId: 11 }
+    , reads: [ { id: 15, triggerId: 14, timeSpent: { ms: '0.03ms', ns: 30000 } } ]
+    , readCount: 1
+    , writes: []
+    , close: { id: 17, triggerId: 16 }
+    , userFunctions: [] }
+  )
+  spok(t, operations.get(20),
+    { $topic: 'fs.promises.writeFile operation'
+    , lifeCycle: { timeAlive: { ms: '4.60ms', ns: 4600000 } }
+    , createdAt: 'at save (/Users/thlorenz/dev/app/lib/save.js:9:20)'
+    , method: 'fs.promises.writeFile'
+    , stat: spok.notDefined
+    , reads: []
+    , readCount: 0
+    , writes: [ { id: 23, triggerId: 21, timeSpent: { ms: '0.04ms', ns: 40000 } } ]
+    , writeCount: 1
+    , close: { id: 25, triggerId: 24 } }
+  )
+  spok(t, operations.get(30),
+    { $topic: 'fs.promises.open operation'
+    , lifeCycle: { timeAlive: { ms: '2.30ms', ns: 2300000 } }
+    , createdAt: 'at tail (/Users/thlorenz/dev/app/lib/tail.js:12:32)'
+    , method: 'fs.promises.open'
+    , handle: { id: 32, triggerId: 30 }
+    , reads: [ { id: 33, triggerId: 31 }, { id: 35, triggerId: 34 } ]
+    , readCount: 2
+    , totalReadTime: { ms: '0.06ms', ns: 60000 }
+    , close: { id: 37, triggerId: 36 } }
+  )
+  t.equal(typeof operations.get(10).open.activity, 'undefined', 'does not include activity for open')
+  t.end()
+})
+
+test('\nactivities for fs.promises readFile, writeFile and open + read + close, including activities', function(t) {
+  const includeActivities = true
+  const { operations } = new FileHandleProcessor({ activities, includeActivities }).process()
+  const op = operations.get(30)
+  t.equal(typeof op.open.activity, 'object', 'does include activity for open')
+  t.equal(typeof op.handle.activity, 'object', 'does include activity for handle')
+  t.equal(typeof op.close.activity, 'object', 'does include activity for close')
+  t.end()
+})
+
+test('\nactivities for fs.promises readFile, writeFile, open + read + close and two concurrent readFiles recorded with Node.js 20', function(t) {
+  // The FILEHANDLEs are neither triggered by the opens nor do the steps descend from them
+  const activities = new Map(require('./fixtures/node20.promises.json'))
+  const { groups, operations } = new FileHandleProcessor({ activities }).process()
+
+  t.equal(groups.size, 5, 'finds five groups')
+  t.deepEqual(Array.from(groups.get(5)), [ 5, 14, 17, 25, 29 ], 'readFile group')
+  t.deepEqual(Array.from(groups.get(43)), [ 43, 48, 52, 61 ], 'writeFile group')
+  t.deepEqual(Array.from(groups.get(74)), [ 74, 78, 82, 89 ], 'open group')
+
+  spok(t, operations.get(5),
+    { $topic: 'fs.promises.readFile operation'
+    , createdAt: 'at promises (/root/tree/test/record/promises.js:5:15)'
+    , status: 'complete'
+    , method: 'fs.promises.readFile'
+    , open: { id: 5 }
+    , handle: { id: 14, triggerId: 0 }
+    , stat: { id: 17 }
+    , reads: [ { id: 25 } ]
+    , close: { id: 29 } }
+  )
+  spok(t, operations.get(43),
+    { $topic: 'fs.promises.writeFile operation'
+    , status: 'complete'
+    , method: 'fs.promises.writeFile'
+    , handle: { id: 48 }
+    , writes: [ { id: 52 } ]
+    , close: { id: 61 } }
+  )
+  spok(t, operations.get(74),
+    { $topic: 'fs.promises.open operation'
+    , status: 'complete'
+    , method: 'fs.promises.open'
+    , handle: { id: 78 }
+    , reads: [ { id: 82 } ]
+    , close: { id: 89 } }
+  )
+
+  // The handles of concurrent operations are linked by the time their opens completed, this trace
+  // was recorded without the fds, thus steps issued while both are in use can't be attributed.
+  spok(t, operations.get(102),
+    { $topic: 'first of the concurrent readFiles'
+    , status: 'incomplete'
+    , missing: [ 'read', 'close' ]
+    , handle: { id: 117 }
+    , stat: { id: 120 } }
+  )
+  spok(t, operations.get(109),
+    { $topic: 'second of the concurrent readFiles'
+    , status: 'incomplete'
+    , missing: [ 'stat', 'read', 'close' ]
+    , handle: { id: 127 } }
+  )
+  t.end()
+})
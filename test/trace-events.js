@@ -0,0 +1,103 @@
+const test = require('tape')
+// eslint-disable-next-line no-unused-vars
+const ocat = require('./utils/ocat')
+const spok = require('spok')
+
+const { processFileSystem, traceEvents } = require('../')
+
+// eslint-disable-next-line no-unused-vars
+function inspect(obj, depth) {
+  console.error(require('util').inspect(obj, false, depth || 5, true))
+}
+
+function ofPhase(events, ph) {
+  return events.filter(x => x.ph === ph)
+}
+
+test('\ntrace events of one fs.readFile and two fs.writeFile grouped by type', function(t) {
+  const activities = new Map(require('./fixtures/read-write-file.options.json'))
+  const { operations } = processFileSystem({ activities })
+  const trace = traceEvents({ activities, operations })
+
+  t.equal(trace.displayTimeUnit, 'ms', 'displays the time in ms')
+  t.doesNotThrow(() => JSON.parse(JSON.stringify(trace)), 'is serializable as JSON')
+
+  const events = trace.traceEvents
+  spok(t, ofPhase(events, 'M'),
+    [ { $topic: 'metadata', name: 'process_name', pid: 1, args: { name: 'fs.readFile' } }
+    , { name: 'thread_name', pid: 1, tid: 1, args: { name: 'fs.readFile 10' } }
+    , { name: 'process_name', pid: 2, args: { name: 'fs.writeFile' } }
+    , { name: 'thread_name', pid: 2, tid: 2, args: { name: 'fs.writeFile 14' } }
+    , { name: 'thread_name', pid: 2, tid: 3, args: { name: 'fs.writeFile 17' } } ]
+  )
+  spok(t, ofPhase(events, 'X').filter(x => x.tid === 1),
+    [ { $topic: 'readFile slices'
+      , name: 'fs.readFile'
+      , cat: 'fs'
+      , ts: 20000
+      , dur: 1900
+      , pid: 1
+      , args: { rootId: 10, status: 'complete' } }
+    , { name: 'open'
+      , ts: 20000
+      , dur: 400
+      , args: { id: 10, triggerId: 1, queued: '0.40ms', callback: '0.10ms', teardown: '0.10ms' } }
+    , { name: 'stat', ts: 20450, dur: 350, args: { id: 11, triggerId: 10 } }
+    , { name: 'read', ts: 20850, dur: 350, args: { id: 12, triggerId: 11 } }
+    , { name: 'close', ts: 21250, dur: 350, args: { id: 13, triggerId: 12 } } ]
+  )
+  spok(t, ofPhase(events, 'X').filter(x => x.tid === 3),
+    [ { $topic: 'failed writeFile slices', name: 'fs.writeFile', args: { rootId: 17, status: 'failed' } }
+    , { name: 'open', ts: 20200, dur: 2900 } ]
+  )
+
+  const flows = events.filter(x => x.ph === 's' || x.ph === 'f')
+  t.equal(flows.length, 10, 'draws five flow arrows')
+  spok(t, flows.slice(0, 2),
+    [ { $topic: 'flow from open to stat', name: 'triggered', ph: 's', id: 1, ts: 20400, pid: 1, tid: 1 }
+    , { ph: 'f', bp: 'e', id: 1, ts: 20450, pid: 1, tid: 1 } ]
+  )
+  t.end()
+})
+
+test('\ntrace events of one fs.readFile and two fs.writeFile grouped by file', function(t) {
+  const activities = new Map(require('./fixtures/read-write-file.options.json'))
+  const { operations } = processFileSystem({ activities })
+  const { traceEvents: events } = traceEvents({ activities, operations, groupBy: 'file' })
+
+  const dir = '/Volumes/d/dev/js/async-hooks/ah-fs/test/fixtures'
+  spok(t, events.filter(x => x.name === 'process_name').map(x => x.args.name),
+    [ `${dir}/config.json`, `${dir}/out.json`, `${dir}/readonly.json` ]
+  )
+  t.throws(() => traceEvents({ activities, operations, groupBy: 'size' })
+    , /Cannot group trace events by size/
+    , 'throws when grouping by an unknown property')
+  t.end()
+})
+
+test('\ntrace events of one read stream and one write stream grouped by file', function(t) {
+  const activities = new Map(require('./fixtures/node20.streams.json'))
+  const { operations } = processFileSystem({ activities })
+  const { traceEvents: events } = traceEvents({ activities, operations, groupBy: 'file' })
+
+  spok(t, events.filter(x => x.name === 'process_name').map(x => x.args.name),
+    [ '/root/tree/test/record/streams.js', '/dev/null' ]
+  )
+  t.end()
+})
+
+test('\ntrace events of one read stream piped into one write stream', function(t) {
+  const activities = new Map(require('./fixtures/read-stream-piped-into-write-stream-fs-only.json'))
+  const { operations } = processFileSystem({ activities })
+  const { traceEvents: events } = traceEvents({ activities, operations })
+
+  spok(t, ofPhase(events, 'X').filter(x => x.args.id === 16),
+    [ { $topic: 'shared stream tick', name: 'stream', tid: 1 }
+    , { name: 'stream', tid: 2 } ]
+  )
+  const into = ofPhase(events, 'f').filter(x => x.tid === 2)
+  const from = into.map(f => ofPhase(events, 's').find(s => s.id === f.id))
+  spok(t, from.map(x => x.tid), [ 1, 1, 1 ])
+  t.equal(into.length, 3, 'connects the read stream to the write stream via three flow arrows')
+  t.end()
+})
@@ -0,0 +1,83 @@
+const test = require('tape')
+// eslint-disable-next-line no-unused-vars
+const ocat = require('./utils/ocat')
+const spok = require('spok')
+
+const { FileDescriptorProcessor, WriteFileProcessor } = require('../')
+
+// eslint-disable-next-line no-unused-vars
+function inspect(obj, depth) {
+  console.error(require('util').inspect(obj, false, depth || 5, true))
+}
+const activities = new Map(require('./fixtures/read-write-fd.json'))
+
+test('\nactivities with one fd read and one fd written to, next to a writeFile, not including activities', function(t) {
+  const includeActivities = false
+  const { groups, operations } =
+    new FileDescriptorProcessor({ activities, includeActivities }).process()
+
+  t.equal(groups.size, 2, 'finds two file descriptor groups')
+  spok(t, Array.from(groups.get(10)), [ 10, 11, 12, 13, 14 ])
+  spok(t, Array.from(groups.get(20)), [ 20, 21, 22, 23 ])
+
+  t.equal(operations.size, 2, 'finds two file descriptor operations')
+  spok(t, operations.get(10),
+    { $topic: 'read operation'
+    , lifeCycle:
+      { created: { ms: '12.10ms', ns: 12100000 }
+      , destroyed: { ms: '19.82ms', ns: 19820000 }
+      , timeAlive: { ms: '7.72ms', ns: 7720000 } }
+    , createdAt: 'at Test.<anonymous> (/Volumes/d/dev/js/async-hooks/ah-fs/test/read-write-fd.js:31:6)'
+    , open: { id: 10, triggerId: 1 }
+    , reads:
+      [ { id: 11, triggerId: 10, bytes: 65536, timeSpent: { ms: '0.31ms', ns: 310000 } }
+      , { id: 12, triggerId: 11, bytes: 1024, timeSpent: { ms: '0.12ms', ns: 120000 } }
+      , { id: 13, triggerId: 12, bytes: 0, timeSpent: { ms: '0.05ms', ns: 50000 } } ]
+    , writes: []
+    , close: { id: 14, triggerId: 13 }
+    , readCount: 3
+    , writeCount: 0
+    , userFunctions: [] }
+  )
+  spok(t, operations.get(20),
+    { $topic: 'write operation'
+    , lifeCycle:
+      { created: { ms: '12.40ms', ns: 12400000 }
+      , destroyed: { ms: '14.39ms', ns: 14390000 }
+      , timeAlive: { ms: '1.99ms', ns: 1990000 } }
+    , createdAt: 'at Test.<anonymous> (/Volumes/d/dev/js/async-hooks/ah-fs/test/read-write-fd.js:55:6)'
+    , open: { id: 20, triggerId: 1 }
+    , reads: []
+    , writes:
+      [ { id: 21, triggerId: 20, bytes: 512, timeSpent: { ms: '0.08ms', ns: 80000 } }
+      , { id: 22, triggerId: 21, bytes: 512, timeSpent: { ms: '0.05ms', ns: 50000 } } ]
+    , close: { id: 23, triggerId: 22 }
+    , readCount: 0
+    , writeCount: 2
+    , userFunctions:
+      [ { name: 'onclose'
+        , location: 'onclose (/Volumes/d/dev/js/async-hooks/ah-fs/test/read-write-fd.js:64:19)'
+        , propertyPaths: [ 'close.resource.oncomplete' ] } ] }
+  )
+  t.equal(typeof operations.get(10).reads[0].activity, 'undefined', 'does not include activity for read')
+  t.end()
+})
+
+test('\nactivities with one fd read and one fd written to, next to a writeFile, including activities', function(t) {
+  const includeActivities = true
+  const { operations } =
+    new FileDescriptorProcessor({ activities, includeActivities }).process()
+
+  const op = operations.get(20)
+  t.equal(typeof op.open.activity, 'object', 'does include activity for open')
+  t.equal(typeof op.writes[0].activity, 'object', 'does include activity for write')
+  t.equal(typeof op.close.activity, 'object', 'does include activity for close')
+  t.end()
+})
+
+test('\nactivities with one fd read and one fd written to, next to a writeFile, processing writeFile', function(t) {
+  const { groups } = new WriteFileProcessor({ activities }).process()
+  t.equal(groups.size, 1, 'finds one write file group')
+  spok(t, Array.from(groups.get(30)), [ 30, 31, 32 ])
+  t.end()
+})
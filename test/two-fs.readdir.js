@@ -0,0 +1,53 @@
+const test = require('tape')
+// eslint-disable-next-line no-unused-vars
+const ocat = require('./utils/ocat')
+const spok = require('spok')
+
+const { ReaddirProcessor } = require('../')
+
+// eslint-disable-next-line no-unused-vars
+function inspect(obj, depth) {
+  console.error(require('util').inspect(obj, false, depth || 5, true))
+}
+const activities = new Map(require('./fixtures/readdir.json'))
+
+test('\nactivities with one directory listed and one failing to be listed, not including activities', function(t) {
+  const includeActivities = false
+  const { groups, operations } =
+    new ReaddirProcessor({ activities, includeActivities }).process()
+
+  t.equal(groups.size, 2, 'finds two readdir groups, ignoring the stat')
+  spok(t, Array.from(groups.keys()), [ 10, 11 ])
+
+  spok(t, operations.get(10),
+    { $topic: 'readdir operation'
+    , lifeCycle:
+      { created: { ms: '31.40ms', ns: 31400000 }
+      , destroyed: { ms: '35.62ms', ns: 35620000 }
+      , timeAlive: { ms: '4.22ms', ns: 4220000 } }
+    , createdAt: 'at Test.<anonymous> (/Volumes/d/dev/js/async-hooks/ah-fs/test/readdir.js:29:6)'
+    , path: null
+    , readdir: { id: 10, triggerId: 1 }
+    , entries: 4
+    , userFunctions:
+      [ { name: 'onreaddir'
+        , location: 'onreaddir (/Volumes/d/dev/js/async-hooks/ah-fs/test/readdir.js:30:17)'
+        , propertyPaths: [ 'readdir.resource.oncomplete' ] } ] }
+  )
+  spok(t, operations.get(11),
+    { $topic: 'failed readdir operation'
+    , createdAt: 'at Test.<anonymous> (/Volumes/d/dev/js/async-hooks/ah-fs/test/readdir.js:38:6)'
+    , path: '/Volumes/d/dev/js/async-hooks/ah-fs/missing'
+    , readdir: { id: 11, triggerId: 1 }
+    , entries: null }
+  )
+  t.equal(typeof operations.get(10).readdir.activity, 'undefined', 'does not include activity for readdir')
+  t.end()
+})
+
+test('\nactivities with one directory listed and one failing to be listed, including activities', function(t) {
+  const includeActivities = true
+  const { operations } = new ReaddirProcessor({ activities, includeActivities }).process()
+  t.equal(typeof operations.get(10).readdir.activity, 'object', 'does include activity for readdir')
+  t.end()
+})
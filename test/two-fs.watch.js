@@ -0,0 +1,72 @@
+const test = require('tape')
+// eslint-disable-next-line no-unused-vars
+const ocat = require('./utils/ocat')
+const spok = require('spok')
+
+const { WatchProcessor } = require('../')
+
+// eslint-disable-next-line no-unused-vars
+function inspect(obj, depth) {
+  console.error(require('util').inspect(obj, false, depth || 5, true))
+}
+const activities = new Map(require('./fixtures/watchers.json'))
+
+// Collected with ah-fs, which captures the listeners attached to the owner of the watcher but not
+// the watched path, see the recorded fixtures in node-versions.js for traces that include it.
+test('\nactivities with two fs.watch and one fs.watchFile watchers, not including activities', function(t) {
+  const includeActivities = false
+  const { groups, operations } =
+    new WatchProcessor({ activities, includeActivities }).process()
+
+  t.equal(groups.size, 3, 'finds three watcher groups, ignoring the stat')
+  spok(t, Array.from(groups.keys()), [ 10, 11, 12 ])
+
+  spok(t, operations.get(10),
+    { $topic: 'fs.watch that was never closed'
+    , lifeCycle:
+      { created: { ms: '5.20ms', ns: 5200000 }
+      , destroyed: { ms: '0.00ms', ns: 0 }
+      , timeAlive: { ms: '0.00ms', ns: 0 } }
+    , createdAt: 'at Server.<anonymous> (/Volumes/d/dev/js/async-hooks/ah-demos/demos/dev-server/server.js:22:6)'
+    , kind: 'fs.watch'
+    , path: null
+    , closed: false
+    , events: 3
+    , watcher: { id: 10, triggerId: 1 }
+    , userFunctions:
+      [ { name: 'onchange'
+        , location: 'onchange (/Volumes/d/dev/js/async-hooks/ah-demos/demos/dev-server/server.js:23:17)'
+        , propertyPaths: [ 'watcher.resource.owner._events.change' ] } ] }
+  )
+  spok(t, operations.get(11),
+    { $topic: 'fs.watch that was closed'
+    , lifeCycle:
+      { created: { ms: '5.60ms', ns: 5600000 }
+      , destroyed: { ms: '260.10ms', ns: 260100000 }
+      , timeAlive: { ms: '254.50ms', ns: 254500000 } }
+    , kind: 'fs.watch'
+    , closed: true
+    , events: 1
+    , watcher: { id: 11, triggerId: 1 } }
+  )
+  spok(t, operations.get(12),
+    { $topic: 'fs.watchFile that was never closed'
+    , createdAt: 'at Server.<anonymous> (/Volumes/d/dev/js/async-hooks/ah-demos/demos/dev-server/server.js:31:6)'
+    , kind: 'fs.watchFile'
+    , closed: false
+    , events: 2
+    , watcher: { id: 12, triggerId: 1 }
+    , userFunctions:
+      [ { name: 'onstatchange'
+        , propertyPaths: [ 'watcher.resource.owner._events.change' ] } ] }
+  )
+  t.equal(typeof operations.get(10).watcher.activity, 'undefined', 'does not include activity for watcher')
+  t.end()
+})
+
+test('\nactivities with two fs.watch and one fs.watchFile watchers, including activities', function(t) {
+  const includeActivities = true
+  const { operations } = new WatchProcessor({ activities, includeActivities }).process()
+  t.equal(typeof operations.get(10).watcher.activity, 'object', 'does include activity for watcher')
+  t.end()
+})
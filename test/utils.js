@@ -0,0 +1,42 @@
+const test = require('tape')
+
+const { isUserFrame, firstUserFrame, oldestId, immediatelyBeforeId } = require('../lib/utils')
+
+test('\nidentifying frames of user code', function(t) {
+  const core = [
+      'at Object.fs.open (fs.js:581:11)'
+    , 'at fs.js:1131:14'
+    , 'at Object.open (node:fs:555:15)'
+    , 'at ReadStream.open (internal/fs/streams.js:128:12)'
+    , 'at new Promise (<anonymous>)'
+  ]
+  const user = [
+      'at Test.<anonymous> (/app/test/read.js:20:6)'
+    , 'at /app/index.js:3:4'
+    , 'at Object.<anonymous> (C:\\app\\index.js:1:1)'
+    , 'at C:\\app\\index.js:1:1'
+    , 'at onread (\\\\server\\share\\app\\index.js:8:2)'
+    , 'at file:///app/index.mjs:1:1'
+  ]
+  for (const frame of core) t.notOk(isUserFrame(frame), `${frame} is a core frame`)
+  for (const frame of user) t.ok(isUserFrame(frame), `${frame} is a user frame`)
+
+  t.equal(firstUserFrame(core.concat(user)), user[0], 'finds the first user frame')
+  t.equal(firstUserFrame(core), null, 'returns null if no frame points into user code')
+  t.end()
+})
+
+test('\nfinding activities by init timestamps that have a different number of digits', function(t) {
+  const activities = new Map([
+      [ 1, { id: 1, init: [ 9978121 ] } ]
+    , [ 2, { id: 2, init: [ 10422932 ] } ]
+    , [ 3, { id: 3, init: [ 6611536 ] } ]
+    , [ 4, { id: 4, init: [ 12114177 ] } ]
+  ])
+
+  t.equal(oldestId(activities, new Set([ 1, 2, 3 ])), 3, 'finds the oldest')
+  t.equal(oldestId(activities, new Set([ 5 ])), null, 'ignores ids that are not part of the activities')
+  t.equal(immediatelyBeforeId(activities, new Set([ 1, 3 ]), 2), 1, 'finds the one initialized immediately before')
+  t.equal(immediatelyBeforeId(activities, new Set([ 2, 4 ]), 1), null, 'ignores the ones initialized after')
+  t.end()
+})
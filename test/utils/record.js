@@ -0,0 +1,402 @@
+/*
+ * Records the async activities of fs operations in the format of
+ * [nodesource/ah-fs](https://github.com/nodesource/ah-fs), which doesn't support the
+ * Node.js versions that followed Node.js 8.
+ * The recorded activities are written to stdout, i.e.:
+ *
+ *    node test/record/streams.js > test/fixtures/node20.streams.json
+ *
+ * Only the activities of fs related types and stream ticks are kept, optionally along with
+ * `PROMISE`s, the ones of all other types are pruned and their children attached to their
+ * parent like `ah-prune` does.
+ *
+ * The resource of each activity is captured once its callback completed or it was destroyed.
+ * Objects nested more than two levels deep are replaced with their `proto` and all functions
+ * are pulled out into `resource.functions`, along with the arguments the `oncomplete` callback
+ * of a request was invoked with.
+ *
+ * The requests don't reference the file descriptor they were issued for, therefore the fs
+ * functions that take one are wrapped while recording and it is captured as `resource.fd`.
+ * The same goes for the requests of `fs.promises`, which read the fd of the `FileHandle`
+ * right before they are issued, and the `FILEHANDLE`, whose fd is captured once it is closed.
+ * Likewise the path passed to `fs.watch` and `fs.watchFile` is captured as `resource.path` of the
+ * watcher, and its owner, which core attaches via a symbol, as `resource.owner`.
+ */
+const asyncHooks = require('async_hooks')
+const inspector = require('inspector')
+const fs = require('fs')
+
+const keep = new Set([
+    'FSREQWRAP'
+  , 'FSREQCALLBACK'
+  , 'FSREQPROMISE'
+  , 'FILEHANDLE'
+  , 'FILEHANDLECLOSEREQ'
+  , 'FSEVENTWRAP'
+  , 'STATWATCHER'
+  , 'TickObject'
+])
+const requests = new Set([ 'FSREQWRAP', 'FSREQCALLBACK' ])
+const watchers = new Set([ 'FSEVENTWRAP', 'STATWATCHER' ])
+const fdFunctions = [
+    'read'
+  , 'write'
+  , 'close'
+  , 'fstat'
+  , 'fsync'
+  , 'fdatasync'
+  , 'ftruncate'
+  , 'fchmod'
+  , 'fchown'
+  , 'futimes'
+]
+const watchFunctions = [ 'watch', 'watchFile' ]
+const ownerSymbolRx = /^Symbol\(owner(_symbol)?\)$/
+
+const maxDepth = 2
+const maxFunctionDepth = 5
+const stringLength = 100
+const bufferLength = 16
+const hookFrameRx = /(AsyncHook\.init|emitInit|async_hooks|utils\/record\.js)/
+
+Error.stackTraceLimit = 20
+
+function now(start) {
+  const [ s, ns ] = process.hrtime(start)
+  return s * 1E9 + ns
+}
+
+function captureStack() {
+  const frames = new Error().stack.split('\n').slice(1).map(x => x.trim())
+  let start = 0
+  while (start < frames.length && hookFrameRx.test(frames[start])) start++
+  return frames.slice(start).filter(x => !hookFrameRx.test(x)).slice(0, 10)
+}
+
+function protoOf(x) {
+  const proto = Object.getPrototypeOf(x)
+  return proto == null || proto.constructor == null ? null : proto.constructor.name
+}
+
+function cloneValue(x, level) {
+  if (x == null || typeof x === 'number' || typeof x === 'boolean') return x
+  if (typeof x === 'string') {
+    return { type: 'string', len: x.length, included: Math.min(x.length, stringLength), val: x.slice(0, stringLength) }
+  }
+  if (typeof x !== 'object') return undefined
+  if (Buffer.isBuffer(x)) {
+    const included = x.slice(0, bufferLength)
+    return {
+        type: 'object'
+      , proto: 'Buffer'
+      , len: x.length
+      , included: included.length
+      , val: { utf8: included.toString('utf8'), hex: included.toString('hex') }
+    }
+  }
+  if (level > maxDepth) return { type: 'object', proto: protoOf(x), val: '<deleted>' }
+  if (Array.isArray(x)) return x.map(el => cloneValue(el, level + 1))
+
+  const clone = {}
+  for (const k of Object.keys(x)) {
+    const val = cloneValue(x[k], level + 1)
+    if (val !== undefined) clone[k] = val
+  }
+  clone.proto = protoOf(x)
+  return clone
+}
+
+// Node.js 8 attaches the owner of a handle as `owner`, later versions via a symbol.
+function withOwner(resource) {
+  const symbol = Object.getOwnPropertySymbols(resource).find(x => ownerSymbolRx.test(String(x)))
+  if (symbol == null) return resource
+  // The prototype of a `FSEvent` defines a deprecated `owner` getter, thus we can't just assign it.
+  const source = Object.assign(Object.create(Object.getPrototypeOf(resource)), resource)
+  Object.defineProperty(source, 'owner', { value: resource[symbol], enumerable: true })
+  return source
+}
+
+function collectFunctions(x, path, level, seen, acc) {
+  if (x == null || typeof x !== 'object' || seen.has(x) || Buffer.isBuffer(x)) return acc
+  if (level > maxFunctionDepth) return acc
+  seen.add(x)
+  for (const k of Object.keys(x)) {
+    let val
+    try { val = x[k] } catch (err) { continue }
+    if (typeof val === 'function') acc.push({ path: path.concat(k), fn: val })
+    else collectFunctions(val, path.concat(k), level + 1, seen, acc)
+  }
+  return acc
+}
+
+class Recorder {
+  constructor({ promises }) {
+    this._keep = promises ? new Set(Array.from(keep).concat('PROMISE')) : keep
+    this._start = process.hrtime()
+    this._activities = new Map()
+    this._resources = new Map()
+    this._callbackArgs = new Map()
+    this._fds = new Map()
+    this._paths = new Map()
+    this._handleIds = new WeakMap()
+    this._latestRequestId = null
+    this._latestWatcherId = null
+    this._latestFd = null
+    this._originals = new Map()
+    this._restore = []
+    this._hook = asyncHooks.createHook({
+        init: this._init.bind(this)
+      , before: (id) => this._stamp(id, 'before') || this._forgetFd()
+      , after: (id) => this._stamp(id, 'after') || this._capture(id) || this._forgetFd()
+      , destroy: (id) => this._stamp(id, 'destroy') || this._capture(id)
+    })
+  }
+
+  enable(fileHandle) {
+    this._wrapFdFunctions()
+    this._wrapWatchFunctions()
+    this._wrapFileHandle(fileHandle)
+    this._hook.enable()
+    return this
+  }
+
+  disable() {
+    this._hook.disable()
+    for (const [ name, fn ] of this._originals) fs[name] = fn
+    this._originals.clear()
+    for (const restore of this._restore) restore()
+    this._restore = []
+    return this
+  }
+
+  // The request is initialized synchronously while the fs function is invoked,
+  // thus the latest request initialized during that time was issued for the fd.
+  _wrapFdFunctions() {
+    const recorder = this
+    for (const name of fdFunctions) {
+      const original = fs[name]
+      if (typeof original !== 'function') continue
+      this._originals.set(name, original)
+      fs[name] = function(fd) {
+        const latest = recorder._latestRequestId
+        const res = original.apply(this, arguments)
+        const id = recorder._latestRequestId
+        if (id !== latest && typeof fd === 'number') recorder._fds.set(id, fd)
+        return res
+      }
+    }
+  }
+
+  // The watcher is initialized synchronously as well, unless the file is watched already.
+  _wrapWatchFunctions() {
+    const recorder = this
+    for (const name of watchFunctions) {
+      const original = fs[name]
+      this._originals.set(name, original)
+      fs[name] = function(filename) {
+        const latest = recorder._latestWatcherId
+        const res = original.apply(this, arguments)
+        const id = recorder._latestWatcherId
+        if (id !== latest && filename != null) recorder._paths.set(id, String(filename))
+        return res
+      }
+    }
+  }
+
+  // The `fs.promises` API reads the fd of the `FileHandle` right before it issues a request
+  // for it, and the native handle creates the close request once it is closed.
+  _wrapFileHandle({ prototype, nativePrototype }) {
+    const recorder = this
+    const descriptor = Object.getOwnPropertyDescriptor(prototype, 'fd')
+    const close = nativePrototype.close
+    Object.defineProperty(prototype, 'fd', Object.assign({}, descriptor, {
+      get() {
+        const fd = descriptor.get.call(this)
+        recorder._latestFd = fd
+        return fd
+      }
+    }))
+    nativePrototype.close = function() {
+      recorder._latestFd = this.fd
+      if (recorder._handleIds.has(this)) recorder._fds.set(recorder._handleIds.get(this), this.fd)
+      return close.apply(this, arguments)
+    }
+    this._restore.push(() => {
+      Object.defineProperty(prototype, 'fd', descriptor)
+      nativePrototype.close = close
+    })
+  }
+
+  // The fd is read and the request issued synchronously, an fd read by a previous callback
+  // doesn't belong to the request.
+  _forgetFd() {
+    this._latestFd = null
+  }
+
+  _init(id, type, triggerId, resource) {
+    const activity = { id, type, triggerId, init: [ now(this._start) ] }
+    if (this._keep.has(type)) activity.initStack = captureStack()
+    this._activities.set(id, activity)
+    this._resources.set(id, resource)
+    if (requests.has(type)) {
+      this._latestRequestId = id
+      this._interceptCallback(id, resource)
+    }
+    if (watchers.has(type)) this._latestWatcherId = id
+    // The fd of the native handle isn't assigned until after it was initialized.
+    if (type === 'FILEHANDLE') this._handleIds.set(resource, id)
+    if ((type === 'FSREQPROMISE' || type === 'FILEHANDLECLOSEREQ') && this._latestFd != null) {
+      this._fds.set(id, this._latestFd)
+      this._latestFd = null
+    }
+  }
+
+  // The callback of a request is assigned after the request was created, we wrap it
+  // in order to capture the arguments it is invoked with.
+  _interceptCallback(id, resource) {
+    const callbackArgs = this._callbackArgs
+    let oncomplete
+    Object.defineProperty(resource, 'oncomplete', {
+        enumerable: true
+      , configurable: true
+      , get() { return oncomplete }
+      , set(fn) {
+          oncomplete = function() {
+            callbackArgs.set(id, Array.prototype.slice.call(arguments))
+            return fn.apply(this, arguments)
+          }
+          oncomplete.original = fn
+        }
+    })
+  }
+
+  _stamp(id, event) {
+    const activity = this._activities.get(id)
+    if (activity == null) return
+    if (activity[event] == null) activity[event] = []
+    activity[event].push(now(this._start))
+  }
+
+  _capture(id) {
+    if (!this._resources.has(id)) return
+    const resource = this._resources.get(id)
+    this._resources.delete(id)
+    const activity = this._activities.get(id)
+    if (resource == null || !this._keep.has(activity.type)) return
+
+    const source = withOwner(resource)
+    const captured = cloneValue(source, 0)
+    if (activity.type === 'FILEHANDLE' && resource.fd >= 0) captured.fd = resource.fd
+    if (this._fds.has(id)) captured.fd = this._fds.get(id)
+    if (this._paths.has(id)) captured.path = cloneValue(this._paths.get(id), 1)
+    const args = this._callbackArgs.get(id)
+    captured.functions = collectFunctions(source, [], 0, new Set([ resource ]), []).map(({ path, fn }) => {
+      const original = fn.original || fn
+      const isCallback = path.length === 1 && path[0] === 'oncomplete'
+      return {
+          path
+        , key: path[path.length - 1]
+        , level: path.length - 1
+        , fn: original
+        , arguments: isCallback && args != null ? cloneValue(Object.assign({}, args), 1) : null
+      }
+    })
+    activity.resource = captured
+  }
+
+  // Functions are located once all activities were captured, since the inspector
+  // session would otherwise show up among them.
+  activities() {
+    for (const id of Array.from(this._resources.keys())) this._capture(id)
+    const locate = functionLocator()
+    for (const activity of this._activities.values()) {
+      if (activity.resource == null) continue
+      for (const fn of activity.resource.functions) {
+        fn.info = Object.assign(locate(fn.fn), { inferredName: '', name: fn.fn.name })
+        fn.id = activity.id
+        delete fn.fn
+      }
+      if (activity.resource.functions.length === 0) delete activity.resource.functions
+    }
+    return prune(this._activities, this._keep)
+  }
+}
+
+function functionLocator() {
+  const session = new inspector.Session()
+  session.connect()
+  const scripts = new Map()
+  session.on('Debugger.scriptParsed', ({ params }) => scripts.set(params.scriptId, params.url))
+
+  function post(method, params) {
+    let res, err
+    session.post(method, params, (e, r) => { err = e; res = r })
+    if (err) throw err
+    return res
+  }
+  post('Debugger.enable')
+
+  return function locate(fn) {
+    global.__recordedFunction = fn
+    const { result } = post('Runtime.evaluate', { expression: 'global.__recordedFunction' })
+    const { internalProperties } = post('Runtime.getProperties', { objectId: result.objectId })
+    post('Runtime.releaseObject', { objectId: result.objectId })
+    const location = (internalProperties || []).find(x => x.name === '[[FunctionLocation]]')
+    if (location == null) return { file: '', line: 0, column: 0 }
+    const { scriptId, lineNumber, columnNumber } = location.value.value
+    return {
+        file: (scripts.get(scriptId) || '').replace(/^file:\/\//, '')
+      , line: lineNumber + 1
+      , column: columnNumber + 1
+    }
+  }
+}
+
+function prune(activities, keep) {
+  const pruned = new Map()
+  const parentOf = id => {
+    const activity = activities.get(id)
+    return activity == null || keep.has(activity.type) ? id : parentOf(activity.triggerId)
+  }
+  for (const activity of activities.values()) {
+    if (!keep.has(activity.type)) continue
+    activity.triggerId = parentOf(activity.triggerId)
+    pruned.set(activity.id, activity)
+  }
+  return pruned
+}
+
+// Neither the `FileHandle` of `fs.promises` nor the native handle it wraps are exposed,
+// thus we open a file before recording to get hold of their prototypes. The scenario is
+// recorded once the next loop iteration started, outside of the promise chain.
+function fileHandlePrototypes(cb) {
+  fs.promises.open(__filename, 'r').then(function onopen(handle) {
+    const nativeHandle = Object.getOwnPropertySymbols(handle)
+      .map(x => handle[x])
+      .find(x => x != null && typeof x === 'object' && protoOf(x) === 'FileHandle')
+    const prototypes = { prototype: Object.getPrototypeOf(handle), nativePrototype: Object.getPrototypeOf(nativeHandle) }
+    return handle.close().then(() => setImmediate(cb, prototypes))
+  })
+}
+
+/**
+ * Records the activities of the given scenario and writes them to stdout once it
+ * called `done` and all its resources were destroyed.
+ *
+ * @param {function} scenario invoked with `done`
+ * @param {Object} [$0]
+ * @param {Number} [$0.settle=200] ms to wait for resources to be destroyed
+ * @param {Boolean} [$0.promises=false] if `true` the `PROMISE` resources are kept as well
+ */
+module.exports = function record(scenario, { settle = 200, promises = false } = {}) {
+  fileHandlePrototypes(function onprototypes(fileHandle) {
+    const recorder = new Recorder({ promises }).enable(fileHandle)
+    scenario(function done() {
+      setTimeout(function write() {
+        recorder.disable()
+        const activities = recorder.activities()
+        fs.writeSync(1, JSON.stringify(Array.from(activities), null, 2) + '\n')
+      }, settle)
+    })
+  })
+}